@@ -6,6 +6,18 @@ const ClientConfig = {
   // API endpoint (relative to current host)
   apiBaseUrl: '/api',
 
+  // Where flights come from: 'opensky' (directly, only the flights in
+  // view) or 'server' (this server's /api/flights, for deployments with
+  // ENABLE_SERVER_FETCH=true, kept in sync with delta updates)
+  source: 'opensky',
+
+  // With source 'server', follow the server's live stream (/api/stream)
+  // instead of polling, falling back to polling if it isn't available
+  stream: true,
+  // Reconnect the stream after this long without a message (heartbeats
+  // come every 15 seconds)
+  streamTimeout: 45000,
+
   // Polling interval in milliseconds (default 10 seconds)
   pollInterval: 10000,
 
@@ -25,6 +37,7 @@ const ClientConfig = {
 
   // OpenSky Network API settings
   opensky: {
+    // '/api/opensky' goes through this server's caching proxy instead
     baseUrl: 'https://opensky-network.org/api',
     // Default bounding box for continental US (used when camera bounds can't be computed)
     defaultBounds: {
@@ -65,6 +78,14 @@ const ClientConfig = {
     ClientConfig.pollInterval = parseInt(params.get('poll'), 10);
   }
 
+  if (params.has('source')) {
+    ClientConfig.source = params.get('source');
+  }
+
+  if (params.has('stream')) {
+    ClientConfig.stream = params.get('stream') !== 'false';
+  }
+
   if (params.has('cesiumToken')) {
     ClientConfig.cesiumAccessToken = params.get('cesiumToken');
   }
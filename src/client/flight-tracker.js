@@ -9,6 +9,15 @@ class FlightTracker {
     this.entities = new Map();      // flightId -> Cesium.Entity
     this.trails = new Map();        // flightId -> array of positions
     this.trailEntities = new Map(); // flightId -> Cesium.Entity (polyline)
+    this.trailHistory = new Map();  // flightId -> backfilled positions from before we saw it
+    this.details = new Map();       // flightId -> { registry, origin, destination, fetchedAt } from the server
+    this.operatorFilter = '';       // Only show this operator's flights ('' for all)
+    this.serverFlights = new Map(); // flightId -> flight, kept in sync with the server (source 'server')
+    this.syncCursor = '';           // Delta sync cursor from the last server response
+    this.syncETag = null;
+    this.stream = null;             // EventSource following /api/stream
+    this.streamWatchdog = null;
+    this.lastStreamMessage = 0;
     this.pollTimer = null;
     this.showTrails = true;
     this.showLabels = true;
@@ -107,15 +116,26 @@ class FlightTracker {
         this.onEntitySelected(entity);
       });
 
+      // Streamed flights arrive for the whole map; show those now in view
+      this.viewer.camera.moveEnd.addEventListener(() => {
+        if (this.stream) {
+          this.showFlights(this.serverFlightsInView(this.getViewBounds()));
+        }
+      });
+
       // Fetch server configuration
       await this.fetchServerConfig();
 
       // Setup UI controls
       this.setupControls();
 
-      // Start polling
-      await this.fetchFlights();
-      this.startPolling();
+      // Follow the server's live stream, or poll
+      if (this.config.source === 'server' && this.config.stream && window.EventSource) {
+        this.startStream();
+      } else {
+        await this.fetchFlights();
+        this.startPolling();
+      }
 
       // Hide loading overlay
       document.getElementById('loading').classList.add('hidden');
@@ -127,8 +147,23 @@ class FlightTracker {
   }
 
   async fetchServerConfig() {
-    // Data comes directly from OpenSky
-    document.getElementById('dataSource').textContent = 'OpenSky (direct)';
+    const dataSource = document.getElementById('dataSource');
+
+    if (this.config.source === 'server') {
+      dataSource.textContent = 'Server';
+      try {
+        const response = await fetch(`${this.config.apiBaseUrl}/config`, { credentials: 'omit' });
+        const data = await response.json();
+        if (data.success) {
+          dataSource.textContent = `Server (${data.config.dataSource})`;
+        }
+      } catch (e) {
+        console.error('Failed to fetch server configuration:', e);
+      }
+    } else {
+      // Data comes directly from OpenSky
+      dataSource.textContent = 'OpenSky (direct)';
+    }
     this.updatePollIntervalDisplay();
   }
 
@@ -152,16 +187,71 @@ class FlightTracker {
     intervalSelect.value = this.config.pollInterval.toString();
     intervalSelect.addEventListener('change', (e) => {
       this.config.pollInterval = parseInt(e.target.value, 10);
-      this.restartPolling();
+      if (!this.stream) {
+        this.restartPolling();
+      }
       this.updatePollIntervalDisplay();
     });
 
+    // Airline filter; only the server decodes callsigns into airlines, so
+    // there is nothing to filter by without it
+    const operatorSelect = document.getElementById('operatorFilter');
+    if (this.config.source !== 'server') {
+      operatorSelect.closest('label').style.display = 'none';
+    }
+    operatorSelect.addEventListener('change', (e) => {
+      this.operatorFilter = e.target.value;
+      for (const [flightId] of this.entities) {
+        this.applyOperatorFilter(flightId);
+      }
+    });
+
     this.updatePollIntervalDisplay();
   }
 
+  /**
+   * Show or hide a flight and its trail for the airline filter
+   */
+  applyOperatorFilter(flightId) {
+    const entity = this.entities.get(flightId);
+    if (!entity) return;
+
+    const operator = entity.properties.operator && entity.properties.operator.getValue(Cesium.JulianDate.now());
+    const show = !this.operatorFilter || (operator && operator.designator === this.operatorFilter);
+    entity.show = show;
+
+    const trailEntity = this.trailEntities.get(flightId);
+    if (trailEntity) {
+      trailEntity.show = show;
+    }
+  }
+
+  /**
+   * List the airlines in view in the airline filter, keeping the selection
+   */
+  updateOperatorOptions() {
+    const select = document.getElementById('operatorFilter');
+    const names = new Map();  // Designator -> airline name, from the server
+    for (const [, entity] of this.entities) {
+      const operator = entity.properties.operator && entity.properties.operator.getValue(Cesium.JulianDate.now());
+      if (operator) names.set(operator.designator, operator.name);
+    }
+    if (this.operatorFilter && !names.has(this.operatorFilter)) names.set(this.operatorFilter, null);
+
+    const sorted = [...names.keys()].sort();
+    const current = [...select.options].slice(1).map(option => option.value);
+    if (sorted.join() === current.join()) return;
+
+    select.innerHTML = '<option value="">All</option>' + sorted.map(designator => {
+      const name = names.get(designator);
+      return `<option value="${designator}">${designator}${name ? ` - ${name}` : ''}</option>`;
+    }).join('');
+    select.value = this.operatorFilter;
+  }
+
   updatePollIntervalDisplay() {
     document.getElementById('pollInterval').textContent =
-      `${this.config.pollInterval / 1000}s`;
+      this.stream ? 'Live' : `${this.config.pollInterval / 1000}s`;
   }
 
   startPolling() {
@@ -180,6 +270,62 @@ class FlightTracker {
     this.startPolling();
   }
 
+  /**
+   * Follow the server's live stream instead of polling. EventSource
+   * reconnects by itself, resuming from the last cursor; if the server
+   * refuses the stream, or it goes quiet, we fall back to polling.
+   */
+  startStream() {
+    const query = this.syncCursor ? `?cursor=${encodeURIComponent(this.syncCursor)}` : '';
+    const stream = new EventSource(`${this.config.apiBaseUrl}/stream${query}`);
+    this.stream = stream;
+    this.lastStreamMessage = Date.now();
+    this.updatePollIntervalDisplay();
+
+    stream.addEventListener('flights', (event) => {
+      this.lastStreamMessage = Date.now();
+      this.applyFlightDelta(JSON.parse(event.data));
+      this.showFlights(this.serverFlightsInView(this.getViewBounds()));
+    });
+    for (const type of ['cycle', 'heartbeat']) {
+      stream.addEventListener(type, () => {
+        this.lastStreamMessage = Date.now();
+      });
+    }
+
+    stream.onerror = () => {
+      if (stream.readyState === EventSource.CLOSED) {
+        console.warn('Live stream unavailable, polling instead');
+        this.fallBackToPolling();
+      }
+    };
+
+    this.streamWatchdog = setInterval(() => {
+      if (Date.now() - this.lastStreamMessage > this.config.streamTimeout) {
+        console.warn('Live stream went quiet, polling instead');
+        this.fallBackToPolling();
+      }
+    }, this.config.streamTimeout / 3);
+  }
+
+  stopStream() {
+    if (this.stream) {
+      this.stream.close();
+      this.stream = null;
+    }
+    if (this.streamWatchdog) {
+      clearInterval(this.streamWatchdog);
+      this.streamWatchdog = null;
+    }
+  }
+
+  fallBackToPolling() {
+    this.stopStream();
+    this.updatePollIntervalDisplay();
+    this.fetchFlights();
+    this.startPolling();
+  }
+
   /**
    * Get the current camera view bounds (lat/lon bounding box)
    */
@@ -232,6 +378,13 @@ class FlightTracker {
       minLon = Math.max(-180, minLon);
       maxLon = Math.min(180, maxLon);
 
+      // A view across the antimeridian: minLon ends up greater than maxLon
+      const rectangle = this.viewer.camera.computeViewRectangle(ellipsoid);
+      if (rectangle && rectangle.west > rectangle.east) {
+        minLon = Cesium.Math.toDegrees(rectangle.west);
+        maxLon = Cesium.Math.toDegrees(rectangle.east);
+      }
+
       return { minLat, maxLat, minLon, maxLon };
     } catch (e) {
       console.warn('Could not compute view bounds:', e);
@@ -275,63 +428,155 @@ class FlightTracker {
       verticalRate: verticalRate ? Math.round(verticalRate * 196.85) : 0,  // m/s to ft/min
       onGround,
       squawk,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      originCountry: state[2] || null,
+      timePosition: state[3] ? state[3] * 1000 : null,
+      lastContact: state[4] ? state[4] * 1000 : null,
+      baroAltitude: state[7] === null ? null : Math.round(state[7] * 3.28084),
+      geoAltitude: state[13] === null ? null : Math.round(state[13] * 3.28084),
+      sensors: Array.isArray(state[12]) ? state[12] : null,
+      spi: Boolean(state[15]),
+      positionSource: ['ADS-B', 'ASTERIX', 'MLAT', 'FLARM'][state[16]] ?? null,
+      // Only the server decodes callsigns into airlines
+      operator: null,
+      flightNumber: null
     };
   }
 
   async fetchFlights() {
     try {
-      // Get current view bounds
+      // Only ask for the flights in view
       const bounds = this.getViewBounds();
+      const flights = this.config.source === 'server'
+        ? await this.fetchServerFlights(bounds)
+        : await this.fetchOpenSkyFlights(bounds);
+      if (!flights) return;
 
-      // Build OpenSky API URL with bounding box
-      const url = new URL(`${this.config.opensky.baseUrl}/states/all`);
-      url.searchParams.set('lamin', bounds.minLat);
-      url.searchParams.set('lamax', bounds.maxLat);
-      url.searchParams.set('lomin', bounds.minLon);
-      url.searchParams.set('lomax', bounds.maxLon);
+      this.showFlights(flights);
+    } catch (error) {
+      console.error('Failed to fetch flights:', error);
+    }
+  }
 
-      const response = await fetch(url.toString(), {
-        credentials: 'omit'  // Prevent browser auth dialog on 401
-      });
+  /**
+   * Show these flights, removing any others
+   */
+  showFlights(flights) {
+    const currentFlightIds = new Set();
 
-      if (!response.ok) {
-        console.error(`OpenSky API error: ${response.status} ${response.statusText}`);
-        return;
-      }
+    for (const flight of flights) {
+      currentFlightIds.add(flight.id);
+      this.updateFlight(flight);
+    }
 
-      const data = await response.json();
+    // Remove flights no longer in view or no longer reported
+    this.removeStaleFlights(currentFlightIds);
+    this.updateOperatorOptions();
 
-      if (!data.states || !Array.isArray(data.states)) {
-        // No flights in this region
-        this.removeStaleFlights(new Set());
-        document.getElementById('flightCount').textContent = '0';
-        document.getElementById('lastUpdate').textContent = new Date().toLocaleTimeString();
-        return;
-      }
+    // Update stats display
+    document.getElementById('flightCount').textContent = this.entities.size;
+    document.getElementById('lastUpdate').textContent = new Date().toLocaleTimeString();
+    this.lastFetchTime = Date.now();
+  }
 
-      // Process flights
-      const currentFlightIds = new Set();
+  /**
+   * Flights in a bounding box from OpenSky, or null if the request failed.
+   * OpenSky boxes can't cross the antimeridian, so those are asked for in
+   * two halves.
+   */
+  async fetchOpenSkyFlights(bounds) {
+    if (bounds.minLon > bounds.maxLon) {
+      const halves = await Promise.all([
+        this.fetchOpenSkyFlights({ ...bounds, maxLon: 180 }),
+        this.fetchOpenSkyFlights({ ...bounds, minLon: -180 })
+      ]);
+      return halves.includes(null) ? null : halves.flat();
+    }
 
-      for (const state of data.states) {
-        const flight = this.normalizeOpenSkyFlight(state);
-        if (flight) {
-          currentFlightIds.add(flight.id);
-          this.updateFlight(flight);
-        }
+    // The base URL may be relative, for this server's proxy
+    const url = new URL(`${this.config.opensky.baseUrl}/states/all`, window.location.href);
+    url.searchParams.set('lamin', bounds.minLat);
+    url.searchParams.set('lamax', bounds.maxLat);
+    url.searchParams.set('lomin', bounds.minLon);
+    url.searchParams.set('lomax', bounds.maxLon);
+
+    const response = await fetch(url.toString(), {
+      credentials: 'omit'  // Prevent browser auth dialog on 401
+    });
+
+    if (!response.ok) {
+      console.error(`OpenSky API error: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    // states is null when there are no flights in the area
+    const data = await response.json();
+    return (Array.isArray(data.states) ? data.states : [])
+      .map(state => this.normalizeOpenSkyFlight(state))
+      .filter(Boolean);
+  }
+
+  /**
+   * Flights in a bounding box from this server, or null if the request
+   * failed. A copy of the server's flights in the box is kept up to date
+   * with delta syncs, so a poll only downloads what changed (or nothing,
+   * 304); once the view moves, the server starts the copy again.
+   */
+  async fetchServerFlights(bounds) {
+    const url = new URL(`${this.config.apiBaseUrl}/flights`, window.location.href);
+    url.searchParams.set('cursor', this.syncCursor);
+    url.searchParams.set('bbox', [bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat].join(','));
+
+    const response = await fetch(url.toString(), {
+      credentials: 'omit',
+      headers: this.syncETag ? { 'If-None-Match': this.syncETag } : {}
+    });
+
+    if (response.status !== 304) {
+      if (!response.ok) {
+        console.error(`Server API error: ${response.status} ${response.statusText}`);
+        return null;
       }
 
-      // Remove flights no longer in view or no longer reported
-      this.removeStaleFlights(currentFlightIds);
+      const data = await response.json();
+      if (!data.success) return null;
 
-      // Update stats display
-      document.getElementById('flightCount').textContent = this.entities.size;
-      document.getElementById('lastUpdate').textContent = new Date().toLocaleTimeString();
-      this.lastFetchTime = Date.now();
+      this.applyFlightDelta(data);
+      this.syncETag = response.headers.get('ETag');
+    }
 
-    } catch (error) {
-      console.error('Failed to fetch flights:', error);
+    return this.serverFlightsInView(bounds);
+  }
+
+  /**
+   * Apply a delta sync ({ cursor, full, added, updated, removed }, from
+   * /api/flights?cursor= or the live stream) to our copy of the server's flights
+   */
+  applyFlightDelta(data) {
+    if (data.full) {
+      this.serverFlights.clear();
+    }
+    for (const id of data.removed) {
+      this.serverFlights.delete(id);
+    }
+    for (const flight of [...data.added, ...data.updated]) {
+      this.serverFlights.set(flight.id, flight);
     }
+    this.syncCursor = data.cursor;
+  }
+
+  /**
+   * Our copy of the server's flights inside a bounding box; minLon greater
+   * than maxLon crosses the antimeridian
+   */
+  serverFlightsInView(bounds) {
+    const inLongitude = bounds.minLon > bounds.maxLon
+      ? longitude => longitude >= bounds.minLon || longitude <= bounds.maxLon
+      : longitude => longitude >= bounds.minLon && longitude <= bounds.maxLon;
+
+    return [...this.serverFlights.values()].filter(flight =>
+      flight.latitude >= bounds.minLat && flight.latitude <= bounds.maxLat && inLongitude(flight.longitude)
+    );
   }
 
   updateFlight(flight) {
@@ -391,6 +636,8 @@ class FlightTracker {
 
       this.entities.set(flight.id, entity);
     }
+
+    this.applyOperatorFilter(flight.id);
   }
 
   updateTrail(flightId, position, altitude) {
@@ -404,7 +651,8 @@ class FlightTracker {
     // Add new position
     trail.push({
       position: position,
-      altitude: altitude
+      altitude: altitude,
+      timestamp: Date.now()
     });
 
     // Trim to max points
@@ -420,7 +668,8 @@ class FlightTracker {
     const trail = this.trails.get(flightId);
     if (!trail || trail.length < 2) return;
 
-    const positions = trail.map(p => p.position);
+    const history = this.trailHistory.get(flightId) || [];
+    const positions = [...history, ...trail].map(p => p.position);
 
     if (this.trailEntities.has(flightId)) {
       // Update existing polyline
@@ -458,10 +707,76 @@ class FlightTracker {
           this.trailEntities.delete(flightId);
         }
         this.trails.delete(flightId);
+        this.trailHistory.delete(flightId);
+        this.details.delete(flightId);
       }
     }
   }
 
+  /**
+   * Ask the server for a selected aircraft's track from before we first
+   * saw it and draw it ahead of the trail. Does nothing when deployed
+   * without a backend server or with backfill disabled.
+   */
+  async fetchTrailHistory(flightId) {
+    if (this.trailHistory.has(flightId)) return;
+
+    try {
+      const url = `${this.config.apiBaseUrl}/flights/${encodeURIComponent(flightId)}/trail?backfill=true`;
+      const response = await fetch(url, { credentials: 'omit' });
+      if (!response.ok) return;
+
+      const data = await response.json();
+      if (!data.success || !this.trails.has(flightId)) return;
+
+      // Deferred for lack of API credits: try again on the next selection
+      if (data.backfill && data.backfill.status === 'deferred') return;
+
+      const firstSeen = this.trails.get(flightId)[0]?.timestamp ?? Infinity;
+      const history = data.trail
+        .filter(point => point.backfilled && point.timestamp < firstSeen)
+        .map(point => ({
+          position: Cesium.Cartesian3.fromDegrees(point.longitude, point.latitude, point.altitude * 0.3048),
+          altitude: point.altitude
+        }));
+
+      this.trailHistory.set(flightId, history);
+      this.updateTrailEntity(flightId);
+    } catch (e) {
+      // Expected when running without a backend server (static deployment)
+    }
+  }
+
+  /**
+   * Look up a selected aircraft's registration and route on the server
+   * and show them if the aircraft is still selected. Routes fill in as
+   * flights depart and arrive, so these are looked up again after a
+   * minute. Does nothing when deployed without a backend server.
+   */
+  async fetchFlightDetails(flightId) {
+    const cached = this.details.get(flightId);
+    if (cached && Date.now() - cached.fetchedAt < 60000) return;
+
+    try {
+      const url = `${this.config.apiBaseUrl}/flights/${encodeURIComponent(flightId)}`;
+      const response = await fetch(url, { credentials: 'omit' });
+      if (!response.ok) return;
+
+      const data = await response.json();
+      if (!data.success) return;
+
+      const { registry, origin, destination } = data.flight;
+      this.details.set(flightId, { registry, origin, destination, fetchedAt: Date.now() });
+
+      const selected = this.viewer.selectedEntity;
+      if (selected && selected.id === flightId) {
+        this.onEntitySelected(selected);
+      }
+    } catch (e) {
+      // Expected when running without a backend server (static deployment)
+    }
+  }
+
   getAltitudeColor(altitude, onGround) {
     const colors = this.config.aircraft.altitudeColors;
 
@@ -501,7 +816,8 @@ class FlightTracker {
       return;
     }
 
-    const flight = entity.properties;
+    // Cesium wraps each property; unwrap them to read nested values
+    const flight = entity.properties.getValue(Cesium.JulianDate.now());
 
     // Check if it's a trail entity (skip those)
     if (entity.id && entity.id.startsWith('trail-')) {
@@ -511,6 +827,10 @@ class FlightTracker {
 
     selectedFlightDiv.style.display = 'block';
 
+    // Fill in where the aircraft was before we started tracking it
+    this.fetchTrailHistory(entity.id);
+    this.fetchFlightDetails(entity.id);
+
     // Format altitude as flight level
     const flightLevel = flight.altitude ? this.formatFlightLevel(flight.altitude, flight.verticalRate) : 'N/A';
 
@@ -524,14 +844,114 @@ class FlightTracker {
     detailsDiv.innerHTML = `
       <div><span class="detail-label">CALLSIGN:</span> ${flight.callsign || 'N/A'}</div>
       <div><span class="detail-label">ICAO:</span> ${flight.id || 'N/A'}</div>
+      ${this.formatOperatorDetails(flight)}
       <div><span class="detail-label">ALT:</span> ${flightLevel}</div>
       <div><span class="detail-label">GS:</span> ${flight.speed ? flight.speed + ' KTS' : 'N/A'}</div>
       <div><span class="detail-label">HDG:</span> ${flight.heading ? Math.round(flight.heading).toString().padStart(3, '0') + '°' : 'N/A'}</div>
       <div><span class="detail-label">VS:</span> ${vsDisplay}</div>
       <div><span class="detail-label">SQUAWK:</span> ${flight.squawk || '----'}</div>
       <div><span class="detail-label">GND:</span> ${flight.onGround ? 'YES' : 'NO'}</div>
+      ${this.formatRouteDetails(this.details.get(entity.id))}
+      ${this.formatRegistryDetails(this.details.get(entity.id))}
+      ${this.formatStateVectorDetails(flight)}
     `;
   }
+
+  /**
+   * Detail rows for the operator and flight number decoded from the callsign
+   */
+  formatOperatorDetails(flight) {
+    const { operator, flightNumber } = flight;
+    if (!operator) return '';
+
+    const rows = [
+      `<div><span class="detail-label">AIRLINE:</span> ${operator.name ? `${operator.name} (${operator.designator})` : operator.designator}</div>`,
+      `<div><span class="detail-label">FLIGHT:</span> ${flightNumber}</div>`
+    ];
+    if (operator.telephony) {
+      rows.push(`<div><span class="detail-label">RADIO:</span> ${operator.telephony} ${flightNumber}</div>`);
+    }
+
+    return rows.join('\n');
+  }
+
+  /**
+   * Detail rows for the airports the server inferred the flight came from
+   * and is going to
+   */
+  formatRouteDetails(details) {
+    if (!details) return '';
+
+    const airport = a => `${a.icaoCode || a.ident}${a.municipality ? ` ${a.municipality.toUpperCase()}` : ''}`;
+    const rows = [];
+    if (details.origin) {
+      rows.push(`<div><span class="detail-label">FROM:</span> ${airport(details.origin)}</div>`);
+    }
+    if (details.destination) {
+      rows.push(`<div><span class="detail-label">TO:</span> ${airport(details.destination)}</div>`);
+    }
+
+    return rows.join('\n');
+  }
+
+  /**
+   * Detail rows for the aircraft's FAA registration, once it's been looked up
+   */
+  formatRegistryDetails(details) {
+    const registry = details && details.registry;
+    if (!registry) return '';
+
+    const rows = [`<div><span class="detail-label">REG:</span> ${registry.registration}</div>`];
+    const type = [registry.manufacturer, registry.model].filter(Boolean).join(' ');
+    if (type) {
+      rows.push(`<div><span class="detail-label">TYPE:</span> ${type}${registry.yearBuilt ? ` (${registry.yearBuilt})` : ''}</div>`);
+    }
+    if (registry.aircraftType || registry.engineType) {
+      const category = [registry.aircraftType, registry.engineType].filter(Boolean).join(', ');
+      rows.push(`<div><span class="detail-label">CATEGORY:</span> ${category}</div>`);
+    }
+    if (registry.registrant) {
+      rows.push(`<div><span class="detail-label">OWNER:</span> ${registry.registrant}</div>`);
+    }
+
+    return rows.join('\n');
+  }
+
+  /**
+   * Detail rows for the OpenSky state vector fields, where the source has them
+   */
+  formatStateVectorDetails(flight) {
+    const rows = [];
+    const feet = value => (value === null || value === undefined ? 'N/A' : `${value} FT`);
+
+    if (flight.originCountry) {
+      rows.push(`<div><span class="detail-label">COUNTRY:</span> ${flight.originCountry}</div>`);
+    }
+    if (flight.baroAltitude != null || flight.geoAltitude != null) {
+      rows.push(`<div><span class="detail-label">BARO/GEO:</span> ${feet(flight.baroAltitude)} / ${feet(flight.geoAltitude)}</div>`);
+    }
+    if (flight.positionSource || flight.timePosition) {
+      const badges = [];
+      if (flight.positionSource) {
+        const mlat = flight.positionSource === 'MLAT';
+        badges.push(`<span class="badge${mlat ? ' badge-mlat' : ''}">${flight.positionSource}</span>`);
+      }
+      if (flight.timePosition) {
+        // Positions older than a poll or two are probably extrapolated by now
+        const age = Math.max(0, Math.round((Date.now() - flight.timePosition) / 1000));
+        badges.push(`<span class="badge${age > 30 ? ' badge-stale' : ''}">${age}s AGO</span>`);
+      }
+      rows.push(`<div><span class="detail-label">POS:</span> ${badges.join(' ')}</div>`);
+    }
+    if (flight.sensors && flight.sensors.length) {
+      rows.push(`<div><span class="detail-label">SENSORS:</span> ${flight.sensors.length}</div>`);
+    }
+    if (flight.spi) {
+      rows.push('<div><span class="detail-label">SPI:</span> <span class="badge badge-spi">IDENT</span></div>');
+    }
+
+    return rows.join('\n');
+  }
 }
 
 // Initialize tracker when DOM is ready
@@ -0,0 +1,163 @@
+/**
+ * Aircraft Registry
+ *
+ * Imports the FAA Releasable Aircraft Database (MASTER.txt registrations
+ * and ACFTREF.txt aircraft models, from ReleasableAircraft.zip) into the
+ * aircraft table, keyed by Mode S address, so flights can show their
+ * N-number, make and model, and owner.
+ */
+
+import { createReadStream } from 'fs';
+import { readFile, stat } from 'fs/promises';
+import { createInterface } from 'readline';
+import { join } from 'path';
+import { config } from './config.js';
+import { replaceAircraft, getDataImport } from './database.js';
+
+const SOURCE = 'faa';
+
+// TYPE AIRCRAFT codes
+const AIRCRAFT_TYPES = {
+  1: 'Glider',
+  2: 'Balloon',
+  3: 'Blimp/Dirigible',
+  4: 'Fixed wing single engine',
+  5: 'Fixed wing multi engine',
+  6: 'Rotorcraft',
+  7: 'Weight-shift-control',
+  8: 'Powered parachute',
+  9: 'Gyroplane',
+  H: 'Hybrid lift',
+  O: 'Other'
+};
+
+// TYPE ENGINE codes
+const ENGINE_TYPES = {
+  0: 'None',
+  1: 'Reciprocating',
+  2: 'Turbo-prop',
+  3: 'Turbo-shaft',
+  4: 'Turbo-jet',
+  5: 'Turbo-fan',
+  6: 'Ramjet',
+  7: '2 cycle',
+  8: '4 cycle',
+  9: 'Unknown',
+  10: 'Electric',
+  11: 'Rotary'
+};
+
+/**
+ * Column positions from a header line (the files start with a BOM and
+ * pad every field with spaces)
+ */
+function parseHeader(line) {
+  return new Map(line.replace(/^\uFEFF/, '').split(',').map((name, i) => [name.trim(), i]));
+}
+
+function splitRow(line) {
+  return line.split(',').map(value => value.trim());
+}
+
+/**
+ * Parse ACFTREF.txt into a map of manufacturer/model code to
+ * { manufacturer, model }
+ */
+export function parseAircraftReference(text) {
+  const [header, ...lines] = text.split(/\r?\n/);
+  const columns = parseHeader(header);
+  const models = new Map();
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const fields = splitRow(line);
+    models.set(fields[columns.get('CODE')], {
+      manufacturer: fields[columns.get('MFR')] || null,
+      model: fields[columns.get('MODEL')] || null
+    });
+  }
+
+  return models;
+}
+
+/**
+ * Convert a MASTER.txt row to an aircraft record, or null if the
+ * registration has no Mode S address
+ */
+export function parseMasterRecord(fields, columns, models) {
+  const hex = fields[columns.get('MODE S CODE HEX')];
+  if (!hex || !/^[0-9a-f]{6}$/i.test(hex)) return null;
+
+  const model = models.get(fields[columns.get('MFR MDL CODE')]) || {};
+  const year = parseInt(fields[columns.get('YEAR MFR')], 10);
+
+  return {
+    id: hex.toLowerCase(),
+    registration: `N${fields[columns.get('N-NUMBER')]}`,
+    manufacturer: model.manufacturer || null,
+    model: model.model || null,
+    aircraftType: AIRCRAFT_TYPES[fields[columns.get('TYPE AIRCRAFT')]] || null,
+    engineType: ENGINE_TYPES[fields[columns.get('TYPE ENGINE')]] || null,
+    registrant: fields[columns.get('NAME')] || null,
+    yearBuilt: Number.isFinite(year) ? year : null
+  };
+}
+
+/**
+ * Read MASTER.txt line by line (it runs to a few hundred thousand rows)
+ */
+async function readMaster(path, models) {
+  const lines = createInterface({ input: createReadStream(path), crlfDelay: Infinity });
+  const records = [];
+  let columns = null;
+
+  for await (const line of lines) {
+    if (!columns) {
+      columns = parseHeader(line);
+      if (!columns.has('MODE S CODE HEX')) {
+        throw new Error(`${path} doesn't look like the FAA MASTER file (no MODE S CODE HEX column)`);
+      }
+      continue;
+    }
+    if (!line.trim()) continue;
+
+    const record = parseMasterRecord(splitRow(line), columns, models);
+    if (record) records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Import MASTER.txt and ACFTREF.txt from a directory, replacing the
+ * previous import
+ * @returns {number} Aircraft imported
+ */
+export async function importRegistry(dir = config.registry.dir) {
+  const masterPath = join(dir, 'MASTER.txt');
+  const { mtimeMs } = await stat(masterPath);
+  const models = parseAircraftReference(await readFile(join(dir, 'ACFTREF.txt'), 'utf8'));
+  const records = await readMaster(masterPath, models);
+
+  return replaceAircraft(records, SOURCE, Math.round(mtimeMs));
+}
+
+/**
+ * Import the registry if MASTER.txt changed since the last import
+ * @returns {number|null} Aircraft imported, or null if already up to date
+ */
+export async function refreshRegistry(dir = config.registry.dir) {
+  const { mtimeMs } = await stat(join(dir, 'MASTER.txt'));
+  const last = getDataImport(SOURCE);
+  if (last && last.fileModified >= Math.round(mtimeMs)) return null;
+
+  return importRegistry(dir);
+}
+
+/**
+ * When the registry was last imported and how many aircraft it has
+ * (for /api/stats), or null
+ */
+export function getRegistryStatus() {
+  return getDataImport(SOURCE) || null;
+}
@@ -0,0 +1,33 @@
+/**
+ * Airports import command
+ *
+ *   npm run airports:import                  Import from AIRPORTS_DIR
+ *   npm run airports:import -- <directory>   Import from a directory
+ *
+ * The directory holds airports.csv and runways.csv from OurAirports. The
+ * server re-imports them by itself when airports.csv changes; this forces
+ * an import, e.g. while it isn't running.
+ */
+
+import { config } from './config.js';
+import { initDatabase, closeDatabase } from './database.js';
+import { importAirports } from './airports.js';
+
+const dir = process.argv[2] || config.airports.dir;
+
+if (!dir) {
+  console.error('Set AIRPORTS_DIR or pass the directory holding airports.csv and runways.csv');
+  process.exit(1);
+}
+
+initDatabase();
+
+try {
+  const count = await importAirports(dir);
+  console.log(`Imported ${count} airports from ${dir}`);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  closeDatabase();
+}
@@ -0,0 +1,174 @@
+/**
+ * Airports
+ *
+ * Imports the OurAirports airports.csv and runways.csv files
+ * (https://ourairports.com/data/) into the airports and runways tables,
+ * which route inference uses to name where flights came from and where
+ * they're going.
+ */
+
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { createInterface } from 'readline';
+import { join } from 'path';
+import { config } from './config.js';
+import { replaceAirports, getDataImport } from './database.js';
+
+const SOURCE = 'ourairports';
+
+/**
+ * Split a CSV line into fields. OurAirports quotes most fields and
+ * doubles quotes inside them.
+ */
+export function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields;
+}
+
+/**
+ * Read a CSV file as objects keyed by its header
+ */
+async function readCsv(path, required) {
+  const lines = createInterface({ input: createReadStream(path), crlfDelay: Infinity });
+  const rows = [];
+  let header = null;
+
+  for await (const line of lines) {
+    if (!header) {
+      header = parseCsvLine(line.replace(/^\uFEFF/, ''));
+      const missing = required.filter(column => !header.includes(column));
+      if (missing.length > 0) {
+        throw new Error(`${path} doesn't look like an OurAirports file (no ${missing.join(', ')} column)`);
+      }
+      continue;
+    }
+    if (!line.trim()) continue;
+
+    const fields = parseCsvLine(line);
+    rows.push(Object.fromEntries(header.map((column, i) => [column, fields[i] ?? ''])));
+  }
+
+  return rows;
+}
+
+function number(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Convert an airports.csv row to an airport record, or null for closed
+ * airports and ones without a position
+ */
+export function parseAirport(row) {
+  const latitude = number(row.latitude_deg);
+  const longitude = number(row.longitude_deg);
+  if (row.type === 'closed' || latitude === null || longitude === null) return null;
+
+  // Older files have no icao_code column; the GPS code is the ICAO code where one exists
+  const icaoCode = row.icao_code || (/^[A-Z]{4}$/.test(row.gps_code) ? row.gps_code : '');
+
+  return {
+    ident: row.ident,
+    type: row.type,
+    name: row.name || null,
+    latitude,
+    longitude,
+    elevation: number(row.elevation_ft),
+    country: row.iso_country || null,
+    municipality: row.municipality || null,
+    icaoCode: icaoCode || null,
+    iataCode: row.iata_code || null
+  };
+}
+
+/**
+ * Convert a runways.csv row to a runway record, or null for closed runways
+ */
+export function parseRunway(row) {
+  if (row.closed === '1') return null;
+
+  return {
+    id: parseInt(row.id, 10),
+    airportIdent: row.airport_ident,
+    length: number(row.length_ft),
+    width: number(row.width_ft),
+    surface: row.surface || null,
+    lighted: row.lighted === '1' ? 1 : 0,
+    leIdent: row.le_ident || null,
+    leLatitude: number(row.le_latitude_deg),
+    leLongitude: number(row.le_longitude_deg),
+    leElevation: number(row.le_elevation_ft),
+    leHeading: number(row.le_heading_degT),
+    heIdent: row.he_ident || null,
+    heLatitude: number(row.he_latitude_deg),
+    heLongitude: number(row.he_longitude_deg),
+    heElevation: number(row.he_elevation_ft),
+    heHeading: number(row.he_heading_degT)
+  };
+}
+
+/**
+ * Import airports.csv and runways.csv from a directory, replacing the
+ * previous import
+ * @returns {number} Airports imported
+ */
+export async function importAirports(dir = config.airports.dir) {
+  const airportsPath = join(dir, 'airports.csv');
+  const { mtimeMs } = await stat(airportsPath);
+
+  const airports = (await readCsv(airportsPath, ['ident', 'type', 'latitude_deg', 'longitude_deg']))
+    .map(parseAirport)
+    .filter(Boolean);
+  const idents = new Set(airports.map(airport => airport.ident));
+  const runways = (await readCsv(join(dir, 'runways.csv'), ['id', 'airport_ident', 'le_heading_degT', 'he_heading_degT']))
+    .map(parseRunway)
+    .filter(runway => runway && idents.has(runway.airportIdent));
+
+  return replaceAirports(airports, runways, SOURCE, Math.round(mtimeMs));
+}
+
+/**
+ * Import the airports if airports.csv changed since the last import
+ * @returns {number|null} Airports imported, or null if already up to date
+ */
+export async function refreshAirports(dir = config.airports.dir) {
+  const { mtimeMs } = await stat(join(dir, 'airports.csv'));
+  const last = getDataImport(SOURCE);
+  if (last && last.fileModified >= Math.round(mtimeMs)) return null;
+
+  return importAirports(dir);
+}
+
+/**
+ * When the airports were last imported and how many there are (for
+ * /api/stats), or null
+ */
+export function getAirportsStatus() {
+  return getDataImport(SOURCE) || null;
+}
@@ -5,6 +5,159 @@
 import express from 'express';
 import * as db from './database.js';
 import { config } from './config.js';
+import { getOpenSkyBudgetStatus, getSourceHealth } from './faa-fetcher.js';
+import { listSources } from './source-registry.js';
+import { requestBackfill, getBackfillStatus } from './trail-backfill.js';
+import { getTrackFilterStats, distanceNm } from './track-filter.js';
+import { simplifyTrail, encodeTrail } from './trail-simplify.js';
+import { getRegistryStatus } from './aircraft-registry.js';
+import { getAirportsStatus } from './airports.js';
+import { listOperators } from './operators.js';
+import { parseArea } from './area.js';
+import { currentCursor, getFlightDelta } from './flight-sync.js';
+import { handleEventStream } from './flight-stream.js';
+import { parseStatesQuery, getStates } from './opensky-proxy.js';
+import { toGeoJson, toKml, toCzml } from './flight-export.js';
+import { getSnapshot } from './snapshot.js';
+import { RateLimitError } from './rate-budget.js';
+
+/**
+ * Parse a query parameter given as a ms timestamp or a date string;
+ * undefined when absent, NaN when unreadable
+ */
+function parseTime(value) {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+}
+
+/**
+ * Read the trail simplification and encoding query parameters
+ * @returns {Object} { tolerance, altitudeTolerance, maxPoints, encoding } or { error }
+ */
+function parseTrailOptions(query) {
+  const options = {
+    tolerance: query.tolerance ? parseFloat(query.tolerance) : undefined,
+    altitudeTolerance: query.altitudeTolerance ? parseFloat(query.altitudeTolerance) : undefined,
+    maxPoints: query.maxPoints ? parseInt(query.maxPoints, 10) : undefined,
+    encoding: query.encoding
+  };
+
+  if ([options.tolerance, options.altitudeTolerance, options.maxPoints].some(value => value !== undefined && !(value > 0))) {
+    return { error: 'tolerance, altitudeTolerance and maxPoints must be positive numbers' };
+  }
+  if (options.encoding && options.encoding !== 'polyline') {
+    return { error: `Unknown encoding: ${options.encoding} (use polyline)` };
+  }
+  return options;
+}
+
+/**
+ * Active flights in an area from parseArea; those near a point come
+ * nearest first
+ */
+function getFlightsInArea({ bounds, near }, since) {
+  const flights = db.getFlightsInBounds(bounds, { since: since || 0 });
+  if (!near) return flights;
+
+  return flights
+    .map(flight => ({ flight, distance: distanceNm(near.latitude, near.longitude, flight.latitude, flight.longitude) }))
+    .filter(({ distance }) => distance <= near.radiusNm)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ flight }) => flight);
+}
+
+/**
+ * Active flights matching the /api/flights filters: since, region,
+ * operator and an area from parseArea
+ */
+function findFlights(query, area) {
+  const since = query.since ? parseInt(query.since, 10) : null;
+
+  let flights;
+  if (area) {
+    flights = getFlightsInArea(area, since);
+  } else if (since) {
+    flights = db.getFlightsSince(since);
+  } else {
+    flights = db.getAllFlights();
+  }
+
+  if (query.region) {
+    flights = flights.filter(flight => flight.region === query.region);
+  }
+  if (query.operator) {
+    const designator = query.operator.toUpperCase();
+    flights = flights.filter(flight => flight.operator && flight.operator.designator === designator);
+  }
+  return flights;
+}
+
+/**
+ * Answer a delta sync request: the flights added, updated and removed
+ * since the cursor, or all of them (`full`) when it can't be used, in the
+ * area if one is given. The ETag is the next cursor, so a poll with
+ * nothing new gets a 304.
+ */
+function sendFlightDelta(req, res, area) {
+  const state = db.getSyncState();
+
+  res.set('ETag', `"${currentCursor(state, area)}"`);
+  res.set('Cache-Control', 'no-cache');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.json({
+    success: true,
+    timestamp: Date.now(),
+    ...getFlightDelta(req.query.cursor, state, area)
+  });
+}
+
+/**
+ * Simplify a trail if asked to
+ */
+function simplify(trail, { tolerance, altitudeTolerance, maxPoints }) {
+  return tolerance || maxPoints ? simplifyTrail(trail, { tolerance, altitudeTolerance, maxPoints }) : trail;
+}
+
+/**
+ * Encode a trail if asked to
+ */
+function encode(trail, { encoding }) {
+  return encoding === 'polyline' ? encodeTrail(trail) : trail;
+}
+
+/**
+ * Answer an export request: the flights matching the /api/flights
+ * filters, with their trails (simplified if asked to), rendered by one of
+ * the flight-export.js functions
+ */
+function sendExport(req, res, contentType, render) {
+  const options = parseTrailOptions(req.query);
+  const area = parseArea(req.query);
+  if (options.error || (area && area.error)) {
+    return res.status(400).json({ success: false, error: options.error || area.error });
+  }
+
+  try {
+    const flights = findFlights(req.query, area);
+    const allTrails = db.getAllTrails(config.maxFlightAge, config.maxTrailPoints);
+    const trails = {};
+    for (const flight of flights) {
+      if (allTrails[flight.id]) trails[flight.id] = simplify(allTrails[flight.id], options);
+    }
+
+    const body = render(flights, trails);
+    res.type(contentType).send(typeof body === 'string' ? body : JSON.stringify(body));
+  } catch (error) {
+    console.error('Error exporting flights:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
 
 export function createApiRouter() {
   const router = express.Router();
@@ -14,18 +167,37 @@ export function createApiRouter() {
    * Get all active flights
    * Query params:
    *   - since: timestamp to get flights updated after (optional)
+   *   - region: only flights in this region (optional)
+   *   - operator: only flights of this ICAO operator, e.g. UAL (optional)
+   *   - bbox: minLon,minLat,maxLon,maxLat, only flights inside (optional)
+   *   - near, radiusNm: lat,lon and nm, only flights that close, nearest
+   *     first (optional)
+   *   - cursor: the cursor from the last response, for a delta sync
+   *     ({ cursor, full, added, updated, removed }); empty to start one.
+   *     With bbox or near, only of the flights in that area. Can't be
+   *     combined with since, region or operator.
    */
   router.get('/flights', (req, res) => {
-    try {
-      const since = req.query.since ? parseInt(req.query.since, 10) : null;
+    const area = parseArea(req.query);
+    if (area && area.error) {
+      return res.status(400).json({ success: false, error: area.error });
+    }
+
+    if (req.query.cursor !== undefined &&
+        ['since', 'region', 'operator'].some(name => req.query[name] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use cursor without since, region or operator'
+      });
+    }
 
-      let flights;
-      if (since) {
-        flights = db.getFlightsSince(since);
-      } else {
-        flights = db.getAllFlights();
+    try {
+      if (req.query.cursor !== undefined) {
+        return sendFlightDelta(req, res, area);
       }
 
+      const flights = findFlights(req.query, area);
+
       res.json({
         success: true,
         timestamp: Date.now(),
@@ -41,14 +213,25 @@ export function createApiRouter() {
     }
   });
 
+  /**
+   * GET /api/stream
+   * Server-Sent Events stream of flight changes after each ingest cycle
+   * (see flight-stream.js)
+   * Query params:
+   *   - bbox, or near and radiusNm: only flights in this area (optional)
+   *   - callsign: only these callsigns, comma separated (optional)
+   *   - cursor: resume from a delta sync cursor (optional)
+   */
+  router.get('/stream', handleEventStream);
+
   /**
    * GET /api/flights/:id
-   * Get a specific flight by ID
+   * Get a specific flight by ID, with its registration details and
+   * inferred origin and destination airports
    */
   router.get('/flights/:id', (req, res) => {
     try {
-      const flights = db.getAllFlights();
-      const flight = flights.find(f => f.id === req.params.id);
+      const flight = db.getFlight(req.params.id);
 
       if (!flight) {
         return res.status(404).json({
@@ -75,21 +258,31 @@ export function createApiRouter() {
    * Get trail history for a specific flight
    * Query params:
    *   - limit: max number of points (default: 256)
+   *   - backfill: 'true' to first fetch the flight's earlier track from
+   *     OpenSky (BACKFILL_TRAILS); backfilled points are marked
+   *   - tolerance, altitudeTolerance, maxPoints, encoding: see /api/trails
    */
-  router.get('/flights/:id/trail', (req, res) => {
+  router.get('/flights/:id/trail', async (req, res) => {
+    const options = parseTrailOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+
     try {
       const limit = Math.min(
         parseInt(req.query.limit, 10) || config.maxTrailPoints,
         config.maxTrailPoints
       );
 
-      const trail = db.getFlightTrail(req.params.id, limit);
+      const backfill = req.query.backfill === 'true' ? await requestBackfill(req.params.id) : undefined;
+      const trail = simplify(db.getFlightTrail(req.params.id, limit), options);
 
       res.json({
         success: true,
         flightId: req.params.id,
         count: trail.length,
-        trail
+        trail: encode(trail, options),
+        backfill
       });
     } catch (error) {
       console.error('Error fetching trail:', error);
@@ -105,8 +298,21 @@ export function createApiRouter() {
    * Get all trails for active flights
    * Query params:
    *   - limit: max points per flight (default: 256)
+   *   - tolerance: simplify, dropping points within this many meters of
+   *     the simplified line (and altitudeTolerance feet, default 100)
+   *   - maxPoints: simplify to at most this many points per flight
+   *   - encoding: 'polyline' for { polyline, altitudes, timestamps }
+   *     strings instead of point lists
+   *   - bbox, or near and radiusNm: only trails of flights now in that
+   *     area (see /api/flights)
    */
   router.get('/trails', (req, res) => {
+    const options = parseTrailOptions(req.query);
+    const area = parseArea(req.query);
+    if (options.error || (area && area.error)) {
+      return res.status(400).json({ success: false, error: options.error || area.error });
+    }
+
     try {
       const limit = Math.min(
         parseInt(req.query.limit, 10) || config.maxTrailPoints,
@@ -114,6 +320,14 @@ export function createApiRouter() {
       );
 
       const trails = db.getAllTrails(config.maxFlightAge, limit);
+      const inArea = area && new Set(getFlightsInArea(area).map(flight => flight.id));
+      for (const flightId in trails) {
+        if (inArea && !inArea.has(flightId)) {
+          delete trails[flightId];
+        } else {
+          trails[flightId] = encode(simplify(trails[flightId], options), options);
+        }
+      }
 
       res.json({
         success: true,
@@ -130,6 +344,213 @@ export function createApiRouter() {
     }
   });
 
+  /**
+   * GET /api/export/flights.geojson, /api/export/trails.kml,
+   * /api/export/flights.czml
+   * Active flights and their trails as GeoJSON, KML or CZML
+   * Query params:
+   *   - since, region, operator, bbox, near and radiusNm: as for
+   *     /api/flights (optional)
+   *   - tolerance, altitudeTolerance, maxPoints: simplify the trails
+   *     (optional)
+   */
+  router.get('/export/flights.geojson', (req, res) => sendExport(req, res, 'application/geo+json', toGeoJson));
+  router.get('/export/trails.kml', (req, res) => sendExport(req, res, 'application/vnd.google-earth.kml+xml', toKml));
+  router.get('/export/flights.czml', (req, res) => sendExport(req, res, 'application/json', toCzml));
+
+  /**
+   * GET /api/snapshot
+   * Every aircraft's position at a past moment, interpolated between its
+   * trail points, with its trail up to then (see snapshot.js)
+   * Query params:
+   *   - at: the moment, as a ms timestamp or ISO 8601 date
+   *   - bbox, or near and radiusNm: only flights in this area (optional)
+   *   - tolerance, altitudeTolerance, maxPoints, encoding: as for
+   *     /api/trails (optional)
+   */
+  router.get('/snapshot', (req, res) => {
+    const at = parseTime(req.query.at);
+    if (at === undefined || Number.isNaN(at)) {
+      return res.status(400).json({ success: false, error: 'at must be a ms timestamp or ISO 8601 date' });
+    }
+    if (at > Date.now()) {
+      return res.status(400).json({ success: false, error: 'at must not be in the future' });
+    }
+
+    const options = parseTrailOptions(req.query);
+    const area = parseArea(req.query);
+    if (options.error || (area && area.error)) {
+      return res.status(400).json({ success: false, error: options.error || area.error });
+    }
+
+    try {
+      const flights = getSnapshot(at, { area }).map(flight => ({
+        ...flight,
+        trail: encode(simplify(flight.trail, options), options)
+      }));
+
+      res.json({
+        success: true,
+        timestamp: Date.now(),
+        at,
+        count: flights.length,
+        flights
+      });
+    } catch (error) {
+      console.error('Error fetching snapshot:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/sessions
+   * List archived flight sessions (past observations of an aircraft),
+   * most recent first, without their tracks
+   * Query params:
+   *   - aircraft: ICAO 24-bit address (optional)
+   *   - callsign: callsign used at any point in the session (optional)
+   *   - from, to: period the session overlaps, as ms timestamps or
+   *     ISO 8601 dates (optional)
+   *   - limit: max sessions (default: 100, max: 1000)
+   */
+  router.get('/sessions', (req, res) => {
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be ms timestamps or ISO 8601 dates'
+      });
+    }
+
+    try {
+      const sessions = db.listSessions({
+        flightId: req.query.aircraft,
+        callsign: req.query.callsign,
+        from,
+        to,
+        limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+      });
+
+      res.json({
+        success: true,
+        count: sessions.length,
+        sessions
+      });
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/sessions/:id
+   * Get an archived session with its full track
+   * Query params: tolerance, altitudeTolerance, maxPoints, encoding (see /api/trails)
+   */
+  router.get('/sessions/:id', (req, res) => {
+    const options = parseTrailOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+
+    try {
+      const session = db.getSession(parseInt(req.params.id, 10));
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        session: { ...session, track: encode(simplify(session.track, options), options) }
+      });
+    } catch (error) {
+      console.error('Error fetching session:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/operators
+   * Active flights grouped by operator, busiest first
+   * Query params:
+   *   - all: 'true' to list every known operator, including idle ones
+   */
+  router.get('/operators', (req, res) => {
+    try {
+      const groups = new Map();
+      if (req.query.all === 'true') {
+        listOperators().forEach(operator => groups.set(operator.designator, { ...operator, flightCount: 0 }));
+      }
+
+      for (const { operator } of db.getAllFlights()) {
+        if (!operator) continue;
+        const group = groups.get(operator.designator) || { ...operator, flightCount: 0 };
+        group.flightCount++;
+        groups.set(operator.designator, group);
+      }
+
+      const operators = [...groups.values()]
+        .sort((a, b) => b.flightCount - a.flightCount || a.designator.localeCompare(b.designator));
+
+      res.json({
+        success: true,
+        timestamp: Date.now(),
+        count: operators.length,
+        operators
+      });
+    } catch (error) {
+      console.error('Error fetching operators:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/opensky/states/all
+   * OpenSky-compatible /states/all, answered from the stored flights or
+   * passed upstream (see opensky-proxy.js). X-Cache says whether the
+   * answer was stored or fresh from OpenSky.
+   * Query params: lamin, lomin, lamax, lomax, icao24, time, extended
+   */
+  router.get('/opensky/states/all', async (req, res) => {
+    const request = parseStatesQuery(req.query);
+    if (request.error) {
+      return res.status(400).json({ success: false, error: request.error });
+    }
+
+    try {
+      const { body, cached } = await getStates(request);
+      res.set('X-Cache', cached ? 'HIT' : 'MISS');
+      res.json(body);
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        res.set('Retry-After', Math.max(Math.ceil((error.retryAt - Date.now()) / 1000), 1));
+        return res.status(429).json({ success: false, error: error.message });
+      }
+      console.error('Error proxying OpenSky:', error);
+      res.status(502).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
   /**
    * GET /api/stats
    * Get database statistics
@@ -137,6 +558,7 @@ export function createApiRouter() {
   router.get('/stats', (req, res) => {
     try {
       const stats = db.getStats();
+      const usesOpenSky = config.dataSource.split(',').map(name => name.trim()).includes('opensky');
 
       res.json({
         success: true,
@@ -144,9 +566,16 @@ export function createApiRouter() {
         stats: {
           flightCount: stats.flightCount,
           trailPointCount: stats.trailPointCount,
+          sessionCount: stats.sessionCount,
           dataSource: config.dataSource,
           fetchInterval: config.fetchIntervalSeconds,
-          maxTrailPoints: config.maxTrailPoints
+          maxTrailPoints: config.maxTrailPoints,
+          regions: config.regions,
+          openskyBudget: usesOpenSky || config.backfill.enabled ? getOpenSkyBudgetStatus() : null,
+          backfill: config.backfill.enabled ? getBackfillStatus() : null,
+          trackFilter: config.trackFilter.enabled ? getTrackFilterStats() : null,
+          registry: getRegistryStatus(),
+          airports: getAirportsStatus()
         }
       });
     } catch (error) {
@@ -158,6 +587,19 @@ export function createApiRouter() {
     }
   });
 
+  /**
+   * GET /api/sources
+   * List registered data sources and the health of those in use
+   */
+  router.get('/sources', (req, res) => {
+    res.json({
+      success: true,
+      timestamp: Date.now(),
+      available: listSources(),
+      active: getSourceHealth()
+    });
+  });
+
   /**
    * GET /api/config
    * Get client-relevant configuration
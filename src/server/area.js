@@ -0,0 +1,80 @@
+/**
+ * Areas
+ *
+ * The bbox and near query parameters shared by /api/flights, /api/trails
+ * and the live stream, and checks of whether a flight is inside them.
+ */
+
+import { distanceNm } from './track-filter.js';
+
+/**
+ * Comma separated numbers; NaN for empty or unreadable ones
+ */
+function parseNumbers(value) {
+  return value.split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+}
+
+/**
+ * Bounding box around a circle, widened to every longitude near the poles
+ */
+function boundsAround(latitude, longitude, radiusNm) {
+  const minLat = Math.max(latitude - radiusNm / 60, -90);
+  const maxLat = Math.min(latitude + radiusNm / 60, 90);
+  const lonSpan = radiusNm / (60 * Math.cos(Math.max(Math.abs(minLat), Math.abs(maxLat)) * Math.PI / 180));
+  if (minLat === -90 || maxLat === 90 || !(lonSpan < 180)) {
+    return { minLat, maxLat, minLon: -180, maxLon: 180 };
+  }
+
+  // Wrapped across the antimeridian, minLon ends up greater than maxLon
+  const wrap = lon => (lon > 180 ? lon - 360 : lon < -180 ? lon + 360 : lon);
+  return { minLat, maxLat, minLon: wrap(longitude - lonSpan), maxLon: wrap(longitude + lonSpan) };
+}
+
+/**
+ * Read the area query parameters: bbox=minLon,minLat,maxLon,maxLat, or
+ * near=lat,lon with radiusNm
+ * @returns {Object|null} { bounds, near } or { error }, null when no area is given
+ */
+export function parseArea(query) {
+  if (query.bbox !== undefined && query.near !== undefined) {
+    return { error: 'Use either bbox or near, not both' };
+  }
+
+  if (query.bbox !== undefined) {
+    const values = parseNumbers(query.bbox);
+    const [minLon, minLat, maxLon, maxLat] = values;
+    if (values.length !== 4 || !values.every(Number.isFinite) || minLat > maxLat ||
+        Math.abs(minLat) > 90 || Math.abs(maxLat) > 90 || Math.abs(minLon) > 180 || Math.abs(maxLon) > 180) {
+      return { error: 'bbox must be minLon,minLat,maxLon,maxLat in degrees' };
+    }
+    return { bounds: { minLat, maxLat, minLon, maxLon } };
+  }
+
+  if (query.near !== undefined) {
+    const values = parseNumbers(query.near);
+    const [latitude, longitude] = values;
+    if (values.length !== 2 || !values.every(Number.isFinite) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return { error: 'near must be lat,lon in degrees' };
+    }
+    const radiusNm = parseFloat(query.radiusNm);
+    if (!(radiusNm > 0)) {
+      return { error: 'radiusNm must be a positive number' };
+    }
+    return { bounds: boundsAround(latitude, longitude, radiusNm), near: { latitude, longitude, radiusNm } };
+  }
+
+  return null;
+}
+
+/**
+ * Whether a flight is inside an area from parseArea
+ */
+export function isInArea(flight, { bounds, near }) {
+  const { latitude, longitude } = flight;
+  const inLongitude = bounds.minLon > bounds.maxLon
+    ? longitude >= bounds.minLon || longitude <= bounds.maxLon
+    : longitude >= bounds.minLon && longitude <= bounds.maxLon;
+  if (!inLongitude || latitude < bounds.minLat || latitude > bounds.maxLat) return false;
+
+  return !near || distanceNm(near.latitude, near.longitude, latitude, longitude) <= near.radiusNm;
+}
@@ -11,34 +11,194 @@ export const config = {
   // FAA/Flight data fetch settings
   fetchIntervalSeconds: parseInt(process.env.FETCH_INTERVAL || '10', 10),
 
-  // Data source: 'opensky' (free API) or 'faa' (requires credentials)
+  // Data source: 'opensky' (free API), 'faa' (requires credentials)
+  // 'sbs' (local dump1090/readsb BaseStation feed), 'modes' (raw AVR/Beast frames)
+  // 'readsb' (tar1090/readsb/dump1090-fa aircraft.json), 'mock' (simulated),
+  // 'replay' (recorded traffic) or the name of any plugin source
+  // Several sources can be combined, e.g. 'opensky,sbs'
   dataSource: process.env.DATA_SOURCE || 'opensky',
 
+  // Source priority for identity fields (callsign, squawk, flight plan) when
+  // fusing several sources, most trusted first. Defaults to DATA_SOURCE order.
+  sourcePriority: process.env.SOURCE_PRIORITY
+    ? process.env.SOURCE_PRIORITY.split(',').map(name => name.trim())
+    : null,
+
+  // Directory of data source adapter plugins (.js/.mjs files), loaded at startup
+  pluginsDir: process.env.SOURCE_PLUGINS_DIR || null,
+
+  // Regions of interest: built-in names (conus, alaska, hawaii, puerto-rico)
+  // or paths of JSON files with { name, bounds } / { name, polygon } regions.
+  // OpenSky fetches these; every flight is tagged with the region it is in.
+  regions: (process.env.REGIONS || 'conus').split(',').map(name => name.trim()).filter(Boolean),
+
+  // CSV of ICAO operator designators (designator,name,country,telephony)
+  // adding to or overriding the built-in table in data/operators.csv
+  operatorsFile: process.env.OPERATORS_FILE || null,
+
+  // Ignore a source's report of an aircraft once it is this old
+  fusionMaxAge: 60 * 1000,
+
   // OpenSky Network API settings (free tier)
   opensky: {
     baseUrl: 'https://opensky-network.org/api',
-    // Bounding box for continental US
-    bounds: {
-      minLat: 24.396308,  // Southern tip of Florida
-      maxLat: 49.384358,  // Northern border
-      minLon: -125.0,     // West coast
-      maxLon: -66.93457   // East coast
-    },
-    // Optional credentials for higher rate limits
+    // Largest request tile, as the credit tier (1-4) it may cost: 4 fetches
+    // each region in one request, lower tiers split regions into smaller tiles
+    tileCredits: parseInt(process.env.OPENSKY_TILE_CREDITS || '4', 10),
+    // Tiles are fetched in rotation, as many per poll as fit in these credits
+    // (at least one)
+    creditsPerPoll: parseInt(process.env.OPENSKY_CREDITS_PER_POLL || '4', 10),
+    // OAuth2 client credentials (preferred, for higher rate limits)
+    clientId: process.env.OPENSKY_CLIENT_ID || null,
+    clientSecret: process.env.OPENSKY_CLIENT_SECRET || null,
+    tokenUrl: process.env.OPENSKY_TOKEN_URL ||
+      'https://auth.opensky-network.org/auth/realms/opensky-network/protocol/openid-connect/token',
+    // Legacy Basic auth credentials
     username: process.env.OPENSKY_USERNAME || null,
-    password: process.env.OPENSKY_PASSWORD || null
+    password: process.env.OPENSKY_PASSWORD || null,
+    // Daily API credit quota, used until the server reports remaining credits
+    // (defaults to 400 anonymous / 4000 authenticated)
+    dailyCredits: process.env.OPENSKY_DAILY_CREDITS ? parseInt(process.env.OPENSKY_DAILY_CREDITS, 10) : null
+  },
+
+  // Fill in trails from before we first saw an aircraft with its OpenSky
+  // track (/tracks/all, /flights/aircraft), using spare API credits
+  backfill: {
+    enabled: process.env.BACKFILL_TRAILS === 'true',
+    // Also backfill every newly seen aircraft, not just selected ones
+    newFlights: process.env.BACKFILL_NEW_FLIGHTS === 'true',
+    // Credits assumed per history request, and credits always kept for polling
+    creditCost: parseInt(process.env.BACKFILL_CREDIT_COST || '4', 10),
+    reserveCredits: parseInt(process.env.BACKFILL_RESERVE_CREDITS || '200', 10),
+    perCycle: 2,                  // Queued aircraft backfilled per fetch cycle
+    maxQueue: 100,
+    retryInterval: 30 * 60 * 1000 // Don't ask about the same aircraft again for 30 minutes
+  },
+
+  // Reject positions implausible after a flight's last one (bad CPR
+  // decodes, stale reports) before they are stored
+  trackFilter: {
+    enabled: process.env.TRACK_FILTER !== 'false',
+    maxSpeed: parseInt(process.env.TRACK_FILTER_MAX_SPEED || '1200', 10),              // knots
+    maxVerticalRate: parseInt(process.env.TRACK_FILTER_MAX_VERTICAL_RATE || '10000', 10), // ft/min
+    altitudeTolerance: 1000,  // ft, for altitude encoding and baro/geo switches
+    minDistance: 0.5,         // nm of position noise allowed at any speed
+    teleportDistance: 100,    // nm, jumps further than this count as teleports
+    maxGap: 2 * 60 * 1000,    // Accept any position after this long without one
+    reanchorAfter: 3          // Consistent positions rejected in a row that replace the stored one
   },
 
-  // FAA SWIM settings (placeholder for actual FAA integration)
+  // FAA SWIM settings (SFDPS FIXM and STDDS SMES/TAIS XML messages)
   faa: {
+    // Directory where a SWIM client drops one XML message per file
+    swimDir: process.env.FAA_SWIM_DIR || null,
+    // Move processed files here instead of deleting them
+    processedDir: process.env.FAA_SWIM_PROCESSED_DIR || null,
+    // Move files that fail to parse here (default: failed/ in swimDir)
+    failedDir: process.env.FAA_SWIM_FAILED_DIR || null,
+    // Alternatively, an HTTP endpoint returning SWIM XML
     endpoint: process.env.FAA_ENDPOINT || null,
     apiKey: process.env.FAA_API_KEY || null
   },
 
+  // SBS-1 / BaseStation TCP feed (dump1090/readsb port 30003)
+  sbs: {
+    host: process.env.SBS_HOST || 'localhost',
+    port: parseInt(process.env.SBS_PORT || '30003', 10),
+    maxAge: 60 * 1000  // Forget aircraft not heard from in 60 seconds
+  },
+
+  // Raw Mode S feed: AVR hex lines (port 30002) or Beast binary (port 30005)
+  modes: {
+    host: process.env.MODES_HOST || 'localhost',
+    port: parseInt(process.env.MODES_PORT || (process.env.MODES_FORMAT === 'avr' ? '30002' : '30005'), 10),
+    format: process.env.MODES_FORMAT || 'beast',
+    // Receiver location, used to resolve the first position of an aircraft
+    // before a full even/odd CPR pair has been received
+    receiverLat: process.env.RECEIVER_LAT ? parseFloat(process.env.RECEIVER_LAT) : null,
+    receiverLon: process.env.RECEIVER_LON ? parseFloat(process.env.RECEIVER_LON) : null,
+    maxAge: 60 * 1000
+  },
+
+  // aircraft.json as served by tar1090/readsb/dump1090-fa
+  aircraftJson: {
+    url: process.env.AIRCRAFT_JSON_URL || 'http://localhost/tar1090/data/aircraft.json',
+    maxPositionAge: parseInt(process.env.AIRCRAFT_JSON_MAX_POSITION_AGE || '60', 10)  // seconds
+  },
+
+  // Record raw source payloads to rotating files in this directory
+  recorder: {
+    dir: process.env.RECORD_DIR || null,
+    maxFileBytes: parseInt(process.env.RECORD_MAX_FILE_MB || '100', 10) * 1024 * 1024,
+    rotateInterval: parseInt(process.env.RECORD_ROTATE_MINUTES || '60', 10) * 60 * 1000,
+    maxFiles: parseInt(process.env.RECORD_MAX_FILES || '0', 10)  // 0 keeps every file
+  },
+
+  // Play back recordings through the normal pipeline (DATA_SOURCE=replay)
+  replay: {
+    path: process.env.REPLAY_PATH || null,  // Recording file or RECORD_DIR
+    speed: process.env.REPLAY_SPEED || '1',  // '1', '10', ... or 'max'
+    loop: process.env.REPLAY_LOOP === 'true'
+  },
+
   // Cesium Ion access token (passed to client via /api/config)
   cesiumAccessToken: process.env.CESIUM_ACCESS_TOKEN || '',
 
   // Data retention
   maxFlightAge: 5 * 60 * 1000,  // Remove flights not seen in 5 minutes
-  maxTrailPoints: 256           // Maximum trail history per flight
+  maxTrailPoints: 256,          // Maximum trail history per flight
+
+  // Delta syncs of /api/flights (?cursor=)
+  sync: {
+    // Removed flights are remembered this long; cursors from before a
+    // forgotten removal get a full resync instead of a delta
+    removalRetention: 15 * 60 * 1000
+  },
+
+  // Live flight stream (/api/stream, /api/ws)
+  stream: {
+    heartbeatInterval: 15 * 1000
+  },
+
+  // OpenSky-compatible /api/opensky/states/all, for browsers
+  openskyProxy: {
+    maxCacheAge: 60 * 1000,       // Answer from stored flights if the fetcher stored some this recently
+    upstreamCacheAge: 5 * 1000,   // Reuse an upstream answer for identical requests this long
+    // OpenSky credits always left for the server's own polling; upstream
+    // requests are answered 429 below this
+    reserveCredits: parseInt(process.env.OPENSKY_PROXY_RESERVE_CREDITS || '200', 10)
+  },
+
+  // Trail simplification (?tolerance= / ?maxPoints= on the trail endpoints)
+  trails: {
+    tolerance: 100,         // meters, weighs position against altitude when only maxPoints is given
+    altitudeTolerance: 100  // ft
+  },
+
+  // Archive of flights once they are removed (see /api/sessions)
+  sessions: {
+    retentionDays: parseFloat(process.env.SESSION_RETENTION_DAYS || '30'),  // 0 disables the archive
+    spillPoints: 64,  // Trail points collected past maxTrailPoints before archiving them
+    // Archived tracks drop points within this many meters (and 50 ft) of the
+    // simplified line; 0 keeps every point
+    trackTolerance: parseFloat(process.env.SESSION_TRACK_TOLERANCE || '15'),
+    trackAltitudeTolerance: 50
+  },
+
+  // FAA Releasable Aircraft Database: a directory holding MASTER.txt and
+  // ACFTREF.txt, re-imported whenever MASTER.txt changes
+  registry: {
+    dir: process.env.AIRCRAFT_REGISTRY_DIR || null
+  },
+
+  // OurAirports airports.csv and runways.csv, re-imported whenever
+  // airports.csv changes, and the origin/destination inference using them
+  airports: {
+    dir: process.env.AIRPORTS_DIR || null,
+    radius: 5,                          // nm from an airport to be departing or arriving there
+    maxHeight: 3000,                    // ft above the airport, for climb-outs and approaches
+    minDescent: 1000,                   // ft below its highest before a flight can be arriving
+    departureWindow: 15 * 60 * 1000,    // Only look for an origin this early in a session
+    runwayAlignment: 20                 // degrees between track and runway to count as lined up
+  }
 };
@@ -7,6 +7,10 @@ import Database from 'better-sqlite3';
 import { config } from './config.js';
 import { dirname } from 'path';
 import { mkdirSync, existsSync } from 'fs';
+import { deflateSync, inflateSync } from 'zlib';
+import { migrate } from './migrate.js';
+import { simplifyTrail, encodeTrail, decodeTrail } from './trail-simplify.js';
+import { parseCallsign } from './operators.js';
 
 let db = null;
 
@@ -25,44 +29,17 @@ export function initDatabase(dbPath = config.dbPath) {
   // Enable WAL mode for better concurrent access
   db.pragma('journal_mode = WAL');
 
-  // Create flights table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS flights (
-      id TEXT PRIMARY KEY,
-      callsign TEXT NOT NULL,
-      latitude REAL NOT NULL,
-      longitude REAL NOT NULL,
-      altitude REAL NOT NULL,
-      heading REAL NOT NULL,
-      speed REAL NOT NULL,
-      vertical_rate REAL DEFAULT 0,
-      on_ground INTEGER DEFAULT 0,
-      squawk TEXT,
-      timestamp INTEGER NOT NULL,
-      source TEXT NOT NULL,
-      updated_at INTEGER NOT NULL
-    )
-  `);
-
-  // Create trail history table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS flight_trails (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      flight_id TEXT NOT NULL,
-      latitude REAL NOT NULL,
-      longitude REAL NOT NULL,
-      altitude REAL NOT NULL,
-      timestamp INTEGER NOT NULL,
-      FOREIGN KEY (flight_id) REFERENCES flights(id) ON DELETE CASCADE
-    )
-  `);
-
-  // Create indexes for performance
-  db.exec(`
-    CREATE INDEX IF NOT EXISTS idx_flights_updated ON flights(updated_at);
-    CREATE INDEX IF NOT EXISTS idx_trails_flight_id ON flight_trails(flight_id);
-    CREATE INDEX IF NOT EXISTS idx_trails_timestamp ON flight_trails(timestamp);
-  `);
+  // Create or upgrade the schema; refuses databases from a newer version
+  try {
+    const { from, to } = migrate(db);
+    if (from > 0 && to > from) {
+      console.log(`Upgraded database schema from version ${from} to ${to}`);
+    }
+  } catch (error) {
+    db.close();
+    db = null;
+    throw error;
+  }
 
   // Prepare commonly used statements
   prepareStatements();
@@ -70,13 +47,18 @@ export function initDatabase(dbPath = config.dbPath) {
   return db;
 }
 
-// Prepared statements for better performance
 const statements = {};
 
 function prepareStatements() {
   statements.upsertFlight = db.prepare(`
-    INSERT INTO flights (id, callsign, latitude, longitude, altitude, heading, speed, vertical_rate, on_ground, squawk, timestamp, source, updated_at)
-    VALUES (@id, @callsign, @latitude, @longitude, @altitude, @heading, @speed, @verticalRate, @onGround, @squawk, @timestamp, @source, @updatedAt)
+    INSERT INTO flights (id, callsign, latitude, longitude, altitude, heading, speed, vertical_rate, on_ground, squawk, timestamp, source, sources, region,
+                         origin_country, time_position, last_contact, baro_altitude, geo_altitude, sensors, spi, position_source, address_type,
+                         plan_departure, plan_arrival, plan_aircraft_type, plan_route,
+                         first_seen, callsigns, max_altitude, origin, destination, updated_at, added_seq, updated_seq)
+    VALUES (@id, @callsign, @latitude, @longitude, @altitude, @heading, @speed, @verticalRate, @onGround, @squawk, @timestamp, @source, @sources, @region,
+            @originCountry, @timePosition, @lastContact, @baroAltitude, @geoAltitude, @sensors, @spi, @positionSource, @addressType,
+            @planDeparture, @planArrival, @planAircraftType, @planRoute,
+            @timestamp, CASE WHEN @callsign = @id THEN '[]' ELSE json_array(@callsign) END, @altitude, @origin, @destination, @updatedAt, @sequence, @sequence)
     ON CONFLICT(id) DO UPDATE SET
       callsign = @callsign,
       latitude = @latitude,
@@ -89,7 +71,47 @@ function prepareStatements() {
       squawk = @squawk,
       timestamp = @timestamp,
       source = @source,
-      updated_at = @updatedAt
+      sources = @sources,
+      region = @region,
+      origin_country = @originCountry,
+      time_position = @timePosition,
+      last_contact = @lastContact,
+      baro_altitude = @baroAltitude,
+      geo_altitude = @geoAltitude,
+      sensors = @sensors,
+      spi = @spi,
+      position_source = @positionSource,
+      address_type = COALESCE(@addressType, flights.address_type),
+      -- Only FAA SWIM files flight plans; other sources' updates keep them
+      plan_departure = COALESCE(@planDeparture, flights.plan_departure),
+      plan_arrival = COALESCE(@planArrival, flights.plan_arrival),
+      plan_aircraft_type = COALESCE(@planAircraftType, flights.plan_aircraft_type),
+      plan_route = COALESCE(@planRoute, flights.plan_route),
+      -- Callsigns used during the session (the ICAO address stands in for a missing one)
+      callsigns = CASE
+        WHEN @callsign = flights.id OR EXISTS (SELECT 1 FROM json_each(COALESCE(flights.callsigns, '[]')) WHERE value = @callsign)
+        THEN COALESCE(flights.callsigns, '[]')
+        ELSE json_insert(COALESCE(flights.callsigns, '[]'), '$[#]', @callsign)
+      END,
+      max_altitude = MAX(COALESCE(flights.max_altitude, @altitude), @altitude),
+      -- The first airport inferred as the origin sticks; the latest destination wins
+      origin = COALESCE(flights.origin, @origin),
+      destination = COALESCE(@destination, flights.destination),
+      updated_at = @updatedAt,
+      updated_seq = @sequence
+  `);
+
+  statements.getFlightKey = db.prepare(`
+    SELECT key FROM flight_keys WHERE flight_id = ?
+  `);
+
+  statements.addFlightKey = db.prepare(`
+    INSERT INTO flight_keys (flight_id) VALUES (?)
+  `);
+
+  statements.indexFlightPosition = db.prepare(`
+    INSERT OR REPLACE INTO flight_positions (id, min_lat, max_lat, min_lon, max_lon)
+    VALUES (?, ?, ?, ?, ?)
   `);
 
   statements.insertTrailPoint = db.prepare(`
@@ -99,37 +121,332 @@ function prepareStatements() {
 
   statements.getAllFlights = db.prepare(`
     SELECT id, callsign, latitude, longitude, altitude, heading, speed,
-           vertical_rate as verticalRate, on_ground as onGround, squawk, timestamp, source
+           vertical_rate as verticalRate, on_ground as onGround, squawk, timestamp, source, sources, region,
+           origin_country as originCountry, time_position as timePosition, last_contact as lastContact,
+           baro_altitude as baroAltitude, geo_altitude as geoAltitude, sensors, spi, position_source as positionSource,
+           address_type as addressType,
+           plan_departure as planDeparture, plan_arrival as planArrival,
+           plan_aircraft_type as planAircraftType, plan_route as planRoute
     FROM flights
     WHERE updated_at > ?
   `);
 
   statements.getFlightsSince = db.prepare(`
     SELECT id, callsign, latitude, longitude, altitude, heading, speed,
-           vertical_rate as verticalRate, on_ground as onGround, squawk, timestamp, source
+           vertical_rate as verticalRate, on_ground as onGround, squawk, timestamp, source, sources, region,
+           origin_country as originCountry, time_position as timePosition, last_contact as lastContact,
+           baro_altitude as baroAltitude, geo_altitude as geoAltitude, sensors, spi, position_source as positionSource,
+           address_type as addressType,
+           plan_departure as planDeparture, plan_arrival as planArrival,
+           plan_aircraft_type as planAircraftType, plan_route as planRoute
     FROM flights
     WHERE timestamp > ? AND updated_at > ?
   `);
 
+  statements.nextSequence = db.prepare(`
+    UPDATE sync_state SET sequence = sequence + 1 RETURNING sequence
+  `);
+
+  statements.getSyncState = db.prepare(`
+    SELECT epoch, sequence, oldest FROM sync_state
+  `);
+
+  statements.getAddedFlights = db.prepare(`
+    SELECT id, callsign, latitude, longitude, altitude, heading, speed,
+           vertical_rate as verticalRate, on_ground as onGround, squawk, timestamp, source, sources, region,
+           origin_country as originCountry, time_position as timePosition, last_contact as lastContact,
+           baro_altitude as baroAltitude, geo_altitude as geoAltitude, sensors, spi, position_source as positionSource,
+           address_type as addressType,
+           plan_departure as planDeparture, plan_arrival as planArrival,
+           plan_aircraft_type as planAircraftType, plan_route as planRoute
+    FROM flights
+    WHERE added_seq > ? AND updated_at > ?
+  `);
+
+  statements.getUpdatedFlights = db.prepare(`
+    SELECT id, callsign, latitude, longitude, altitude, heading, speed,
+           vertical_rate as verticalRate, on_ground as onGround, squawk, timestamp, source, sources, region,
+           origin_country as originCountry, time_position as timePosition, last_contact as lastContact,
+           baro_altitude as baroAltitude, geo_altitude as geoAltitude, sensors, spi, position_source as positionSource,
+           address_type as addressType,
+           plan_departure as planDeparture, plan_arrival as planArrival,
+           plan_aircraft_type as planAircraftType, plan_route as planRoute
+    FROM flights
+    WHERE updated_seq > @since AND added_seq <= @since AND updated_at > @cutoff
+  `);
+
+  // A flight removed and then seen again is reported as added instead
+  statements.getRemovedFlights = db.prepare(`
+    SELECT id FROM flight_removals
+    WHERE seq > ? AND id NOT IN (SELECT id FROM flights)
+  `);
+
+  // The index narrows the search; its bounds are rounded outwards to
+  // 32-bit floats, so the flights' own positions are checked as well
+  statements.getFlightsInBounds = db.prepare(`
+    SELECT f.id, callsign, latitude, longitude, altitude, heading, speed,
+           vertical_rate as verticalRate, on_ground as onGround, squawk, timestamp, source, sources, region,
+           origin_country as originCountry, time_position as timePosition, last_contact as lastContact,
+           baro_altitude as baroAltitude, geo_altitude as geoAltitude, sensors, spi, position_source as positionSource,
+           address_type as addressType,
+           plan_departure as planDeparture, plan_arrival as planArrival,
+           plan_aircraft_type as planAircraftType, plan_route as planRoute
+    FROM flight_positions p
+    JOIN flight_keys k ON k.key = p.id
+    JOIN flights f ON f.id = k.flight_id
+    WHERE p.max_lat >= @minLat AND p.min_lat <= @maxLat AND p.max_lon >= @minLon AND p.min_lon <= @maxLon
+      AND f.latitude BETWEEN @minLat AND @maxLat AND f.longitude BETWEEN @minLon AND @maxLon
+      AND f.timestamp > @since AND f.updated_at > @cutoff
+  `);
+
+  statements.getFlight = db.prepare(`
+    SELECT f.id, callsign, latitude, longitude, altitude, heading, speed,
+           vertical_rate as verticalRate, on_ground as onGround, squawk, timestamp, source, sources, region,
+           origin_country as originCountry, time_position as timePosition, last_contact as lastContact,
+           baro_altitude as baroAltitude, geo_altitude as geoAltitude, sensors, spi, position_source as positionSource,
+           address_type as addressType,
+           plan_departure as planDeparture, plan_arrival as planArrival,
+           plan_aircraft_type as planAircraftType, plan_route as planRoute,
+           a.registration, a.manufacturer, a.model, a.aircraft_type as aircraftType, a.engine_type as engineType,
+           a.registrant, a.year_built as yearBuilt, f.origin, f.destination
+    FROM flights f
+    LEFT JOIN aircraft a ON a.id = LOWER(f.id)
+    WHERE f.id = ? AND f.updated_at > ?
+  `);
+
+  statements.deleteAircraft = db.prepare(`
+    DELETE FROM aircraft
+  `);
+
+  statements.insertAircraft = db.prepare(`
+    INSERT OR REPLACE INTO aircraft (id, registration, manufacturer, model, aircraft_type, engine_type, registrant, year_built)
+    VALUES (@id, @registration, @manufacturer, @model, @aircraftType, @engineType, @registrant, @yearBuilt)
+  `);
+
+  statements.recordImport = db.prepare(`
+    INSERT OR REPLACE INTO data_imports (source, file_modified, imported_at, record_count)
+    VALUES (?, ?, ?, ?)
+  `);
+
+  statements.getImport = db.prepare(`
+    SELECT source, file_modified as fileModified, imported_at as importedAt, record_count as recordCount
+    FROM data_imports
+    WHERE source = ?
+  `);
+
+  statements.deleteAirports = db.prepare(`
+    DELETE FROM airports
+  `);
+
+  statements.deleteRunways = db.prepare(`
+    DELETE FROM runways
+  `);
+
+  statements.insertAirport = db.prepare(`
+    INSERT OR REPLACE INTO airports (ident, type, name, latitude, longitude, elevation, country, municipality, icao_code, iata_code)
+    VALUES (@ident, @type, @name, @latitude, @longitude, @elevation, @country, @municipality, @icaoCode, @iataCode)
+  `);
+
+  statements.insertRunway = db.prepare(`
+    INSERT OR REPLACE INTO runways (id, airport_ident, length_ft, width_ft, surface, lighted,
+                                    le_ident, le_latitude, le_longitude, le_elevation, le_heading,
+                                    he_ident, he_latitude, he_longitude, he_elevation, he_heading)
+    VALUES (@id, @airportIdent, @length, @width, @surface, @lighted,
+            @leIdent, @leLatitude, @leLongitude, @leElevation, @leHeading,
+            @heIdent, @heLatitude, @heLongitude, @heElevation, @heHeading)
+  `);
+
+  statements.getAirport = db.prepare(`
+    SELECT ident, type, name, latitude, longitude, elevation, country, municipality,
+           icao_code as icaoCode, iata_code as iataCode
+    FROM airports
+    WHERE ident = ?
+  `);
+
+  // Airports (not heliports, seaplane bases or balloonports) in a box,
+  // with the true headings of their runway ends
+  statements.getAirportsInBounds = db.prepare(`
+    SELECT ident, type, name, latitude, longitude, elevation,
+           (SELECT json_group_array(heading) FROM (
+              SELECT le_heading as heading FROM runways WHERE airport_ident = a.ident AND le_heading IS NOT NULL
+              UNION ALL
+              SELECT he_heading FROM runways WHERE airport_ident = a.ident AND he_heading IS NOT NULL
+            )) as runwayHeadings
+    FROM airports a
+    WHERE latitude BETWEEN @minLat AND @maxLat AND longitude BETWEEN @minLon AND @maxLon
+      AND type IN ('large_airport', 'medium_airport', 'small_airport')
+  `);
+
+  statements.hasAirports = db.prepare(`
+    SELECT 1 FROM airports LIMIT 1
+  `);
+
+  statements.getRouteState = db.prepare(`
+    SELECT first_seen as firstSeen, max_altitude as maxAltitude, origin, destination
+    FROM flights
+    WHERE id = ?
+  `);
+
   statements.getFlightTrail = db.prepare(`
     SELECT latitude, longitude, altitude, timestamp
     FROM flight_trails
-    WHERE flight_id = ?
+    WHERE flight_id = ? AND backfilled = 0
     ORDER BY timestamp DESC
     LIMIT ?
   `);
 
+  statements.getBackfilledTrail = db.prepare(`
+    SELECT latitude, longitude, altitude, timestamp
+    FROM flight_trails
+    WHERE flight_id = ? AND backfilled = 1 AND timestamp < ?
+    ORDER BY timestamp
+  `);
+
+  statements.getFirstTrailTimestamp = db.prepare(`
+    SELECT MIN(timestamp) as timestamp
+    FROM flight_trails
+    WHERE flight_id = ? AND backfilled = 0
+  `);
+
+  statements.getLastPosition = db.prepare(`
+    SELECT latitude, longitude, altitude, on_ground as onGround, timestamp
+    FROM flights
+    WHERE id = ?
+  `);
+
+  statements.hasFlight = db.prepare(`
+    SELECT 1 FROM flights WHERE id = ?
+  `);
+
+  statements.deleteBackfilledTrail = db.prepare(`
+    DELETE FROM flight_trails WHERE flight_id = ? AND backfilled = 1
+  `);
+
+  statements.insertBackfilledPoint = db.prepare(`
+    INSERT INTO flight_trails (flight_id, latitude, longitude, altitude, timestamp, backfilled)
+    VALUES (?, ?, ?, ?, ?, 1)
+  `);
+
   statements.getAllTrails = db.prepare(`
     SELECT flight_id as flightId, latitude, longitude, altitude, timestamp
     FROM flight_trails
-    WHERE flight_id IN (SELECT id FROM flights WHERE updated_at > ?)
+    WHERE flight_id IN (SELECT id FROM flights WHERE updated_at > ?) AND backfilled = 0
     ORDER BY flight_id, timestamp DESC
   `);
 
+  statements.getStaleFlights = db.prepare(`
+    SELECT id, callsigns, first_seen as firstSeen, timestamp, max_altitude as maxAltitude, origin, destination
+    FROM flights
+    WHERE updated_at < ?
+  `);
+
+  statements.getLiveTrail = db.prepare(`
+    SELECT id, latitude, longitude, altitude, timestamp
+    FROM flight_trails
+    WHERE flight_id = ? AND backfilled = 0
+    ORDER BY timestamp
+  `);
+
+  statements.getOverlongTrails = db.prepare(`
+    SELECT f.id, f.callsigns, f.first_seen as firstSeen, f.timestamp, f.max_altitude as maxAltitude,
+           f.origin, f.destination, COUNT(*) as points
+    FROM flight_trails t JOIN flights f ON f.id = t.flight_id
+    WHERE t.backfilled = 0
+    GROUP BY t.flight_id
+    HAVING COUNT(*) > ?
+  `);
+
+  statements.deleteTrailPointsBefore = db.prepare(`
+    DELETE FROM flight_trails WHERE flight_id = ? AND backfilled = 0 AND id <= ?
+  `);
+
+  statements.getOpenSession = db.prepare(`
+    SELECT id, track, point_count as pointCount FROM flight_sessions WHERE flight_id = ? AND ended = 0
+  `);
+
+  statements.insertSession = db.prepare(`
+    INSERT INTO flight_sessions (flight_id, callsigns, first_seen, last_seen, max_altitude, origin, destination, point_count, track, ended)
+    VALUES (@flightId, @callsigns, @firstSeen, @lastSeen, @maxAltitude, @origin, @destination, @pointCount, @track, @ended)
+  `);
+
+  statements.updateSession = db.prepare(`
+    UPDATE flight_sessions
+    SET callsigns = @callsigns, last_seen = @lastSeen, max_altitude = @maxAltitude,
+        origin = @origin, destination = @destination,
+        point_count = @pointCount, track = @track, ended = @ended
+    WHERE id = @id
+  `);
+
+  statements.pruneOrphanSessions = db.prepare(`
+    DELETE FROM flight_sessions
+    WHERE ended = 0 AND flight_id NOT IN (SELECT id FROM flights)
+  `);
+
+  statements.pruneOldSessions = db.prepare(`
+    DELETE FROM flight_sessions WHERE ended = 1 AND last_seen < ?
+  `);
+
+  statements.getSession = db.prepare(`
+    SELECT id, flight_id as flightId, callsigns, first_seen as firstSeen, last_seen as lastSeen,
+           max_altitude as maxAltitude, origin, destination, point_count as pointCount, track
+    FROM flight_sessions
+    WHERE id = ? AND ended = 1
+  `);
+
+  // Active flights with history around a moment (@at, seen since @since)
+  statements.getFlightsAt = db.prepare(`
+    SELECT id, callsign
+    FROM flights
+    WHERE timestamp >= @since AND (
+      EXISTS (SELECT 1 FROM flight_trails WHERE flight_id = flights.id AND timestamp <= @at) OR
+      EXISTS (SELECT 1 FROM flight_sessions WHERE flight_id = flights.id AND ended = 0 AND first_seen <= @at)
+    )
+  `);
+
+  statements.getFullTrail = db.prepare(`
+    SELECT latitude, longitude, altitude, timestamp
+    FROM flight_trails
+    WHERE flight_id = ?
+    ORDER BY timestamp
+  `);
+
+  statements.getSessionsAt = db.prepare(`
+    SELECT id, flight_id as flightId, callsigns, track
+    FROM flight_sessions
+    WHERE ended = 1 AND first_seen <= @at AND last_seen >= @since
+  `);
+
+  statements.hasStaleFlights = db.prepare(`
+    SELECT EXISTS (SELECT 1 FROM flights WHERE updated_at < ?) as stale
+  `);
+
+  statements.recordRemovals = db.prepare(`
+    INSERT OR REPLACE INTO flight_removals (id, seq, removed_at)
+    SELECT id, ?, ? FROM flights WHERE updated_at < ?
+  `);
+
+  // Deltas from before a forgotten removal can't be worked out any more
+  statements.forgetRemovals = db.prepare(`
+    UPDATE sync_state
+    SET oldest = MAX(oldest, COALESCE((SELECT MAX(seq) FROM flight_removals WHERE removed_at < ?), 0))
+  `);
+
+  statements.pruneRemovals = db.prepare(`
+    DELETE FROM flight_removals WHERE removed_at < ?
+  `);
+
   statements.pruneOldFlights = db.prepare(`
     DELETE FROM flights WHERE updated_at < ?
   `);
 
+  statements.pruneFlightKeys = db.prepare(`
+    DELETE FROM flight_keys WHERE flight_id NOT IN (SELECT id FROM flights)
+  `);
+
+  statements.pruneFlightPositions = db.prepare(`
+    DELETE FROM flight_positions WHERE id NOT IN (SELECT key FROM flight_keys)
+  `);
+
   statements.pruneOldTrails = db.prepare(`
     DELETE FROM flight_trails
     WHERE flight_id NOT IN (SELECT id FROM flights)
@@ -141,21 +458,31 @@ function prepareStatements() {
       SELECT id FROM (
         SELECT id, ROW_NUMBER() OVER (PARTITION BY flight_id ORDER BY timestamp DESC) as rn
         FROM flight_trails
+        WHERE backfilled = 0
       ) WHERE rn <= ?
-    )
+    ) AND backfilled = 0
   `);
 
   statements.getStats = db.prepare(`
     SELECT
       (SELECT COUNT(*) FROM flights) as flightCount,
-      (SELECT COUNT(*) FROM flight_trails) as trailPointCount
+      (SELECT COUNT(*) FROM flight_trails) as trailPointCount,
+      (SELECT COUNT(*) FROM flight_sessions WHERE ended = 1) as sessionCount
   `);
 }
 
+/**
+ * Take the next change sequence number
+ */
+function nextSequence() {
+  return statements.nextSequence.get().sequence;
+}
+
 /**
  * Update or insert a flight
+ * @param {number} [sequence] - Change sequence number (a batch shares one)
  */
-export function upsertFlight(flight) {
+export function upsertFlight(flight, sequence = nextSequence()) {
   const now = Date.now();
   statements.upsertFlight.run({
     id: flight.id,
@@ -170,9 +497,32 @@ export function upsertFlight(flight) {
     squawk: flight.squawk || null,
     timestamp: flight.timestamp,
     source: flight.source,
-    updatedAt: now
+    sources: JSON.stringify(flight.sources || [flight.source]),
+    region: flight.region || null,
+    originCountry: flight.originCountry || null,
+    timePosition: flight.timePosition ?? null,
+    lastContact: flight.lastContact ?? null,
+    baroAltitude: flight.baroAltitude ?? null,
+    geoAltitude: flight.geoAltitude ?? null,
+    sensors: flight.sensors ? JSON.stringify(flight.sensors) : null,
+    spi: flight.spi ? 1 : 0,
+    positionSource: flight.positionSource || null,
+    addressType: flight.addressType || null,
+    planDeparture: flight.departure || null,
+    planArrival: flight.arrival || null,
+    planAircraftType: flight.aircraftType || null,
+    planRoute: flight.route || null,
+    origin: flight.origin || null,
+    destination: flight.destination || null,
+    updatedAt: now,
+    sequence
   });
 
+  // Keep the spatial index on the current position
+  const known = statements.getFlightKey.get(flight.id);
+  const key = known ? known.key : statements.addFlightKey.run(flight.id).lastInsertRowid;
+  statements.indexFlightPosition.run(key, flight.latitude, flight.latitude, flight.longitude, flight.longitude);
+
   // Add trail point
   statements.insertTrailPoint.run(
     flight.id,
@@ -188,8 +538,11 @@ export function upsertFlight(flight) {
  */
 export function upsertFlights(flights) {
   const transaction = db.transaction((flightList) => {
+    if (flightList.length === 0) return;
+
+    const sequence = nextSequence();
     for (const flight of flightList) {
-      upsertFlight(flight);
+      upsertFlight(flight, sequence);
     }
   });
 
@@ -197,12 +550,58 @@ export function upsertFlights(flights) {
   return flights.length;
 }
 
+/**
+ * Get the last stored position of a flight (its row in flights), or
+ * undefined for a flight we haven't seen
+ */
+export function getLastPosition(flightId) {
+  const row = statements.getLastPosition.get(flightId);
+  return row && { ...row, onGround: Boolean(row.onGround) };
+}
+
+/**
+ * Convert a flights row to the API representation
+ */
+function rowToFlight({ planDeparture, planArrival, planAircraftType, planRoute, ...row }) {
+  const filed = planDeparture || planArrival || planAircraftType || planRoute;
+  return {
+    ...row,
+    flightPlan: filed
+      ? { departure: planDeparture, arrival: planArrival, aircraftType: planAircraftType, route: planRoute }
+      : null,
+    sources: row.sources ? JSON.parse(row.sources) : [row.source],
+    sensors: row.sensors ? JSON.parse(row.sensors) : null,
+    spi: Boolean(row.spi),
+    ...parseCallsign(row.callsign, row.id)
+  };
+}
+
 /**
  * Get all active flights
  */
 export function getAllFlights(maxAge = config.maxFlightAge) {
   const cutoff = Date.now() - maxAge;
-  return statements.getAllFlights.all(cutoff);
+  return statements.getAllFlights.all(cutoff).map(rowToFlight);
+}
+
+/**
+ * Get an active flight with its registration details (`registry`, null
+ * when the aircraft isn't in the registry) and the airports it was
+ * inferred to have come from and be going to (`origin`, `destination`)
+ */
+export function getFlight(flightId, maxAge = config.maxFlightAge) {
+  const row = statements.getFlight.get(flightId, Date.now() - maxAge);
+  if (!row) return null;
+
+  const { registration, manufacturer, model, aircraftType, engineType, registrant, yearBuilt, origin, destination, ...flight } = row;
+  return {
+    ...rowToFlight(flight),
+    registry: registration
+      ? { registration, manufacturer, model, aircraftType, engineType, registrant, yearBuilt }
+      : null,
+    origin: origin ? getAirport(origin) : null,
+    destination: destination ? getAirport(destination) : null
+  };
 }
 
 /**
@@ -210,16 +609,92 @@ export function getAllFlights(maxAge = config.maxFlightAge) {
  */
 export function getFlightsSince(timestamp, maxAge = config.maxFlightAge) {
   const cutoff = Date.now() - maxAge;
-  return statements.getFlightsSince.all(timestamp, cutoff);
+  return statements.getFlightsSince.all(timestamp, cutoff).map(rowToFlight);
+}
+
+/**
+ * The change sequence state: { epoch, sequence (the latest change),
+ * oldest (the earliest sequence number getFlightChanges can start from) }
+ */
+export function getSyncState() {
+  return statements.getSyncState.get();
+}
+
+/**
+ * What changed since a sequence number: flights first seen since
+ * (`added`), flights seen before that have changed (`updated`) and the
+ * IDs of flights removed since (`removed`)
+ */
+export function getFlightChanges(since, maxAge = config.maxFlightAge) {
+  const cutoff = Date.now() - maxAge;
+  return {
+    added: statements.getAddedFlights.all(since, cutoff).map(rowToFlight),
+    updated: statements.getUpdatedFlights.all({ since, cutoff }).map(rowToFlight),
+    removed: statements.getRemovedFlights.all(since).map(row => row.id)
+  };
+}
+
+/**
+ * Get active flights inside a bounding box, using the spatial index
+ * @param {Object} bounds - { minLat, maxLat, minLon, maxLon }; minLon
+ *                          greater than maxLon crosses the antimeridian
+ * @param {Object} options - { since: only flights with newer positions (ms), maxAge }
+ */
+export function getFlightsInBounds(bounds, { since = 0, maxAge = config.maxFlightAge } = {}) {
+  const params = { since, cutoff: Date.now() - maxAge, minLat: bounds.minLat, maxLat: bounds.maxLat };
+  const spans = bounds.minLon > bounds.maxLon
+    ? [[bounds.minLon, 180], [-180, bounds.maxLon]]
+    : [[bounds.minLon, bounds.maxLon]];
+
+  return spans
+    .flatMap(([minLon, maxLon]) => statements.getFlightsInBounds.all({ ...params, minLon, maxLon }))
+    .map(rowToFlight);
 }
 
 /**
  * Get trail for a specific flight
+ * Backfilled history from before the first polled point comes first and
+ * isn't counted against the limit; those points are marked `backfilled`.
  */
 export function getFlightTrail(flightId, limit = config.maxTrailPoints) {
   const points = statements.getFlightTrail.all(flightId, limit);
   // Reverse to get chronological order
-  return points.reverse();
+  points.reverse();
+
+  const before = points.length > 0 ? points[0].timestamp : Number.MAX_SAFE_INTEGER;
+  const history = statements.getBackfilledTrail.all(flightId, before)
+    .map(point => ({ ...point, backfilled: true }));
+
+  return history.length > 0 ? [...history, ...points] : points;
+}
+
+/**
+ * Replace a flight's backfilled history with points from an external
+ * track (chronological { latitude, longitude, altitude, timestamp }).
+ * Points we polled ourselves take precedence, so only history from before
+ * our first polled point is kept. Returns the number of points stored,
+ * 0 for flights that aren't (or are no longer) in the database.
+ */
+export function storeBackfilledTrail(flightId, points) {
+  const transaction = db.transaction(() => {
+    if (!statements.hasFlight.get(flightId)) return 0;
+    statements.deleteBackfilledTrail.run(flightId);
+
+    const first = statements.getFirstTrailTimestamp.get(flightId).timestamp;
+    const history = first === null ? points : points.filter(point => point.timestamp < first);
+    for (const point of history) {
+      statements.insertBackfilledPoint.run(
+        flightId,
+        point.latitude,
+        point.longitude,
+        point.altitude,
+        point.timestamp
+      );
+    }
+    return history.length;
+  });
+
+  return transaction();
 }
 
 /**
@@ -254,18 +729,298 @@ export function getAllTrails(maxAge = config.maxFlightAge, maxPoints = config.ma
 }
 
 /**
- * Remove old flights and trail points
+ * Simplify trail points for the session archive, anchored on the last
+ * point already stored (if any) so they join the track without changing it
  */
-export function pruneOldData(maxAge = config.maxFlightAge) {
-  const cutoff = Date.now() - maxAge;
+function simplifyTrack(points, last) {
+  const { trackTolerance, trackAltitudeTolerance } = config.sessions;
+  if (!(trackTolerance > 0)) return points;
 
-  const flightResult = statements.pruneOldFlights.run(cutoff);
-  statements.pruneOldTrails.run();
-  statements.pruneExcessTrails.run(config.maxTrailPoints);
+  const options = { tolerance: trackTolerance, altitudeTolerance: trackAltitudeTolerance };
+  return last ? simplifyTrail([last, ...points], options).slice(1) : simplifyTrail(points, options);
+}
 
-  return {
-    prunedFlights: flightResult.changes
+function readTrack(track) {
+  return JSON.parse(inflateSync(track).toString());
+}
+
+function decodeTrack(track) {
+  return decodeTrail(readTrack(track));
+}
+
+/**
+ * Add trail points to a flight's open session, creating it if needed,
+ * and optionally close it. Stored tracks are simplified, delta encoded and
+ * deflated; new points are simplified and encoded on their own and
+ * appended, so what is already stored is kept as it is.
+ */
+function archivePoints(flight, points, ended) {
+  const open = statements.getOpenSession.get(flight.id);
+  if (!open && points.length === 0) return false;
+
+  const stored = open ? readTrack(open.track) : null;
+  const storedPoints = stored ? decodeTrail(stored) : [];
+  const last = storedPoints.length > 0 ? storedPoints[storedPoints.length - 1] : null;
+
+  const kept = simplifyTrack(points, last);
+  const added = encodeTrail(kept, last);
+  const track = stored
+    ? {
+        polyline: stored.polyline + added.polyline,
+        altitudes: stored.altitudes + added.altitudes,
+        timestamps: stored.timestamps + added.timestamps
+      }
+    : added;
+  const first = storedPoints[0] || kept[0];
+  const latest = kept.length > 0 ? kept[kept.length - 1] : last;
+
+  const session = {
+    flightId: flight.id,
+    callsigns: flight.callsigns || '[]',
+    firstSeen: flight.firstSeen ?? first.timestamp,
+    lastSeen: ended ? flight.timestamp : latest.timestamp,
+    maxAltitude: flight.maxAltitude,
+    origin: flight.origin ?? null,
+    destination: flight.destination ?? null,
+    pointCount: (open ? open.pointCount : 0) + kept.length,
+    track: deflateSync(JSON.stringify(track)),
+    ended: ended ? 1 : 0
   };
+
+  if (open) {
+    statements.updateSession.run({ ...session, id: open.id });
+  } else {
+    statements.insertSession.run(session);
+  }
+  return true;
+}
+
+/**
+ * Remove old flights and trail points. With a session retention period
+ * set, stale flights are archived to flight_sessions rather than lost, and
+ * trail points beyond maxTrailPoints are spilled into the flight's open
+ * session (a batch at a time, so each session isn't rewritten every poll).
+ */
+export function pruneOldData(maxAge = config.maxFlightAge) {
+  const now = Date.now();
+  const cutoff = now - maxAge;
+  const archive = config.sessions.retentionDays > 0;
+
+  const transaction = db.transaction(() => {
+    let archivedSessions = 0;
+
+    if (archive) {
+      for (const flight of statements.getStaleFlights.all(cutoff)) {
+        if (archivePoints(flight, statements.getLiveTrail.all(flight.id), true)) {
+          archivedSessions++;
+        }
+      }
+
+      const spillAbove = config.maxTrailPoints + config.sessions.spillPoints;
+      for (const flight of statements.getOverlongTrails.all(spillAbove)) {
+        const excess = statements.getLiveTrail.all(flight.id).slice(0, flight.points - config.maxTrailPoints);
+        archivePoints(flight, excess, false);
+        statements.deleteTrailPointsBefore.run(flight.id, excess[excess.length - 1].id);
+      }
+    }
+
+    // Leave tombstones for delta syncs, kept for config.sync.removalRetention
+    if (statements.hasStaleFlights.get(cutoff).stale) {
+      statements.recordRemovals.run(nextSequence(), now, cutoff);
+    }
+    const forgetBefore = now - config.sync.removalRetention;
+    statements.forgetRemovals.run(forgetBefore);
+    statements.pruneRemovals.run(forgetBefore);
+
+    const flightResult = statements.pruneOldFlights.run(cutoff);
+    statements.pruneFlightKeys.run();
+    statements.pruneFlightPositions.run();
+    statements.pruneOldTrails.run();
+    statements.pruneExcessTrails.run(config.maxTrailPoints + (archive ? config.sessions.spillPoints : 0));
+    statements.pruneOrphanSessions.run();
+    statements.pruneOldSessions.run(now - config.sessions.retentionDays * 24 * 60 * 60 * 1000);
+
+    return {
+      prunedFlights: flightResult.changes,
+      archivedSessions
+    };
+  });
+
+  return transaction();
+}
+
+function rowToSession({ track, callsigns, ...row }) {
+  return { ...row, callsigns: JSON.parse(callsigns) };
+}
+
+/**
+ * List archived sessions, most recent first
+ * @param {Object} filters - { flightId, callsign, from, to, limit }; from/to
+ *                           (ms) select sessions overlapping that period
+ */
+export function listSessions({ flightId, callsign, from, to, limit = 100 } = {}) {
+  const conditions = ['ended = 1'];
+  const params = {};
+
+  if (flightId) {
+    conditions.push('flight_id = @flightId COLLATE NOCASE');
+    params.flightId = flightId;
+  }
+  if (callsign) {
+    conditions.push('EXISTS (SELECT 1 FROM json_each(callsigns) WHERE UPPER(value) = @callsign)');
+    params.callsign = callsign.toUpperCase();
+  }
+  if (from) {
+    conditions.push('last_seen >= @from');
+    params.from = from;
+  }
+  if (to) {
+    conditions.push('first_seen <= @to');
+    params.to = to;
+  }
+
+  return db.prepare(`
+    SELECT id, flight_id as flightId, callsigns, first_seen as firstSeen, last_seen as lastSeen,
+           max_altitude as maxAltitude, origin, destination, point_count as pointCount, NULL as track
+    FROM flight_sessions
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY last_seen DESC
+    LIMIT @limit
+  `).all({ ...params, limit }).map(rowToSession);
+}
+
+/**
+ * Get an archived session with its full track
+ */
+export function getSession(id) {
+  const row = statements.getSession.get(id);
+  return row ? { ...rowToSession(row), track: decodeTrack(row.track) } : null;
+}
+
+/**
+ * The tracks of every aircraft that may have been visible at a moment:
+ * archived sessions, and active flights with their trail (backfilled
+ * history included) and open session, from before it until maxAge after
+ * @param {number} at - The moment (ms)
+ * @returns {Array} { flightId, callsign, sessionId (null for active
+ *                  flights), points } with points oldest first
+ */
+export function getTracksAt(at, maxAge = config.maxFlightAge) {
+  const params = { at, since: at - maxAge };
+
+  const archived = statements.getSessionsAt.all(params).map(session => {
+    const callsigns = JSON.parse(session.callsigns);
+    return {
+      flightId: session.flightId,
+      callsign: callsigns.length > 0 ? callsigns[callsigns.length - 1] : null,
+      sessionId: session.id,
+      points: decodeTrack(session.track)
+    };
+  });
+
+  const active = statements.getFlightsAt.all(params).map(flight => {
+    const open = statements.getOpenSession.get(flight.id);
+    const points = [...(open ? decodeTrack(open.track) : []), ...statements.getFullTrail.all(flight.id)];
+    return {
+      flightId: flight.id,
+      callsign: flight.callsign,
+      sessionId: null,
+      points: points.sort((a, b) => a.timestamp - b.timestamp)
+    };
+  });
+
+  return [...archived, ...active];
+}
+
+/**
+ * Replace the aircraft registry with a fresh import (transactional)
+ * @param {Iterable} aircraft - { id, registration, manufacturer, model,
+ *                              aircraftType, engineType, registrant, yearBuilt }
+ * @param {string} source - Registry name, e.g. 'faa'
+ * @param {number} fileModified - Modification time of the imported file (ms)
+ * @returns {number} Aircraft imported
+ */
+export function replaceAircraft(aircraft, source, fileModified) {
+  const transaction = db.transaction(() => {
+    statements.deleteAircraft.run();
+    let count = 0;
+    for (const record of aircraft) {
+      statements.insertAircraft.run(record);
+      count++;
+    }
+    statements.recordImport.run(source, fileModified, Date.now(), count);
+    return count;
+  });
+
+  return transaction();
+}
+
+/**
+ * Replace the airports and runways with a fresh import (transactional)
+ * @param {Iterable} airports - { ident, type, name, latitude, longitude,
+ *                              elevation, country, municipality, icaoCode, iataCode }
+ * @param {Iterable} runways - { id, airportIdent, length, width, surface, lighted,
+ *                             and le/he Ident, Latitude, Longitude, Elevation, Heading }
+ * @param {string} source - Dataset name, e.g. 'ourairports'
+ * @param {number} fileModified - Modification time of the imported airports file (ms)
+ * @returns {number} Airports imported
+ */
+export function replaceAirports(airports, runways, source, fileModified) {
+  const transaction = db.transaction(() => {
+    statements.deleteRunways.run();
+    statements.deleteAirports.run();
+    let count = 0;
+    for (const airport of airports) {
+      statements.insertAirport.run(airport);
+      count++;
+    }
+    for (const runway of runways) {
+      statements.insertRunway.run(runway);
+    }
+    statements.recordImport.run(source, fileModified, Date.now(), count);
+    return count;
+  });
+
+  return transaction();
+}
+
+/**
+ * Get an airport by its OurAirports ident (usually the ICAO code), or null
+ */
+export function getAirport(ident) {
+  return statements.getAirport.get(ident) || null;
+}
+
+/**
+ * Airports inside a bounding box, each with `runwayHeadings` (degrees
+ * true, both ends of every runway)
+ */
+export function getAirportsInBounds(bounds) {
+  return statements.getAirportsInBounds.all(bounds)
+    .map(airport => ({ ...airport, runwayHeadings: JSON.parse(airport.runwayHeadings) }));
+}
+
+/**
+ * Whether any airports have been imported
+ */
+export function hasAirports() {
+  return Boolean(statements.hasAirports.get());
+}
+
+/**
+ * What route inference needs to know about a flight we've seen before, or
+ * undefined: { firstSeen, maxAltitude, origin, destination }
+ */
+export function getRouteState(flightId) {
+  return statements.getRouteState.get(flightId);
+}
+
+/**
+ * When a data set (e.g. the aircraft registry) was last imported, or
+ * undefined: { source, fileModified, importedAt, recordCount }
+ */
+export function getDataImport(source) {
+  return statements.getImport.get(source);
 }
 
 /**
@@ -1,223 +1,207 @@
 /**
  * FAA/Flight Data Fetcher
  *
- * Supports multiple data sources:
+ * Routes fetches to registered data source adapters (see source-registry.js).
+ * Built-in sources:
  * - OpenSky Network (free, rate-limited)
- * - FAA SWIM (requires subscription)
+ * - FAA SWIM SFDPS/STDDS XML (requires subscription)
+ * - SBS-1 / BaseStation TCP feed (local dump1090/readsb receiver)
+ * - Raw Mode S frames in AVR or Beast format (local SDR receiver)
+ * - aircraft.json polling (tar1090/readsb/dump1090-fa)
+ * - Simulated mock flights
  */
 
 import { config } from './config.js';
+import { createFusion } from './fusion.js';
+import { RateLimitError } from './rate-budget.js';
+import { registerSource, getSource, createSourceRunner } from './source-registry.js';
+import { builtinSources } from './sources/index.js';
+import { createRecorder } from './recorder.js';
+import { resolveRegions, findRegion } from './regions.js';
+
+export { createMockFetcher } from './sources/mock.js';
+export { getOpenSkyBudgetStatus, resetOpenSkyClient } from './sources/opensky.js';
+
+builtinSources.forEach(registerSource);
 
 /**
  * Normalize flight data to a common format
  */
 export function normalizeFlightData(rawFlight, source) {
-  if (source === 'opensky') {
-    return normalizeOpenSkyFlight(rawFlight);
-  } else if (source === 'faa') {
-    return normalizeFaaFlight(rawFlight);
+  return getSource(source).normalize(rawFlight);
+}
+
+// One runner per source, created on first fetch
+const runners = new Map();
+
+// Raw payload recorder, created on first fetch when RECORD_DIR is set
+let recorder = null;
+let recorderDir = null;
+
+function recordRaw(source, payloads) {
+  if (!config.recorder.dir || source === 'replay') return;
+  if (!recorder || recorderDir !== config.recorder.dir) {
+    recorder = createRecorder(config.recorder);
+    recorderDir = config.recorder.dir;
+  }
+  try {
+    recorder.record(source, payloads);
+  } catch (error) {
+    console.error(`Failed to record ${source} payload: ${error.message}`);
   }
-  throw new Error(`Unknown data source: ${source}`);
 }
 
-/**
- * Normalize OpenSky Network state vector to common format
- * OpenSky state vector format:
- * [0] icao24, [1] callsign, [2] origin_country, [3] time_position,
- * [4] last_contact, [5] longitude, [6] latitude, [7] baro_altitude,
- * [8] on_ground, [9] velocity, [10] true_track, [11] vertical_rate,
- * [12] sensors, [13] geo_altitude, [14] squawk, [15] spi, [16] position_source
- */
-function normalizeOpenSkyFlight(state) {
-  if (!state || !state[0]) return null;
-
-  const icao24 = state[0];
-  const callsign = (state[1] || '').trim();
-  const longitude = state[5];
-  const latitude = state[6];
-  const altitude = state[7] || state[13] || 0;  // baro or geo altitude
-  const onGround = state[8];
-  const velocity = state[9];
-  const heading = state[10];
-  const verticalRate = state[11];
-  const squawk = state[14];
-
-  // Skip if no position data
-  if (longitude === null || latitude === null) return null;
-
-  return {
-    id: icao24,
-    callsign: callsign || icao24,
-    latitude,
-    longitude,
-    altitude: Math.round(altitude * 3.28084),  // meters to feet
-    heading: heading || 0,
-    speed: velocity ? Math.round(velocity * 1.944) : 0,  // m/s to knots
-    verticalRate: verticalRate ? Math.round(verticalRate * 196.85) : 0,  // m/s to ft/min
-    onGround,
-    squawk,
-    timestamp: Date.now(),
-    source: 'opensky'
-  };
+function getRunner(source) {
+  if (!runners.has(source)) {
+    runners.set(source, createSourceRunner(getSource(source), { onRaw: recordRaw }));
+  }
+  return runners.get(source);
 }
 
 /**
- * Normalize FAA SWIM data format (placeholder)
+ * Fetch flights from a single named source
  */
-function normalizeFaaFlight(data) {
-  // FAA SWIM TFMS/STDDS format would be parsed here
-  // This is a placeholder for actual FAA integration
-  return {
-    id: data.aircraftId || data.icaoId,
-    callsign: data.callsign || data.flightId,
-    latitude: data.latitude || data.position?.lat,
-    longitude: data.longitude || data.position?.lon,
-    altitude: data.altitude,
-    heading: data.heading || data.track,
-    speed: data.groundSpeed,
-    verticalRate: data.verticalSpeed || 0,
-    onGround: data.onGround || false,
-    squawk: data.squawk,
-    timestamp: Date.now(),
-    source: 'faa'
-  };
+export async function fetchFromSource(source) {
+  return getRunner(source).poll();
 }
 
 /**
  * Fetch flights from OpenSky Network
+ * A RateLimitError is thrown when a request is deferred or refused.
  */
-export async function fetchFromOpenSky() {
-  const { bounds, username, password } = config.opensky;
-
-  const url = new URL(`${config.opensky.baseUrl}/states/all`);
-  url.searchParams.set('lamin', bounds.minLat);
-  url.searchParams.set('lamax', bounds.maxLat);
-  url.searchParams.set('lomin', bounds.minLon);
-  url.searchParams.set('lomax', bounds.maxLon);
-
-  const headers = {};
-  if (username && password) {
-    const auth = Buffer.from(`${username}:${password}`).toString('base64');
-    headers['Authorization'] = `Basic ${auth}`;
-  }
-
-  const response = await fetch(url.toString(), { headers });
-
-  if (!response.ok) {
-    throw new Error(`OpenSky API error: ${response.status} ${response.statusText}`);
-  }
-
-  const data = await response.json();
+export function fetchFromOpenSky() {
+  return fetchFromSource('opensky');
+}
 
-  if (!data.states || !Array.isArray(data.states)) {
-    return [];
-  }
+/**
+ * Fetch flights from FAA SWIM
+ * Messages come from a directory drop (FAA_SWIM_DIR) or an HTTP endpoint
+ * returning SWIM XML (FAA_ENDPOINT).
+ */
+export function fetchFromFaa() {
+  return fetchFromSource('faa');
+}
 
-  return data.states
-    .map(state => normalizeOpenSkyFlight(state))
-    .filter(flight => flight !== null);
+/**
+ * Fetch flights from an SBS-1 / BaseStation TCP feed
+ * The connection stays open between calls; each call returns the
+ * aircraft assembled from all messages received so far.
+ */
+export function fetchFromSbs() {
+  return fetchFromSource('sbs');
 }
 
 /**
- * Fetch flights from FAA SWIM (placeholder)
+ * Fetch flights decoded from a raw Mode S (AVR or Beast) TCP feed
  */
-export async function fetchFromFaa() {
-  if (!config.faa.endpoint || !config.faa.apiKey) {
-    throw new Error('FAA credentials not configured');
-  }
+export function fetchFromModeS() {
+  return fetchFromSource('modes');
+}
 
-  const response = await fetch(config.faa.endpoint, {
-    headers: {
-      'Authorization': `Bearer ${config.faa.apiKey}`,
-      'Accept': 'application/json'
-    }
-  });
+/**
+ * Fetch flights from a local aircraft.json (tar1090/readsb/dump1090-fa)
+ */
+export function fetchFromAircraftJson() {
+  return fetchFromSource('readsb');
+}
 
-  if (!response.ok) {
-    throw new Error(`FAA API error: ${response.status} ${response.statusText}`);
+/**
+ * Close a source's connection (stream sources) if one is open
+ */
+export function closeSource(source) {
+  const runner = runners.get(source);
+  if (runner) {
+    runner.close();
+    runners.delete(source);
   }
-
-  const data = await response.json();
-
-  return data.flights
-    .map(flight => normalizeFaaFlight(flight))
-    .filter(flight => flight !== null);
 }
 
 /**
- * Main fetch function - routes to appropriate source
+ * Close the BaseStation connection if one is open
  */
-export async function fetchFlights() {
-  const source = config.dataSource;
-
-  if (source === 'opensky') {
-    return fetchFromOpenSky();
-  } else if (source === 'faa') {
-    return fetchFromFaa();
-  }
+export function closeSbsConnection() {
+  closeSource('sbs');
+}
 
-  throw new Error(`Unknown data source: ${source}`);
+/**
+ * Close the raw Mode S connection if one is open
+ */
+export function closeModeSConnection() {
+  closeSource('modes');
 }
 
 /**
- * Create a mock flight generator for testing
+ * Close every open source connection
  */
-export function createMockFetcher(numFlights = 100) {
-  const flights = [];
-
-  // Generate initial mock flights
-  for (let i = 0; i < numFlights; i++) {
-    flights.push({
-      id: `MOCK${i.toString().padStart(4, '0')}`,
-      callsign: `TST${Math.floor(Math.random() * 9999)}`,
-      latitude: 24.5 + Math.random() * 24,   // US latitude range
-      longitude: -124 + Math.random() * 57,  // US longitude range
-      altitude: 5000 + Math.random() * 35000,
-      heading: Math.random() * 360,
-      speed: 200 + Math.random() * 400,
-      verticalRate: (Math.random() - 0.5) * 2000,
-      onGround: false,
-      squawk: Math.floor(1000 + Math.random() * 6999).toString(),
-      timestamp: Date.now(),
-      source: 'mock'
-    });
+export function closeAllSources() {
+  for (const source of [...runners.keys()]) {
+    closeSource(source);
   }
+}
 
-  return async function fetchMockFlights() {
-    // Update positions based on heading and speed
-    const dt = 10;  // seconds since last update
+/**
+ * Health of every source used so far (for /api/sources)
+ */
+export function getSourceHealth() {
+  return [...runners.values()].map(runner => runner.health());
+}
 
-    for (const flight of flights) {
-      // Convert heading to radians
-      const headingRad = (flight.heading * Math.PI) / 180;
+// Fusion state shared across fetch cycles when several sources are configured
+let fusion = null;
+let fusionKey = null;
 
-      // Calculate movement (simplified)
-      const speedKmH = flight.speed * 1.852;  // knots to km/h
-      const distanceKm = (speedKmH * dt) / 3600;
+// Resolved REGIONS, for tagging flights
+let regions = null;
+let regionsKey = null;
 
-      // Update position
-      const latChange = (distanceKm / 111) * Math.cos(headingRad);
-      const lonChange = (distanceKm / (111 * Math.cos(flight.latitude * Math.PI / 180))) * Math.sin(headingRad);
+/**
+ * Tag each flight with the name of the region it is in (null outside them all)
+ */
+function tagRegions(flights) {
+  const key = JSON.stringify(config.regions);
+  if (!regions || regionsKey !== key) {
+    regions = resolveRegions(config.regions);
+    regionsKey = key;
+  }
+  return flights.map(flight => ({ ...flight, region: findRegion(regions, flight.latitude, flight.longitude) }));
+}
 
-      flight.latitude += latChange;
-      flight.longitude += lonChange;
-      flight.altitude += (flight.verticalRate * dt) / 60;
+/**
+ * Main fetch function - routes to appropriate source
+ * DATA_SOURCE may list several sources (e.g. "opensky,sbs"); their flights
+ * are fused into one record per aircraft.
+ */
+export async function fetchFlights() {
+  const sources = config.dataSource.split(',').map(name => name.trim()).filter(Boolean);
 
-      // Keep within bounds
-      if (flight.latitude < 24.5 || flight.latitude > 49) {
-        flight.heading = 360 - flight.heading;
-      }
-      if (flight.longitude < -124 || flight.longitude > -67) {
-        flight.heading = 180 - flight.heading;
-      }
+  if (sources.length === 1) {
+    return tagRegions(await fetchFromSource(sources[0]));
+  }
 
-      // Normalize heading
-      flight.heading = ((flight.heading % 360) + 360) % 360;
+  const priority = config.sourcePriority || sources;
+  const key = `${sources.join(',')}|${priority.join(',')}|${config.fusionMaxAge}`;
+  if (!fusion || fusionKey !== key) {
+    fusion = createFusion({ priority, maxAge: config.fusionMaxAge });
+    fusionKey = key;
+  }
 
-      // Update timestamp
-      flight.timestamp = Date.now();
+  const results = await Promise.allSettled(sources.map(source => fetchFromSource(source)));
+
+  let succeeded = 0;
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      fusion.ingest(sources[index], result.value);
+      succeeded++;
+    } else if (result.reason instanceof RateLimitError) {
+      console.log(`  ${result.reason.message}`);
+    } else {
+      console.error(`Error fetching from ${sources[index]}: ${result.reason.message}`);
     }
+  });
+
+  if (succeeded === 0) {
+    throw results[0].reason;
+  }
 
-    return [...flights];
-  };
+  return tagRegions(fusion.fuse());
 }
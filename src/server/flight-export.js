@@ -0,0 +1,199 @@
+/**
+ * Flight Exports
+ *
+ * Current positions and trails in formats other tools open directly:
+ * GeoJSON for QGIS and web maps, KML for Google Earth, and CZML, with
+ * time-tagged positions, for Cesium. Coordinates carry the altitude in
+ * meters above sea level, as all three formats expect; the properties
+ * keep our units (feet, knots, ft/min).
+ */
+
+const METERS_PER_FOOT = 0.3048;
+
+const toMeters = feet => Math.round((feet || 0) * METERS_PER_FOOT * 10) / 10;
+const toTime = ms => new Date(ms).toISOString();
+const nameOf = flight => (flight.callsign && flight.callsign.trim()) || flight.id;
+
+/**
+ * What the exports say about each flight
+ */
+function flightProperties(flight) {
+  return {
+    id: flight.id,
+    callsign: nameOf(flight),
+    squawk: flight.squawk ?? null,
+    altitude: flight.altitude ?? null,
+    speed: flight.speed ?? null,
+    heading: flight.heading ?? null,
+    verticalRate: flight.verticalRate ?? null,
+    onGround: Boolean(flight.onGround),
+    operator: flight.operator ? flight.operator.designator : null,
+    source: flight.source,
+    time: toTime(flight.timestamp)
+  };
+}
+
+/**
+ * GeoJSON FeatureCollection: a Point for each flight's position and a
+ * LineString for its trail (trails need two points)
+ * @param {Array} flights
+ * @param {Object} trails - Trail points by flight ID, oldest first
+ */
+export function toGeoJson(flights, trails = {}) {
+  const features = [];
+
+  for (const flight of flights) {
+    features.push({
+      type: 'Feature',
+      id: flight.id,
+      geometry: { type: 'Point', coordinates: [flight.longitude, flight.latitude, toMeters(flight.altitude)] },
+      properties: { kind: 'position', ...flightProperties(flight) }
+    });
+
+    const trail = trails[flight.id] || [];
+    if (trail.length >= 2) {
+      features.push({
+        type: 'Feature',
+        id: `${flight.id}-trail`,
+        geometry: {
+          type: 'LineString',
+          coordinates: trail.map(point => [point.longitude, point.latitude, toMeters(point.altitude)])
+        },
+        properties: {
+          kind: 'trail',
+          id: flight.id,
+          callsign: nameOf(flight),
+          start: toTime(trail[0].timestamp),
+          end: toTime(trail[trail.length - 1].timestamp)
+        }
+      });
+    }
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const kmlCoordinates = points => points
+  .map(point => `${point.longitude},${point.latitude},${toMeters(point.altitude)}`)
+  .join(' ');
+
+/**
+ * KML document with a Placemark for each flight: its position, its trail
+ * and its properties as ExtendedData
+ * @param {Array} flights
+ * @param {Object} trails - Trail points by flight ID, oldest first
+ */
+export function toKml(flights, trails = {}) {
+  const placemarks = flights.map(flight => {
+    const trail = trails[flight.id] || [];
+    const data = Object.entries(flightProperties(flight))
+      .filter(([, value]) => value !== null)
+      .map(([name, value]) => `<Data name="${name}"><value>${escapeXml(value)}</value></Data>`);
+
+    return [
+      `<Placemark id="${escapeXml(flight.id)}">`,
+      `<name>${escapeXml(nameOf(flight))}</name>`,
+      '<styleUrl>#flight</styleUrl>',
+      `<ExtendedData>${data.join('')}</ExtendedData>`,
+      '<MultiGeometry>',
+      `<Point><altitudeMode>absolute</altitudeMode><coordinates>${kmlCoordinates([flight])}</coordinates></Point>`,
+      trail.length >= 2
+        ? `<LineString><tessellate>1</tessellate><altitudeMode>absolute</altitudeMode><coordinates>${kmlCoordinates(trail)}</coordinates></LineString>`
+        : '',
+      '</MultiGeometry>',
+      '</Placemark>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    '<name>Virtual Radar</name>',
+    '<Style id="flight">',
+    '<IconStyle><Icon><href>http://maps.google.com/mapfiles/kml/shapes/airports.png</href></Icon></IconStyle>',
+    '<LineStyle><color>ff00c8ff</color><width>2</width></LineStyle>',
+    '</Style>',
+    ...placemarks,
+    '</Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * CZML document: a packet per flight with its trail and position as
+ * time-tagged samples, held at the last one until the export time, and a
+ * clock spanning all of them
+ * @param {Array} flights
+ * @param {Object} trails - Trail points by flight ID, oldest first
+ * @param {number} [now] - Export time (ms)
+ */
+export function toCzml(flights, trails = {}, now = Date.now()) {
+  let start = now;
+
+  const packets = flights.map(flight => {
+    const samples = (trails[flight.id] || []).filter(point => point.timestamp < flight.timestamp);
+    samples.push(flight);
+
+    const epoch = samples[0].timestamp;
+    start = Math.min(start, epoch);
+
+    return {
+      id: flight.id,
+      name: nameOf(flight),
+      availability: `${toTime(epoch)}/${toTime(Math.max(now, flight.timestamp))}`,
+      position: {
+        epoch: toTime(epoch),
+        forwardExtrapolationType: 'HOLD',
+        cartographicDegrees: samples.flatMap(point => [
+          (point.timestamp - epoch) / 1000,
+          point.longitude,
+          point.latitude,
+          toMeters(point.altitude)
+        ])
+      },
+      point: {
+        pixelSize: 8,
+        color: { rgba: [255, 200, 0, 255] },
+        outlineColor: { rgba: [0, 0, 0, 255] },
+        outlineWidth: 1
+      },
+      label: {
+        text: nameOf(flight),
+        font: '12px sans-serif',
+        pixelOffset: { cartesian2: [0, -16] }
+      },
+      path: {
+        width: 2,
+        leadTime: 0,
+        material: { solidColor: { color: { rgba: [255, 200, 0, 180] } } }
+      },
+      properties: flightProperties(flight)
+    };
+  });
+
+  const end = Math.max(now, ...flights.map(flight => flight.timestamp));
+  return [
+    {
+      id: 'document',
+      name: 'Virtual Radar',
+      version: '1.0',
+      clock: {
+        interval: `${toTime(start)}/${toTime(end)}`,
+        currentTime: toTime(end),
+        multiplier: 1,
+        range: 'CLAMPED'
+      }
+    },
+    ...packets
+  ];
+}
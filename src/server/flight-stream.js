@@ -0,0 +1,266 @@
+/**
+ * Live Flight Stream
+ *
+ * Pushes flight changes to subscribers as soon as each ingest cycle has
+ * stored them, over Server-Sent Events (GET /api/stream) or WebSocket
+ * (/api/ws), instead of leaving clients to poll. Subscriptions can be
+ * narrowed to an area (bbox, or near with radiusNm) or to callsigns, and
+ * pick up from a delta sync cursor after reconnecting.
+ *
+ * Messages (SSE events, or WebSocket JSON with a `type`):
+ *   flights   { cursor, full, added, updated, removed }, first a full sync
+ *             or the delta since the cursor, then after each cycle
+ *   cycle     { timestamp, fetched, accepted, pruned, error } after each cycle
+ *   heartbeat { timestamp } every config.stream.heartbeatInterval
+ *   error     { error } for a bad WebSocket subscribe message
+ *
+ * WebSocket clients can change their filters by sending
+ * { type: 'subscribe', bbox, near, radiusNm, callsign, cursor }.
+ */
+
+import { WebSocketServer } from 'ws';
+import { config } from './config.js';
+import * as db from './database.js';
+import { parseArea, isInArea } from './area.js';
+import { currentCursor, getFlightDelta } from './flight-sync.js';
+
+const subscribers = new Set();
+let lastCursor = null;
+let heartbeatTimer = null;
+let webSocketServer = null;
+
+/**
+ * Read a subscription's filters: bbox or near/radiusNm (see parseArea)
+ * and callsign, a comma separated list
+ * @returns {Object} { area, callsigns } or { error }
+ */
+export function parseSubscription(query) {
+  const area = parseArea(query);
+  if (area && area.error) return { error: area.error };
+
+  const callsigns = query.callsign
+    ? new Set(String(query.callsign).split(',').map(callsign => callsign.trim().toUpperCase()).filter(Boolean))
+    : null;
+
+  return { area, callsigns };
+}
+
+function matches(flight, { area, callsigns }) {
+  if (callsigns && !callsigns.has((flight.callsign || '').trim().toUpperCase())) return false;
+  return !area || isInArea(flight, area);
+}
+
+/**
+ * Narrow a delta to a subscriber's filters. Flights entering the
+ * subscriber's view are added, those leaving it removed.
+ */
+function filterDelta(subscriber, { cursor, full, added, updated, removed }) {
+  const result = { cursor, full, added: [], updated: [], removed: [] };
+  if (full) subscriber.visible.clear();
+
+  for (const id of removed) {
+    if (subscriber.visible.delete(id)) result.removed.push(id);
+  }
+  for (const flight of [...added, ...updated]) {
+    if (matches(flight, subscriber.filter)) {
+      (subscriber.visible.has(flight.id) ? result.updated : result.added).push(flight);
+      subscriber.visible.add(flight.id);
+    } else if (subscriber.visible.delete(flight.id)) {
+      result.removed.push(flight.id);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Bring a subscriber up to date from its cursor: a delta if the cursor
+ * can still be used, otherwise a full sync
+ */
+function start(subscriber, cursor) {
+  const delta = getFlightDelta(cursor);
+  lastCursor ??= delta.cursor;
+
+  subscriber.visible = new Set();
+  if (delta.full) {
+    subscriber.send('flights', filterDelta(subscriber, delta));
+    return;
+  }
+
+  // What the subscriber already has isn't known, so every removal is
+  // passed on, as are flights that changed and no longer match its filter,
+  // in case they just left it; clients ignore removals of flights they
+  // don't have. From here on it has every flight that matches.
+  for (const flight of db.getAllFlights()) {
+    if (matches(flight, subscriber.filter)) subscriber.visible.add(flight.id);
+  }
+  const left = delta.updated.filter(flight => !matches(flight, subscriber.filter)).map(flight => flight.id);
+
+  subscriber.send('flights', {
+    cursor: delta.cursor,
+    full: false,
+    added: delta.added.filter(flight => matches(flight, subscriber.filter)),
+    updated: delta.updated.filter(flight => matches(flight, subscriber.filter)),
+    removed: [...delta.removed, ...left]
+  });
+}
+
+function heartbeat() {
+  for (const subscriber of subscribers) {
+    subscriber.ping?.();
+    subscriber.send('heartbeat', { timestamp: Date.now() });
+  }
+}
+
+function subscribe(subscriber, cursor) {
+  subscribers.add(subscriber);
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(heartbeat, config.stream.heartbeatInterval);
+    heartbeatTimer.unref();
+  }
+  start(subscriber, cursor);
+}
+
+function unsubscribe(subscriber) {
+  subscribers.delete(subscriber);
+  if (subscribers.size === 0 && heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+/**
+ * Push what changed since the last cycle to every subscriber, followed by
+ * the cycle's summary. Called after each ingest cycle.
+ * @param {Object} cycle - { fetched, accepted, pruned } or { error }
+ */
+export function publishCycle(cycle = {}) {
+  if (subscribers.size === 0) {
+    lastCursor = null;
+    return;
+  }
+
+  const state = db.getSyncState();
+  if (currentCursor(state) !== lastCursor) {
+    const delta = getFlightDelta(lastCursor, state);
+    lastCursor = delta.cursor;
+    for (const subscriber of subscribers) {
+      const filtered = filterDelta(subscriber, delta);
+      if (filtered.full || filtered.added.length || filtered.updated.length || filtered.removed.length) {
+        subscriber.send('flights', filtered);
+      }
+    }
+  }
+
+  for (const subscriber of subscribers) {
+    subscriber.send('cycle', { timestamp: Date.now(), ...cycle });
+  }
+}
+
+/**
+ * GET /api/stream: Server-Sent Events. EventSource sends the last cursor
+ * as Last-Event-ID when it reconnects; ?cursor= does the same for the
+ * first connection.
+ */
+export function handleEventStream(req, res) {
+  const filter = parseSubscription(req.query);
+  if (filter.error) {
+    return res.status(400).json({ success: false, error: filter.error });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const subscriber = {
+    filter,
+    send(type, data) {
+      const id = data.cursor ? `id: ${data.cursor}\n` : '';
+      res.write(`event: ${type}\n${id}data: ${JSON.stringify(data)}\n\n`);
+      // Get past the compression middleware's buffering
+      res.flush?.();
+    },
+    close: () => res.end()
+  };
+
+  req.on('close', () => unsubscribe(subscriber));
+  subscribe(subscriber, req.get('Last-Event-ID') || req.query.cursor);
+}
+
+/**
+ * Serve the WebSocket stream on an HTTP server at /api/ws
+ */
+export function attachWebSocketServer(server, path = '/api/ws') {
+  webSocketServer = new WebSocketServer({ server, path });
+
+  webSocketServer.on('connection', (socket, req) => {
+    const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+    const filter = parseSubscription(query);
+    if (filter.error) {
+      socket.close(1008, filter.error);
+      return;
+    }
+
+    let alive = true;
+    const subscriber = {
+      filter,
+      send(type, data) {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify({ type, ...data }));
+      },
+      // Drop connections that stopped answering pings
+      ping() {
+        if (!alive) return socket.terminate();
+        alive = false;
+        socket.ping();
+      },
+      close: () => socket.close(1001, 'Server shutting down')
+    };
+
+    socket.on('pong', () => { alive = true; });
+    socket.on('close', () => unsubscribe(subscriber));
+    socket.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        return subscriber.send('error', { error: 'Messages must be JSON' });
+      }
+      if (!message || message.type !== 'subscribe') {
+        return subscriber.send('error', { error: `Unknown message type: ${message && message.type}` });
+      }
+
+      // Filters read like query parameters; bbox may come as an array
+      const changed = parseSubscription(Object.fromEntries(
+        Object.entries(message).filter(([, value]) => value !== undefined && value !== null).map(([key, value]) => [key, String(value)])
+      ));
+      if (changed.error) {
+        return subscriber.send('error', { error: changed.error });
+      }
+      subscriber.filter = changed;
+      start(subscriber, message.cursor);
+    });
+
+    subscribe(subscriber, query.cursor);
+  });
+
+  return webSocketServer;
+}
+
+/**
+ * Close every stream connection (so the HTTP server can shut down)
+ */
+export function closeStreams() {
+  for (const subscriber of subscribers) {
+    subscriber.close();
+    unsubscribe(subscriber);
+  }
+  if (webSocketServer) {
+    webSocketServer.close();
+    webSocketServer = null;
+  }
+  lastCursor = null;
+}
@@ -0,0 +1,81 @@
+/**
+ * Flight Delta Sync
+ *
+ * Cursors for keeping a copy of the active flights up to date, used by
+ * /api/flights?cursor= and the live stream. A cursor names a change
+ * sequence number in one database ("epoch.sequence"), and the area it
+ * covers if the copy is of an area's flights ("epoch.sequence.area");
+ * clients treat it as opaque.
+ */
+
+import { createHash } from 'crypto';
+import * as db from './database.js';
+import { isInArea } from './area.js';
+
+/**
+ * The cursor suffix naming an area, so a cursor can't be used for
+ * another one
+ */
+function areaTag(area) {
+  return area ? `.${createHash('sha1').update(JSON.stringify(area)).digest('hex').slice(0, 8)}` : '';
+}
+
+/**
+ * The cursor for the latest change
+ * @param {Object} [state] - From getSyncState
+ * @param {Object} [area] - From parseArea, for a copy of that area's flights
+ */
+export function currentCursor(state = db.getSyncState(), area = null) {
+  return `${state.epoch}.${state.sequence}${areaTag(area)}`;
+}
+
+/**
+ * The sequence number a cursor stands for, or null when it's missing,
+ * from another database or area or older than the deltas kept
+ */
+export function parseCursor(cursor, { epoch, sequence, oldest } = db.getSyncState(), area = null) {
+  const match = /^([0-9a-f]+)\.(\d+)(\.[0-9a-f]+)?$/.exec(cursor || '');
+  if (!match || match[1] !== epoch || (match[3] || '') !== areaTag(area)) return null;
+
+  const since = parseInt(match[2], 10);
+  return since >= oldest && since <= sequence ? since : null;
+}
+
+/**
+ * Narrow the changes since a cursor to an area. What the client has isn't
+ * known, so flights that changed outside the area are removed in case they
+ * have just left it; clients ignore removals of flights they don't have.
+ */
+function changesInArea({ added, updated, removed }, area) {
+  const left = updated.filter(flight => !isInArea(flight, area)).map(flight => flight.id);
+  return {
+    added: added.filter(flight => isInArea(flight, area)),
+    updated: updated.filter(flight => isInArea(flight, area)),
+    removed: [...removed, ...left]
+  };
+}
+
+/**
+ * The flights added, updated and removed since a cursor, or all of them
+ * (`full`) when it can't be used
+ * @param {string} cursor
+ * @param {Object} [state] - From getSyncState
+ * @param {Object} [area] - From parseArea, to keep a copy of only the
+ *                          flights in it; flights leaving it are removed
+ * @returns {Object} { cursor, full, added, updated, removed }
+ */
+export function getFlightDelta(cursor, state = db.getSyncState(), area = null) {
+  const since = parseCursor(cursor, state, area);
+  let delta;
+  if (since === null) {
+    const flights = area
+      ? db.getFlightsInBounds(area.bounds).filter(flight => isInArea(flight, area))
+      : db.getAllFlights();
+    delta = { full: true, added: flights, updated: [], removed: [] };
+  } else {
+    const changes = db.getFlightChanges(since);
+    delta = { full: false, ...(area ? changesInArea(changes, area) : changes) };
+  }
+
+  return { cursor: currentCursor(state, area), ...delta };
+}
@@ -0,0 +1,113 @@
+/**
+ * Multi-Source Flight Fusion
+ *
+ * Merges flights reported by several data sources into one record per
+ * aircraft. Position fields come from the freshest report; identity fields
+ * come from the highest-priority source that has them.
+ */
+
+// Fields that describe where the aircraft is right now
+const POSITION_FIELDS = [
+  'latitude', 'longitude', 'altitude', 'heading', 'speed',
+  'verticalRate', 'onGround', 'timestamp',
+  'baroAltitude', 'geoAltitude', 'timePosition', 'lastContact',
+  'positionSource', 'sensors', 'spi'
+];
+
+// Fields that describe which aircraft/flight this is
+const IDENTITY_FIELDS = [
+  'callsign', 'squawk', 'departure', 'arrival', 'aircraftType', 'route', 'originCountry', 'addressType'
+];
+
+function hasValue(flight, field) {
+  const value = flight[field];
+  if (value === undefined || value === null || value === '') return false;
+  // Normalizers fall back to the ICAO address when there is no callsign
+  if (field === 'callsign' && value === flight.id) return false;
+  return true;
+}
+
+/**
+ * Create a fusion engine
+ * @param {Object} options
+ * @param {string[]} options.priority - Source names, most trusted first
+ * @param {number} options.maxAge - Ignore reports older than this (ms)
+ */
+export function createFusion({ priority = [], maxAge = 60 * 1000 } = {}) {
+  const reports = new Map();      // flightId -> Map(source -> flight)
+  const lastEmitted = new Map();  // flightId -> position timestamp last returned
+
+  function rank(source) {
+    const index = priority.indexOf(source);
+    return index === -1 ? priority.length : index;
+  }
+
+  /**
+   * Record the latest flights from one source
+   */
+  function ingest(source, flights) {
+    for (const flight of flights) {
+      if (!reports.has(flight.id)) {
+        reports.set(flight.id, new Map());
+      }
+      reports.get(flight.id).set(source, { ...flight, source });
+    }
+  }
+
+  /**
+   * Merge all current reports for one aircraft
+   */
+  function fuseFlight(id, now) {
+    const bySource = reports.get(id);
+    for (const [source, flight] of bySource) {
+      if (now - flight.timestamp > maxAge) bySource.delete(source);
+    }
+    if (bySource.size === 0) {
+      reports.delete(id);
+      lastEmitted.delete(id);
+      return null;
+    }
+
+    const contributions = [...bySource.values()];
+    const freshest = contributions.reduce((best, flight) =>
+      (flight.timestamp > best.timestamp ? flight : best));
+    const byPriority = [...contributions].sort((a, b) => rank(a.source) - rank(b.source));
+
+    const fused = { id, source: freshest.source };
+    for (const field of POSITION_FIELDS) {
+      fused[field] = freshest[field];
+    }
+    for (const field of IDENTITY_FIELDS) {
+      const provider = byPriority.find(flight => hasValue(flight, field));
+      fused[field] = provider ? provider[field] : (freshest[field] ?? null);
+    }
+    if (!hasValue(fused, 'callsign')) fused.callsign = id;
+
+    fused.sources = byPriority.map(flight => flight.source);
+    return fused;
+  }
+
+  /**
+   * Get fused flights whose position changed since the last call
+   */
+  function fuse(now = Date.now()) {
+    const fused = [];
+    for (const id of [...reports.keys()]) {
+      const flight = fuseFlight(id, now);
+      if (!flight) continue;
+      if (lastEmitted.get(id) === flight.timestamp) continue;
+
+      lastEmitted.set(id, flight.timestamp);
+      fused.push(flight);
+    }
+    return fused;
+  }
+
+  return {
+    ingest,
+    fuse,
+    get size() {
+      return reports.size;
+    }
+  };
+}
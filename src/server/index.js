@@ -13,7 +13,16 @@ import { dirname, join } from 'path';
 import { config } from './config.js';
 import { createApiRouter } from './api.js';
 import { initDatabase, upsertFlights, pruneOldData, getStats, closeDatabase } from './database.js';
-import { fetchFlights, createMockFetcher } from './faa-fetcher.js';
+import { fetchFlights, closeAllSources } from './faa-fetcher.js';
+import { loadPlugins } from './source-registry.js';
+import { isReplayFinished, getReplayTimeScale } from './sources/replay.js';
+import { RateLimitError } from './rate-budget.js';
+import { queueNewFlights, runBackfillQueue } from './trail-backfill.js';
+import { filterTracks } from './track-filter.js';
+import { refreshRegistry } from './aircraft-registry.js';
+import { refreshAirports } from './airports.js';
+import { inferRoutes } from './route-inference.js';
+import { publishCycle, attachWebSocketServer, closeStreams } from './flight-stream.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -45,58 +54,122 @@ initDatabase();
 // Enable with ENABLE_SERVER_FETCH=true for caching/proxy scenarios
 const enableServerFetch = process.env.ENABLE_SERVER_FETCH === 'true';
 
-if (enableServerFetch) {
-  // Determine fetch function based on config
-  let fetchFunc = fetchFlights;
+// Register third-party data source adapters
+if (config.pluginsDir) {
+  const loaded = await loadPlugins(config.pluginsDir);
+  console.log(`Loaded source plugins: ${loaded.join(', ') || 'none'}`);
+}
+
+// Import reference data now, and pick up new copies of its files hourly
+function scheduleRefresh(description, refresh) {
+  const run = async () => {
+    try {
+      const count = await refresh();
+      if (count !== null) {
+        console.log(`Imported ${count} ${description}`);
+      }
+    } catch (error) {
+      console.error(`Error importing ${description}:`, error.message);
+    }
+  };
+
+  run();
+  cron.schedule('0 * * * *', run);
+}
+
+if (config.registry.dir) {
+  scheduleRefresh('aircraft from the FAA registry', () => refreshRegistry());
+}
+if (config.airports.dir) {
+  scheduleRefresh('airports from OurAirports', () => refreshAirports());
+}
 
+if (enableServerFetch) {
   // Use mock data if configured or if we want to test without external API
   if (process.env.USE_MOCK_DATA === 'true') {
     console.log('Using mock flight data');
-    fetchFunc = createMockFetcher(150);
+    config.dataSource = 'mock';
   }
 
-  // Fetch and store flight data
+  // Fetch and store flight data; resolves to false if the fetch failed
   async function updateFlightData() {
     try {
       console.log(`[${new Date().toISOString()}] Fetching flight data...`);
       const startTime = Date.now();
 
-      const flights = await fetchFunc();
+      const flights = await fetchFlights();
       const fetchTime = Date.now() - startTime;
+      let accepted = [];
 
       if (flights.length > 0) {
-        upsertFlights(flights);
+        // Replays faster than real time squeeze recorded time together
+        const timeScale = config.dataSource === 'replay' ? getReplayTimeScale() : 1;
+        accepted = filterTracks(flights, timeScale);
+        upsertFlights(inferRoutes(accepted));
         console.log(`  Fetched ${flights.length} flights in ${fetchTime}ms`);
+        if (accepted.length < flights.length) {
+          console.log(`  Rejected ${flights.length - accepted.length} implausible positions`);
+        }
       } else {
         console.log('  No flights returned from API');
       }
 
+      // Fill in earlier trails while there are credits to spare
+      if (config.backfill.enabled) {
+        if (config.backfill.newFlights) queueNewFlights(flights);
+        const backfilled = await runBackfillQueue();
+        if (backfilled > 0) {
+          console.log(`  Backfilled ${backfilled} trails`);
+        }
+      }
+
       // Prune old data periodically
       const pruneResult = pruneOldData();
       if (pruneResult.prunedFlights > 0) {
         console.log(`  Pruned ${pruneResult.prunedFlights} stale flights`);
       }
+      if (pruneResult.archivedSessions > 0) {
+        console.log(`  Archived ${pruneResult.archivedSessions} flight sessions`);
+      }
+
+      // Push the changes to live stream subscribers
+      publishCycle({ fetched: flights.length, accepted: accepted.length, pruned: pruneResult.prunedFlights });
 
       const stats = getStats();
       console.log(`  DB stats: ${stats.flightCount} flights, ${stats.trailPointCount} trail points`);
+      return true;
     } catch (error) {
-      console.error('Error updating flight data:', error.message);
-      if (error.message.includes('429') || error.message.includes('rate')) {
-        console.log('  Rate limited - will retry on next interval');
+      if (error instanceof RateLimitError) {
+        console.log(`  ${error.message}`);
+      } else {
+        console.error('Error updating flight data:', error.message);
       }
+      publishCycle({ error: error.message });
+      return false;
     }
   }
 
-  // Schedule data fetching
-  const fetchInterval = config.fetchIntervalSeconds;
-  console.log(`Scheduling data fetch every ${fetchInterval} seconds...`);
-
-  // Use node-cron for reliable scheduling
-  const cronExpression = `*/${fetchInterval} * * * * *`;
-  cron.schedule(cronExpression, updateFlightData);
-
-  // Initial fetch
-  updateFlightData();
+  if (config.dataSource === 'replay' && config.replay.speed === 'max') {
+    // Play the recording back-to-back instead of on a schedule
+    console.log('Replaying recording as fast as possible...');
+    (async () => {
+      while (await updateFlightData() && !isReplayFinished()) {
+        // Keep going until the recording ends or a fetch fails
+      }
+      console.log('Replay finished');
+    })();
+  } else {
+    // Schedule data fetching
+    const fetchInterval = config.fetchIntervalSeconds;
+    console.log(`Scheduling data fetch every ${fetchInterval} seconds...`);
+
+    // Use node-cron for reliable scheduling
+    const cronExpression = `*/${fetchInterval} * * * * *`;
+    cron.schedule(cronExpression, updateFlightData);
+
+    // Initial fetch
+    updateFlightData();
+  }
 } else {
   console.log('Server-side fetching disabled (client fetches directly from OpenSky)');
   console.log('Set ENABLE_SERVER_FETCH=true to enable server-side data caching');
@@ -113,16 +186,23 @@ const server = app.listen(config.port, () => {
     console.log(`  GET /api/flights/:id   - Get specific flight`);
     console.log(`  GET /api/flights/:id/trail - Get flight trail history`);
     console.log(`  GET /api/trails        - Get all trails`);
+    console.log(`  GET /api/stream        - Live flight updates (SSE; WebSocket at /api/ws)`);
     console.log(`  GET /api/stats         - Get statistics`);
+    console.log(`  GET /api/sources       - Get data source health`);
   }
   console.log(`  GET /api/config        - Get client configuration`);
   console.log(`Client UI available at http://localhost:${config.port}/`);
 });
 
+// Live flight stream over WebSocket (SSE is served by the API router)
+attachWebSocketServer(server);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down...');
+  closeStreams();
   server.close(() => {
+    closeAllSources();
     closeDatabase();
     process.exit(0);
   });
@@ -130,7 +210,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down...');
+  closeStreams();
   server.close(() => {
+    closeAllSources();
     closeDatabase();
     process.exit(0);
   });
@@ -0,0 +1,57 @@
+/**
+ * Database migration command
+ *
+ *   npm run migrate                Apply pending migrations
+ *   npm run migrate -- --status    Show the schema version and pending migrations
+ *   npm run migrate -- --dry-run   Check the database and list what would be applied
+ *
+ * The server applies pending migrations at startup anyway; this is for
+ * checking a deployed volume before an upgrade.
+ */
+
+import Database from 'better-sqlite3';
+import { existsSync } from 'fs';
+import { config } from './config.js';
+import { migrate, getMigrationStatus } from './migrate.js';
+
+const args = process.argv.slice(2);
+const status = args.includes('--status');
+const dryRun = args.includes('--dry-run');
+const dbPath = config.dbPath;
+
+const describe = ({ version, name }) => `  ${String(version).padStart(3, '0')} ${name}`;
+
+if (!existsSync(dbPath)) {
+  console.log(`No database at ${dbPath}; it will be created at the latest schema version on first start`);
+  process.exit(0);
+}
+
+const db = new Database(dbPath, { readonly: status || dryRun, fileMustExist: true });
+
+try {
+  if (status) {
+    const { current, latest, pending } = getMigrationStatus(db);
+    console.log(`${dbPath}: schema version ${current}, latest ${latest}`);
+    if (current > latest) {
+      console.log('The database is newer than this version of the app');
+    } else if (pending.length > 0) {
+      console.log('Pending migrations:');
+      pending.forEach(migration => console.log(describe(migration)));
+    } else {
+      console.log('Up to date');
+    }
+  } else {
+    const { from, to, migrations } = migrate(db, { dryRun });
+    if (migrations.length === 0) {
+      console.log(`${dbPath}: up to date at schema version ${from}`);
+    } else {
+      console.log(`${dbPath}: ${dryRun ? 'would migrate' : 'migrated'} from schema version ${from} to ${to}`);
+      migrations.forEach(migration => console.log(describe(migration)));
+    }
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,86 @@
+/**
+ * Schema Migrations
+ *
+ * The schema version is the highest migration recorded in schema_version.
+ * Pending migrations are applied in order in one transaction, so a failed
+ * upgrade leaves the database as it was. A database without
+ * schema_version is at version 0; the early migrations tolerate tables
+ * created before schema versioning.
+ */
+
+import { migrations } from './migrations/index.js';
+
+/**
+ * Get the schema version of a database (0 if unversioned)
+ */
+export function getSchemaVersion(db) {
+  const table = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'"
+  ).get();
+  if (!table) return 0;
+
+  return db.prepare('SELECT MAX(version) as version FROM schema_version').get().version || 0;
+}
+
+function checkOrder(list) {
+  list.forEach((migration, i) => {
+    if (migration.version !== i + 1) {
+      throw new Error(`Migration ${migration.name} has version ${migration.version}, expected ${i + 1}`);
+    }
+  });
+}
+
+/**
+ * Report the schema version of a database against the migrations available
+ * @returns {Object} { current, latest, pending: [{ version, name }] }
+ */
+export function getMigrationStatus(db, list = migrations) {
+  checkOrder(list);
+  const current = getSchemaVersion(db);
+
+  return {
+    current,
+    latest: list.length,
+    pending: list.slice(current).map(({ version, name }) => ({ version, name }))
+  };
+}
+
+/**
+ * Bring a database up to the latest schema version. Throws if the database
+ * is newer than these migrations (written by a later version of the app).
+ * @param {Object} options - { dryRun: report what would be applied without applying it }
+ * @returns {Object} { from, to, migrations: [{ version, name }] } applied
+ *                   (or, in a dry run, to be applied)
+ */
+export function migrate(db, { dryRun = false } = {}, list = migrations) {
+  const { current, latest, pending } = getMigrationStatus(db, list);
+
+  if (current > latest) {
+    throw new Error(
+      `Database schema version ${current} is newer than this version of the app supports (${latest}); ` +
+      'upgrade the app or point DB_PATH at another database'
+    );
+  }
+
+  const result = { from: current, to: latest, migrations: pending };
+  if (dryRun || pending.length === 0) return result;
+
+  const upgrade = db.transaction(() => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+    const record = db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)');
+
+    for (const migration of list.slice(current)) {
+      migration.up(db);
+      record.run(migration.version, migration.name, Date.now());
+    }
+  });
+  upgrade();
+
+  return result;
+}
@@ -0,0 +1,41 @@
+/**
+ * Flights and their trails
+ */
+export default {
+  version: 1,
+  name: 'initial-schema',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS flights (
+        id TEXT PRIMARY KEY,
+        callsign TEXT NOT NULL,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        altitude REAL NOT NULL,
+        heading REAL NOT NULL,
+        speed REAL NOT NULL,
+        vertical_rate REAL DEFAULT 0,
+        on_ground INTEGER DEFAULT 0,
+        squawk TEXT,
+        timestamp INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS flight_trails (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        flight_id TEXT NOT NULL,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        altitude REAL NOT NULL,
+        timestamp INTEGER NOT NULL,
+        FOREIGN KEY (flight_id) REFERENCES flights(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_flights_updated ON flights(updated_at);
+      CREATE INDEX IF NOT EXISTS idx_trails_flight_id ON flight_trails(flight_id);
+      CREATE INDEX IF NOT EXISTS idx_trails_timestamp ON flight_trails(timestamp);
+    `);
+  }
+};
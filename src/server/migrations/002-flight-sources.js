@@ -0,0 +1,13 @@
+/**
+ * Every source reporting a fused flight
+ */
+import { addColumn } from './add-column.js';
+
+export default {
+  version: 2,
+  name: 'flight-sources',
+
+  up(db) {
+    addColumn(db, 'flights', 'sources', 'TEXT');
+  }
+};
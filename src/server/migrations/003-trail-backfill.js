@@ -0,0 +1,13 @@
+/**
+ * Mark trail points filled in from OpenSky history
+ */
+import { addColumn } from './add-column.js';
+
+export default {
+  version: 3,
+  name: 'trail-backfill',
+
+  up(db) {
+    addColumn(db, 'flight_trails', 'backfilled', 'INTEGER DEFAULT 0');
+  }
+};
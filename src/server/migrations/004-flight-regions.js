@@ -0,0 +1,13 @@
+/**
+ * Region each flight is in
+ */
+import { addColumn } from './add-column.js';
+
+export default {
+  version: 4,
+  name: 'flight-regions',
+
+  up(db) {
+    addColumn(db, 'flights', 'region', 'TEXT');
+  }
+};
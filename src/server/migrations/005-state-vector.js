@@ -0,0 +1,20 @@
+/**
+ * The rest of the OpenSky state vector and position source metadata
+ */
+import { addColumn } from './add-column.js';
+
+export default {
+  version: 5,
+  name: 'state-vector',
+
+  up(db) {
+    addColumn(db, 'flights', 'origin_country', 'TEXT');
+    addColumn(db, 'flights', 'time_position', 'INTEGER');
+    addColumn(db, 'flights', 'last_contact', 'INTEGER');
+    addColumn(db, 'flights', 'baro_altitude', 'REAL');
+    addColumn(db, 'flights', 'geo_altitude', 'REAL');
+    addColumn(db, 'flights', 'sensors', 'TEXT');
+    addColumn(db, 'flights', 'spi', 'INTEGER DEFAULT 0');
+    addColumn(db, 'flights', 'position_source', 'TEXT');
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Archive of past flights: one row per continuous observation of an
+ * aircraft, with its whole track deflated. Long flights spill their
+ * oldest points into an open (ended = 0) session as they go.
+ */
+import { addColumn } from './add-column.js';
+
+export default {
+  version: 6,
+  name: 'flight-sessions',
+
+  up(db) {
+    addColumn(db, 'flights', 'first_seen', 'INTEGER');
+    addColumn(db, 'flights', 'callsigns', 'TEXT');
+    addColumn(db, 'flights', 'max_altitude', 'REAL');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS flight_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        flight_id TEXT NOT NULL,
+        callsigns TEXT NOT NULL,
+        first_seen INTEGER NOT NULL,
+        last_seen INTEGER NOT NULL,
+        max_altitude REAL,
+        point_count INTEGER NOT NULL,
+        track BLOB NOT NULL,
+        ended INTEGER DEFAULT 0
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sessions_flight_id ON flight_sessions(flight_id);
+      CREATE INDEX IF NOT EXISTS idx_sessions_last_seen ON flight_sessions(last_seen);
+    `);
+  }
+};
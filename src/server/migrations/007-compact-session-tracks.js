@@ -0,0 +1,53 @@
+/**
+ * Store archived tracks delta encoded (see trail-simplify.js) rather than
+ * as JSON rows, which deflate far less well
+ */
+import { deflateSync, inflateSync } from 'zlib';
+
+/**
+ * The trail-simplify.js encoding as this migration shipped with it, so
+ * later changes there can't change what it writes: deltas in the
+ * polyline algorithm's base64 variant
+ */
+function encodeValues(values, factor, stride = 1) {
+  let encoded = '';
+  const previous = new Array(stride).fill(0);
+
+  values.forEach((value, i) => {
+    const rounded = Math.round(value * factor);
+    const delta = rounded - previous[i % stride];
+    previous[i % stride] = rounded;
+
+    let rest = delta < 0 ? -2 * delta - 1 : 2 * delta;
+    while (rest >= 0x20) {
+      encoded += String.fromCharCode((0x20 | (rest % 0x20)) + 63);
+      rest = Math.floor(rest / 0x20);
+    }
+    encoded += String.fromCharCode(rest + 63);
+  });
+
+  return encoded;
+}
+
+function encodeTrail(points) {
+  return {
+    polyline: encodeValues(points.flatMap(p => [p.latitude, p.longitude]), 1e5, 2),
+    altitudes: encodeValues(points.map(p => p.altitude), 1),
+    timestamps: encodeValues(points.map(p => p.timestamp), 1)
+  };
+}
+
+export default {
+  version: 7,
+  name: 'compact-session-tracks',
+
+  up(db) {
+    const update = db.prepare('UPDATE flight_sessions SET track = ? WHERE id = ?');
+
+    for (const { id, track } of db.prepare('SELECT id, track FROM flight_sessions').all()) {
+      const points = JSON.parse(inflateSync(track).toString())
+        .map(([timestamp, latitude, longitude, altitude]) => ({ latitude, longitude, altitude, timestamp }));
+      update.run(deflateSync(JSON.stringify(encodeTrail(points))), id);
+    }
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Aircraft registrations (FAA Releasable Aircraft Database), by Mode S
+ * address, and when they were last imported
+ */
+export default {
+  version: 8,
+  name: 'aircraft-registry',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS aircraft (
+        id TEXT PRIMARY KEY,
+        registration TEXT NOT NULL,
+        manufacturer TEXT,
+        model TEXT,
+        aircraft_type TEXT,
+        engine_type TEXT,
+        registrant TEXT,
+        year_built INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS registry_imports (
+        source TEXT PRIMARY KEY,
+        file_modified INTEGER NOT NULL,
+        imported_at INTEGER NOT NULL,
+        aircraft_count INTEGER NOT NULL
+      );
+    `);
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Airports and runways (OurAirports), the origin and destination airports
+ * inferred for flights and their sessions, and import bookkeeping shared
+ * by the aircraft registry and the airports
+ */
+import { addColumn } from './add-column.js';
+
+export default {
+  version: 9,
+  name: 'airports',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS airports (
+        ident TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        name TEXT,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        elevation REAL,
+        country TEXT,
+        municipality TEXT,
+        icao_code TEXT,
+        iata_code TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_airports_latitude ON airports(latitude);
+      CREATE INDEX IF NOT EXISTS idx_airports_icao_code ON airports(icao_code);
+      CREATE INDEX IF NOT EXISTS idx_airports_iata_code ON airports(iata_code);
+
+      CREATE TABLE IF NOT EXISTS runways (
+        id INTEGER PRIMARY KEY,
+        airport_ident TEXT NOT NULL,
+        length_ft REAL,
+        width_ft REAL,
+        surface TEXT,
+        lighted INTEGER DEFAULT 0,
+        le_ident TEXT,
+        le_latitude REAL,
+        le_longitude REAL,
+        le_elevation REAL,
+        le_heading REAL,
+        he_ident TEXT,
+        he_latitude REAL,
+        he_longitude REAL,
+        he_elevation REAL,
+        he_heading REAL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_runways_airport ON runways(airport_ident);
+
+      ALTER TABLE registry_imports RENAME TO data_imports;
+      ALTER TABLE data_imports RENAME COLUMN aircraft_count TO record_count;
+    `);
+
+    addColumn(db, 'flights', 'origin', 'TEXT');
+    addColumn(db, 'flights', 'destination', 'TEXT');
+    addColumn(db, 'flight_sessions', 'origin', 'TEXT');
+    addColumn(db, 'flight_sessions', 'destination', 'TEXT');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * R*Tree index of each flight's current position, keyed by the flights
+ * table's rowid, for bounding box and radius queries
+ */
+export default {
+  version: 10,
+  name: 'flight-positions-index',
+
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS flight_positions USING rtree(
+        id,
+        min_lat, max_lat,
+        min_lon, max_lon
+      );
+
+      INSERT OR REPLACE INTO flight_positions (id, min_lat, max_lat, min_lon, max_lon)
+      SELECT rowid, latitude, latitude, longitude, longitude
+      FROM flights
+      WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
+    `);
+  }
+};
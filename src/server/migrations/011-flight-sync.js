@@ -0,0 +1,41 @@
+/**
+ * Change sequence numbers for delta syncs of /api/flights: each batch of
+ * updates and each prune takes the next number, flights remember the
+ * numbers they were added and last updated at, and removed flights leave a
+ * tombstone. The epoch tells cursors from a different database apart.
+ */
+import { addColumn } from './add-column.js';
+
+export default {
+  version: 11,
+  name: 'flight-sync',
+
+  up(db) {
+    addColumn(db, 'flights', 'added_seq', 'INTEGER NOT NULL DEFAULT 0');
+    addColumn(db, 'flights', 'updated_seq', 'INTEGER NOT NULL DEFAULT 0');
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_flights_updated_seq ON flights(updated_seq);
+
+      CREATE TABLE IF NOT EXISTS flight_removals (
+        id TEXT PRIMARY KEY,
+        seq INTEGER NOT NULL,
+        removed_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_flight_removals_seq ON flight_removals(seq);
+
+      -- oldest is the earliest sequence number a delta can still be worked
+      -- out from; older cursors need a full resync
+      CREATE TABLE IF NOT EXISTS sync_state (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        epoch TEXT NOT NULL,
+        sequence INTEGER NOT NULL,
+        oldest INTEGER NOT NULL
+      );
+
+      INSERT OR IGNORE INTO sync_state (id, epoch, sequence, oldest)
+      VALUES (1, lower(hex(randomblob(4))), 0, 0);
+    `);
+  }
+};
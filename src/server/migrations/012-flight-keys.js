@@ -0,0 +1,28 @@
+/**
+ * Integer keys for flights, for the R*Tree index of their positions. The
+ * index was keyed by the flights table's implicit rowid, which VACUUM may
+ * renumber as flights has a TEXT primary key; an INTEGER PRIMARY KEY
+ * keeps its values.
+ */
+export default {
+  version: 12,
+  name: 'flight-keys',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS flight_keys (
+        key INTEGER PRIMARY KEY,
+        flight_id TEXT NOT NULL UNIQUE
+      );
+
+      INSERT OR IGNORE INTO flight_keys (flight_id) SELECT id FROM flights;
+
+      DELETE FROM flight_positions;
+      INSERT INTO flight_positions (id, min_lat, max_lat, min_lon, max_lon)
+      SELECT k.key, f.latitude, f.latitude, f.longitude, f.longitude
+      FROM flights f
+      JOIN flight_keys k ON k.flight_id = f.id
+      WHERE f.latitude IS NOT NULL AND f.longitude IS NOT NULL;
+    `);
+  }
+};
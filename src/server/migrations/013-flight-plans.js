@@ -0,0 +1,17 @@
+/**
+ * Filed flight plans from FAA SWIM: the departure and arrival airports,
+ * aircraft type and route
+ */
+import { addColumn } from './add-column.js';
+
+export default {
+  version: 13,
+  name: 'flight-plans',
+
+  up(db) {
+    addColumn(db, 'flights', 'plan_departure', 'TEXT');
+    addColumn(db, 'flights', 'plan_arrival', 'TEXT');
+    addColumn(db, 'flights', 'plan_aircraft_type', 'TEXT');
+    addColumn(db, 'flights', 'plan_route', 'TEXT');
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * The kind of address a flight's ID is: 'icao' for an ICAO 24-bit
+ * address, 'non-icao' for the anonymous or TIS-B addresses readsb marks
+ */
+import { addColumn } from './add-column.js';
+
+export default {
+  version: 14,
+  name: 'address-type',
+
+  up(db) {
+    addColumn(db, 'flights', 'address_type', 'TEXT');
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Add a column unless the table already has it. Databases from before
+ * schema versioning may already have some of the later columns.
+ */
+export function addColumn(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Schema migrations, in order. Add new ones at the end with the next
+ * version number; never change one that has been released.
+ */
+
+import initialSchema from './001-initial-schema.js';
+import flightSources from './002-flight-sources.js';
+import trailBackfill from './003-trail-backfill.js';
+import flightRegions from './004-flight-regions.js';
+import stateVector from './005-state-vector.js';
+import flightSessions from './006-flight-sessions.js';
+import compactSessionTracks from './007-compact-session-tracks.js';
+import aircraftRegistry from './008-aircraft-registry.js';
+import airports from './009-airports.js';
+import flightPositionsIndex from './010-flight-positions-index.js';
+import flightSync from './011-flight-sync.js';
+import flightKeys from './012-flight-keys.js';
+import flightPlans from './013-flight-plans.js';
+import addressType from './014-address-type.js';
+
+export const migrations = [
+  initialSchema,
+  flightSources,
+  trailBackfill,
+  flightRegions,
+  stateVector,
+  flightSessions,
+  compactSessionTracks,
+  aircraftRegistry,
+  airports,
+  flightPositionsIndex,
+  flightSync,
+  flightKeys,
+  flightPlans,
+  addressType
+];
@@ -0,0 +1,489 @@
+/**
+ * Raw Mode S / ADS-B Decoder
+ *
+ * Decodes DF17/DF18 extended squitters received as AVR hex lines
+ * (`*8D...;`) or Beast binary frames, and tracks aircraft state including
+ * CPR position resolution. Output uses the same normalized flight format
+ * as the other data sources.
+ */
+
+import { createTcpClient, createLineSplitter } from './tcp-client.js';
+
+const CRC24_GENERATOR = 0x1FFF409;
+const CALLSIGN_CHARSET = '#ABCDEFGHIJKLMNOPQRSTUVWXYZ##### ###############0123456789######';
+
+// CPR constants for airborne positions
+const CPR_NZ = 15;
+const CPR_MAX = 131072;  // 2^17
+const CPR_PAIR_MAX_AGE = 10 * 1000;  // Even/odd pair must be within 10 seconds
+const LOCAL_REFERENCE_MAX_AGE = 10 * 60 * 1000;
+
+/**
+ * Compute the Mode S CRC-24 over all but the last 3 bytes of a frame
+ */
+export function crc24(bytes) {
+  let crc = 0;
+  for (let i = 0; i < bytes.length - 3; i++) {
+    crc ^= bytes[i] << 16;
+    for (let bit = 0; bit < 8; bit++) {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= CRC24_GENERATOR;
+    }
+  }
+  return crc & 0xFFFFFF;
+}
+
+function parity(bytes) {
+  const n = bytes.length;
+  return (bytes[n - 3] << 16) | (bytes[n - 2] << 8) | bytes[n - 1];
+}
+
+/**
+ * Read `length` bits starting at 1-based bit position `start`
+ */
+function bits(bytes, start, length) {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    const pos = start - 1 + i;
+    const bit = (bytes[pos >> 3] >> (7 - (pos & 7))) & 1;
+    value = value * 2 + bit;
+  }
+  return value;
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+function toHex(value, digits) {
+  return value.toString(16).padStart(digits, '0');
+}
+
+/**
+ * Parse an AVR line (`*<hex>;` or `@<12 hex timestamp><hex>;`) into frame bytes
+ */
+export function parseAvrLine(line) {
+  if (!line) return null;
+  const match = /^[*@:]([0-9a-fA-F]+);/.exec(line.trim());
+  if (!match) return null;
+
+  let hex = match[1];
+  if (line.trim()[0] !== '*') {
+    hex = hex.slice(12);  // Strip MLAT timestamp
+  }
+  if (hex.length !== 14 && hex.length !== 28) return null;
+
+  return hexToBytes(hex);
+}
+
+/**
+ * Create a parser for the Beast binary protocol.
+ * Frames are <1a><type><6 byte timestamp><1 byte signal><payload>,
+ * with any 0x1a inside the frame doubled.
+ */
+export function createBeastParser(onFrame) {
+  const payloadLengths = { 0x31: 2, 0x32: 7, 0x33: 14 };
+  let pending = [];
+
+  return {
+    push(chunk) {
+      for (const byte of chunk) pending.push(byte);
+
+      let i = 0;
+      while (i < pending.length) {
+        if (pending[i] !== 0x1a) {
+          i++;
+          continue;
+        }
+
+        const type = pending[i + 1];
+        if (type === undefined) break;
+
+        const payloadLength = payloadLengths[type];
+        if (!payloadLength) {
+          i++;
+          continue;
+        }
+
+        // Unescape timestamp + signal + payload
+        const frame = [];
+        let j = i + 2;
+        while (frame.length < 7 + payloadLength && j < pending.length) {
+          if (pending[j] === 0x1a) {
+            if (pending[j + 1] === undefined) break;
+            if (pending[j + 1] !== 0x1a) break;  // Start of a new frame: this one is corrupt
+            j++;
+          }
+          frame.push(pending[j]);
+          j++;
+        }
+
+        if (frame.length < 7 + payloadLength) {
+          if (j >= pending.length - 1) break;  // Need more data
+          i = j;  // Corrupt frame, resync on next 0x1a
+          continue;
+        }
+
+        if (type !== 0x31) {
+          onFrame(Uint8Array.from(frame.slice(7)));
+        }
+        i = j;
+      }
+
+      pending = pending.slice(i);
+    }
+  };
+}
+
+/**
+ * Decode the 12-bit altitude field of an airborne position message (feet)
+ */
+function decodeAltitude(code) {
+  if (code === 0) return null;
+
+  const qBit = (code >> 4) & 1;
+  if (qBit) {
+    const n = ((code & 0xFE0) >> 1) | (code & 0x0F);
+    return n * 25 - 1000;
+  }
+
+  // Gillham (Gray) coded altitude in 100 ft increments
+  // Bit layout: C1 A1 C2 A2 C4 A4 B1 Q B2 D2 B4 D4
+  const bit = n => (code >> (11 - n)) & 1;
+  const [c1, a1, c2, a2, c4, a4, b1, , b2, d2, b4, d4] = Array.from({ length: 12 }, (_, n) => bit(n));
+
+  const grayToBinary = (gray) => {
+    let value = 0;
+    for (; gray; gray >>= 1) value ^= gray;
+    return value;
+  };
+
+  const n500 = grayToBinary((d2 << 7) | (d4 << 6) | (a1 << 5) | (a2 << 4) | (a4 << 3) | (b1 << 2) | (b2 << 1) | b4);
+  let n100 = grayToBinary((c1 << 2) | (c2 << 1) | c4);
+
+  if (n100 === 0 || n100 === 5 || n100 === 6) return null;
+  if (n100 === 7) n100 = 5;
+  if (n500 % 2) n100 = 6 - n100;
+
+  return n500 * 500 + n100 * 100 - 1300;
+}
+
+function decodeCallsign(bytes) {
+  let callsign = '';
+  for (let i = 0; i < 8; i++) {
+    callsign += CALLSIGN_CHARSET[bits(bytes, 41 + i * 6, 6)];
+  }
+  return callsign.replace(/#/g, '').trim();
+}
+
+function decodeVelocity(bytes) {
+  const subtype = bits(bytes, 38, 3);
+  const verticalRateSign = bits(bytes, 69, 1);
+  const verticalRateRaw = bits(bytes, 70, 9);
+  const verticalRate = verticalRateRaw
+    ? (verticalRateRaw - 1) * 64 * (verticalRateSign ? -1 : 1)
+    : null;
+
+  if (subtype === 1 || subtype === 2) {
+    const multiplier = subtype === 2 ? 4 : 1;
+    const ewRaw = bits(bytes, 47, 10);
+    const nsRaw = bits(bytes, 58, 10);
+    if (!ewRaw || !nsRaw) return { verticalRate };
+
+    const vEastWest = (ewRaw - 1) * multiplier * (bits(bytes, 46, 1) ? -1 : 1);
+    const vNorthSouth = (nsRaw - 1) * multiplier * (bits(bytes, 57, 1) ? -1 : 1);
+    const track = (Math.atan2(vEastWest, vNorthSouth) * 180 / Math.PI + 360) % 360;
+
+    return {
+      groundSpeed: Math.sqrt(vEastWest ** 2 + vNorthSouth ** 2),
+      track,
+      verticalRate
+    };
+  }
+
+  // Airspeed and magnetic heading, not ground speed and track
+  if (subtype === 3 || subtype === 4) {
+    const velocity = {};
+    if (bits(bytes, 46, 1)) {
+      velocity.magneticHeading = bits(bytes, 47, 10) * 360 / 1024;
+    }
+    const airspeedRaw = bits(bytes, 58, 10);
+    if (airspeedRaw) {
+      velocity.airspeed = (airspeedRaw - 1) * (subtype === 4 ? 4 : 1);
+      velocity.airspeedType = bits(bytes, 57, 1) ? 'TAS' : 'IAS';
+    }
+    velocity.verticalRate = verticalRate;
+    return velocity;
+  }
+
+  return null;
+}
+
+/**
+ * Decode a single Mode S frame.
+ * Returns null for frames that fail CRC or carry nothing we use.
+ */
+export function decodeFrame(frame) {
+  const bytes = typeof frame === 'string' ? hexToBytes(frame) : frame;
+  if (!bytes || bytes.length !== 14) return null;
+
+  const df = bits(bytes, 1, 5);
+  if (df !== 17 && df !== 18) return null;
+  if (crc24(bytes) !== parity(bytes)) return null;
+
+  // DF18 CF=0 (non-transponder ADS-B) and CF=6 (ADS-R) carry real ICAO addresses
+  if (df === 18) {
+    const cf = bits(bytes, 6, 3);
+    if (cf !== 0 && cf !== 6) return null;
+  }
+
+  const icao = toHex(bits(bytes, 9, 24), 6);
+  const tc = bits(bytes, 33, 5);
+  const message = { df, icao, tc };
+
+  if (tc >= 1 && tc <= 4) {
+    message.callsign = decodeCallsign(bytes);
+  } else if (tc >= 5 && tc <= 8) {
+    message.onGround = true;
+  } else if ((tc >= 9 && tc <= 18) || (tc >= 20 && tc <= 22)) {
+    message.onGround = false;
+    message.altitude = decodeAltitude(bits(bytes, 41, 12));
+    message.altitudeType = tc <= 18 ? 'baro' : 'geo';
+    message.cpr = {
+      odd: bits(bytes, 54, 1) === 1,
+      lat: bits(bytes, 55, 17) / CPR_MAX,
+      lon: bits(bytes, 72, 17) / CPR_MAX
+    };
+  } else if (tc === 19) {
+    const velocity = decodeVelocity(bytes);
+    if (!velocity) return null;
+    Object.assign(message, velocity);
+  } else {
+    return null;
+  }
+
+  return message;
+}
+
+/**
+ * Number of longitude zones for a latitude
+ */
+export function cprNL(lat) {
+  const absLat = Math.abs(lat);
+  if (absLat === 0) return 59;
+  if (absLat === 87) return 2;
+  if (absLat > 87) return 1;
+
+  const a = 1 - Math.cos(Math.PI / (2 * CPR_NZ));
+  const b = Math.cos(Math.PI / 180 * absLat) ** 2;
+  return Math.floor(2 * Math.PI / Math.acos(1 - a / b));
+}
+
+function mod(a, b) {
+  return ((a % b) + b) % b;
+}
+
+/**
+ * Globally unambiguous airborne position from an even/odd CPR pair
+ */
+export function cprGlobalPosition(even, odd, latestIsOdd) {
+  const dLatEven = 360 / (4 * CPR_NZ);
+  const dLatOdd = 360 / (4 * CPR_NZ - 1);
+
+  const j = Math.floor(59 * even.lat - 60 * odd.lat + 0.5);
+
+  let latEven = dLatEven * (mod(j, 60) + even.lat);
+  let latOdd = dLatOdd * (mod(j, 59) + odd.lat);
+  if (latEven >= 270) latEven -= 360;
+  if (latOdd >= 270) latOdd -= 360;
+
+  // Both messages must fall in the same longitude zone band
+  if (cprNL(latEven) !== cprNL(latOdd)) return null;
+
+  const lat = latestIsOdd ? latOdd : latEven;
+  const nl = cprNL(lat);
+  const ni = Math.max(nl - (latestIsOdd ? 1 : 0), 1);
+  const m = Math.floor(even.lon * (nl - 1) - odd.lon * nl + 0.5);
+
+  let lon = (360 / ni) * (mod(m, ni) + (latestIsOdd ? odd.lon : even.lon));
+  if (lon >= 180) lon -= 360;
+
+  return { latitude: lat, longitude: lon };
+}
+
+/**
+ * Airborne position from a single CPR message relative to a nearby reference
+ */
+export function cprLocalPosition(cpr, refLat, refLon) {
+  const i = cpr.odd ? 1 : 0;
+  const dLat = 360 / (4 * CPR_NZ - i);
+  const j = Math.floor(refLat / dLat) + Math.floor(0.5 + mod(refLat, dLat) / dLat - cpr.lat);
+  const lat = dLat * (j + cpr.lat);
+
+  const dLon = 360 / Math.max(cprNL(lat) - i, 1);
+  const m = Math.floor(refLon / dLon) + Math.floor(0.5 + mod(refLon, dLon) / dLon - cpr.lon);
+  let lon = dLon * (m + cpr.lon);
+  if (lon >= 180) lon -= 360;
+
+  return { latitude: lat, longitude: lon };
+}
+
+/**
+ * Create a decoder that tracks aircraft state across frames
+ */
+export function createModeSDecoder(options = {}) {
+  const maxAge = options.maxAge || 60 * 1000;
+  const receiver = options.receiverLat !== undefined && options.receiverLon !== undefined &&
+    options.receiverLat !== null && options.receiverLon !== null
+    ? { lat: options.receiverLat, lon: options.receiverLon }
+    : null;
+  const aircraft = new Map();  // icao -> record
+
+  function resolvePosition(record, cpr, receivedAt) {
+    const key = cpr.odd ? 'oddCpr' : 'evenCpr';
+    record[key] = { ...cpr, time: receivedAt };
+
+    const other = cpr.odd ? record.evenCpr : record.oddCpr;
+    if (other && receivedAt - other.time <= CPR_PAIR_MAX_AGE) {
+      const position = cprGlobalPosition(record.evenCpr, record.oddCpr, cpr.odd);
+      if (position) return position;
+    }
+
+    if (record.lastPosition !== undefined && receivedAt - record.lastPosition <= LOCAL_REFERENCE_MAX_AGE) {
+      return cprLocalPosition(cpr, record.latitude, record.longitude);
+    }
+
+    if (receiver) {
+      return cprLocalPosition(cpr, receiver.lat, receiver.lon);
+    }
+
+    return null;
+  }
+
+  function ingest(frame, receivedAt = Date.now()) {
+    // Accept frame bytes, bare hex or AVR lines
+    const message = decodeFrame(typeof frame === 'string' ? (parseAvrLine(frame) || frame) : frame);
+    if (!message) return null;
+
+    let record = aircraft.get(message.icao);
+    if (!record) {
+      record = { icao: message.icao, messages: 0 };
+      aircraft.set(message.icao, record);
+    }
+    record.messages++;
+    record.lastSeen = receivedAt;
+
+    if (message.callsign) record.callsign = message.callsign;
+    if (message.onGround !== undefined) record.onGround = message.onGround;
+    if (message.altitude !== undefined && message.altitude !== null) record.altitude = message.altitude;
+    if (message.groundSpeed !== undefined) record.groundSpeed = message.groundSpeed;
+    if (message.track !== undefined) record.track = message.track;
+    if (message.airspeed !== undefined) {
+      record.airspeed = message.airspeed;
+      record.airspeedType = message.airspeedType;
+    }
+    if (message.magneticHeading !== undefined) record.magneticHeading = message.magneticHeading;
+    if (message.verticalRate !== undefined && message.verticalRate !== null) {
+      record.verticalRate = message.verticalRate;
+    }
+
+    if (message.cpr) {
+      const position = resolvePosition(record, message.cpr, receivedAt);
+      if (position) {
+        record.latitude = position.latitude;
+        record.longitude = position.longitude;
+        record.lastPosition = receivedAt;
+      }
+    }
+
+    return message;
+  }
+
+  function prune(now = Date.now()) {
+    for (const [icao, record] of aircraft) {
+      if (now - record.lastSeen > maxAge) {
+        aircraft.delete(icao);
+      }
+    }
+  }
+
+  /**
+   * Get all aircraft with a resolved position
+   */
+  function getAircraft(now = Date.now()) {
+    prune(now);
+    return [...aircraft.values()]
+      .filter(record => record.lastPosition !== undefined)
+      .map(({ evenCpr, oddCpr, ...record }) => record);
+  }
+
+  return {
+    ingest,
+    prune,
+    getAircraft,
+    get size() {
+      return aircraft.size;
+    }
+  };
+}
+
+/**
+ * Normalize a decoded Mode S aircraft record to common format
+ */
+export function normalizeModeSFlight(record) {
+  if (!record || !record.icao) return null;
+  if (record.latitude === undefined || record.longitude === undefined) return null;
+
+  return {
+    id: record.icao,
+    callsign: record.callsign || record.icao,
+    latitude: record.latitude,
+    longitude: record.longitude,
+    altitude: record.altitude || 0,
+    heading: record.track || 0,
+    speed: record.groundSpeed ? Math.round(record.groundSpeed) : 0,
+    verticalRate: record.verticalRate || 0,
+    onGround: record.onGround || false,
+    squawk: null,  // Not carried in extended squitters
+    timestamp: record.lastPosition,
+    source: 'modes'
+  };
+}
+
+/**
+ * Connect to a raw Mode S TCP feed (AVR on port 30002 or Beast on 30005)
+ * and pass each frame to onFrame.
+ */
+export function createModeSClient({ host, port, format = 'beast', onFrame, onError, reconnectDelay = 5000 }) {
+  let parser;
+  let flush = () => {};
+
+  if (format === 'avr') {
+    const splitter = createLineSplitter((line) => {
+      const frame = parseAvrLine(line);
+      if (frame) onFrame(frame);
+    });
+    parser = splitter;
+    flush = () => splitter.flush();
+  } else if (format === 'beast') {
+    parser = createBeastParser(onFrame);
+  } else {
+    throw new Error(`Unknown Mode S format: ${format}`);
+  }
+
+  return createTcpClient({
+    host,
+    port,
+    reconnectDelay,
+    onError,
+    onData: chunk => parser.push(chunk),
+    onDisconnect: () => {
+      flush();
+      if (format === 'beast') parser = createBeastParser(onFrame);
+    }
+  });
+}
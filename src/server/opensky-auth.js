@@ -0,0 +1,73 @@
+/**
+ * OpenSky Network OAuth2 Client Credentials
+ *
+ * Acquires bearer tokens with the client_credentials grant and refreshes
+ * them shortly before they expire.
+ */
+
+/**
+ * Create a token provider
+ * @param {Object} options
+ * @param {string} options.tokenUrl - OAuth2 token endpoint
+ * @param {string} options.clientId
+ * @param {string} options.clientSecret
+ * @param {number} options.refreshMargin - Refresh this many ms before expiry
+ */
+export function createTokenProvider({ tokenUrl, clientId, clientSecret, refreshMargin = 30 * 1000 }) {
+  let token = null;
+  let expiresAt = 0;
+  let pending = null;
+
+  async function requestToken() {
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: clientId,
+      client_secret: clientSecret
+    });
+
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: body.toString()
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenSky token error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (!data.access_token) {
+      throw new Error('OpenSky token error: no access_token in response');
+    }
+
+    token = data.access_token;
+    expiresAt = Date.now() + (data.expires_in || 300) * 1000;
+    return token;
+  }
+
+  return {
+    /**
+     * Get a valid access token, requesting a new one if needed.
+     * Concurrent callers share a single token request.
+     */
+    async getToken() {
+      if (token && Date.now() < expiresAt - refreshMargin) {
+        return token;
+      }
+      if (!pending) {
+        pending = requestToken().finally(() => {
+          pending = null;
+        });
+      }
+      return pending;
+    },
+
+    /**
+     * Forget the current token (e.g. after a 401)
+     */
+    invalidate() {
+      token = null;
+      expiresAt = 0;
+    }
+  };
+}
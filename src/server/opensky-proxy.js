@@ -0,0 +1,192 @@
+/**
+ * OpenSky-Compatible Proxy
+ *
+ * Answers /api/opensky/states/all with the same query parameters and
+ * response as OpenSky's /states/all, so browsers can point their OpenSky
+ * base URL at this server instead of each spending their own rate limit
+ * (and reaching opensky-network.org through corporate proxies).
+ *
+ * Requests inside the configured regions are answered from the flights
+ * the server fetcher stored, while it is fetching. Anything else goes
+ * upstream: identical requests in flight at the same time share one
+ * upstream request, and its answer is reused for a few seconds.
+ */
+
+import { config } from './config.js';
+import * as db from './database.js';
+import opensky, { fetchOpenSkyStates, POSITION_SOURCES } from './sources/opensky.js';
+import { resolveSourceConfig } from './source-registry.js';
+import { getSourceHealth } from './faa-fetcher.js';
+import { resolveRegions, containsPoint } from './regions.js';
+import { creditCost } from './rate-budget.js';
+
+const FEET_PER_METER = 3.28084;
+const KNOTS_PER_MS = 1.944;
+const FPM_PER_MS = 196.85;
+
+const round2 = value => Math.round(value * 100) / 100;
+const toMeters = feet => (feet === null || feet === undefined ? null : round2(feet / FEET_PER_METER));
+const toSeconds = ms => (ms ? Math.floor(ms / 1000) : null);
+
+// Upstream requests in flight, and recent answers, by query string
+const inFlight = new Map();
+const recent = new Map();
+
+// Resolved REGIONS, kept until the setting changes
+let regions = null;
+let regionsKey = null;
+
+/**
+ * Read the /states/all query parameters: the lamin, lomin, lamax and
+ * lomax bounding box, icao24 (repeatable), time and extended
+ * @returns {Object} { bounds, icao24, time, extended, params } or { error };
+ *                   params is the query normalized for the upstream request
+ */
+export function parseStatesQuery(query) {
+  const names = ['lamin', 'lomin', 'lamax', 'lomax'];
+  const params = new URLSearchParams();
+
+  let bounds = null;
+  if (names.some(name => query[name] !== undefined)) {
+    const [minLat, minLon, maxLat, maxLon] = names.map(name => (query[name] === undefined ? NaN : Number(query[name])));
+    if (![minLat, minLon, maxLat, maxLon].every(Number.isFinite) || minLat > maxLat || minLon > maxLon ||
+        Math.abs(minLat) > 90 || Math.abs(maxLat) > 90 || Math.abs(minLon) > 180 || Math.abs(maxLon) > 180) {
+      return { error: 'lamin, lomin, lamax and lomax must all be given, in degrees' };
+    }
+    bounds = { minLat, maxLat, minLon, maxLon };
+    names.forEach((name, i) => params.set(name, [minLat, minLon, maxLat, maxLon][i]));
+  }
+
+  let icao24 = null;
+  if (query.icao24 !== undefined) {
+    icao24 = [...new Set([query.icao24].flat().map(id => String(id).trim().toLowerCase()))].sort();
+    if (!icao24.every(id => /^[0-9a-f]{6}$/.test(id))) {
+      return { error: 'icao24 must be 6 hex digits' };
+    }
+    icao24.forEach(id => params.append('icao24', id));
+  }
+
+  let time = null;
+  if (query.time !== undefined && query.time !== '0') {
+    time = parseInt(query.time, 10);
+    if (!(time > 0)) {
+      return { error: 'time must be Unix seconds' };
+    }
+    params.set('time', time);
+  }
+
+  const extended = query.extended === '1' || query.extended === 'true';
+  if (extended) params.set('extended', '1');
+
+  return { bounds, icao24: icao24 && new Set(icao24), time, extended, params };
+}
+
+/**
+ * Convert a stored flight back to an OpenSky state vector (see
+ * normalizeOpenSkyFlight); `extended` adds the aircraft category, which
+ * we don't know (0)
+ */
+export function flightToState(flight, extended = false) {
+  const state = [
+    flight.id.toLowerCase(),
+    flight.callsign && flight.callsign !== flight.id ? flight.callsign.padEnd(8) : null,
+    flight.originCountry || '',
+    toSeconds(flight.timePosition ?? flight.timestamp),
+    toSeconds(flight.lastContact ?? flight.timestamp),
+    flight.longitude,
+    flight.latitude,
+    toMeters(flight.baroAltitude ?? (flight.onGround ? null : flight.altitude)),
+    Boolean(flight.onGround),
+    round2(flight.speed / KNOTS_PER_MS),
+    flight.heading,
+    round2(flight.verticalRate / FPM_PER_MS),
+    flight.sensors ?? null,
+    toMeters(flight.geoAltitude),
+    flight.squawk ?? null,
+    Boolean(flight.spi),
+    Math.max(POSITION_SOURCES.indexOf(flight.positionSource), 0)
+  ];
+  if (extended) state.push(0);
+  return state;
+}
+
+/**
+ * Whether the stored flights can answer for an area: the fetcher has
+ * stored some lately and the area lies inside one of the regions
+ */
+function cacheCovers(bounds) {
+  if (!bounds) return false;
+
+  const fetchedSince = Date.now() - config.openskyProxy.maxCacheAge;
+  if (!getSourceHealth().some(source => source.lastSuccess && source.lastSuccess >= fetchedSince)) return false;
+
+  const key = JSON.stringify(config.regions);
+  if (!regions || regionsKey !== key) {
+    regions = resolveRegions(config.regions);
+    regionsKey = key;
+  }
+
+  const { minLat, maxLat, minLon, maxLon } = bounds;
+  const corners = [[minLat, minLon], [minLat, maxLon], [maxLat, minLon], [maxLat, maxLon]];
+  return regions.some(region => corners.every(([lat, lon]) => containsPoint(region, lat, lon)));
+}
+
+/**
+ * Ask OpenSky, sharing requests in flight and recent answers
+ * @returns {Object} { body, cached }
+ */
+async function fetchUpstream(params, bounds) {
+  const key = params.toString();
+  const now = Date.now();
+  for (const [stored, { fetchedAt }] of recent) {
+    if (now - fetchedAt >= config.openskyProxy.upstreamCacheAge) recent.delete(stored);
+  }
+
+  if (recent.has(key)) {
+    return { body: recent.get(key).body, cached: true };
+  }
+
+  if (!inFlight.has(key)) {
+    const credits = { cost: creditCost(bounds), reserve: config.openskyProxy.reserveCredits };
+    inFlight.set(key, fetchOpenSkyStates(params, resolveSourceConfig(opensky), credits)
+      .then(body => {
+        recent.set(key, { fetchedAt: Date.now(), body });
+        return body;
+      })
+      .finally(() => inFlight.delete(key)));
+  }
+
+  return { body: await inFlight.get(key), cached: false };
+}
+
+/**
+ * Answer a /states/all request
+ * @param {Object} request - From parseStatesQuery
+ * @returns {Object} { body: { time, states }, source: 'cache' or 'upstream', cached }
+ */
+export async function getStates({ bounds, icao24, time, extended, params }) {
+  if (!time && cacheCovers(bounds)) {
+    const states = db.getFlightsInBounds(bounds)
+      .filter(flight => !icao24 || icao24.has(flight.id.toLowerCase()))
+      .map(flight => flightToState(flight, extended));
+
+    // OpenSky answers null rather than an empty list
+    return {
+      body: { time: Math.floor(Date.now() / 1000), states: states.length > 0 ? states : null },
+      source: 'cache',
+      cached: true
+    };
+  }
+
+  const { body, cached } = await fetchUpstream(params, bounds);
+  return { body, source: 'upstream', cached };
+}
+
+/**
+ * Forget recent upstream answers and the resolved regions (for testing)
+ */
+export function resetOpenSkyProxy() {
+  inFlight.clear();
+  recent.clear();
+  regions = null;
+}
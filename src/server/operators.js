@@ -0,0 +1,104 @@
+/**
+ * Aircraft Operators
+ *
+ * ICAO three-letter operator designators (airline name, country and radio
+ * telephony callsign) and a parser that splits callsigns such as UAL123
+ * into operator and flight number. The table ships with the major
+ * operators seen over North America; OPERATORS_FILE adds to or overrides
+ * it with a CSV file in the same format.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+
+const BUILTIN_FILE = fileURLToPath(new URL('./data/operators.csv', import.meta.url));
+
+// Three letters and a flight number of up to four characters, starting
+// with a digit (UAL123, BAW12AB). Registrations like N123AB don't match.
+const ICAO_CALLSIGN = /^([A-Z]{3})(\d[A-Z0-9]{0,3})$/;
+
+let operators = null;
+
+/**
+ * Parse an operator CSV file: designator,name,country,telephony
+ */
+export function parseOperators(text) {
+  const [header, ...lines] = text.split(/\r?\n/);
+  if (header.trim() !== 'designator,name,country,telephony') {
+    throw new Error('Operator file must start with the header designator,name,country,telephony');
+  }
+
+  const table = new Map();
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const [designator, name, country, telephony] = line.split(',').map(value => value.trim());
+    if (!/^[A-Z]{3}$/.test(designator)) {
+      throw new Error(`Invalid operator designator on line ${i + 2}: ${designator}`);
+    }
+    table.set(designator, {
+      designator,
+      name: name || null,
+      country: country || null,
+      telephony: telephony || null
+    });
+  });
+
+  return table;
+}
+
+function getOperators() {
+  if (!operators) {
+    operators = parseOperators(readFileSync(BUILTIN_FILE, 'utf8'));
+    if (config.operatorsFile) {
+      for (const [designator, operator] of parseOperators(readFileSync(config.operatorsFile, 'utf8'))) {
+        operators.set(designator, operator);
+      }
+    }
+  }
+  return operators;
+}
+
+/**
+ * Look up an operator by designator; unknown designators get an entry
+ * with no name so flights can still be grouped by them
+ */
+export function getOperator(designator) {
+  const code = designator.toUpperCase();
+  return getOperators().get(code) || { designator: code, name: null, country: null, telephony: null };
+}
+
+/**
+ * All known operators
+ */
+export function listOperators() {
+  return [...getOperators().values()];
+}
+
+/**
+ * Split a callsign into operator and flight number
+ * @param {string} callsign
+ * @param {string} [id] - The aircraft's address, which sources without a
+ *                        callsign report in its place
+ * @returns {Object} { operator, flightNumber }, both null for callsigns
+ *                   that aren't an operator's flight (registrations)
+ */
+export function parseCallsign(callsign, id) {
+  const value = (callsign || '').trim().toUpperCase();
+  const match = value && value !== (id || '').toUpperCase() && ICAO_CALLSIGN.exec(value);
+  if (!match) {
+    return { operator: null, flightNumber: null };
+  }
+
+  return {
+    operator: getOperator(match[1]),
+    flightNumber: match[2].replace(/^0+(?=.)/, '')
+  };
+}
+
+/**
+ * Forget the loaded table (tests)
+ */
+export function resetOperators() {
+  operators = null;
+}
@@ -0,0 +1,142 @@
+/**
+ * API Credit Budgeting
+ *
+ * Tracks the remaining OpenSky API credits reported by the server and
+ * spreads them over the rest of the day, stretching the fetch interval
+ * before the quota runs out.
+ */
+
+/**
+ * Error thrown when a request is skipped or refused because of rate limits
+ */
+export class RateLimitError extends Error {
+  constructor(message, retryAt) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Credits charged by OpenSky for a /states/all request over an area
+ * @param {Object} bounds - { minLat, maxLat, minLon, maxLon }
+ */
+export function creditCost(bounds) {
+  if (!bounds) return 4;  // Global request
+  const area = (bounds.maxLat - bounds.minLat) * (bounds.maxLon - bounds.minLon);
+  if (area <= 25) return 1;
+  if (area <= 100) return 2;
+  if (area <= 400) return 3;
+  return 4;
+}
+
+/**
+ * Start of the next UTC day, when OpenSky resets daily credits
+ */
+function nextReset(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+/**
+ * Create a rate budget
+ * @param {Object} options
+ * @param {number} options.baseIntervalSeconds - Shortest allowed interval
+ * @param {number} options.dailyCredits - Quota assumed until the server reports one
+ */
+export function createRateBudget({ baseIntervalSeconds, dailyCredits = null }) {
+  let remaining = null;
+  let retryAfterUntil = 0;
+  let lastRequest = 0;
+
+  /**
+   * Milliseconds between requests that spends the remaining credits evenly
+   * until the daily reset
+   */
+  function getInterval(cost = 1, now = Date.now()) {
+    const base = baseIntervalSeconds * 1000;
+    const credits = remaining ?? dailyCredits;
+    if (credits === null) return base;
+
+    const untilReset = nextReset(now) - now;
+    const requestsLeft = Math.floor(credits / cost);
+    if (requestsLeft <= 0) return Math.max(base, untilReset);
+
+    return Math.max(base, Math.ceil(untilReset / requestsLeft));
+  }
+
+  /**
+   * Earliest time the next request may be made
+   */
+  function nextRequestAt(cost = 1, now = Date.now()) {
+    if (!lastRequest) return Math.max(retryAfterUntil, now);
+    return Math.max(retryAfterUntil, lastRequest + getInterval(cost, now));
+  }
+
+  return {
+    getInterval,
+    nextRequestAt,
+
+    /**
+     * Whether a request may be made now. Allows a little slack so a
+     * scheduler firing every base interval isn't skipped by jitter.
+     */
+    canRequest(cost = 1, now = Date.now()) {
+      return now + 500 >= nextRequestAt(cost, now);
+    },
+
+    recordRequest(now = Date.now()) {
+      lastRequest = now;
+    },
+
+    /**
+     * Whether an occasional request outside the polling schedule may spend
+     * `cost` credits and still leave `reserve` credits for polling
+     */
+    canSpend(cost = 1, reserve = 0, now = Date.now()) {
+      if (retryAfterUntil > now) return false;
+      const credits = remaining ?? dailyCredits;
+      return credits === null || credits - cost >= reserve;
+    },
+
+    /**
+     * Count credits spent outside the polling schedule until the server
+     * reports the remaining credits again; the polling interval stretches
+     * to match
+     */
+    spend(cost = 1) {
+      const credits = remaining ?? dailyCredits;
+      if (credits !== null) remaining = Math.max(0, credits - cost);
+    },
+
+    /**
+     * Update from X-Rate-Limit-* response headers
+     * @param {Headers} headers - fetch Response headers
+     */
+    updateFromHeaders(headers, now = Date.now()) {
+      const remainingHeader = headers.get('x-rate-limit-remaining');
+      if (remainingHeader !== null && remainingHeader !== '') {
+        const value = parseInt(remainingHeader, 10);
+        if (!Number.isNaN(value)) remaining = value;
+      }
+
+      const retryAfter = headers.get('x-rate-limit-retry-after-seconds');
+      if (retryAfter !== null && retryAfter !== '') {
+        const seconds = parseInt(retryAfter, 10);
+        if (!Number.isNaN(seconds)) {
+          retryAfterUntil = now + seconds * 1000;
+          remaining = null;  // Credits are back once the wait is over
+        }
+      }
+    },
+
+    status(cost = 1, now = Date.now()) {
+      return {
+        remainingCredits: remaining,
+        intervalSeconds: Math.round(getInterval(cost, now) / 1000),
+        retryAfter: retryAfterUntil > now ? retryAfterUntil : null,
+        nextRequestAt: nextRequestAt(cost, now)
+      };
+    }
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Raw Payload Recorder
+ *
+ * Writes every raw payload received from a data source to rotating NDJSON
+ * files, one line per payload:
+ *
+ *   {"source":"opensky","receivedAt":1710428530000,"data":{...}}
+ *
+ * Recordings are played back with the `replay` data source.
+ */
+
+import { appendFileSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { readdir, readFile, stat } from 'fs/promises';
+import { join } from 'path';
+
+const FILE_PREFIX = 'recording-';
+const FILE_EXTENSION = '.ndjson';
+
+function isRecordingFile(name) {
+  return name.startsWith(FILE_PREFIX) && name.endsWith(FILE_EXTENSION);
+}
+
+/**
+ * Create a recorder
+ * @param {Object} options
+ * @param {string} options.dir - Directory for recording files
+ * @param {number} options.maxFileBytes - Start a new file once this size is reached
+ * @param {number} options.rotateInterval - Start a new file after this many ms
+ * @param {number} options.maxFiles - Delete the oldest files beyond this count (0 keeps all)
+ */
+export function createRecorder({ dir, maxFileBytes = 100 * 1024 * 1024, rotateInterval = 60 * 60 * 1000, maxFiles = 0 }) {
+  let currentFile = null;
+  let openedAt = 0;
+  let bytesWritten = 0;
+
+  mkdirSync(dir, { recursive: true });
+
+  function pruneOldFiles() {
+    if (!maxFiles) return;
+    const files = readdirSync(dir).filter(isRecordingFile).sort();
+    for (const name of files.slice(0, Math.max(0, files.length - maxFiles))) {
+      unlinkSync(join(dir, name));
+    }
+  }
+
+  function rotate(now) {
+    // Timestamped names sort chronologically; ':' is not allowed on every filesystem
+    const stamp = new Date(now).toISOString().replace(/:/g, '-');
+    let name = `${FILE_PREFIX}${stamp}${FILE_EXTENSION}`;
+    for (let i = 1; currentFile === join(dir, name); i++) {
+      name = `${FILE_PREFIX}${stamp}-${i}${FILE_EXTENSION}`;
+    }
+
+    currentFile = join(dir, name);
+    openedAt = now;
+    bytesWritten = 0;
+  }
+
+  return {
+    /**
+     * Append raw payloads from one source
+     * @param {string} source - Source name
+     * @param {Object[]} payloads - { data, receivedAt } envelopes
+     */
+    record(source, payloads, now = Date.now()) {
+      const rotating = !currentFile || bytesWritten >= maxFileBytes || now - openedAt >= rotateInterval;
+      if (rotating) rotate(now);
+
+      const lines = payloads
+        .map(({ data, receivedAt }) => JSON.stringify({ source, receivedAt, data }) + '\n')
+        .join('');
+
+      appendFileSync(currentFile, lines);
+      bytesWritten += Buffer.byteLength(lines);
+      if (rotating) pruneOldFiles();
+    },
+
+    get currentFile() {
+      return currentFile;
+    }
+  };
+}
+
+/**
+ * List the recording files at a path, oldest first.
+ * The path may be a single file or a directory of recordings.
+ */
+export async function listRecordingFiles(path) {
+  if (!(await stat(path)).isDirectory()) {
+    return [path];
+  }
+  return (await readdir(path))
+    .filter(isRecordingFile)
+    .sort()
+    .map(name => join(path, name));
+}
+
+/**
+ * Read the entries of one recording file, ordered by receivedAt.
+ * Malformed lines (e.g. a truncated last line after a crash) are skipped.
+ */
+export async function readRecordingFile(file) {
+  const lines = (await readFile(file, 'utf8')).split('\n');
+  const entries = [];
+  let skipped = 0;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (typeof entry.source === 'string' && typeof entry.receivedAt === 'number') {
+        entries.push(entry);
+        continue;
+      }
+    } catch {
+      // Fall through to count the line as skipped
+    }
+    skipped++;
+  }
+
+  if (skipped > 0) {
+    console.error(`Skipped ${skipped} malformed line(s) in recording ${file}`);
+  }
+
+  // Stable sort keeps payloads received in the same millisecond in order
+  return entries.sort((a, b) => a.receivedAt - b.receivedAt);
+}
@@ -0,0 +1,196 @@
+/**
+ * Geographic Regions
+ *
+ * Named areas of interest, given as a bounding box or a polygon of
+ * [latitude, longitude] vertices. The OpenSky source covers them with
+ * request tiles, and every flight is tagged with the region it is in.
+ */
+
+import { readFileSync } from 'fs';
+import { creditCost } from './rate-budget.js';
+
+export const BUILTIN_REGIONS = {
+  conus: {
+    bounds: { minLat: 24.396308, maxLat: 49.384358, minLon: -125.0, maxLon: -66.93457 }
+  },
+  // Mainland and the Aleutians east of the antimeridian, without western Canada
+  alaska: {
+    polygon: [
+      [71.6, -156.8], [69.6, -141.0], [60.3, -141.0], [59.8, -137.5], [58.9, -137.5],
+      [56.0, -130.0], [54.6, -130.6], [54.3, -133.5], [51.0, -170.0], [51.0, -180.0],
+      [56.0, -180.0], [65.5, -169.0], [68.9, -167.0]
+    ]
+  },
+  hawaii: {
+    bounds: { minLat: 18.7, maxLat: 22.4, minLon: -160.5, maxLon: -154.6 }
+  },
+  // Puerto Rico and the US Virgin Islands
+  'puerto-rico': {
+    bounds: { minLat: 17.6, maxLat: 18.8, minLon: -67.6, maxLon: -64.4 }
+  }
+};
+
+// Largest area in square degrees a request may cover for each credit tier
+const TIER_AREA = { 1: 25, 2: 100, 3: 400 };
+
+function isBounds(bounds) {
+  return bounds && ['minLat', 'maxLat', 'minLon', 'maxLon'].every(key => typeof bounds[key] === 'number') &&
+    bounds.minLat < bounds.maxLat && bounds.minLon < bounds.maxLon;
+}
+
+function polygonBounds(polygon) {
+  const lats = polygon.map(([lat]) => lat);
+  const lons = polygon.map(([, lon]) => lon);
+  return {
+    minLat: Math.min(...lats),
+    maxLat: Math.max(...lats),
+    minLon: Math.min(...lons),
+    maxLon: Math.max(...lons)
+  };
+}
+
+/**
+ * Validate a region definition and fill in the bounds of a polygon
+ */
+export function createRegion({ name, bounds, polygon }) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Invalid region: name is required');
+  }
+  if (polygon !== undefined) {
+    if (!Array.isArray(polygon) || polygon.length < 3 ||
+        !polygon.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))) {
+      throw new Error(`Invalid region ${name}: polygon must be at least 3 [latitude, longitude] points`);
+    }
+    return { name, bounds: bounds || polygonBounds(polygon), polygon };
+  }
+  if (!isBounds(bounds)) {
+    throw new Error(`Invalid region ${name}: needs bounds { minLat, maxLat, minLon, maxLon } or a polygon`);
+  }
+  return { name, bounds };
+}
+
+/**
+ * Resolve configured regions. Each entry is a region object, the name of
+ * a built-in region or the path of a JSON file holding a region or an
+ * array of regions.
+ */
+export function resolveRegions(entries) {
+  return entries.flatMap(entry => {
+    if (typeof entry !== 'string') return [createRegion(entry)];
+
+    if (entry.endsWith('.json')) {
+      const contents = JSON.parse(readFileSync(entry, 'utf8'));
+      return (Array.isArray(contents) ? contents : [contents]).map(createRegion);
+    }
+
+    const builtin = BUILTIN_REGIONS[entry];
+    if (!builtin) {
+      throw new Error(`Unknown region: ${entry} (built in: ${Object.keys(BUILTIN_REGIONS).join(', ')})`);
+    }
+    return [createRegion({ name: entry, ...builtin })];
+  });
+}
+
+function inBounds(bounds, latitude, longitude) {
+  return latitude >= bounds.minLat && latitude <= bounds.maxLat &&
+    longitude >= bounds.minLon && longitude <= bounds.maxLon;
+}
+
+/**
+ * Ray casting point-in-polygon test
+ */
+function inPolygon(polygon, latitude, longitude) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    if ((latI > latitude) !== (latJ > latitude) &&
+        longitude < (lonJ - lonI) * (latitude - latI) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a position lies within a region
+ */
+export function containsPoint(region, latitude, longitude) {
+  if (latitude === null || longitude === null || !inBounds(region.bounds, latitude, longitude)) {
+    return false;
+  }
+  return !region.polygon || inPolygon(region.polygon, latitude, longitude);
+}
+
+/**
+ * Name of the first region containing a position, or null
+ */
+export function findRegion(regions, latitude, longitude) {
+  const region = regions.find(r => containsPoint(r, latitude, longitude));
+  return region ? region.name : null;
+}
+
+function segmentsCross([a1, a2], [b1, b2]) {
+  const side = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+  return side(a1, a2, b1) !== side(a1, a2, b2) && side(b1, b2, a1) !== side(b1, b2, a2);
+}
+
+/**
+ * Whether a tile overlaps a region's polygon at all
+ */
+function tileTouchesPolygon(bounds, polygon) {
+  const { minLat, maxLat, minLon, maxLon } = bounds;
+  const corners = [[minLat, minLon], [minLat, maxLon], [maxLat, maxLon], [maxLat, minLon]];
+
+  if (corners.some(([lat, lon]) => inPolygon(polygon, lat, lon))) return true;
+  if (polygon.some(([lat, lon]) => inBounds(bounds, lat, lon))) return true;
+
+  const tileEdges = corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+  return polygon.some((point, i) => {
+    const edge = [point, polygon[(i + 1) % polygon.length]];
+    return tileEdges.some(tileEdge => segmentsCross(edge, tileEdge));
+  });
+}
+
+/**
+ * Cover regions with request tiles no larger than the `tileCredits`
+ * credit tier allows. Tier 4 has no size limit, so each region is one
+ * tile; lower tiers give smaller, cheaper requests but usually spend more
+ * credits per sweep. Tiles outside a region's polygon are dropped.
+ * @returns {Array} [{ id, region, bounds, cost }]
+ */
+export function planTiles(regions, tileCredits = 4) {
+  const maxArea = TIER_AREA[tileCredits];
+  const tiles = [];
+
+  for (const region of regions) {
+    const { minLat, maxLat, minLon, maxLon } = region.bounds;
+    const height = maxLat - minLat;
+    const width = maxLon - minLon;
+
+    if (!maxArea || height * width <= maxArea) {
+      tiles.push({ id: region.name, region: region.name, bounds: region.bounds, cost: creditCost(region.bounds) });
+      continue;
+    }
+
+    const side = Math.sqrt(maxArea);
+    const rows = Math.ceil(height / side);
+    const cols = Math.ceil(width / side);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const bounds = {
+          minLat: minLat + row * height / rows,
+          maxLat: minLat + (row + 1) * height / rows,
+          minLon: minLon + col * width / cols,
+          maxLon: minLon + (col + 1) * width / cols
+        };
+        if (region.polygon && !tileTouchesPolygon(bounds, region.polygon)) continue;
+        // Capped at the tier: rounding can leave the area a hair over its limit
+        const cost = Math.min(creditCost(bounds), tileCredits);
+        tiles.push({ id: `${region.name}:${row}:${col}`, region: region.name, bounds, cost });
+      }
+    }
+  }
+
+  return tiles;
+}
@@ -0,0 +1,33 @@
+/**
+ * Aircraft registry import command
+ *
+ *   npm run registry:import                  Import from AIRCRAFT_REGISTRY_DIR
+ *   npm run registry:import -- <directory>   Import from a directory
+ *
+ * The directory holds MASTER.txt and ACFTREF.txt, unzipped from the FAA's
+ * ReleasableAircraft.zip. The server re-imports them by itself when
+ * MASTER.txt changes; this forces an import, e.g. while it isn't running.
+ */
+
+import { config } from './config.js';
+import { initDatabase, closeDatabase } from './database.js';
+import { importRegistry } from './aircraft-registry.js';
+
+const dir = process.argv[2] || config.registry.dir;
+
+if (!dir) {
+  console.error('Set AIRCRAFT_REGISTRY_DIR or pass the directory holding MASTER.txt and ACFTREF.txt');
+  process.exit(1);
+}
+
+initDatabase();
+
+try {
+  const count = await importRegistry(dir);
+  console.log(`Imported ${count} aircraft from ${dir}`);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  closeDatabase();
+}
@@ -0,0 +1,93 @@
+/**
+ * Origin and Destination Inference
+ *
+ * Names the airports flights come from and go to, from where they are
+ * seen on the ground or low near an airport: on the ground or climbing
+ * out early in a session gives the origin, descending or landing after
+ * flying higher gives the destination. Near several airports, those with
+ * a runway lined up with the flight's track win.
+ */
+
+import { config } from './config.js';
+import { getAirportsInBounds, getRouteState, hasAirports } from './database.js';
+import { distanceNm } from './track-filter.js';
+
+const NM_PER_DEGREE = 60;
+
+// Nothing higher could be near an airport (the highest are around 14,000 ft)
+const MAX_AIRPORT_ALTITUDE = 18000;
+
+function headingDifference(a, b) {
+  const difference = Math.abs(a - b) % 360;
+  return difference > 180 ? 360 - difference : difference;
+}
+
+/**
+ * The airport a flight is at or close to: within `radius` nm and, unless
+ * on the ground, less than `maxHeight` ft above it. Airborne flights
+ * prefer airports with a runway within `runwayAlignment` degrees of their
+ * heading.
+ * @returns {Object|null} The airport, or null if there's none near
+ */
+export function findNearbyAirport(flight, limits = config.airports) {
+  const { radius, maxHeight, runwayAlignment } = limits;
+  const latSpan = radius / NM_PER_DEGREE;
+  const lonSpan = radius / (NM_PER_DEGREE * Math.max(Math.cos(flight.latitude * Math.PI / 180), 0.01));
+
+  let best = null;
+  let bestScore = Infinity;
+  for (const airport of getAirportsInBounds({
+    minLat: flight.latitude - latSpan,
+    maxLat: flight.latitude + latSpan,
+    minLon: flight.longitude - lonSpan,
+    maxLon: flight.longitude + lonSpan
+  })) {
+    const distance = distanceNm(flight.latitude, flight.longitude, airport.latitude, airport.longitude);
+    if (distance > radius) continue;
+    if (!flight.onGround && flight.altitude - (airport.elevation || 0) > maxHeight) continue;
+
+    const aligned = !flight.onGround &&
+      airport.runwayHeadings.some(heading => headingDifference(heading, flight.heading) <= runwayAlignment);
+    const score = aligned ? distance - radius : distance;
+    if (score < bestScore) {
+      best = airport;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Work out a flight's origin and destination from its new position
+ * @param {Object} flight - The new position
+ * @param {Object} [previous] - What we know from earlier positions
+ *                              ({ firstSeen, maxAltitude, origin }, see getRouteState)
+ * @returns {Object} { origin, destination }: airport idents, or null
+ */
+export function inferRoute(flight, previous, limits = config.airports) {
+  const route = { origin: null, destination: null };
+  if (!flight.onGround && flight.altitude > MAX_AIRPORT_ALTITUDE) return route;
+
+  const verticalRate = flight.verticalRate || 0;
+  const departing = !previous || (!previous.origin && flight.timestamp - previous.firstSeen <= limits.departureWindow);
+  const climbedAbove = previous && previous.maxAltitude - flight.altitude > limits.minDescent;
+
+  if (departing && (flight.onGround || verticalRate >= 0)) {
+    route.origin = findNearbyAirport(flight, limits)?.ident ?? null;
+  } else if (climbedAbove && (flight.onGround || verticalRate < 0)) {
+    route.destination = findNearbyAirport(flight, limits)?.ident ?? null;
+  }
+
+  return route;
+}
+
+/**
+ * Add the origin and destination inferred from each flight's position
+ * (does nothing until airports have been imported)
+ */
+export function inferRoutes(flights) {
+  if (!hasAirports()) return flights;
+
+  return flights.map(flight => ({ ...flight, ...inferRoute(flight, getRouteState(flight.id)) }));
+}
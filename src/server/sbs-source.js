@@ -0,0 +1,176 @@
+/**
+ * SBS-1 / BaseStation Data Source
+ *
+ * Reads the comma-separated BaseStation format emitted by dump1090/readsb
+ * on TCP port 30003 and assembles the partial MSG,1..MSG,8 messages into
+ * full aircraft records keyed by ICAO hex address.
+ */
+
+import { createTcpClient, createLineSplitter } from './tcp-client.js';
+
+// BaseStation field positions (0-based)
+const FIELD = {
+  messageType: 0,
+  transmissionType: 1,
+  hexIdent: 4,
+  callsign: 10,
+  altitude: 11,
+  groundSpeed: 12,
+  track: 13,
+  latitude: 14,
+  longitude: 15,
+  verticalRate: 16,
+  squawk: 17,
+  alert: 18,
+  emergency: 19,
+  spi: 20,
+  onGround: 21
+};
+
+function parseNumber(value) {
+  if (value === undefined || value === '') return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : undefined;
+}
+
+function parseFlag(value) {
+  if (value === undefined || value === '') return undefined;
+  // dump1090 writes -1 for true, some decoders write 1
+  return value !== '0';
+}
+
+/**
+ * Parse a single BaseStation line into the fields it carries.
+ * Returns null for anything that is not a usable MSG line.
+ */
+export function parseSbsLine(line) {
+  if (!line) return null;
+
+  const parts = line.trim().split(',');
+  if (parts[FIELD.messageType] !== 'MSG' || parts.length < 11) return null;
+
+  const transmissionType = parseInt(parts[FIELD.transmissionType], 10);
+  const hex = (parts[FIELD.hexIdent] || '').trim().toLowerCase();
+  if (!hex || !(transmissionType >= 1 && transmissionType <= 8)) return null;
+
+  const message = { transmissionType, hex };
+
+  const callsign = (parts[FIELD.callsign] || '').trim();
+  if (callsign) message.callsign = callsign;
+
+  const squawk = (parts[FIELD.squawk] || '').trim();
+  if (squawk) message.squawk = squawk;
+
+  const numericFields = ['altitude', 'groundSpeed', 'track', 'latitude', 'longitude', 'verticalRate'];
+  for (const name of numericFields) {
+    const value = parseNumber(parts[FIELD[name]]);
+    if (value !== undefined) message[name] = value;
+  }
+
+  const flagFields = ['alert', 'emergency', 'spi', 'onGround'];
+  for (const name of flagFields) {
+    const value = parseFlag(parts[FIELD[name]]);
+    if (value !== undefined) message[name] = value;
+  }
+
+  return message;
+}
+
+/**
+ * Create an assembler that merges partial SBS messages per aircraft
+ */
+export function createSbsAssembler(options = {}) {
+  const maxAge = options.maxAge || 60 * 1000;
+  const aircraft = new Map();  // hex -> record
+
+  function ingest(message, receivedAt = Date.now()) {
+    if (typeof message === 'string') {
+      message = parseSbsLine(message);
+    }
+    if (!message) return null;
+
+    let record = aircraft.get(message.hex);
+    if (!record) {
+      record = { hex: message.hex, messages: 0 };
+      aircraft.set(message.hex, record);
+    }
+
+    const { transmissionType, hex, ...fields } = message;
+    Object.assign(record, fields);
+    record.messages++;
+    record.lastSeen = receivedAt;
+
+    if (fields.latitude !== undefined && fields.longitude !== undefined) {
+      record.lastPosition = receivedAt;
+    }
+
+    return record;
+  }
+
+  function prune(now = Date.now()) {
+    for (const [hex, record] of aircraft) {
+      if (now - record.lastSeen > maxAge) {
+        aircraft.delete(hex);
+      }
+    }
+  }
+
+  /**
+   * Get all aircraft that have enough data to be placed on the map
+   */
+  function getAircraft(now = Date.now()) {
+    prune(now);
+    return [...aircraft.values()]
+      .filter(record => record.lastPosition !== undefined)
+      .map(record => ({ ...record }));
+  }
+
+  return {
+    ingest,
+    prune,
+    getAircraft,
+    get size() {
+      return aircraft.size;
+    }
+  };
+}
+
+/**
+ * Normalize an assembled SBS aircraft record to common format
+ */
+export function normalizeSbsFlight(record) {
+  if (!record || !record.hex) return null;
+  if (record.latitude === undefined || record.longitude === undefined) return null;
+
+  return {
+    id: record.hex,
+    callsign: record.callsign || record.hex,
+    latitude: record.latitude,
+    longitude: record.longitude,
+    altitude: record.altitude || 0,  // already in feet
+    heading: record.track || 0,
+    speed: record.groundSpeed ? Math.round(record.groundSpeed) : 0,  // already in knots
+    verticalRate: record.verticalRate || 0,  // already in ft/min
+    onGround: record.onGround || false,
+    squawk: record.squawk || null,
+    timestamp: record.lastPosition,
+    source: 'sbs'
+  };
+}
+
+/**
+ * Connect to a BaseStation TCP feed and pass each complete line to onLine.
+ * Reconnects automatically until close() is called.
+ */
+export function createSbsClient({ host, port, onLine, onError, reconnectDelay = 5000 }) {
+  const splitter = createLineSplitter(onLine);
+
+  return createTcpClient({
+    host,
+    port,
+    reconnectDelay,
+    onError,
+    onData: chunk => splitter.push(chunk),
+    onDisconnect: () => splitter.flush()
+  });
+}
@@ -0,0 +1,556 @@
+/**
+ * Scripted Flight Scenarios
+ *
+ * Deterministic simulation of scripted aircraft for tests and demos.
+ * A scenario is a JSON or YAML document:
+ *
+ *   name: Bay Area demo
+ *   seed: 42                  # seeds the background traffic
+ *   duration: 1800            # seconds; the scenario ends after this
+ *   aircraft:
+ *     - id: a1b2c3
+ *       callsign: UAL123
+ *       squawk: "4521"
+ *       start: { at: 0, latitude: 37.61, longitude: -122.36, heading: 284 }
+ *       script:               # maneuvers, flown one after another
+ *         - { type: takeoff, altitude: 5000 }
+ *         - { type: direct, latitude: 37.8, longitude: -122.6 }
+ *       events:               # instantaneous changes at scenario times
+ *         - { at: 300, squawk: "7700" }
+ *         - { at: 400, signalLoss: 60 }
+ *   traffic: { count: 20, bounds: {...}, altitude: [10000, 38000], speed: [250, 480] }
+ *
+ * Maneuvers: takeoff, fly, direct, hold and approach (optionally with a
+ * go-around). The simulation advances in fixed one-second steps, so the
+ * same scenario and seed always produce the same flights at the same
+ * scenario time, however often it is polled.
+ */
+
+import { readFile } from 'fs/promises';
+import { extname, join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { distanceNm, toRadians } from './track-filter.js';
+
+const SCENARIOS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'scenarios');
+
+const TICK = 1;               // Seconds per simulation step
+const TURN_RATE = 3;          // Degrees per second (standard rate turn)
+const AIR_ACCELERATION = 2;   // Knots per second
+const GROUND_ACCELERATION = 5;
+const GROUND_DECELERATION = 4;
+const FEET_PER_NM = 6076.12;
+const ARRIVAL_RADIUS = 0.5;   // nm; a fix counts as reached inside this
+
+const MANEUVERS = ['takeoff', 'fly', 'direct', 'hold', 'approach'];
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {number|string} seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+export function createRng(seed) {
+  let state = typeof seed === 'string' ? hashString(seed) : (seed >>> 0);
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(text) {
+  let hash = 0x811c9dc5;  // FNV-1a
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalizeHeading(heading) {
+  return ((heading % 360) + 360) % 360;
+}
+
+/**
+ * Signed smallest turn from one heading to another, in (-180, 180]
+ */
+function headingDelta(from, to) {
+  const delta = normalizeHeading(to - from);
+  return delta > 180 ? delta - 360 : delta;
+}
+
+function bearingTo(lat1, lon1, lat2, lon2) {
+  const dLat = lat2 - lat1;
+  const dLon = (lon2 - lon1) * Math.cos(toRadians((lat1 + lat2) / 2));
+  return normalizeHeading(Math.atan2(dLon, dLat) * 180 / Math.PI);
+}
+
+function offsetPoint(latitude, longitude, bearing, nm) {
+  return {
+    latitude: latitude + (nm * Math.cos(toRadians(bearing))) / 60,
+    longitude: longitude + (nm * Math.sin(toRadians(bearing))) / (60 * Math.cos(toRadians(latitude)))
+  };
+}
+
+function fail(path, message) {
+  throw new Error(`Invalid scenario: ${path}: ${message}`);
+}
+
+function requireNumber(object, key, path) {
+  if (typeof object[key] !== 'number' || Number.isNaN(object[key])) {
+    fail(path, `${key} must be a number`);
+  }
+}
+
+/**
+ * Check a scenario definition, throwing a descriptive error on the first problem
+ */
+export function validateScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object') {
+    throw new Error('Invalid scenario: expected an object');
+  }
+  if (!Array.isArray(scenario.aircraft) && !scenario.traffic) {
+    throw new Error('Invalid scenario: needs an aircraft list or traffic');
+  }
+
+  const ids = new Set();
+  (scenario.aircraft || []).forEach((aircraft, i) => {
+    const path = `aircraft[${i}]`;
+    if (!aircraft.id) fail(path, 'id is required');
+    if (ids.has(aircraft.id)) fail(path, `duplicate id ${aircraft.id}`);
+    ids.add(aircraft.id);
+
+    if (!aircraft.start) fail(path, 'start is required');
+    requireNumber(aircraft.start, 'latitude', `${path}.start`);
+    requireNumber(aircraft.start, 'longitude', `${path}.start`);
+
+    (aircraft.script || []).forEach((maneuver, j) => {
+      const stepPath = `${path}.script[${j}]`;
+      if (!MANEUVERS.includes(maneuver.type)) {
+        fail(stepPath, `unknown maneuver "${maneuver.type}"`);
+      }
+      if (maneuver.type === 'direct' || maneuver.type === 'hold' || maneuver.type === 'approach') {
+        requireNumber(maneuver, 'latitude', stepPath);
+        requireNumber(maneuver, 'longitude', stepPath);
+      }
+      if (maneuver.type === 'approach') requireNumber(maneuver, 'heading', stepPath);
+      if (maneuver.type === 'hold') requireNumber(maneuver, 'inboundCourse', stepPath);
+    });
+
+    (aircraft.events || []).forEach((event, j) => {
+      requireNumber(event, 'at', `${path}.events[${j}]`);
+    });
+  });
+
+  if (scenario.traffic) {
+    requireNumber(scenario.traffic, 'count', 'traffic');
+    if (!scenario.traffic.bounds) fail('traffic', 'bounds is required');
+  }
+
+  return scenario;
+}
+
+/**
+ * Load a scenario file (.json, .yaml or .yml). A bare name such as
+ * "bay-area" refers to a scenario bundled in src/server/scenarios.
+ */
+export async function loadScenario(nameOrPath) {
+  let path = nameOrPath;
+  if (!extname(nameOrPath) && !nameOrPath.includes('/')) {
+    path = join(SCENARIOS_DIR, `${nameOrPath}.yaml`);
+  }
+
+  const text = await readFile(path, 'utf8');
+  const extension = extname(path).toLowerCase();
+  const scenario = extension === '.yaml' || extension === '.yml'
+    ? YAML.parse(text)
+    : JSON.parse(text);
+
+  return validateScenario(scenario);
+}
+
+function createAircraft(definition) {
+  const { start } = definition;
+  const script = definition.script || [];
+  const altitude = start.altitude ?? 0;
+  const speed = start.speed ?? 0;
+  const heading = start.heading ?? 0;
+
+  return {
+    id: definition.id,
+    callsign: definition.callsign || null,
+    squawk: definition.squawk || null,
+    startAt: start.at ?? 0,
+    latitude: start.latitude,
+    longitude: start.longitude,
+    altitude,
+    heading,
+    speed,
+    verticalRate: 0,
+    onGround: start.onGround ?? (script[0]?.type === 'takeoff'),
+    targetAltitude: altitude,
+    climbRate: 1500,
+    targetHeading: heading,
+    turnDirection: 0,
+    targetSpeed: speed,
+    script,
+    step: 0,
+    phase: null,
+    events: [...(definition.events || [])].sort((a, b) => a.at - b.at),
+    nextEvent: 0,
+    hiddenUntil: -Infinity,
+    removed: false
+  };
+}
+
+/**
+ * Point the aircraft at a position; returns the distance to it in nm
+ */
+function steerTo(aircraft, latitude, longitude) {
+  aircraft.targetHeading = bearingTo(aircraft.latitude, aircraft.longitude, latitude, longitude);
+  aircraft.turnDirection = 0;
+  return distanceNm(aircraft.latitude, aircraft.longitude, latitude, longitude);
+}
+
+/**
+ * Apply a maneuver's altitude, climb rate and speed targets
+ */
+function setTargets(aircraft, maneuver) {
+  if (maneuver.altitude !== undefined) aircraft.targetAltitude = maneuver.altitude;
+  if (maneuver.rate !== undefined) aircraft.climbRate = maneuver.rate;
+  if (maneuver.speed !== undefined) aircraft.targetSpeed = maneuver.speed;
+}
+
+// Each maneuver updates the aircraft's targets for one step and returns
+// true once it is complete. `phase` holds the maneuver's own state.
+const maneuvers = {
+  takeoff(aircraft, maneuver) {
+    const rotateSpeed = maneuver.rotateSpeed ?? 150;
+    if (!aircraft.phase) {
+      aircraft.phase = { name: aircraft.onGround ? 'roll' : 'climb' };
+      if (maneuver.heading !== undefined) aircraft.heading = maneuver.heading;
+      aircraft.targetHeading = aircraft.heading;
+      aircraft.turnDirection = 0;
+    }
+
+    if (aircraft.phase.name === 'roll') {
+      aircraft.targetSpeed = rotateSpeed;
+      if (aircraft.speed >= rotateSpeed) {
+        aircraft.onGround = false;
+        aircraft.phase.name = 'climb';
+      }
+      return false;
+    }
+
+    aircraft.targetAltitude = maneuver.altitude ?? 5000;
+    aircraft.climbRate = maneuver.climbRate ?? 2500;
+    aircraft.targetSpeed = maneuver.speed ?? 250;
+    return aircraft.altitude >= aircraft.targetAltitude;
+  },
+
+  fly(aircraft, maneuver) {
+    if (!aircraft.phase) {
+      aircraft.phase = { elapsed: 0 };
+      if (maneuver.heading !== undefined) {
+        aircraft.targetHeading = normalizeHeading(maneuver.heading);
+        aircraft.turnDirection = maneuver.turn === 'left' ? -1 : (maneuver.turn === 'right' ? 1 : 0);
+      }
+      setTargets(aircraft, maneuver);
+    }
+    aircraft.phase.elapsed += TICK;
+
+    if (maneuver.duration !== undefined) {
+      return aircraft.phase.elapsed >= maneuver.duration;
+    }
+    return Math.abs(headingDelta(aircraft.heading, aircraft.targetHeading)) < 1 &&
+      aircraft.altitude === aircraft.targetAltitude &&
+      aircraft.speed === aircraft.targetSpeed;
+  },
+
+  direct(aircraft, maneuver) {
+    if (!aircraft.phase) {
+      aircraft.phase = {};
+      setTargets(aircraft, maneuver);
+    }
+    return steerTo(aircraft, maneuver.latitude, maneuver.longitude) < ARRIVAL_RADIUS;
+  },
+
+  hold(aircraft, maneuver) {
+    const direction = maneuver.direction === 'left' ? -1 : 1;
+    const inbound = normalizeHeading(maneuver.inboundCourse);
+    if (!aircraft.phase) {
+      aircraft.phase = { name: 'entry', lap: 0, elapsed: 0 };
+      setTargets(aircraft, maneuver);
+    }
+    const phase = aircraft.phase;
+
+    if (phase.name === 'entry' || phase.name === 'inbound') {
+      if (steerTo(aircraft, maneuver.latitude, maneuver.longitude) < ARRIVAL_RADIUS) {
+        if (phase.name === 'inbound') phase.lap++;
+        if (phase.lap >= (maneuver.laps ?? 2)) return true;
+        phase.name = 'outboundTurn';
+      }
+    } else if (phase.name === 'outboundTurn') {
+      aircraft.targetHeading = normalizeHeading(inbound + 180);
+      aircraft.turnDirection = direction;
+      if (Math.abs(headingDelta(aircraft.heading, aircraft.targetHeading)) < 1) {
+        phase.name = 'outbound';
+        phase.elapsed = 0;
+      }
+    } else if (phase.name === 'outbound') {
+      phase.elapsed += TICK;
+      if (phase.elapsed >= (maneuver.legSeconds ?? 60)) phase.name = 'inboundTurn';
+    } else if (phase.name === 'inboundTurn') {
+      aircraft.targetHeading = inbound;
+      aircraft.turnDirection = direction;
+      if (Math.abs(headingDelta(aircraft.heading, inbound)) < 1) phase.name = 'inbound';
+    }
+    return false;
+  },
+
+  approach(aircraft, maneuver) {
+    const elevation = maneuver.elevation ?? 0;
+    const finalNm = maneuver.finalNm ?? 10;
+    const feetPerNm = FEET_PER_NM * Math.tan(toRadians(maneuver.glideslope ?? 3));
+    const fix = offsetPoint(maneuver.latitude, maneuver.longitude, maneuver.heading + 180, finalNm);
+    if (!aircraft.phase) {
+      aircraft.phase = { name: 'intercept' };
+    }
+    const phase = aircraft.phase;
+
+    if (phase.name === 'intercept') {
+      aircraft.targetAltitude = Math.round(elevation + finalNm * feetPerNm);
+      aircraft.climbRate = 1500;
+      aircraft.targetSpeed = Math.max(maneuver.speed ?? 140, 180);
+      if (steerTo(aircraft, fix.latitude, fix.longitude) < 1) phase.name = 'final';
+    } else if (phase.name === 'final') {
+      const remaining = steerTo(aircraft, maneuver.latitude, maneuver.longitude);
+      aircraft.targetSpeed = maneuver.speed ?? 140;
+      aircraft.targetAltitude = Math.max(elevation, Math.round(elevation + remaining * feetPerNm));
+      aircraft.climbRate = aircraft.speed * feetPerNm / 60 * 1.5;  // Enough to track the glidepath
+
+      if (maneuver.goAround && aircraft.altitude - elevation <= (maneuver.goAround.height ?? 200)) {
+        phase.name = 'goAround';
+      } else if (remaining < 0.1 || aircraft.altitude <= elevation) {
+        aircraft.onGround = true;
+        aircraft.altitude = elevation;
+        aircraft.targetAltitude = elevation;
+        aircraft.heading = normalizeHeading(maneuver.heading);
+        aircraft.targetHeading = aircraft.heading;
+        aircraft.targetSpeed = 0;
+        phase.name = 'rollout';
+      }
+    } else if (phase.name === 'goAround') {
+      aircraft.targetHeading = normalizeHeading(maneuver.heading);
+      aircraft.turnDirection = 0;
+      aircraft.targetAltitude = elevation + (maneuver.goAround.altitude ?? 3000);
+      aircraft.climbRate = 2000;
+      aircraft.targetSpeed = 180;
+      return aircraft.altitude >= aircraft.targetAltitude;
+    } else if (phase.name === 'rollout') {
+      return aircraft.speed === 0;
+    }
+    return false;
+  }
+};
+
+function approachValue(current, target, maxChange) {
+  if (Math.abs(target - current) <= maxChange) return target;
+  return current + Math.sign(target - current) * maxChange;
+}
+
+/**
+ * Advance one aircraft's physics by one step
+ */
+function moveAircraft(aircraft) {
+  // Heading
+  const delta = headingDelta(aircraft.heading, aircraft.targetHeading);
+  if (Math.abs(delta) <= TURN_RATE * TICK) {
+    aircraft.heading = aircraft.targetHeading;
+    aircraft.turnDirection = 0;
+  } else {
+    const direction = aircraft.turnDirection || Math.sign(delta);
+    aircraft.heading = normalizeHeading(aircraft.heading + direction * TURN_RATE * TICK);
+  }
+
+  // Speed
+  const acceleration = aircraft.onGround
+    ? (aircraft.targetSpeed > aircraft.speed ? GROUND_ACCELERATION : GROUND_DECELERATION)
+    : AIR_ACCELERATION;
+  aircraft.speed = approachValue(aircraft.speed, aircraft.targetSpeed, acceleration * TICK);
+
+  // Altitude
+  const previousAltitude = aircraft.altitude;
+  if (!aircraft.onGround) {
+    aircraft.altitude = approachValue(aircraft.altitude, aircraft.targetAltitude, aircraft.climbRate * TICK / 60);
+  }
+  aircraft.verticalRate = (aircraft.altitude - previousAltitude) * 60 / TICK;
+
+  // Position
+  const position = offsetPoint(aircraft.latitude, aircraft.longitude, aircraft.heading, aircraft.speed * TICK / 3600);
+  aircraft.latitude = position.latitude;
+  aircraft.longitude = position.longitude;
+}
+
+function applyEvents(aircraft, time) {
+  while (aircraft.nextEvent < aircraft.events.length && aircraft.events[aircraft.nextEvent].at <= time) {
+    const event = aircraft.events[aircraft.nextEvent++];
+    if (event.squawk !== undefined) aircraft.squawk = String(event.squawk);
+    if (event.callsign !== undefined) aircraft.callsign = event.callsign;
+    if (event.signalLoss !== undefined) aircraft.hiddenUntil = event.at + event.signalLoss;
+  }
+}
+
+function stepAircraft(aircraft, time) {
+  applyEvents(aircraft, time);
+
+  const maneuver = aircraft.script[aircraft.step];
+  if (maneuver && maneuvers[maneuver.type](aircraft, maneuver)) {
+    aircraft.step++;
+    aircraft.phase = null;
+  }
+
+  moveAircraft(aircraft);
+
+  // Transponders go quiet once a flight has landed and stopped
+  if (aircraft.step >= aircraft.script.length && aircraft.onGround && aircraft.speed === 0) {
+    aircraft.removed = true;
+  }
+}
+
+function inBounds(aircraft, bounds) {
+  return aircraft.latitude >= bounds.minLat && aircraft.latitude <= bounds.maxLat &&
+    aircraft.longitude >= bounds.minLon && aircraft.longitude <= bounds.maxLon;
+}
+
+/**
+ * Seeded background traffic: straight-and-level flights across the bounds.
+ * A flight leaving the bounds is replaced by a new one entering them.
+ */
+function createTraffic(traffic, random) {
+  const { bounds } = traffic;
+  const [minAltitude, maxAltitude] = traffic.altitude || [10000, 38000];
+  const [minSpeed, maxSpeed] = traffic.speed || [250, 480];
+  const prefix = traffic.idPrefix || 'SIM';
+  let serial = 0;
+
+  function spawn(onEdge) {
+    const altitude = Math.round((minAltitude + random() * (maxAltitude - minAltitude)) / 1000) * 1000;
+    const speed = Math.round(minSpeed + random() * (maxSpeed - minSpeed));
+    let latitude = bounds.minLat + random() * (bounds.maxLat - bounds.minLat);
+    let longitude = bounds.minLon + random() * (bounds.maxLon - bounds.minLon);
+    let heading = random() * 360;
+
+    if (onEdge) {
+      // Enter from a random edge, heading roughly across the area
+      const edge = Math.floor(random() * 4);
+      if (edge === 0) latitude = bounds.maxLat;
+      if (edge === 1) longitude = bounds.maxLon;
+      if (edge === 2) latitude = bounds.minLat;
+      if (edge === 3) longitude = bounds.minLon;
+      heading = normalizeHeading(edge * 90 + 180 + (random() - 0.5) * 90);
+    }
+
+    const id = `${prefix}${(serial++).toString().padStart(4, '0')}`;
+    return createAircraft({
+      id,
+      callsign: `${prefix}${Math.floor(random() * 9000) + 100}`,
+      squawk: Math.floor(1000 + random() * 6000).toString(),
+      start: { latitude, longitude, altitude, speed, heading }
+    });
+  }
+
+  const aircraft = [];
+  for (let i = 0; i < traffic.count; i++) aircraft.push(spawn(false));
+
+  return {
+    aircraft,
+    step(time) {
+      for (let i = 0; i < aircraft.length; i++) {
+        stepAircraft(aircraft[i], time);
+        if (!inBounds(aircraft[i], bounds)) aircraft[i] = spawn(true);
+      }
+    }
+  };
+}
+
+function toFlight(aircraft, timestamp, source) {
+  return {
+    id: aircraft.id,
+    callsign: aircraft.callsign || aircraft.id,
+    latitude: aircraft.latitude,
+    longitude: aircraft.longitude,
+    altitude: Math.round(aircraft.altitude),
+    heading: Math.round(aircraft.heading * 10) / 10,
+    speed: Math.round(aircraft.speed),
+    verticalRate: Math.round(aircraft.verticalRate),
+    onGround: aircraft.onGround,
+    squawk: aircraft.squawk,
+    timestamp,
+    source
+  };
+}
+
+/**
+ * Create a scenario simulation
+ * @param {Object} scenario - Scenario definition (see loadScenario)
+ * @param {Object} options
+ * @param {number} options.startTime - Wall-clock time of scenario second 0 (ms)
+ * @param {number|string} options.seed - Overrides the scenario's seed
+ * @param {number} options.speed - Scenario seconds per wall-clock second
+ * @param {string} options.source - Source name reported on flights
+ */
+export function createScenario(scenario, { startTime = Date.now(), seed, speed = 1, source = 'mock' } = {}) {
+  validateScenario(scenario);
+
+  const random = createRng(seed ?? scenario.seed ?? 1);
+  const scripted = (scenario.aircraft || []).map(createAircraft);
+  const traffic = scenario.traffic ? createTraffic(scenario.traffic, random) : null;
+  const duration = scenario.duration ?? Infinity;
+  let time = 0;
+
+  function flights() {
+    if (time >= duration) return [];
+    const timestamp = Math.round(startTime + time * 1000 / speed);
+    const visible = scripted.filter(aircraft =>
+      time >= aircraft.startAt && !aircraft.removed && time >= aircraft.hiddenUntil);
+    return [...visible, ...(traffic ? traffic.aircraft : [])]
+      .map(aircraft => toFlight(aircraft, timestamp, source));
+  }
+
+  return {
+    /**
+     * Run the simulation up to a scenario time and return the flights
+     * being reported at that moment
+     * @param {number} seconds - Seconds since the start of the scenario
+     */
+    advanceTo(seconds) {
+      const target = Math.min(Math.floor(seconds / TICK) * TICK, duration);
+      while (time < target) {
+        time += TICK;
+        for (const aircraft of scripted) {
+          if (time > aircraft.startAt && !aircraft.removed) stepAircraft(aircraft, time);
+        }
+        if (traffic) traffic.step(time);
+      }
+      return flights();
+    },
+
+    /**
+     * Flights at a wall-clock time (ms)
+     */
+    flightsAt(now = Date.now()) {
+      return this.advanceTo(Math.max(0, (now - startTime) / 1000) * speed);
+    },
+
+    get time() {
+      return time;
+    },
+
+    get finished() {
+      return time >= duration;
+    }
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Historical Snapshots
+ *
+ * What the sky looked like at a moment: each aircraft's position then,
+ * interpolated between the trail points either side of it, with its trail
+ * up to that point. Reads the live trails and the session archive, so
+ * snapshots reach back as far as sessions are kept.
+ */
+
+import { config } from './config.js';
+import * as db from './database.js';
+import { distanceNm, toRadians } from './track-filter.js';
+import { isInArea } from './area.js';
+
+/**
+ * Initial bearing from one point to another (degrees true)
+ */
+function bearing(from, to) {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Heading, ground speed and vertical rate flown between two points; null
+ * where the points can't tell
+ */
+function motion(from, to) {
+  const hours = from ? (to.timestamp - from.timestamp) / 3600000 : 0;
+  if (!(hours > 0)) return { heading: null, speed: null, verticalRate: null };
+
+  const distance = distanceNm(from.latitude, from.longitude, to.latitude, to.longitude);
+  const climbed = Number.isFinite(from.altitude) && Number.isFinite(to.altitude) ? to.altitude - from.altitude : null;
+  return {
+    heading: distance > 0 ? Math.round(bearing(from, to)) : null,
+    speed: Math.round(distance / hours),
+    verticalRate: climbed === null ? null : Math.round(climbed / (hours * 60))
+  };
+}
+
+/**
+ * The point a fraction of the way from one point to another, taking the
+ * short way across the antimeridian
+ */
+function interpolate(from, to, at) {
+  const fraction = (at - from.timestamp) / (to.timestamp - from.timestamp);
+
+  let dLon = to.longitude - from.longitude;
+  if (dLon > 180) dLon -= 360;
+  if (dLon < -180) dLon += 360;
+  let longitude = from.longitude + fraction * dLon;
+  if (longitude > 180) longitude -= 360;
+  if (longitude < -180) longitude += 360;
+
+  const altitude = Number.isFinite(from.altitude) && Number.isFinite(to.altitude)
+    ? Math.round(from.altitude + fraction * (to.altitude - from.altitude))
+    : from.altitude ?? to.altitude;
+
+  return {
+    latitude: from.latitude + fraction * (to.latitude - from.latitude),
+    longitude,
+    altitude,
+    timestamp: at
+  };
+}
+
+/**
+ * Where a track was at a moment: interpolated between the points either
+ * side of it, or held at the last point before it for up to maxAge (as
+ * the live view keeps showing a flight until it goes stale)
+ * @param {Array} points - { latitude, longitude, altitude, timestamp }, oldest first
+ * @param {number} at - The moment (ms)
+ * @returns {Object} { latitude, longitude, altitude, heading, speed,
+ *                   verticalRate, timestamp, lastSeen, interpolated, trail }
+ *                   or null when the track wasn't visible then
+ */
+export function positionAt(points, at, maxAge = config.maxFlightAge) {
+  let next = points.findIndex(point => point.timestamp > at);
+  if (next === -1) next = points.length;
+  if (next === 0) return null;
+
+  const before = points[next - 1];
+  const after = points[next];
+  const bracketed = Boolean(after) && before.timestamp < at && after.timestamp - before.timestamp <= maxAge;
+  if (!bracketed && at - before.timestamp > maxAge) return null;
+
+  const position = bracketed ? interpolate(before, after, at) : { ...before, timestamp: at };
+  const trail = points.slice(Math.max(next - config.maxTrailPoints, 0), next);
+  if (bracketed) {
+    trail.push(position);
+    if (trail.length > config.maxTrailPoints) trail.shift();
+  }
+
+  return {
+    ...position,
+    ...(bracketed ? motion(before, after) : motion(points[next - 2], before)),
+    lastSeen: before.timestamp,
+    interpolated: bracketed,
+    trail
+  };
+}
+
+/**
+ * Every aircraft visible at a moment, by ID
+ * @param {number} at - The moment (ms)
+ * @param {Object} [options] - { area } from parseArea
+ * @returns {Array} { id, callsign, sessionId, ...positionAt }; sessionId
+ *                  is set for flights read from the session archive
+ */
+export function getSnapshot(at, { area } = {}) {
+  const flights = new Map();
+
+  for (const { flightId, callsign, sessionId, points } of db.getTracksAt(at)) {
+    const position = positionAt(points, at);
+    if (!position) continue;
+
+    // An aircraft seen again soon after its session ended: the latest wins
+    const known = flights.get(flightId);
+    if (known && known.lastSeen >= position.lastSeen) continue;
+    flights.set(flightId, { id: flightId, callsign, sessionId, ...position });
+  }
+
+  return [...flights.values()]
+    .filter(flight => !area || isInArea(flight, area))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
@@ -0,0 +1,235 @@
+/**
+ * Data Source Adapter Registry
+ *
+ * Every flight data source (built-in or plugin) is an adapter object:
+ *
+ *   name          Unique name, used in DATA_SOURCE
+ *   configSchema  { key: { type, default, env, required, description } }
+ *   configSection Optional key of config.js holding this source's settings
+ *                 (defaults to the adapter name)
+ *   fetch(options)           Polling sources: return one raw payload
+ *   stream(options, emit)    Push sources: start a feed, call emit(message)
+ *                            for every raw message, return { close() },
+ *                            with `connected` if it can tell the feed is down
+ *   decode(payloads, options, context)
+ *                            Optional: turn raw payloads into records.
+ *                            Payloads are { data, receivedAt } envelopes
+ *                            (default: each data is an array of records).
+ *                            `context` is a per-runner object for decoder
+ *                            state that must survive between polls.
+ *   normalize(record)        Convert one record to the common flight format
+ *                            (or null to skip it)
+ *   health(context)          Optional: extra source-specific health details
+ */
+
+import { readdir } from 'fs/promises';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { config } from './config.js';
+
+const adapters = new Map();
+
+const SCHEMA_TYPES = ['string', 'number', 'boolean', 'object'];
+
+/**
+ * Register a source adapter
+ */
+export function registerSource(adapter) {
+  if (!adapter || typeof adapter.name !== 'string' || !adapter.name) {
+    throw new Error('Source adapter must have a name');
+  }
+  if (adapters.has(adapter.name)) {
+    throw new Error(`Data source already registered: ${adapter.name}`);
+  }
+  if (typeof adapter.fetch !== 'function' && typeof adapter.stream !== 'function') {
+    throw new Error(`Data source ${adapter.name} must implement fetch or stream`);
+  }
+  if (typeof adapter.normalize !== 'function') {
+    throw new Error(`Data source ${adapter.name} must implement normalize`);
+  }
+  for (const [key, field] of Object.entries(adapter.configSchema || {})) {
+    if (!SCHEMA_TYPES.includes(field.type)) {
+      throw new Error(`Data source ${adapter.name}: invalid type for config "${key}"`);
+    }
+  }
+
+  adapters.set(adapter.name, adapter);
+  return adapter;
+}
+
+/**
+ * Remove a source adapter (mainly for tests)
+ */
+export function unregisterSource(name) {
+  return adapters.delete(name);
+}
+
+/**
+ * Get a registered adapter by name
+ */
+export function getSource(name) {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown data source: ${name}`);
+  }
+  return adapter;
+}
+
+/**
+ * Names of all registered sources
+ */
+export function listSources() {
+  return [...adapters.keys()];
+}
+
+function parseEnvValue(value, type) {
+  if (type === 'number') return Number(value);
+  if (type === 'boolean') return value === 'true' || value === '1';
+  if (type === 'object') return JSON.parse(value);
+  return value;
+}
+
+/**
+ * Resolve an adapter's options from its config section, environment
+ * variables and schema defaults, and validate them against the schema
+ */
+export function resolveSourceConfig(adapter) {
+  const section = config[adapter.configSection || adapter.name] || {};
+  const options = { ...section };
+
+  for (const [key, field] of Object.entries(adapter.configSchema || {})) {
+    let value = section[key];
+    if ((value === undefined || value === null) && field.env && process.env[field.env] !== undefined) {
+      value = parseEnvValue(process.env[field.env], field.type);
+    }
+    if (value === undefined || value === null) {
+      value = field.default ?? null;
+    }
+
+    if (value === null) {
+      if (field.required) {
+        throw new Error(`Invalid configuration for source ${adapter.name}: ${key} is required`);
+      }
+    } else if (typeof value !== field.type || (field.type === 'number' && Number.isNaN(value))) {
+      throw new Error(`Invalid configuration for source ${adapter.name}: ${key} must be a ${field.type}`);
+    }
+
+    options[key] = value;
+  }
+
+  return options;
+}
+
+/**
+ * Load adapters from a plugins directory.
+ * Each .js/.mjs file default-exports an adapter or an array of adapters.
+ */
+export async function loadPlugins(dir) {
+  const files = (await readdir(dir))
+    .filter(name => name.endsWith('.js') || name.endsWith('.mjs'))
+    .sort();
+
+  const loaded = [];
+  for (const file of files) {
+    const module = await import(pathToFileURL(resolve(join(dir, file))).href);
+    const exported = module.default;
+    if (!exported) {
+      throw new Error(`Source plugin ${file} has no default export`);
+    }
+    for (const adapter of Array.isArray(exported) ? exported : [exported]) {
+      registerSource(adapter);
+      loaded.push(adapter.name);
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Create a runner that drives one adapter through the common pipeline:
+ * fetch (or drain the stream buffer), decode, normalize
+ * @param {Object} adapter
+ * @param {Object} hooks
+ * @param {Function} hooks.onRaw - Called with (sourceName, payloads) before decoding
+ */
+export function createSourceRunner(adapter, hooks = {}) {
+  let streamHandle = null;
+  let buffer = [];
+  let context = {};
+  const status = {
+    lastPoll: null,
+    lastSuccess: null,
+    lastError: null,
+    lastCount: 0
+  };
+
+  async function poll() {
+    status.lastPoll = Date.now();
+    try {
+      const options = resolveSourceConfig(adapter);
+
+      let payloads;
+      if (adapter.stream) {
+        if (!streamHandle) {
+          streamHandle = adapter.stream(options, data => buffer.push({ data, receivedAt: Date.now() }));
+        }
+        payloads = buffer;
+        buffer = [];
+      } else {
+        const data = await adapter.fetch(options);
+        payloads = [{ data, receivedAt: Date.now() }];
+      }
+
+      if (hooks.onRaw && payloads.length > 0) {
+        hooks.onRaw(adapter.name, payloads);
+      }
+
+      const flights = normalizePayloads(adapter, payloads, options, context);
+
+      status.lastSuccess = Date.now();
+      status.lastError = null;
+      status.lastCount = flights.length;
+      return flights;
+    } catch (error) {
+      status.lastError = error.message;
+      throw error;
+    }
+  }
+
+  return {
+    adapter,
+    poll,
+
+    health() {
+      return {
+        name: adapter.name,
+        type: adapter.stream ? 'stream' : 'poll',
+        connected: adapter.stream ? streamHandle !== null && streamHandle.connected !== false : undefined,
+        ...status,
+        ...(adapter.health ? adapter.health(context) : {})
+      };
+    },
+
+    close() {
+      if (streamHandle) {
+        streamHandle.close();
+        streamHandle = null;
+      }
+      buffer = [];
+      context = {};
+    }
+  };
+}
+
+/**
+ * Decode raw payloads with an adapter and normalize the resulting records
+ */
+export function normalizePayloads(adapter, payloads, options = resolveSourceConfig(adapter), context = {}) {
+  const records = adapter.decode
+    ? adapter.decode(payloads, options, context)
+    : payloads.flatMap(payload => payload.data);
+
+  return records
+    .map(record => adapter.normalize(record))
+    .filter(flight => flight !== null && flight !== undefined);
+}
@@ -0,0 +1,148 @@
+/**
+ * FAA SWIM source (SFDPS FIXM and STDDS SMES/TAIS XML, requires subscription)
+ */
+
+import { readdir, readFile, rename, unlink, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { parseSwimMessage } from '../swim-parser.js';
+
+/**
+ * Normalize a parsed FAA SWIM record (SFDPS, SMES or TAIS) to common format
+ * Flight-plan fields are passed through alongside the position.
+ */
+export function normalizeFaaFlight(record) {
+  if (!record) return null;
+
+  // Skip if no position data
+  if (typeof record.latitude !== 'number' || typeof record.longitude !== 'number' ||
+      Number.isNaN(record.latitude) || Number.isNaN(record.longitude)) {
+    return null;
+  }
+
+  const id = record.icao24 || record.gufi || record.callsign;
+  if (!id) return null;
+
+  return {
+    id,
+    callsign: record.callsign || id,
+    latitude: record.latitude,
+    longitude: record.longitude,
+    altitude: Math.round(record.altitude || 0),  // already in feet
+    heading: record.heading || 0,
+    speed: record.groundSpeed ? Math.round(record.groundSpeed) : 0,  // already in knots
+    verticalRate: record.verticalRate || 0,
+    onGround: record.type === 'smes',  // ASDE-X only tracks surface movement
+    squawk: record.squawk || null,
+    timestamp: record.timestamp || Date.now(),
+    source: 'faa',
+    departure: record.departure || null,
+    arrival: record.arrival || null,
+    aircraftType: record.aircraftType || null,
+    route: record.route || null
+  };
+}
+
+// Records already parsed from a message, so decode doesn't parse it again
+const parsed = new WeakMap();
+
+/**
+ * Move a file, creating the directory it goes into
+ */
+async function moveFile(path, dir, name) {
+  await mkdir(dir, { recursive: true });
+  await rename(path, join(dir, name));
+}
+
+/**
+ * Read SWIM XML messages dropped into a directory by a SWIM client. Files
+ * are only consumed once they have parsed: moved to processedDir when
+ * configured, otherwise deleted. Files that fail to parse are moved to
+ * failedDir (failed/ in the drop directory by default) and left out.
+ */
+async function readSwimDirectory(dir, processedDir, failedDir = join(dir, 'failed')) {
+  const files = (await readdir(dir))
+    .filter(name => name.toLowerCase().endsWith('.xml'))
+    .sort();
+
+  const messages = [];
+  for (const name of files) {
+    const path = join(dir, name);
+    const message = { name, xml: await readFile(path, 'utf8') };
+
+    try {
+      parsed.set(message, parseSwimMessage(message.xml));
+    } catch (error) {
+      console.error(`Failed to parse SWIM message ${name}, moving it to ${failedDir}: ${error.message}`);
+      await moveFile(path, failedDir, name);
+      continue;
+    }
+
+    messages.push(message);
+    if (processedDir) {
+      await moveFile(path, processedDir, name);
+    } else {
+      await unlink(path);
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Read SWIM XML from an HTTP endpoint (e.g. a local JMS/AMQP bridge)
+ */
+async function readSwimEndpoint(endpoint, apiKey) {
+  const headers = { 'Accept': 'application/xml' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(endpoint, { headers });
+
+  if (!response.ok) {
+    throw new Error(`FAA API error: ${response.status} ${response.statusText}`);
+  }
+
+  return [{ name: endpoint, xml: await response.text() }];
+}
+
+export default {
+  name: 'faa',
+
+  configSchema: {
+    swimDir: { type: 'string', env: 'FAA_SWIM_DIR', description: 'Directory a SWIM client drops XML messages into' },
+    processedDir: { type: 'string', env: 'FAA_SWIM_PROCESSED_DIR', description: 'Move processed messages here instead of deleting them' },
+    failedDir: { type: 'string', env: 'FAA_SWIM_FAILED_DIR', description: 'Move messages that fail to parse here (default: failed/ in swimDir)' },
+    endpoint: { type: 'string', env: 'FAA_ENDPOINT', description: 'HTTP endpoint returning SWIM XML' },
+    apiKey: { type: 'string', env: 'FAA_API_KEY', description: 'Bearer token for the endpoint' }
+  },
+
+  /**
+   * Collect SWIM XML messages from the drop directory or HTTP endpoint
+   */
+  async fetch({ swimDir, processedDir, failedDir, endpoint, apiKey }) {
+    if (swimDir) {
+      return readSwimDirectory(swimDir, processedDir, failedDir || undefined);
+    } else if (endpoint) {
+      return readSwimEndpoint(endpoint, apiKey);
+    }
+    throw new Error('FAA SWIM source not configured (set FAA_SWIM_DIR or FAA_ENDPOINT)');
+  },
+
+  decode(payloads) {
+    const records = [];
+    for (const { data } of payloads) {
+      for (const message of data) {
+        const { name, xml } = message;
+        try {
+          records.push(...(parsed.get(message) ?? parseSwimMessage(xml)));
+        } catch (error) {
+          console.error(`Failed to parse SWIM message ${name}: ${error.message}`);
+        }
+      }
+    }
+    return records;
+  },
+
+  normalize: normalizeFaaFlight
+};
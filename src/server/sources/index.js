@@ -0,0 +1,13 @@
+/**
+ * Built-in data source adapters
+ */
+
+import opensky from './opensky.js';
+import faa from './faa.js';
+import sbs from './sbs.js';
+import modes from './modes.js';
+import readsb from './readsb.js';
+import mock from './mock.js';
+import replay from './replay.js';
+
+export const builtinSources = [opensky, faa, sbs, modes, readsb, mock, replay];
@@ -0,0 +1,114 @@
+/**
+ * Mock flight source for testing without an external feed
+ * Plays a scripted scenario when one is configured, otherwise random flights.
+ */
+
+import { createScenario, loadScenario } from '../scenario.js';
+
+/**
+ * Create a mock flight generator for testing
+ */
+export function createMockFetcher(numFlights = 100) {
+  const flights = [];
+
+  // Generate initial mock flights
+  for (let i = 0; i < numFlights; i++) {
+    flights.push({
+      id: `MOCK${i.toString().padStart(4, '0')}`,
+      callsign: `TST${Math.floor(Math.random() * 9999)}`,
+      latitude: 24.5 + Math.random() * 24,   // US latitude range
+      longitude: -124 + Math.random() * 57,  // US longitude range
+      altitude: 5000 + Math.random() * 35000,
+      heading: Math.random() * 360,
+      speed: 200 + Math.random() * 400,
+      verticalRate: (Math.random() - 0.5) * 2000,
+      onGround: false,
+      squawk: Math.floor(1000 + Math.random() * 6999).toString(),
+      timestamp: Date.now(),
+      source: 'mock'
+    });
+  }
+
+  return async function fetchMockFlights() {
+    // Update positions based on heading and speed
+    const dt = 10;  // seconds since last update
+
+    for (const flight of flights) {
+      // Convert heading to radians
+      const headingRad = (flight.heading * Math.PI) / 180;
+
+      // Calculate movement (simplified)
+      const speedKmH = flight.speed * 1.852;  // knots to km/h
+      const distanceKm = (speedKmH * dt) / 3600;
+
+      // Update position
+      const latChange = (distanceKm / 111) * Math.cos(headingRad);
+      const lonChange = (distanceKm / (111 * Math.cos(flight.latitude * Math.PI / 180))) * Math.sin(headingRad);
+
+      flight.latitude += latChange;
+      flight.longitude += lonChange;
+      flight.altitude += (flight.verticalRate * dt) / 60;
+
+      // Keep within bounds
+      if (flight.latitude < 24.5 || flight.latitude > 49) {
+        flight.heading = 360 - flight.heading;
+      }
+      if (flight.longitude < -124 || flight.longitude > -67) {
+        flight.heading = 180 - flight.heading;
+      }
+
+      // Normalize heading
+      flight.heading = ((flight.heading % 360) + 360) % 360;
+
+      // Update timestamp
+      flight.timestamp = Date.now();
+    }
+
+    return [...flights];
+  };
+}
+
+/**
+ * Create a fetcher that plays a scenario against the wall clock,
+ * starting over when a finite scenario ends and `loop` is set
+ */
+export function createScenarioFetcher(scenario, { seed, speed = 1, loop = false } = {}) {
+  let simulation = null;
+
+  return async function fetchScenarioFlights() {
+    const now = Date.now();
+    if (!simulation || (loop && simulation.finished)) {
+      simulation = createScenario(scenario, { startTime: now, seed, speed });
+    }
+    return simulation.flightsAt(now);
+  };
+}
+
+// Generator for the registered source, created on first fetch
+let mockFetcher = null;
+let mockKey = null;
+
+export default {
+  name: 'mock',
+
+  configSchema: {
+    count: { type: 'number', env: 'MOCK_FLIGHT_COUNT', default: 150, description: 'Number of random flights' },
+    scenario: { type: 'string', env: 'MOCK_SCENARIO', description: 'Scenario file, or the name of a bundled scenario' },
+    seed: { type: 'number', env: 'MOCK_SEED', description: "Overrides the scenario's seed" },
+    speed: { type: 'number', env: 'MOCK_SCENARIO_SPEED', default: 1, description: 'Scenario seconds per wall-clock second' },
+    loop: { type: 'boolean', env: 'MOCK_SCENARIO_LOOP', default: false, description: 'Start the scenario over when it ends' }
+  },
+
+  async fetch({ count, scenario, seed, speed, loop }) {
+    const key = JSON.stringify({ count, scenario, seed, speed, loop });
+    if (!mockFetcher || mockKey !== key) {
+      mockFetcher = scenario
+        ? createScenarioFetcher(await loadScenario(scenario), { seed: seed ?? undefined, speed, loop })
+        : createMockFetcher(count);
+      mockKey = key;
+    }
+    return mockFetcher();
+  },
+
+  normalize: flight => flight
+};
@@ -0,0 +1,48 @@
+/**
+ * Raw Mode S source: AVR or Beast frames from a local SDR receiver
+ */
+
+import { Buffer } from 'buffer';
+import { createModeSDecoder, createModeSClient, normalizeModeSFlight } from '../modes-decoder.js';
+
+export default {
+  name: 'modes',
+
+  configSchema: {
+    host: { type: 'string', env: 'MODES_HOST', default: 'localhost', description: 'Receiver host' },
+    port: { type: 'number', env: 'MODES_PORT', default: 30005, description: 'Receiver port (30002 AVR, 30005 Beast)' },
+    format: { type: 'string', env: 'MODES_FORMAT', default: 'beast', description: "'avr' or 'beast'" },
+    receiverLat: { type: 'number', env: 'RECEIVER_LAT', description: 'Receiver latitude for local CPR decoding' },
+    receiverLon: { type: 'number', env: 'RECEIVER_LON', description: 'Receiver longitude for local CPR decoding' },
+    maxAge: { type: 'number', default: 60 * 1000, description: 'Forget aircraft not heard from in this many ms' }
+  },
+
+  /**
+   * Open the receiver connection; every frame is emitted as a hex string
+   */
+  stream({ host, port, format }, emit) {
+    return createModeSClient({
+      host,
+      port,
+      format,
+      onFrame: frame => emit(Buffer.from(frame).toString('hex')),
+      onError: error => console.error(`Mode S feed error: ${error.message}`)
+    });
+  },
+
+  decode(payloads, { receiverLat, receiverLon, maxAge }, context) {
+    if (!context.decoder) {
+      context.decoder = createModeSDecoder({ receiverLat, receiverLon, maxAge });
+    }
+    for (const { data, receivedAt } of payloads) {
+      context.decoder.ingest(data, receivedAt);
+    }
+    return context.decoder.getAircraft();
+  },
+
+  normalize: normalizeModeSFlight,
+
+  health(context) {
+    return { aircraft: context.decoder ? context.decoder.size : 0 };
+  }
+};
@@ -0,0 +1,346 @@
+/**
+ * OpenSky Network source (free, rate-limited)
+ */
+
+import { config } from '../config.js';
+import { createTokenProvider } from '../opensky-auth.js';
+import { createRateBudget, RateLimitError } from '../rate-budget.js';
+import { resolveRegions, planTiles, containsPoint } from '../regions.js';
+
+// position_source codes
+export const POSITION_SOURCES = ['ADS-B', 'ASTERIX', 'MLAT', 'FLARM'];
+
+const metersToFeet = meters => (meters === null || meters === undefined ? null : Math.round(meters * 3.28084));
+const secondsToMs = seconds => (seconds ? seconds * 1000 : null);
+
+/**
+ * Normalize OpenSky Network state vector to common format
+ * OpenSky state vector format:
+ * [0] icao24, [1] callsign, [2] origin_country, [3] time_position,
+ * [4] last_contact, [5] longitude, [6] latitude, [7] baro_altitude,
+ * [8] on_ground, [9] velocity, [10] true_track, [11] vertical_rate,
+ * [12] sensors, [13] geo_altitude, [14] squawk, [15] spi, [16] position_source
+ */
+export function normalizeOpenSkyFlight(state) {
+  if (!state || !state[0]) return null;
+
+  const icao24 = state[0];
+  const callsign = (state[1] || '').trim();
+  const longitude = state[5];
+  const latitude = state[6];
+  const altitude = state[7] || state[13] || 0;  // baro or geo altitude
+  const onGround = state[8];
+  const velocity = state[9];
+  const heading = state[10];
+  const verticalRate = state[11];
+  const squawk = state[14];
+
+  // Skip if no position data
+  if (longitude === null || latitude === null) return null;
+
+  return {
+    id: icao24,
+    callsign: callsign || icao24,
+    latitude,
+    longitude,
+    altitude: Math.round(altitude * 3.28084),  // meters to feet
+    heading: heading || 0,
+    speed: velocity ? Math.round(velocity * 1.944) : 0,  // m/s to knots
+    verticalRate: verticalRate ? Math.round(verticalRate * 196.85) : 0,  // m/s to ft/min
+    onGround,
+    squawk,
+    timestamp: Date.now(),
+    source: 'opensky',
+    originCountry: state[2] || null,
+    timePosition: secondsToMs(state[3]),  // When the position was last updated (ms)
+    lastContact: secondsToMs(state[4]),   // When any message was last received (ms)
+    baroAltitude: metersToFeet(state[7]),
+    geoAltitude: metersToFeet(state[13]),
+    sensors: Array.isArray(state[12]) ? state[12] : null,
+    spi: Boolean(state[15]),
+    positionSource: POSITION_SOURCES[state[16]] ?? null
+  };
+}
+
+// OpenSky OAuth2 token provider and credit budget, created on first use
+let openskyTokens = null;
+let openskyBudget = null;
+
+// Request tiles covering the regions, and the next one due
+let rotation = null;
+
+function getOpenSkyBudget() {
+  if (!openskyBudget) {
+    const { clientId, username, dailyCredits } = config.opensky;
+    const authenticated = Boolean(clientId || username);
+    openskyBudget = createRateBudget({
+      baseIntervalSeconds: config.fetchIntervalSeconds,
+      dailyCredits: dailyCredits || (authenticated ? 4000 : 400)
+    });
+  }
+  return openskyBudget;
+}
+
+function getRotation(regions, tileCredits) {
+  const key = JSON.stringify([regions, tileCredits]);
+  if (!rotation || rotation.key !== key) {
+    const resolved = resolveRegions(regions);
+    rotation = { key, regions: resolved, tiles: planTiles(resolved, tileCredits), next: 0 };
+  }
+  return rotation;
+}
+
+/**
+ * The tiles due next: in rotation, as many as fit in `creditsPerPoll`
+ * (at least one)
+ */
+function nextTiles({ tiles, next }, creditsPerPoll) {
+  const due = [];
+  let cost = 0;
+  for (let i = 0; i < tiles.length; i++) {
+    const tile = tiles[(next + i) % tiles.length];
+    if (due.length > 0 && cost + tile.cost > creditsPerPoll) break;
+    due.push(tile);
+    cost += tile.cost;
+  }
+  return { tiles: due, cost };
+}
+
+/**
+ * Merge /states/all responses for several tiles into one, keeping the
+ * freshest state of an aircraft seen by overlapping tiles and dropping
+ * aircraft outside every region (tiles overhang polygon regions)
+ */
+export function mergeTileStates(responses, regions) {
+  const states = new Map();
+  let time = 0;
+
+  for (const response of responses) {
+    time = Math.max(time, response.time || 0);
+    for (const state of response.states || []) {
+      if (!regions.some(region => containsPoint(region, state[6], state[5]))) continue;
+      const seen = states.get(state[0]);
+      if (!seen || (state[4] || 0) > (seen[4] || 0)) {
+        states.set(state[0], state);
+      }
+    }
+  }
+
+  return { time, states: [...states.values()] };
+}
+
+/**
+ * Get the OpenSky credit budget status (for /api/stats)
+ */
+export function getOpenSkyBudgetStatus() {
+  const { regions, tileCredits, creditsPerPoll } = config.opensky;
+  const { cost } = nextTiles(getRotation(regions || config.regions, tileCredits), creditsPerPoll);
+  return getOpenSkyBudget().status(cost);
+}
+
+/**
+ * Discard the OpenSky token, credit budget and tile rotation (for testing)
+ */
+export function resetOpenSkyClient() {
+  openskyTokens = null;
+  openskyBudget = null;
+  rotation = null;
+}
+
+/**
+ * Build OpenSky request headers: OAuth2 bearer token when client
+ * credentials are configured, otherwise legacy Basic auth
+ */
+async function getOpenSkyHeaders({ clientId, clientSecret, tokenUrl, username, password }) {
+  const headers = {};
+
+  if (clientId && clientSecret) {
+    if (!openskyTokens) {
+      openskyTokens = createTokenProvider({ tokenUrl, clientId, clientSecret });
+    }
+    headers['Authorization'] = `Bearer ${await openskyTokens.getToken()}`;
+  } else if (username && password) {
+    const auth = Buffer.from(`${username}:${password}`).toString('base64');
+    headers['Authorization'] = `Basic ${auth}`;
+  }
+
+  return headers;
+}
+
+/**
+ * GET an OpenSky URL, refreshing a revoked token once and recording the
+ * rate limit headers. Throws a RateLimitError on 429.
+ */
+async function requestOpenSky(url, options, cost) {
+  const budget = getOpenSkyBudget();
+  let response = await fetch(url.toString(), { headers: await getOpenSkyHeaders(options) });
+
+  // Token may have been revoked or expired early: refresh once
+  if (response.status === 401 && openskyTokens) {
+    openskyTokens.invalidate();
+    response = await fetch(url.toString(), { headers: await getOpenSkyHeaders(options) });
+  }
+
+  budget.updateFromHeaders(response.headers);
+
+  if (response.status === 429) {
+    const retryAt = budget.nextRequestAt(cost);
+    throw new RateLimitError(
+      `OpenSky API error: 429 rate limited, retry in ${Math.ceil((retryAt - Date.now()) / 1000)}s`,
+      retryAt
+    );
+  }
+
+  return response;
+}
+
+/**
+ * Make an occasional request outside the polling schedule, spending
+ * `cost` credits only if `reserve` credits are left for polling.
+ * Resolves to null when OpenSky has no data (404).
+ */
+async function requestOpenSkyHistory(url, options, { cost, reserve }) {
+  const budget = getOpenSkyBudget();
+  if (!budget.canSpend(cost, reserve)) {
+    throw new RateLimitError('OpenSky rate budget: no credits to spare', budget.nextRequestAt(cost));
+  }
+
+  budget.spend(cost);
+  const response = await requestOpenSky(url, options, cost);
+
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`OpenSky API error: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Fetch the track of an aircraft's flight from /tracks/all: the flight in
+ * progress when `time` is 0, otherwise the flight under way at `time`
+ * (Unix seconds). Resolves to null when there is no track.
+ * @param {Object} credits - { cost, reserve } (see requestOpenSkyHistory)
+ */
+export function fetchOpenSkyTrack(icao24, time, options, credits) {
+  const url = new URL(`${options.baseUrl}/tracks/all`);
+  url.searchParams.set('icao24', icao24);
+  url.searchParams.set('time', time);
+  return requestOpenSkyHistory(url, options, credits);
+}
+
+/**
+ * Fetch the flights an aircraft made between `begin` and `end` (Unix
+ * seconds) from /flights/aircraft. Resolves to [] when there are none.
+ */
+export async function fetchOpenSkyAircraftFlights(icao24, begin, end, options, credits) {
+  const url = new URL(`${options.baseUrl}/flights/aircraft`);
+  url.searchParams.set('icao24', icao24);
+  url.searchParams.set('begin', begin);
+  url.searchParams.set('end', end);
+  return (await requestOpenSkyHistory(url, options, credits)) || [];
+}
+
+/**
+ * Fetch /states/all with the given query parameters (lamin, lomin, lamax,
+ * lomax, icao24, time, extended) as an occasional request, for the
+ * OpenSky-compatible proxy
+ * @param {URLSearchParams} params
+ * @param {Object} credits - { cost, reserve } (see requestOpenSkyHistory)
+ */
+export async function fetchOpenSkyStates(params, options, credits) {
+  const url = new URL(`${options.baseUrl}/states/all`);
+  url.search = params.toString();
+  return (await requestOpenSkyHistory(url, options, credits)) || { time: Math.floor(Date.now() / 1000), states: null };
+}
+
+export default {
+  name: 'opensky',
+
+  configSchema: {
+    baseUrl: { type: 'string', required: true, description: 'OpenSky REST API base URL' },
+    regions: { type: 'object', description: 'Regions to fetch (defaults to REGIONS)' },
+    tileCredits: { type: 'number', env: 'OPENSKY_TILE_CREDITS', default: 4, description: 'Largest tile, as the credit tier (1-4) it may cost' },
+    creditsPerPoll: { type: 'number', env: 'OPENSKY_CREDITS_PER_POLL', default: 4, description: 'Credits worth of tiles fetched per poll' },
+    clientId: { type: 'string', env: 'OPENSKY_CLIENT_ID', description: 'OAuth2 client id' },
+    clientSecret: { type: 'string', env: 'OPENSKY_CLIENT_SECRET', description: 'OAuth2 client secret' },
+    tokenUrl: { type: 'string', required: true, description: 'OAuth2 token endpoint' },
+    username: { type: 'string', env: 'OPENSKY_USERNAME', description: 'Legacy Basic auth username' },
+    password: { type: 'string', env: 'OPENSKY_PASSWORD', description: 'Legacy Basic auth password' },
+    dailyCredits: { type: 'number', description: 'Daily API credit quota' }
+  },
+
+  /**
+   * Fetch /states/all for the next tiles of the configured regions
+   * Requests are spaced out so the daily credit quota lasts until it resets;
+   * a RateLimitError is thrown when a request is deferred or refused. If
+   * only some tiles fail, the others are kept and the rotation resumes at
+   * the first failed one; if all fail, the first error is thrown.
+   */
+  async fetch(options) {
+    const { baseUrl, regions, tileCredits, creditsPerPoll } = options;
+    const budget = getOpenSkyBudget();
+    const state = getRotation(regions || config.regions, tileCredits);
+    const { tiles, cost } = nextTiles(state, creditsPerPoll);
+
+    if (!budget.canRequest(cost)) {
+      const retryAt = budget.nextRequestAt(cost);
+      throw new RateLimitError(
+        `OpenSky rate budget: next request in ${Math.ceil((retryAt - Date.now()) / 1000)}s`,
+        retryAt
+      );
+    }
+
+    budget.recordRequest();
+
+    const results = await Promise.allSettled(tiles.map(async ({ bounds }) => {
+      const url = new URL(`${baseUrl}/states/all`);
+      url.searchParams.set('lamin', bounds.minLat);
+      url.searchParams.set('lamax', bounds.maxLat);
+      url.searchParams.set('lomin', bounds.minLon);
+      url.searchParams.set('lomax', bounds.maxLon);
+
+      const response = await requestOpenSky(url, options, cost);
+
+      if (!response.ok) {
+        throw new Error(`OpenSky API error: ${response.status} ${response.statusText}`);
+      }
+
+      return response.json();
+    }));
+
+    // Move on past the tiles fetched; the first that failed is due again
+    const failed = results.findIndex(result => result.status === 'rejected');
+    state.next = (state.next + (failed === -1 ? tiles.length : failed)) % state.tiles.length;
+    if (results.every(result => result.status === 'rejected')) {
+      throw results[0].reason;
+    }
+
+    // Keep the tiles that answered
+    const fetched = tiles.filter((tile, i) => results[i].status === 'fulfilled');
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`OpenSky tile ${tiles[i].id} failed:`, result.reason.message);
+      }
+    });
+
+    return {
+      ...mergeTileStates(results.filter(result => result.status === 'fulfilled').map(result => result.value), state.regions),
+      tiles: fetched.map(tile => tile.id)
+    };
+  },
+
+  decode(payloads) {
+    return payloads.flatMap(({ data }) =>
+      (data && Array.isArray(data.states) ? data.states : []));
+  },
+
+  normalize: normalizeOpenSkyFlight,
+
+  health() {
+    return {
+      budget: getOpenSkyBudgetStatus(),
+      tiles: rotation ? rotation.tiles.length : 0,
+      nextTile: rotation ? rotation.tiles[rotation.next].id : null
+    };
+  }
+};
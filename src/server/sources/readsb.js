@@ -0,0 +1,79 @@
+/**
+ * aircraft.json polling source (tar1090/readsb/dump1090-fa)
+ */
+
+/**
+ * Normalize a readsb/dump1090-fa aircraft.json entry to common format
+ * Units are already aviation units: feet, knots and ft/min.
+ * `now` is the top-level timestamp of the aircraft.json document (seconds);
+ * decode() copies it onto each entry. Non-ICAO addresses get IDs of the
+ * form nonicao-<hex> and addressType 'non-icao'.
+ */
+export function normalizeAircraftJsonFlight(aircraft, now = aircraft?.now ?? Date.now() / 1000) {
+  if (!aircraft || !aircraft.hex) return null;
+
+  // Skip if no position data
+  if (typeof aircraft.lat !== 'number' || typeof aircraft.lon !== 'number') return null;
+
+  // A leading ~ marks a non-ICAO address (TIS-B track files, anonymous
+  // ADS-B), which must not be mistaken for the aircraft with that ICAO one
+  const nonIcao = aircraft.hex.startsWith('~');
+  const hex = aircraft.hex.replace(/^~/, '').toLowerCase();
+  const icao24 = nonIcao ? `nonicao-${hex}` : hex;
+  const callsign = (aircraft.flight || '').trim();
+  const onGround = aircraft.alt_baro === 'ground';
+  const altitude = onGround ? 0 : (aircraft.alt_baro ?? aircraft.alt_geom ?? 0);
+  const verticalRate = aircraft.baro_rate ?? aircraft.geom_rate ?? 0;
+
+  return {
+    id: icao24,
+    callsign: callsign || icao24,
+    latitude: aircraft.lat,
+    longitude: aircraft.lon,
+    altitude: Math.round(altitude),
+    heading: aircraft.track || 0,
+    speed: aircraft.gs ? Math.round(aircraft.gs) : 0,
+    verticalRate: Math.round(verticalRate),
+    onGround,
+    squawk: aircraft.squawk || null,
+    timestamp: Math.round((now - (aircraft.seen_pos || 0)) * 1000),
+    source: 'readsb',
+    addressType: nonIcao ? 'non-icao' : 'icao'
+  };
+}
+
+export default {
+  name: 'readsb',
+  configSection: 'aircraftJson',
+
+  configSchema: {
+    url: { type: 'string', env: 'AIRCRAFT_JSON_URL', required: true, description: 'aircraft.json URL' },
+    maxPositionAge: { type: 'number', env: 'AIRCRAFT_JSON_MAX_POSITION_AGE', default: 60, description: 'Drop aircraft whose position is older than this (seconds)' }
+  },
+
+  async fetch({ url }) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`aircraft.json error: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Aircraft whose last position is older than maxPositionAge are dropped
+   */
+  decode(payloads, { maxPositionAge }) {
+    return payloads.flatMap(({ data, receivedAt }) => {
+      if (!data || !Array.isArray(data.aircraft)) return [];
+
+      const now = data.now || receivedAt / 1000;
+      return data.aircraft
+        .filter(aircraft => aircraft.seen_pos !== undefined && aircraft.seen_pos <= maxPositionAge)
+        .map(aircraft => ({ ...aircraft, now }));
+    });
+  },
+
+  normalize: record => normalizeAircraftJsonFlight(record)
+};
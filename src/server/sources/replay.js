@@ -0,0 +1,212 @@
+/**
+ * Replay source: plays back recordings made with RECORD_DIR
+ *
+ * Each recorded payload is decoded and normalized by the adapter of the
+ * source that produced it, so replayed traffic goes through the same
+ * pipeline as live traffic. Recorded sources are fused like a live
+ * multi-source setup.
+ */
+
+import { config } from '../config.js';
+import { createFusion } from '../fusion.js';
+import { listRecordingFiles, readRecordingFile } from '../recorder.js';
+import { getSource, resolveSourceConfig, normalizePayloads } from '../source-registry.js';
+
+// Playback position, created on first fetch
+let replay = null;
+
+/**
+ * Parse a playback speed: a multiplier such as '1' or '10', or 'max'
+ */
+export function parseReplaySpeed(speed) {
+  if (speed === 'max') return Infinity;
+  const value = Number(speed);
+  if (!(value > 0)) {
+    throw new Error(`Invalid replay speed: ${speed} (use a multiplier such as 1 or 10, or max)`);
+  }
+  return value;
+}
+
+/**
+ * Recorded time played per wall clock time: the speed multiplier, or at
+ * 'max' the pace the replay has kept so far (Infinity until it has
+ * played for a while)
+ */
+export function getReplayTimeScale(speed = config.replay.speed) {
+  const multiplier = parseReplaySpeed(speed);
+  if (multiplier !== Infinity || !replay || replay.startWall === null) return multiplier;
+
+  const wall = Date.now() - replay.startWall;
+  return wall > 0 ? (replay.replayTime - replay.startRecorded) / wall : Infinity;
+}
+
+async function openReplay(path) {
+  const files = await listRecordingFiles(path);
+  if (files.length === 0) {
+    throw new Error(`No recordings found at ${path}`);
+  }
+  return {
+    path,
+    files,
+    fileIndex: 0,
+    entries: [],
+    index: 0,
+    startWall: null,
+    startRecorded: null,
+    replayTime: null,
+    finished: false,
+    fusion: null,
+    contexts: new Map()  // Decoder state per recorded source
+  };
+}
+
+/**
+ * Make the next non-empty file current; false when there are no more
+ */
+async function loadNextFile(state) {
+  while (state.fileIndex < state.files.length) {
+    state.entries = await readRecordingFile(state.files[state.fileIndex++]);
+    state.index = 0;
+    if (state.entries.length > 0) return true;
+  }
+  return false;
+}
+
+async function peek(state) {
+  if (state.index >= state.entries.length && !(await loadNextFile(state))) {
+    return null;
+  }
+  return state.entries[state.index];
+}
+
+/**
+ * Take every entry recorded up to `until`
+ */
+async function takeUntil(state, until) {
+  const taken = [];
+  let entry;
+  while ((entry = await peek(state)) && entry.receivedAt <= until) {
+    taken.push(entry);
+    state.index++;
+  }
+  return taken;
+}
+
+/**
+ * Whether a non-looping replay has played every recording
+ */
+export function isReplayFinished() {
+  return Boolean(replay && replay.finished);
+}
+
+/**
+ * Rewind to the start (for testing)
+ */
+export function resetReplay() {
+  replay = null;
+}
+
+export default {
+  name: 'replay',
+
+  configSchema: {
+    path: { type: 'string', env: 'REPLAY_PATH', required: true, description: 'Recording file or directory' },
+    speed: { type: 'string', env: 'REPLAY_SPEED', default: '1', description: "Playback speed: '1', '10', ... or 'max'" },
+    loop: { type: 'boolean', env: 'REPLAY_LOOP', default: false, description: 'Start over after the last recording' }
+  },
+
+  /**
+   * Return the recorded payloads that are due. At a finite speed the
+   * recording plays against the wall clock; at 'max' every fetch plays
+   * the next fetch interval's worth of recorded traffic.
+   */
+  async fetch({ path, speed, loop }) {
+    const multiplier = parseReplaySpeed(speed);
+    if (!replay || replay.path !== path) {
+      replay = await openReplay(path);
+    }
+    const state = replay;
+    const now = Date.now();
+
+    let next = await peek(state);
+    if (!next && loop) {
+      Object.assign(state, await openReplay(path));
+      next = await peek(state);
+    }
+    if (!next) {
+      state.finished = true;
+      return { now, until: state.replayTime, scale: 1, entries: [] };
+    }
+
+    if (state.startWall === null) {
+      state.startWall = now;
+      state.startRecorded = next.receivedAt;
+    }
+
+    const until = multiplier === Infinity
+      ? next.receivedAt + config.fetchIntervalSeconds * 1000 - 1
+      : state.startRecorded + (now - state.startWall) * multiplier;
+    state.replayTime = until;
+
+    const entries = await takeUntil(state, until);
+    return { now, until, scale: multiplier === Infinity ? 1 : multiplier, entries };
+  },
+
+  /**
+   * Decode each run of entries with the recorded source's adapter and move
+   * recording-era timestamps to the present
+   */
+  decode(payloads) {
+    if (!replay.fusion) {
+      replay.fusion = createFusion({
+        priority: config.sourcePriority || [],
+        maxAge: config.fusionMaxAge
+      });
+    }
+
+    for (const { data: { now, until, scale, entries } } of payloads) {
+      const toWallClock = time => Math.round(now - (until - time) / scale);
+
+      let start = 0;
+      while (start < entries.length) {
+        const source = entries[start].source;
+        let end = start;
+        while (end < entries.length && entries[end].source === source) end++;
+
+        const adapter = getSource(source);
+        let options;
+        try {
+          options = resolveSourceConfig(adapter);
+        } catch {
+          options = {};  // Replaying offline: live connection settings may be missing
+        }
+
+        if (!replay.contexts.has(source)) replay.contexts.set(source, {});
+        const run = entries.slice(start, end)
+          .map(entry => ({ data: entry.data, receivedAt: toWallClock(entry.receivedAt) }));
+        const flights = normalizePayloads(adapter, run, options, replay.contexts.get(source)).map(flight => {
+          // Timestamps taken from the recorded data (rather than the clock
+          // at decode time) are closer to the recording than to now
+          const recorded = Math.abs(flight.timestamp - until) < Math.abs(flight.timestamp - now);
+          return recorded ? { ...flight, timestamp: toWallClock(flight.timestamp) } : flight;
+        });
+
+        replay.fusion.ingest(source, flights);
+        start = end;
+      }
+    }
+
+    return replay.fusion.fuse();
+  },
+
+  normalize: flight => flight,
+
+  health() {
+    if (!replay) return {};
+    return {
+      file: replay.files[Math.max(0, replay.fileIndex - 1)],
+      replayTime: replay.replayTime,
+      finished: replay.finished
+    };
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * SBS-1 / BaseStation TCP feed source (local dump1090/readsb receiver)
+ */
+
+import { createSbsAssembler, createSbsClient, normalizeSbsFlight } from '../sbs-source.js';
+
+export default {
+  name: 'sbs',
+
+  configSchema: {
+    host: { type: 'string', env: 'SBS_HOST', default: 'localhost', description: 'BaseStation feed host' },
+    port: { type: 'number', env: 'SBS_PORT', default: 30003, description: 'BaseStation feed port' },
+    maxAge: { type: 'number', default: 60 * 1000, description: 'Forget aircraft not heard from in this many ms' }
+  },
+
+  /**
+   * Open the BaseStation connection; every CSV line is one raw message
+   */
+  stream({ host, port }, emit) {
+    return createSbsClient({
+      host,
+      port,
+      onLine: emit,
+      onError: error => console.error(`SBS feed error: ${error.message}`)
+    });
+  },
+
+  decode(payloads, { maxAge }, context) {
+    if (!context.assembler) {
+      context.assembler = createSbsAssembler({ maxAge });
+    }
+    for (const { data, receivedAt } of payloads) {
+      context.assembler.ingest(data, receivedAt);
+    }
+    return context.assembler.getAircraft();
+  },
+
+  normalize: normalizeSbsFlight,
+
+  health(context) {
+    return { aircraft: context.assembler ? context.assembler.size : 0 };
+  }
+};
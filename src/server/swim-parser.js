@@ -0,0 +1,182 @@
+/**
+ * FAA SWIM Message Parser
+ *
+ * Parses XML messages from FAA SWIM feeds into flat flight records:
+ * - SFDPS en-route flight messages (FIXM 4.x, NAS extension)
+ * - STDDS SMES surface movement events (ASDE-X)
+ * - STDDS TAIS terminal track and flight plan messages
+ */
+
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,  // Keep beacon codes like '0123' as strings
+  parseAttributeValue: false,
+  textNodeName: '#text',
+  isArray: name => ['message', 'record', 'positionReport'].includes(name)
+});
+
+/**
+ * Text content of an element, whether or not it has attributes
+ */
+function text(node) {
+  if (node === undefined || node === null) return undefined;
+  if (typeof node === 'object') return node['#text'];
+  return String(node);
+}
+
+function number(node) {
+  const value = text(node);
+  if (value === undefined || value === '') return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : undefined;
+}
+
+function time(node) {
+  const value = text(node);
+  if (!value) return undefined;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? undefined : ms;
+}
+
+function hex(value) {
+  return value ? String(value).trim().toLowerCase() : undefined;
+}
+
+/**
+ * Ground speed (knots) and track (degrees) from east/north velocity components
+ */
+function fromVelocity(east, north) {
+  if (east === undefined || north === undefined) return {};
+  return {
+    groundSpeed: Math.sqrt(east ** 2 + north ** 2),
+    heading: (Math.atan2(east, north) * 180 / Math.PI + 360) % 360
+  };
+}
+
+/**
+ * Parse one SFDPS FIXM flight element
+ */
+function parseFixmFlight(flight) {
+  const aircraft = flight.aircraftDescription || {};
+  const enRoute = flight.enRoute || {};
+  const report = enRoute.position || {};
+  const location = report.position?.location?.pos;
+  const [latitude, longitude] = location ? text(location).trim().split(/\s+/).map(Number) : [];
+  const velocity = fromVelocity(number(report.trackVelocity?.x), number(report.trackVelocity?.y));
+
+  return {
+    type: 'sfdps',
+    icao24: hex(aircraft.aircraftAddress),
+    gufi: text(flight.gufi),
+    callsign: flight.flightIdentification?.aircraftIdentification,
+    registration: aircraft.registration,
+    latitude,
+    longitude,
+    altitude: number(report.altitude),
+    groundSpeed: number(report.actualSpeed?.surveillance) ??
+      number(report.actualSpeed?.calculated) ?? velocity.groundSpeed,
+    heading: velocity.heading,
+    squawk: text(enRoute.beaconCodeAssignment?.currentBeaconCode),
+    timestamp: time(report.positionTime) ?? time(flight.timestamp),
+    departure: flight.departure?.departurePoint,
+    arrival: flight.arrival?.arrivalPoint,
+    aircraftType: text(aircraft.aircraftType?.icaoModelIdentifier),
+    route: flight.agreed?.route?.routeText,
+    centre: flight.centre
+  };
+}
+
+/**
+ * Parse one STDDS SMES (ASDE-X) position report
+ */
+function parseSmesReport(report, airport) {
+  const position = report.position || {};
+  const movement = report.movement || {};
+  const enhanced = report.enhancedData || {};
+
+  return {
+    type: 'smes',
+    icao24: hex(text(report.targetAddress)),
+    gufi: text(enhanced.sfdpsGufi) || text(enhanced.eramGufi),
+    callsign: text(report.flightId?.aircraftId),
+    latitude: number(position.latitude),
+    longitude: number(position.longitude),
+    altitude: number(position.altitude),
+    groundSpeed: number(movement.speed),
+    heading: number(movement.heading),
+    squawk: text(report.flightId?.mode3ACode),
+    timestamp: time(report.time),
+    departure: text(enhanced.departureAirport),
+    arrival: text(enhanced.destinationAirport),
+    aircraftType: text(report.flightInfo?.acType),
+    airport
+  };
+}
+
+/**
+ * Parse one STDDS TAIS track and flight plan record
+ */
+function parseTaisRecord(record, facility) {
+  const track = record.track || {};
+  const plan = record.flightPlan || {};
+  const enhanced = record.enhancedData || {};
+
+  return {
+    type: 'tais',
+    icao24: hex(text(track.acAddress)),
+    gufi: text(enhanced.sfdpsGufi) || text(enhanced.eramGufi),
+    callsign: text(plan.acid),
+    latitude: number(track.lat),
+    longitude: number(track.lon),
+    altitude: number(track.reportedAltitude),
+    ...fromVelocity(number(track.vx), number(track.vy)),
+    verticalRate: number(track.vVert),
+    squawk: text(track.reportedBeaconCode) || text(plan.assignedBeaconCode),
+    timestamp: time(track.mrtTime),
+    // entryFix/exitFix are TRACON boundary fixes, not airports
+    departure: text(enhanced.departureAirport),
+    arrival: text(enhanced.destinationAirport),
+    aircraftType: text(plan.acType),
+    facility
+  };
+}
+
+/**
+ * Parse a SWIM XML message into flight records.
+ * Returns an empty array for message types we don't recognise, and throws
+ * for XML that isn't well formed (such as a message cut short).
+ */
+export function parseSwimMessage(xml) {
+  const valid = XMLValidator.validate(xml);
+  if (valid !== true) {
+    throw new Error(`Invalid XML at line ${valid.err.line}: ${valid.err.msg}`);
+  }
+
+  const doc = parser.parse(xml);
+
+  if (doc.MessageCollection || doc.FlightMessage) {
+    const messages = doc.MessageCollection?.message || [doc.FlightMessage];
+    return messages
+      .map(message => message.flight)
+      .filter(Boolean)
+      .map(parseFixmFlight);
+  }
+
+  if (doc.asdexMsg) {
+    const airport = text(doc.asdexMsg.airport);
+    return (doc.asdexMsg.positionReport || [])
+      .map(report => parseSmesReport(report, airport));
+  }
+
+  if (doc.TATrackAndFlightPlan) {
+    const facility = text(doc.TATrackAndFlightPlan.src);
+    return (doc.TATrackAndFlightPlan.record || [])
+      .map(record => parseTaisRecord(record, facility));
+  }
+
+  return [];
+}
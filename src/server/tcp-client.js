@@ -0,0 +1,78 @@
+/**
+ * Reconnecting TCP client for local receiver feeds
+ */
+
+import net from 'net';
+
+/**
+ * Connect to host:port and pass every received chunk to onData.
+ * Reconnects automatically until close() is called; `connected` tells
+ * whether the connection is up right now.
+ */
+export function createTcpClient({ host, port, onData, onError, onDisconnect, reconnectDelay = 5000 }) {
+  let socket = null;
+  let closed = false;
+  let connected = false;
+  let reconnectTimer = null;
+
+  function connect() {
+    socket = net.createConnection({ host, port });
+
+    socket.on('connect', () => {
+      connected = true;
+    });
+
+    socket.on('data', chunk => onData(chunk));
+
+    socket.on('error', (error) => {
+      connected = false;
+      if (onError) onError(error);
+    });
+
+    socket.on('close', () => {
+      connected = false;
+      if (onDisconnect) onDisconnect();
+      if (!closed) {
+        reconnectTimer = setTimeout(connect, reconnectDelay);
+      }
+    });
+  }
+
+  connect();
+
+  return {
+    get connected() {
+      return connected;
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (socket) socket.destroy();
+    }
+  };
+}
+
+/**
+ * Split a stream of text chunks into lines
+ */
+export function createLineSplitter(onLine) {
+  let buffer = '';
+
+  return {
+    push(chunk) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line) onLine(line);
+      }
+    },
+
+    // Emit any trailing partial line (e.g. when the connection drops)
+    flush() {
+      if (buffer) onLine(buffer);
+      buffer = '';
+    }
+  };
+}
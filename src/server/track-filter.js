@@ -0,0 +1,140 @@
+/**
+ * Track Quality Filter
+ *
+ * Checks each new position against the flight's last stored one before it
+ * is saved, and rejects positions no aircraft could have flown to: a bad
+ * CPR decode or a mixed-up ICAO address otherwise draws a line across the
+ * map. Rejected positions are counted by reason for /api/stats.
+ */
+
+import { config } from './config.js';
+import { getLastPosition } from './database.js';
+
+const EARTH_RADIUS_NM = 3440.065;
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+let checked = 0;
+let reanchored = 0;
+const rejected = { stale: 0, speed: 0, teleport: 0, altitude: 0 };
+
+// The latest run of rejected positions of each flight: { position, count, seenAt }
+const rejectedRuns = new Map();
+
+export function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great circle distance in nautical miles
+ */
+export function distanceNm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Why a position is implausible after the previous one, or null if it is fine
+ * - stale: older than the previous position
+ * - speed: implies a ground speed above `maxSpeed` knots
+ * - teleport: the same, over more than `teleportDistance` nm
+ * - altitude: implies a climb or descent faster than `maxVerticalRate` ft/min
+ * Positions more than `maxGap` ms after the previous one aren't compared, so
+ * an aircraft that really did move while out of coverage is picked up again.
+ * `timeScale` is recorded time per wall clock time, for fast replays.
+ */
+export function checkPosition(flight, previous, limits = config.trackFilter, timeScale = 1) {
+  if (!previous) return null;
+
+  const elapsed = flight.timestamp - previous.timestamp;
+  if (elapsed < 0) return 'stale';
+  if (elapsed > limits.maxGap || !Number.isFinite(timeScale)) return null;
+
+  // Polls can land in the same millisecond; don't divide by zero
+  const duration = Math.max(elapsed * timeScale, 1000);
+
+  const distance = distanceNm(previous.latitude, previous.longitude, flight.latitude, flight.longitude);
+  if (distance > limits.minDistance && distance / (duration / HOUR) > limits.maxSpeed) {
+    return distance > limits.teleportDistance ? 'teleport' : 'speed';
+  }
+
+  // Altitude reads 0 (or field elevation) on the ground
+  if (!flight.onGround && !previous.onGround) {
+    const climb = Math.abs(flight.altitude - previous.altitude);
+    if (climb > limits.altitudeTolerance + limits.maxVerticalRate * duration / MINUTE) {
+      return 'altitude';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a rejected position follows on plausibly from the ones rejected
+ * just before it often enough that the stored position must be the bad
+ * one (a bad first fix, say): after `reanchorAfter` in a row, the flight
+ * is picked up again from the new position
+ */
+function reanchor(flight, timeScale) {
+  const run = rejectedRuns.get(flight.id);
+  const consistent = run && !checkPosition(flight, run.position, config.trackFilter, timeScale);
+  const count = consistent ? run.count + 1 : 1;
+
+  if (count >= config.trackFilter.reanchorAfter) {
+    rejectedRuns.delete(flight.id);
+    return true;
+  }
+  rejectedRuns.set(flight.id, { position: flight, count, seenAt: Date.now() });
+  return false;
+}
+
+/**
+ * Drop flights whose new position is implausible after their last stored one
+ * @returns {Array} The flights to store
+ */
+export function filterTracks(flights, timeScale = 1) {
+  if (!config.trackFilter.enabled) return flights;
+
+  // Forget runs of flights that stopped reporting
+  const now = Date.now();
+  for (const [id, { seenAt }] of rejectedRuns) {
+    if (now - seenAt > config.trackFilter.maxGap) rejectedRuns.delete(id);
+  }
+
+  return flights.filter(flight => {
+    checked++;
+    const reason = checkPosition(flight, getLastPosition(flight.id), config.trackFilter, timeScale);
+    if (!reason) {
+      rejectedRuns.delete(flight.id);
+      return true;
+    }
+    if (reanchor(flight, timeScale)) {
+      reanchored++;
+      return true;
+    }
+    rejected[reason]++;
+    return false;
+  });
+}
+
+/**
+ * Positions checked, accepted by re-anchoring and rejected by reason (for
+ * /api/stats)
+ */
+export function getTrackFilterStats() {
+  const total = Object.values(rejected).reduce((sum, count) => sum + count, 0);
+  return { checked, reanchored, rejected: { total, ...rejected } };
+}
+
+/**
+ * Reset the counters and rejected runs (for testing)
+ */
+export function resetTrackFilter() {
+  checked = 0;
+  reanchored = 0;
+  for (const reason of Object.keys(rejected)) rejected[reason] = 0;
+  rejectedRuns.clear();
+}
@@ -0,0 +1,189 @@
+/**
+ * Trail Backfill
+ *
+ * Fills in where an aircraft flew before we first saw it, from its OpenSky
+ * track. Selected aircraft are backfilled on request; with
+ * BACKFILL_NEW_FLIGHTS newly seen aircraft are queued too and worked off a
+ * few per fetch cycle. History requests only spend credits the polling
+ * budget can spare.
+ */
+
+import { config } from './config.js';
+import { storeBackfilledTrail } from './database.js';
+import opensky, { fetchOpenSkyTrack, fetchOpenSkyAircraftFlights } from './sources/opensky.js';
+import { resolveSourceConfig } from './source-registry.js';
+import { RateLimitError } from './rate-budget.js';
+
+const ICAO24 = /^[0-9a-f]{6}$/i;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Latest outcome per aircraft: { status, points, reason, at }
+const results = new Map();
+// In-flight backfills, so concurrent requests share one
+const pending = new Map();
+// Aircraft waiting to be backfilled, oldest first
+let queue = [];
+
+/**
+ * Convert an OpenSky /tracks/all response to trail points
+ * Track waypoints: [time, latitude, longitude, baro_altitude, true_track, on_ground]
+ */
+export function parseOpenSkyTrack(track) {
+  if (!track || !Array.isArray(track.path)) return [];
+
+  return track.path
+    .filter(([, latitude, longitude]) => latitude !== null && longitude !== null)
+    .map(([time, latitude, longitude, baroAltitude]) => ({
+      latitude,
+      longitude,
+      altitude: Math.round((baroAltitude || 0) * 3.28084),  // meters to feet
+      timestamp: time * 1000
+    }));
+}
+
+function remember(flightId, result, now) {
+  const entry = { ...result, at: now };
+  results.set(flightId, entry);
+  return entry;
+}
+
+/**
+ * Find the track of the flight in progress: the live track, or failing
+ * that the track of the most recent flight OpenSky has on record that
+ * ended no longer ago than we keep flights
+ */
+async function fetchCurrentTrack(icao24, now, options, credits) {
+  const track = await fetchOpenSkyTrack(icao24, 0, options, credits);
+  if (track) return track;
+
+  const flights = await fetchOpenSkyAircraftFlights(
+    icao24,
+    Math.floor((now - DAY) / 1000),
+    Math.floor(now / 1000),
+    options,
+    credits
+  );
+  const current = flights
+    .filter(flight => flight.lastSeen * 1000 >= now - config.maxFlightAge)
+    .sort((a, b) => b.firstSeen - a.firstSeen)[0];
+
+  return current ? fetchOpenSkyTrack(icao24, current.firstSeen, options, credits) : null;
+}
+
+async function fetchAndStore(flightId, now) {
+  const { creditCost, reserveCredits } = config.backfill;
+  const credits = { cost: creditCost, reserve: reserveCredits };
+
+  try {
+    const track = await fetchCurrentTrack(flightId.toLowerCase(), now, resolveSourceConfig(opensky), credits);
+    const points = parseOpenSkyTrack(track);
+    if (points.length === 0) {
+      return remember(flightId, { status: 'unavailable', points: 0, reason: 'No track available' }, now);
+    }
+    return remember(flightId, { status: 'done', points: storeBackfilledTrail(flightId, points) }, now);
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      return { status: 'deferred', points: 0, reason: error.message };
+    }
+    console.error(`Trail backfill failed for ${flightId}: ${error.message}`);
+    return remember(flightId, { status: 'failed', points: 0, reason: error.message }, now);
+  }
+}
+
+/**
+ * Backfill one aircraft's trail
+ * Resolves to { status, points, reason } where status is 'done',
+ * 'unavailable' (no track to be had), 'deferred' (no credits to spare
+ * right now) or 'failed'. Outcomes other than 'deferred' are reused for
+ * config.backfill.retryInterval.
+ */
+export async function backfillFlight(flightId, now = Date.now()) {
+  const cached = results.get(flightId);
+  if (cached && now - cached.at < config.backfill.retryInterval) return cached;
+  if (pending.has(flightId)) return pending.get(flightId);
+
+  if (!ICAO24.test(flightId)) {
+    return remember(flightId, { status: 'unavailable', points: 0, reason: 'Not an ICAO 24-bit address' }, now);
+  }
+
+  const run = fetchAndStore(flightId, now).finally(() => pending.delete(flightId));
+  pending.set(flightId, run);
+  return run;
+}
+
+/**
+ * Backfill a selected aircraft now, ahead of the queue
+ */
+export async function requestBackfill(flightId) {
+  if (!config.backfill.enabled) {
+    return { status: 'disabled', points: 0 };
+  }
+
+  queue = queue.filter(id => id !== flightId);
+  const result = await backfillFlight(flightId);
+  if (result.status === 'deferred') queue.unshift(flightId);
+  return result;
+}
+
+/**
+ * Queue aircraft we haven't backfilled yet. Failed attempts are retried
+ * after config.backfill.retryInterval; backfilled aircraft, and those
+ * with no track to be had, aren't queued again until a day later, when
+ * they are on another flight.
+ */
+export function queueNewFlights(flights, now = Date.now()) {
+  for (const [flightId, result] of results) {
+    const age = now - result.at;
+    if (result.status === 'failed' ? age >= config.backfill.retryInterval : age >= DAY) {
+      results.delete(flightId);
+    }
+  }
+
+  const queued = new Set(queue);
+  for (const flight of flights) {
+    if (queue.length >= config.backfill.maxQueue) break;
+    if (!results.has(flight.id) && !queued.has(flight.id) && ICAO24.test(flight.id)) {
+      queue.push(flight.id);
+      queued.add(flight.id);
+    }
+  }
+}
+
+/**
+ * Work off up to config.backfill.perCycle queued aircraft, stopping early
+ * when the budget has no credits to spare. Resolves to the number of
+ * trails backfilled.
+ */
+export async function runBackfillQueue(now = Date.now()) {
+  let done = 0;
+  for (let i = 0; i < config.backfill.perCycle && queue.length > 0; i++) {
+    const flightId = queue.shift();
+    const result = await backfillFlight(flightId, now);
+    if (result.status === 'deferred') {
+      queue.unshift(flightId);
+      break;
+    }
+    if (result.status === 'done') done++;
+  }
+  return done;
+}
+
+/**
+ * Backfill counters for /api/stats
+ */
+export function getBackfillStatus() {
+  const counts = { queued: queue.length, done: 0, unavailable: 0, failed: 0 };
+  for (const { status } of results.values()) {
+    counts[status]++;
+  }
+  return counts;
+}
+
+/**
+ * Forget queued aircraft and earlier outcomes (for testing)
+ */
+export function resetBackfill() {
+  results.clear();
+  pending.clear();
+  queue = [];
+}
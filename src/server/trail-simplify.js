@@ -0,0 +1,183 @@
+/**
+ * Trail Simplification and Encoding
+ *
+ * Douglas-Peucker simplification that measures both how far a point lies
+ * off the line between its neighbours and how far its altitude is from
+ * the altitude interpolated along that line, so level-offs and turns both
+ * survive. Trails can also be encoded in the polyline format (plus
+ * altitude and time streams) for a fraction of the JSON size.
+ */
+
+import { config } from './config.js';
+
+const METERS_PER_DEGREE = 111120;
+
+/**
+ * Score every point by how much it matters to the trail's shape: the
+ * larger of its horizontal and altitude deviation, each as a multiple of
+ * its tolerance. A point's score never exceeds that of the point whose
+ * segment it splits, so keeping the N highest scores is a valid
+ * simplification. The endpoints score Infinity.
+ */
+function rankPoints(points, tolerance, altitudeTolerance) {
+  const cosLat = Math.cos(points[0].latitude * Math.PI / 180);
+  const xy = points.map(p => [
+    (p.longitude - points[0].longitude) * METERS_PER_DEGREE * cosLat,
+    (p.latitude - points[0].latitude) * METERS_PER_DEGREE
+  ]);
+
+  const scores = new Float64Array(points.length);
+  scores[0] = scores[points.length - 1] = Infinity;
+
+  // Iterative to cope with long archived tracks: [first, last, parent score]
+  const stack = [[0, points.length - 1, Infinity]];
+  while (stack.length > 0) {
+    const [first, last, parentScore] = stack.pop();
+    if (last - first < 2) continue;
+
+    const [ax, ay] = xy[first];
+    const [bx, by] = xy[last];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+
+    let best = -1;
+    let bestScore = -1;
+    for (let i = first + 1; i < last; i++) {
+      const [px, py] = xy[i];
+      const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+      const offset = Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+      const altitude = points[first].altitude + t * (points[last].altitude - points[first].altitude);
+      const score = Math.max(offset / tolerance, Math.abs(points[i].altitude - altitude) / altitudeTolerance);
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    }
+
+    scores[best] = Math.min(bestScore, parentScore);
+    stack.push([first, best, scores[best]], [best, last, scores[best]]);
+  }
+
+  return scores;
+}
+
+/**
+ * Simplify a trail, keeping the first and last points
+ * @param {Object} options
+ *   - tolerance: meters a dropped point may lie off the simplified line
+ *     (omit to only limit the number of points)
+ *   - altitudeTolerance: feet of altitude error allowed
+ *   - maxPoints: keep at most this many of the most significant points
+ * @returns {Array} The points kept, in order
+ */
+export function simplifyTrail(points, { tolerance, altitudeTolerance = config.trails.altitudeTolerance, maxPoints } = {}) {
+  if (points.length <= 2) return points;
+
+  // Without a tolerance, scores still need a scale to weigh altitude against position
+  const scores = rankPoints(points, tolerance || config.trails.tolerance, Math.max(altitudeTolerance, 1));
+  let kept = points.map((point, i) => i);
+
+  if (tolerance) {
+    kept = kept.filter(i => scores[i] > 1);
+  }
+  if (maxPoints && kept.length > Math.max(maxPoints, 2)) {
+    kept = kept
+      .sort((a, b) => scores[b] - scores[a])
+      .slice(0, Math.max(maxPoints, 2))
+      .sort((a, b) => a - b);
+  }
+
+  return kept.map(i => points[i]);
+}
+
+/**
+ * Encode numbers as deltas in the polyline algorithm's base64 variant.
+ * Uses arithmetic rather than 32-bit shifts so ms timestamps fit.
+ * The first deltas are from `start`, the values an encoding being
+ * continued ended with.
+ */
+function encodeValues(values, factor, stride = 1, start = []) {
+  let encoded = '';
+  const previous = Array.from({ length: stride }, (zero, i) => Math.round((start[i] || 0) * factor));
+
+  values.forEach((value, i) => {
+    const rounded = Math.round(value * factor);
+    const delta = rounded - previous[i % stride];
+    previous[i % stride] = rounded;
+
+    let rest = delta < 0 ? -2 * delta - 1 : 2 * delta;
+    while (rest >= 0x20) {
+      encoded += String.fromCharCode((0x20 | (rest % 0x20)) + 63);
+      rest = Math.floor(rest / 0x20);
+    }
+    encoded += String.fromCharCode(rest + 63);
+  });
+
+  return encoded;
+}
+
+function decodeValues(encoded, factor, stride = 1) {
+  const values = [];
+  const previous = new Array(stride).fill(0);
+  let index = 0;
+
+  while (index < encoded.length) {
+    let result = 0;
+    let scale = 1;
+    let chunk;
+    do {
+      chunk = encoded.charCodeAt(index++) - 63;
+      result += (chunk % 0x20) * scale;
+      scale *= 0x20;
+    } while (chunk >= 0x20);
+
+    const delta = result % 2 ? -(result + 1) / 2 : result / 2;
+    const slot = values.length % stride;
+    previous[slot] += delta;
+    values.push(previous[slot] / factor);
+  }
+
+  return values;
+}
+
+/**
+ * Encode positions as a standard (precision 5) polyline, continuing one
+ * that ends with `after` if given
+ */
+export function encodePolyline(points, after = null) {
+  return encodeValues(points.flatMap(p => [p.latitude, p.longitude]), 1e5, 2, after ? [after.latitude, after.longitude] : []);
+}
+
+export function decodePolyline(polyline) {
+  const values = decodeValues(polyline, 1e5, 2);
+  const points = [];
+  for (let i = 0; i < values.length; i += 2) {
+    points.push({ latitude: values[i], longitude: values[i + 1] });
+  }
+  return points;
+}
+
+/**
+ * Encode a trail: positions as a polyline, with altitudes (feet) and
+ * timestamps (ms) as delta streams in the same encoding. With `after`,
+ * the last point of an encoded trail, the result continues it: append
+ * each string to that trail's.
+ */
+export function encodeTrail(points, after = null) {
+  return {
+    polyline: encodePolyline(points, after),
+    altitudes: encodeValues(points.map(p => p.altitude), 1, 1, after ? [after.altitude] : []),
+    timestamps: encodeValues(points.map(p => p.timestamp), 1, 1, after ? [after.timestamp] : [])
+  };
+}
+
+export function decodeTrail({ polyline, altitudes, timestamps }) {
+  const altitude = decodeValues(altitudes, 1);
+  const timestamp = decodeValues(timestamps, 1);
+  return decodePolyline(polyline).map((position, i) => ({
+    ...position,
+    altitude: altitude[i],
+    timestamp: timestamp[i]
+  }));
+}
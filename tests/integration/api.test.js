@@ -9,11 +9,16 @@ import { existsSync, unlinkSync, mkdirSync } from 'fs';
 import { dirname } from 'path';
 
 import { createApiRouter } from '../../src/server/api.js';
+import { importRegistry } from '../../src/server/aircraft-registry.js';
+import { resetOpenSkyProxy } from '../../src/server/opensky-proxy.js';
+import { resetOpenSkyClient } from '../../src/server/sources/opensky.js';
 import {
   initDatabase,
   closeDatabase,
   upsertFlight,
-  upsertFlights
+  upsertFlights,
+  pruneOldData,
+  getDatabase
 } from '../../src/server/database.js';
 
 const TEST_DB_PATH = './data/test-api-flights.db';
@@ -93,6 +98,78 @@ describe('REST API', () => {
       expect(res.body.timestamp).toBeDefined();
     });
 
+    it('should filter flights by region', async () => {
+      upsertFlights([
+        createTestFlight('TEST001', { region: 'conus' }),
+        createTestFlight('TEST002', { latitude: 61.17, longitude: -149.99, region: 'alaska' })
+      ]);
+
+      const res = await request(app).get('/api/flights').query({ region: 'alaska' });
+
+      expect(res.body.flights.map(f => [f.id, f.region])).toEqual([['TEST002', 'alaska']]);
+    });
+
+    it('should filter flights by bounding box', async () => {
+      upsertFlights([
+        createTestFlight('TEST001', { latitude: 37.6, longitude: -122.4 }),
+        createTestFlight('TEST002', { latitude: 33.9, longitude: -118.4 })
+      ]);
+
+      const res = await request(app).get('/api/flights').query({ bbox: '-123,37,-121.5,38.5' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.flights.map(f => f.id)).toEqual(['TEST001']);
+    });
+
+    it('should return flights within a radius, nearest first', async () => {
+      upsertFlights([
+        createTestFlight('TEST001', { latitude: 37.9, longitude: -122.4 }),
+        createTestFlight('TEST002', { latitude: 37.65, longitude: -122.4 }),
+        createTestFlight('TEST003', { latitude: 37.6, longitude: -121.0 })
+      ]);
+
+      const res = await request(app).get('/api/flights').query({ near: '37.6,-122.4', radiusNm: 25 });
+
+      // TEST003 is inside the bounding box of the circle, but 67 nm away
+      expect(res.body.flights.map(f => f.id)).toEqual(['TEST002', 'TEST001']);
+    });
+
+    it('should reject malformed areas', async () => {
+      for (const query of [
+        { bbox: '-123,37,-121.5' },
+        { bbox: '-123,38.5,-121.5,37' },
+        { bbox: '-123,,-121.5,38' },
+        { near: '37.6' },
+        { near: '37.6,-122.4' },
+        { near: '37.6,-122.4', radiusNm: '-5' },
+        { near: '37.6,-122.4', radiusNm: 5, bbox: '-123,37,-121.5,38.5' }
+      ]) {
+        const res = await request(app).get('/api/flights').query(query);
+        expect(res.status).toBe(400);
+      }
+    });
+
+    it('should decode operator and flight number from callsigns', async () => {
+      upsertFlight(createTestFlight('TEST001', { callsign: 'SWA1234' }));
+
+      const res = await request(app).get('/api/flights');
+
+      expect(res.body.flights[0].operator).toMatchObject({ designator: 'SWA', name: 'Southwest Airlines' });
+      expect(res.body.flights[0].flightNumber).toBe('1234');
+    });
+
+    it('should filter flights by operator', async () => {
+      upsertFlights([
+        createTestFlight('TEST001', { callsign: 'UAL1' }),
+        createTestFlight('TEST002', { callsign: 'DAL2' }),
+        createTestFlight('TEST003', { callsign: 'N123AB' })
+      ]);
+
+      const res = await request(app).get('/api/flights').query({ operator: 'dal' });
+
+      expect(res.body.flights.map(f => f.id)).toEqual(['TEST002']);
+    });
+
     it('should return flights since timestamp', async () => {
       upsertFlight(createTestFlight('TEST001'));
 
@@ -127,6 +204,134 @@ describe('REST API', () => {
       expect(flight).toHaveProperty('onGround');
       expect(flight).toHaveProperty('timestamp');
       expect(flight).toHaveProperty('source');
+      expect(flight).toHaveProperty('sources', ['test']);
+    });
+
+    it('should include OpenSky position source metadata', async () => {
+      upsertFlight(createTestFlight('TEST001', {
+        source: 'opensky',
+        originCountry: 'United States',
+        timePosition: 1699999990000,
+        baroAltitude: 35000,
+        geoAltitude: 35200,
+        positionSource: 'MLAT'
+      }));
+
+      const res = await request(app).get('/api/flights');
+
+      expect(res.body.flights[0]).toMatchObject({
+        originCountry: 'United States',
+        timePosition: 1699999990000,
+        baroAltitude: 35000,
+        geoAltitude: 35200,
+        positionSource: 'MLAT',
+        spi: false
+      });
+    });
+  });
+
+  describe('GET /api/flights?cursor=', () => {
+    it('should start with a full sync and then send only what changed', async () => {
+      upsertFlights([createTestFlight('TEST001'), createTestFlight('TEST002')]);
+
+      const first = await request(app).get('/api/flights?cursor=');
+      expect(first.status).toBe(200);
+      expect(first.body).toMatchObject({ success: true, full: true, updated: [], removed: [] });
+      expect(first.body.added.map(f => f.id).sort()).toEqual(['TEST001', 'TEST002']);
+
+      upsertFlights([createTestFlight('TEST001', { altitude: 36000 }), createTestFlight('TEST003')]);
+      getDatabase().prepare("UPDATE flights SET updated_at = 0 WHERE id = 'TEST002'").run();
+      pruneOldData();
+
+      const second = await request(app).get(`/api/flights?cursor=${first.body.cursor}`);
+      expect(second.body.full).toBe(false);
+      expect(second.body.added.map(f => f.id)).toEqual(['TEST003']);
+      expect(second.body.updated).toMatchObject([{ id: 'TEST001', altitude: 36000 }]);
+      expect(second.body.removed).toEqual(['TEST002']);
+      expect(second.body.cursor).not.toBe(first.body.cursor);
+    });
+
+    it('should answer a poll with nothing new with a 304', async () => {
+      upsertFlight(createTestFlight('TEST001'));
+      const first = await request(app).get('/api/flights?cursor=');
+
+      const unchanged = await request(app)
+        .get(`/api/flights?cursor=${first.body.cursor}`)
+        .set('If-None-Match', first.headers.etag);
+      expect(unchanged.status).toBe(304);
+
+      upsertFlight(createTestFlight('TEST001'));
+      const changed = await request(app)
+        .get(`/api/flights?cursor=${first.body.cursor}`)
+        .set('If-None-Match', first.headers.etag);
+      expect(changed.status).toBe(200);
+      expect(changed.body.updated).toHaveLength(1);
+    });
+
+    it('should force a full resync for unusable cursors', async () => {
+      upsertFlight(createTestFlight('TEST001'));
+      const { cursor } = (await request(app).get('/api/flights?cursor=')).body;
+      const [epoch, sequence] = cursor.split('.');
+
+      for (const stale of ['garbage', `00000000.${sequence}`, `${epoch}.${Number(sequence) + 1}`]) {
+        const res = await request(app).get(`/api/flights?cursor=${stale}`);
+        expect(res.body).toMatchObject({ full: true, cursor, added: [{ id: 'TEST001' }] });
+      }
+
+      getDatabase().prepare('UPDATE sync_state SET oldest = sequence').run();
+      upsertFlight(createTestFlight('TEST002'));
+      const res = await request(app).get(`/api/flights?cursor=${epoch}.0`);
+      expect(res.body.full).toBe(true);
+    });
+
+    it('should keep a copy of only the flights in an area', async () => {
+      const bbox = '-123,37,-121.5,38.5';
+      upsertFlights([
+        createTestFlight('TEST001', { latitude: 37.6, longitude: -122.4 }),
+        createTestFlight('TEST002', { latitude: 33.9, longitude: -118.4 })
+      ]);
+
+      const first = await request(app).get('/api/flights').query({ cursor: '', bbox });
+      expect(first.body).toMatchObject({ full: true, added: [{ id: 'TEST001' }], updated: [], removed: [] });
+
+      upsertFlights([
+        createTestFlight('TEST001', { latitude: 33.9, longitude: -118.4 }),
+        createTestFlight('TEST002', { latitude: 37.6, longitude: -122.4 }),
+        createTestFlight('TEST003', { latitude: 37.7, longitude: -122.3 }),
+        createTestFlight('TEST004', { latitude: 33.9, longitude: -118.4 })
+      ]);
+
+      const second = await request(app).get('/api/flights').query({ cursor: first.body.cursor, bbox });
+      expect(second.body.full).toBe(false);
+      expect(second.body.added.map(f => f.id)).toEqual(['TEST003']);
+      expect(second.body.updated.map(f => f.id)).toEqual(['TEST002']);
+      expect(second.body.removed).toEqual(['TEST001']);
+
+      // The cursor is only good for its own area
+      const elsewhere = await request(app).get('/api/flights').query({ cursor: second.body.cursor, bbox: '-119,33,-118,34' });
+      expect(elsewhere.body.full).toBe(true);
+      expect(elsewhere.body.added.map(f => f.id).sort()).toEqual(['TEST001', 'TEST004']);
+      const everywhere = await request(app).get('/api/flights').query({ cursor: second.body.cursor });
+      expect(everywhere.body.full).toBe(true);
+    });
+
+    it('should sync an area across the antimeridian', async () => {
+      upsertFlights([
+        createTestFlight('TEST001', { latitude: 0, longitude: 179 }),
+        createTestFlight('TEST002', { latitude: 0, longitude: -179 }),
+        createTestFlight('TEST003', { latitude: 0, longitude: 0 })
+      ]);
+
+      const res = await request(app).get('/api/flights').query({ cursor: '', bbox: '170,-10,-170,10' });
+
+      expect(res.body.added.map(f => f.id).sort()).toEqual(['TEST001', 'TEST002']);
+    });
+
+    it('should not combine cursors with other filters', async () => {
+      const res = await request(app).get('/api/flights?cursor=&region=conus');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Use cursor without since, region or operator');
     });
   });
 
@@ -142,6 +347,24 @@ describe('REST API', () => {
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
       expect(res.body.flight.id).toBe('TEST001');
+      expect(res.body.flight.registry).toBeNull();
+      expect(res.body.flight.origin).toBeNull();
+      expect(res.body.flight.destination).toBeNull();
+    });
+
+    it('should include registration details from the aircraft registry', async () => {
+      await importRegistry('./tests/fixtures/registry');
+      upsertFlight(createTestFlight('A0B1C2'));
+
+      const res = await request(app).get('/api/flights/A0B1C2');
+
+      expect(res.status).toBe(200);
+      expect(res.body.flight.registry).toMatchObject({
+        registration: 'N12345',
+        manufacturer: 'BOEING',
+        model: '737-8H4',
+        registrant: 'EXAMPLE AIRLINES INC'
+      });
     });
 
     it('should return 404 for non-existent flight', async () => {
@@ -199,6 +422,18 @@ describe('REST API', () => {
       expect(point).toHaveProperty('altitude');
       expect(point).toHaveProperty('timestamp');
     });
+
+    it('should report backfill as disabled unless BACKFILL_TRAILS is set', async () => {
+      upsertFlight(createTestFlight('TEST001'));
+
+      const res = await request(app)
+        .get('/api/flights/TEST001/trail')
+        .query({ backfill: 'true' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.backfill).toEqual({ status: 'disabled', points: 0 });
+      expect(res.body.trail).toHaveLength(1);
+    });
   });
 
   describe('GET /api/trails', () => {
@@ -221,6 +456,243 @@ describe('REST API', () => {
       expect(res.body.trails['TEST001']).toBeDefined();
       expect(res.body.trails['TEST002']).toBeDefined();
     });
+
+    it('should only return trails of flights in an area', async () => {
+      upsertFlights([
+        createTestFlight('TEST001', { latitude: 37.6, longitude: -122.4 }),
+        createTestFlight('TEST002', { latitude: 33.9, longitude: -118.4 })
+      ]);
+
+      const res = await request(app).get('/api/trails').query({ near: '33.95,-118.4', radiusNm: 10 });
+
+      expect(res.status).toBe(200);
+      expect(Object.keys(res.body.trails)).toEqual(['TEST002']);
+    });
+  });
+
+  describe('trail simplification', () => {
+    beforeEach(() => {
+      // Straight and level
+      for (let i = 0; i < 10; i++) {
+        upsertFlight(createTestFlight('TEST001', { latitude: 40 + i * 0.01, longitude: -100, timestamp: Date.now() + i }));
+      }
+    });
+
+    it('should simplify trails to a tolerance', async () => {
+      const res = await request(app).get('/api/trails').query({ tolerance: 50 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.trails['TEST001'].map(p => p.latitude)).toEqual([40, 40.09]);
+    });
+
+    it('should limit a flight trail to maxPoints', async () => {
+      const res = await request(app).get('/api/flights/TEST001/trail').query({ maxPoints: 3 });
+
+      expect(res.body.count).toBe(3);
+      expect(res.body.trail).toHaveLength(3);
+    });
+
+    it('should encode trails as polylines', async () => {
+      const res = await request(app).get('/api/trails').query({ encoding: 'polyline', tolerance: 50 });
+
+      expect(res.body.trails['TEST001']).toEqual({
+        polyline: expect.any(String),
+        altitudes: expect.any(String),
+        timestamps: expect.any(String)
+      });
+    });
+
+    it('should reject bad options', async () => {
+      const bad = await request(app).get('/api/trails').query({ maxPoints: -1 });
+      const unknown = await request(app).get('/api/flights/TEST001/trail').query({ encoding: 'protobuf' });
+
+      expect(bad.status).toBe(400);
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.error).toBe('Unknown encoding: protobuf (use polyline)');
+    });
+  });
+
+  describe('GET /api/export', () => {
+    beforeEach(() => {
+      for (let i = 0; i < 3; i++) {
+        upsertFlights([
+          createTestFlight('TEST001', { latitude: 37.5 + i * 0.01, timestamp: Date.now() + i }),
+          createTestFlight('TEST002', { latitude: 33.9, longitude: -118.4 + i * 0.01, timestamp: Date.now() + i })
+        ]);
+      }
+    });
+
+    it('should export positions and trails as GeoJSON', async () => {
+      const res = await request(app).get('/api/export/flights.geojson').query({ bbox: '-123,37,-121.5,38.5' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('application/geo+json');
+      const body = JSON.parse(res.text);
+      expect(body.features.map(feature => [feature.id, feature.geometry.type])).toEqual([
+        ['TEST001', 'Point'],
+        ['TEST001-trail', 'LineString']
+      ]);
+      expect(body.features[1].geometry.coordinates).toHaveLength(3);
+    });
+
+    it('should export KML and CZML', async () => {
+      const kml = await request(app).get('/api/export/trails.kml').query({ operator: 'TST' });
+      const czml = await request(app).get('/api/export/flights.czml');
+
+      expect(kml.status).toBe(200);
+      expect(kml.headers['content-type']).toContain('application/vnd.google-earth.kml+xml');
+      expect(kml.text).toContain('<kml xmlns="http://www.opengis.net/kml/2.2">');
+      expect(czml.status).toBe(200);
+      expect(czml.body.map(packet => packet.id)).toEqual(['document', 'TEST001', 'TEST002']);
+      expect(czml.body[1].position.cartographicDegrees).toHaveLength(12);
+    });
+
+    it('should simplify trails and reject bad filters', async () => {
+      const simplified = await request(app).get('/api/export/flights.czml').query({ tolerance: 50 });
+      const bad = await request(app).get('/api/export/flights.geojson').query({ near: '37.5,-122.5' });
+
+      expect(simplified.body[1].position.cartographicDegrees).toHaveLength(8);
+      expect(bad.status).toBe(400);
+      expect(bad.body.error).toBe('radiusNm must be a positive number');
+    });
+  });
+
+  describe('GET /api/snapshot', () => {
+    it('should return positions interpolated at a moment with trails up to it', async () => {
+      const start = Date.now() - 10 * 60 * 1000;
+      for (let i = 0; i < 3; i++) {
+        upsertFlight(createTestFlight('TEST001', { latitude: 37.5 + i * 0.1, altitude: 30000 + i * 1000, timestamp: start + i * 60000 }));
+      }
+
+      const res = await request(app).get('/api/snapshot').query({ at: new Date(start + 90000).toISOString() });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, at: start + 90000, count: 1 });
+      expect(res.body.flights[0]).toMatchObject({ id: 'TEST001', callsign: 'TSTTEST001', altitude: 31500, interpolated: true });
+      expect(res.body.flights[0].trail.map(point => point.timestamp - start)).toEqual([0, 60000, 90000]);
+    });
+
+    it('should reject missing, unreadable and future moments', async () => {
+      const missing = await request(app).get('/api/snapshot');
+      const unreadable = await request(app).get('/api/snapshot').query({ at: 'yesterday' });
+      const future = await request(app).get('/api/snapshot').query({ at: Date.now() + 60000 });
+
+      expect([missing.status, unreadable.status, future.status]).toEqual([400, 400, 400]);
+      expect(unreadable.body.error).toBe('at must be a ms timestamp or ISO 8601 date');
+      expect(future.body.error).toBe('at must not be in the future');
+    });
+  });
+
+  describe('GET /api/sessions', () => {
+    beforeEach(() => {
+      upsertFlight(createTestFlight('abc123', { callsign: 'UAL1' }));
+      upsertFlight(createTestFlight('def456', { callsign: 'DAL2' }));
+      pruneOldData(-1000);  // Archive both
+    });
+
+    it('should list archived sessions without tracks', async () => {
+      const res = await request(app).get('/api/sessions').query({ callsign: 'UAL1' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.count).toBe(1);
+      expect(res.body.sessions[0]).toMatchObject({ flightId: 'abc123', callsigns: ['UAL1'], pointCount: 1 });
+      expect(res.body.sessions[0].track).toBeUndefined();
+    });
+
+    it('should accept ISO dates for the period', async () => {
+      const res = await request(app).get('/api/sessions').query({ from: '2000-01-01T00:00:00Z', to: new Date().toISOString() });
+
+      expect(res.body.count).toBe(2);
+    });
+
+    it('should reject unreadable dates', async () => {
+      const res = await request(app).get('/api/sessions').query({ from: 'yesterday' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should return a session with its track', async () => {
+      const list = await request(app).get('/api/sessions').query({ aircraft: 'def456' });
+      const res = await request(app).get(`/api/sessions/${list.body.sessions[0].id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.session.flightId).toBe('def456');
+      expect(res.body.session.track).toHaveLength(1);
+      expect(res.body.session.track[0]).toHaveProperty('latitude', 37.5);
+    });
+
+    it('should return 404 for unknown sessions', async () => {
+      const res = await request(app).get('/api/sessions/9999');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Session not found');
+    });
+  });
+
+  describe('GET /api/operators', () => {
+    it('should group active flights by operator, busiest first', async () => {
+      upsertFlights([
+        createTestFlight('TEST001', { callsign: 'UAL1' }),
+        createTestFlight('TEST002', { callsign: 'DAL2' }),
+        createTestFlight('TEST003', { callsign: 'DAL3' }),
+        createTestFlight('TEST004', { callsign: 'N123AB' })
+      ]);
+
+      const res = await request(app).get('/api/operators');
+
+      expect(res.status).toBe(200);
+      expect(res.body.operators.map(o => [o.designator, o.flightCount])).toEqual([['DAL', 2], ['UAL', 1]]);
+      expect(res.body.operators[0]).toMatchObject({ name: 'Delta Air Lines', telephony: 'DELTA' });
+    });
+
+    it('should list idle operators with all=true', async () => {
+      const res = await request(app).get('/api/operators').query({ all: 'true' });
+
+      expect(res.body.operators.find(o => o.designator === 'AAL')).toMatchObject({ flightCount: 0 });
+    });
+  });
+
+  describe('GET /api/opensky/states/all', () => {
+    let fetchSpy;
+
+    afterEach(() => {
+      fetchSpy?.mockRestore();
+      resetOpenSkyProxy();
+      resetOpenSkyClient();
+    });
+
+    it('should pass requests the server has no flights for upstream', async () => {
+      const upstream = { time: 1700000000, states: null };
+      fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true, status: 200, statusText: 'OK', headers: new Headers(), json: async () => upstream
+      });
+
+      const res = await request(app).get('/api/opensky/states/all?lamin=30&lomin=-50&lamax=31&lomax=-49');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['x-cache']).toBe('MISS');
+      expect(res.body).toEqual(upstream);
+    });
+
+    it('should answer 429 with Retry-After when out of credits', async () => {
+      fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: false, status: 429, statusText: 'Too Many Requests',
+        headers: new Headers({ 'X-Rate-Limit-Retry-After-Seconds': '600' }), json: async () => null
+      });
+
+      const res = await request(app).get('/api/opensky/states/all');
+
+      expect(res.status).toBe(429);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(500);
+    });
+
+    it('should reject partial bounding boxes', async () => {
+      const res = await request(app).get('/api/opensky/states/all?lamin=30&lamax=31');
+
+      expect(res.status).toBe(400);
+    });
   });
 
   describe('GET /api/stats', () => {
@@ -240,6 +712,18 @@ describe('REST API', () => {
       expect(res.body.stats.trailPointCount).toBe(5);
       expect(res.body.stats.dataSource).toBeDefined();
       expect(res.body.stats.fetchInterval).toBeDefined();
+      expect(res.body.stats.trackFilter.rejected).toHaveProperty('total');
+    });
+  });
+
+  describe('GET /api/sources', () => {
+    it('should list registered data sources', async () => {
+      const res = await request(app).get('/api/sources');
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.available).toEqual(expect.arrayContaining(['opensky', 'faa', 'mock']));
+      expect(Array.isArray(res.body.active)).toBe(true);
     });
   });
 
@@ -0,0 +1,269 @@
+/**
+ * Integration Tests for the Live Flight Stream (SSE and WebSocket)
+ */
+
+import express from 'express';
+import http from 'http';
+import WebSocket from 'ws';
+import request from 'supertest';
+import { existsSync, unlinkSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+import { createApiRouter } from '../../src/server/api.js';
+import { attachWebSocketServer, publishCycle, closeStreams, parseSubscription } from '../../src/server/flight-stream.js';
+import { initDatabase, closeDatabase, upsertFlight, upsertFlights, pruneOldData, getDatabase } from '../../src/server/database.js';
+
+const TEST_DB_PATH = './data/test-stream.db';
+
+function removeDatabase() {
+  for (const file of [TEST_DB_PATH, `${TEST_DB_PATH}-wal`, `${TEST_DB_PATH}-shm`]) {
+    if (existsSync(file)) unlinkSync(file);
+  }
+}
+
+const createTestFlight = (id, overrides = {}) => ({
+  id,
+  callsign: `TST${id}`,
+  latitude: 37.5,
+  longitude: -122.5,
+  altitude: 35000,
+  heading: 90,
+  speed: 450,
+  verticalRate: 0,
+  onGround: false,
+  timestamp: Date.now(),
+  source: 'test',
+  ...overrides
+});
+
+/**
+ * Collects the messages of a stream and waits for ones matching a test
+ */
+function createInbox() {
+  const messages = [];
+  const waiters = [];
+
+  return {
+    messages,
+    push(message) {
+      messages.push(message);
+      for (const waiter of [...waiters]) {
+        const found = messages.find(waiter.test);
+        if (found) {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          waiter.resolve(found);
+        }
+      }
+    },
+    next(test) {
+      const found = messages.find(test);
+      if (found) return Promise.resolve(found);
+      return new Promise(resolve => waiters.push({ test, resolve }));
+    },
+    clear() {
+      messages.length = 0;
+    }
+  };
+}
+
+describe('Live Flight Stream', () => {
+  let server;
+  let baseUrl;
+  let connections;
+
+  beforeAll(() => {
+    const dir = dirname(TEST_DB_PATH);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  });
+
+  beforeEach(async () => {
+    removeDatabase();
+    initDatabase(TEST_DB_PATH);
+
+    const app = express();
+    app.use('/api', createApiRouter());
+    server = http.createServer(app);
+    attachWebSocketServer(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `localhost:${server.address().port}`;
+    connections = [];
+  });
+
+  afterEach(async () => {
+    for (const close of connections) close();
+    closeStreams();
+    await new Promise(resolve => server.close(resolve));
+    closeDatabase();
+    removeDatabase();
+  });
+
+  function openEventStream(path, headers = {}) {
+    const inbox = createInbox();
+    const req = http.get(`http://${baseUrl}${path}`, { headers }, res => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const fields = Object.fromEntries(buffer.slice(0, end).split('\n').map(line => {
+            const colon = line.indexOf(': ');
+            return [line.slice(0, colon), line.slice(colon + 2)];
+          }));
+          buffer = buffer.slice(end + 2);
+          inbox.push({ type: fields.event, id: fields.id, ...JSON.parse(fields.data) });
+        }
+      });
+    });
+    req.on('error', () => {});
+    connections.push(() => req.destroy());
+    return inbox;
+  }
+
+  function openWebSocket(path) {
+    const inbox = createInbox();
+    const socket = new WebSocket(`ws://${baseUrl}${path}`);
+    socket.on('message', data => inbox.push(JSON.parse(data)));
+    socket.on('close', (code, reason) => inbox.push({ type: 'close', code, reason: reason.toString() }));
+    connections.push(() => socket.terminate());
+    inbox.socket = socket;
+    return inbox;
+  }
+
+  describe('GET /api/stream', () => {
+    it('should send a full sync, then the changes after each cycle', async () => {
+      upsertFlight(createTestFlight('TEST001'));
+      const stream = openEventStream('/api/stream');
+
+      const sync = await stream.next(message => message.type === 'flights');
+      expect(sync).toMatchObject({ full: true, added: [{ id: 'TEST001' }], id: sync.cursor });
+
+      upsertFlights([createTestFlight('TEST001', { altitude: 36000 }), createTestFlight('TEST002')]);
+      publishCycle({ fetched: 2, accepted: 2, pruned: 0 });
+
+      const delta = await stream.next(message => message.type === 'flights' && !message.full);
+      expect(delta.added.map(f => f.id)).toEqual(['TEST002']);
+      expect(delta.updated).toMatchObject([{ id: 'TEST001', altitude: 36000 }]);
+      expect(await stream.next(message => message.type === 'cycle')).toMatchObject({ fetched: 2, accepted: 2 });
+    });
+
+    it('should resume from the Last-Event-ID after a reconnect', async () => {
+      upsertFlight(createTestFlight('TEST001'));
+      const first = openEventStream('/api/stream');
+      const { cursor } = await first.next(message => message.type === 'flights');
+
+      upsertFlight(createTestFlight('TEST002'));
+      const resumed = openEventStream('/api/stream', { 'Last-Event-ID': cursor });
+
+      expect(await resumed.next(message => message.type === 'flights')).toMatchObject({
+        full: false,
+        added: [{ id: 'TEST002' }],
+        updated: []
+      });
+    });
+
+    it('should remove flights that left a resumed subscriber\'s area', async () => {
+      upsertFlights([createTestFlight('TEST001'), createTestFlight('TEST002', { latitude: 33.9, longitude: -118.4 })]);
+      const first = openEventStream('/api/stream?bbox=-123,37,-121.5,38.5');
+      const { cursor } = await first.next(message => message.type === 'flights');
+
+      upsertFlight(createTestFlight('TEST001', { altitude: 36000 }));
+      upsertFlight(createTestFlight('TEST002', { latitude: 34, longitude: -118.4 }));
+      const resumed = openEventStream('/api/stream?bbox=-123,37,-121.5,38.5', { 'Last-Event-ID': cursor });
+
+      expect(await resumed.next(message => message.type === 'flights')).toMatchObject({
+        full: false,
+        added: [],
+        updated: [{ id: 'TEST001', altitude: 36000 }],
+        removed: ['TEST002']
+      });
+    });
+
+    it('should tell a resumed subscriber about flights pruned while it was away', async () => {
+      upsertFlights([createTestFlight('TEST001'), createTestFlight('TEST002')]);
+      const first = openEventStream('/api/stream?bbox=-123,37,-121.5,38.5');
+      const { cursor } = await first.next(message => message.type === 'flights');
+
+      getDatabase().prepare("UPDATE flights SET updated_at = 0 WHERE id = 'TEST002'").run();
+      pruneOldData();
+      const resumed = openEventStream('/api/stream?bbox=-123,37,-121.5,38.5', { 'Last-Event-ID': cursor });
+
+      expect(await resumed.next(message => message.type === 'flights')).toMatchObject({
+        full: false,
+        added: [],
+        updated: [],
+        removed: ['TEST002']
+      });
+    });
+
+    it('should reject bad filters', async () => {
+      const res = await request(server).get('/api/stream?bbox=1,2,3');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('bbox must be');
+    });
+  });
+
+  describe('WebSocket /api/ws', () => {
+    it('should only send flights in the subscribed area, removing those that leave it', async () => {
+      upsertFlights([createTestFlight('TEST001'), createTestFlight('TEST002', { latitude: 33.9, longitude: -118.4 })]);
+      const socket = openWebSocket('/api/ws?bbox=-123,37,-121.5,38.5');
+
+      expect((await socket.next(message => message.type === 'flights')).added.map(f => f.id)).toEqual(['TEST001']);
+
+      upsertFlight(createTestFlight('TEST001', { latitude: 36 }));
+      publishCycle();
+
+      expect(await socket.next(message => message.type === 'flights' && !message.full)).toMatchObject({
+        added: [],
+        updated: [],
+        removed: ['TEST001']
+      });
+    });
+
+    it('should report pruned flights as removed', async () => {
+      upsertFlight(createTestFlight('TEST001'));
+      const socket = openWebSocket('/api/ws');
+      await socket.next(message => message.type === 'flights');
+
+      pruneOldData(-1);
+      publishCycle({ pruned: 1 });
+
+      expect((await socket.next(message => message.type === 'flights' && !message.full)).removed).toEqual(['TEST001']);
+    });
+
+    it('should change filters on a subscribe message', async () => {
+      upsertFlights([createTestFlight('TEST001', { callsign: 'UAL1' }), createTestFlight('TEST002', { callsign: 'DAL2' })]);
+      const socket = openWebSocket('/api/ws?callsign=ual1');
+      expect((await socket.next(message => message.type === 'flights')).added.map(f => f.id)).toEqual(['TEST001']);
+
+      socket.clear();
+      socket.socket.send(JSON.stringify({ type: 'subscribe', callsign: 'DAL2' }));
+      expect(await socket.next(message => message.type === 'flights')).toMatchObject({ full: true, added: [{ id: 'TEST002' }] });
+
+      socket.socket.send(JSON.stringify({ type: 'subscribe', near: '37.5,-122.5' }));
+      expect((await socket.next(message => message.type === 'error')).error).toBe('radiusNm must be a positive number');
+    });
+
+    it('should close connections with bad filters', async () => {
+      const socket = openWebSocket('/api/ws?near=91,0&radiusNm=5');
+
+      expect(await socket.next(message => message.type === 'close')).toMatchObject({
+        code: 1008,
+        reason: 'near must be lat,lon in degrees'
+      });
+    });
+  });
+
+  describe('parseSubscription', () => {
+    it('should read areas and callsigns', () => {
+      const { area, callsigns } = parseSubscription({ bbox: '-123,37,-121.5,38.5', callsign: 'ual1, Dal2' });
+
+      expect(area.bounds).toEqual({ minLat: 37, maxLat: 38.5, minLon: -123, maxLon: -121.5 });
+      expect([...callsigns]).toEqual(['UAL1', 'DAL2']);
+      expect(parseSubscription({})).toEqual({ area: null, callsigns: null });
+    });
+  });
+});
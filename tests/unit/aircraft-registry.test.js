@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for the FAA Aircraft Registry Import
+ */
+
+import { existsSync, unlinkSync, mkdirSync, copyFileSync, utimesSync, rmSync } from 'fs';
+import { dirname, join } from 'path';
+import {
+  parseAircraftReference,
+  importRegistry,
+  refreshRegistry,
+  getRegistryStatus
+} from '../../src/server/aircraft-registry.js';
+import { initDatabase, closeDatabase, upsertFlight, getFlight, getDatabase } from '../../src/server/database.js';
+
+const TEST_DB_PATH = './data/test-registry.db';
+const FIXTURES = './tests/fixtures/registry';
+const COPY_DIR = './data/test-registry';
+
+function removeDatabase() {
+  for (const file of [TEST_DB_PATH, `${TEST_DB_PATH}-wal`, `${TEST_DB_PATH}-shm`]) {
+    if (existsSync(file)) unlinkSync(file);
+  }
+}
+
+describe('Aircraft Registry', () => {
+  beforeAll(() => {
+    const dir = dirname(TEST_DB_PATH);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  });
+
+  beforeEach(() => {
+    removeDatabase();
+    initDatabase(TEST_DB_PATH);
+  });
+
+  afterEach(() => {
+    closeDatabase();
+    removeDatabase();
+    rmSync(COPY_DIR, { recursive: true, force: true });
+  });
+
+  describe('parseAircraftReference', () => {
+    it('should map model codes to trimmed manufacturer and model names', () => {
+      const text = '\uFEFFCODE,MFR,MODEL,TYPE-ACFT,\r\n2072738,CESSNA     ,172S      ,4,\r\n';
+
+      expect(parseAircraftReference(text).get('2072738')).toEqual({ manufacturer: 'CESSNA', model: '172S' });
+    });
+  });
+
+  describe('importRegistry', () => {
+    it('should import aircraft that have a Mode S address', async () => {
+      expect(await importRegistry(FIXTURES)).toBe(2);
+
+      const rows = getDatabase().prepare('SELECT * FROM aircraft ORDER BY id').all();
+      expect(rows.map(row => row.id)).toEqual(['a0b1c2', 'a51234']);
+      expect(rows[1]).toEqual({
+        id: 'a51234',
+        registration: 'N172SP',
+        manufacturer: 'CESSNA',
+        model: '172S',
+        aircraft_type: 'Fixed wing single engine',
+        engine_type: 'Reciprocating',
+        registrant: 'DOE JANE',
+        year_built: 2008
+      });
+    });
+
+    it('should replace the previous import', async () => {
+      getDatabase().prepare("INSERT INTO aircraft (id, registration) VALUES ('abcdef', 'N1')").run();
+
+      await importRegistry(FIXTURES);
+
+      expect(getDatabase().prepare("SELECT * FROM aircraft WHERE id = 'abcdef'").get()).toBeUndefined();
+      expect(getRegistryStatus()).toMatchObject({ source: 'faa', recordCount: 2 });
+    });
+
+    it('should reject a file that is not the MASTER file', async () => {
+      mkdirSync(COPY_DIR, { recursive: true });
+      copyFileSync(join(FIXTURES, 'ACFTREF.txt'), join(COPY_DIR, 'ACFTREF.txt'));
+      copyFileSync(join(FIXTURES, 'ACFTREF.txt'), join(COPY_DIR, 'MASTER.txt'));
+
+      await expect(importRegistry(COPY_DIR)).rejects.toThrow("doesn't look like the FAA MASTER file");
+    });
+  });
+
+  describe('refreshRegistry', () => {
+    it('should only import when MASTER.txt has changed', async () => {
+      mkdirSync(COPY_DIR, { recursive: true });
+      copyFileSync(join(FIXTURES, 'ACFTREF.txt'), join(COPY_DIR, 'ACFTREF.txt'));
+      copyFileSync(join(FIXTURES, 'MASTER.txt'), join(COPY_DIR, 'MASTER.txt'));
+      utimesSync(join(COPY_DIR, 'MASTER.txt'), 1700000000, 1700000000);
+
+      expect(await refreshRegistry(COPY_DIR)).toBe(2);
+      expect(await refreshRegistry(COPY_DIR)).toBeNull();
+
+      utimesSync(join(COPY_DIR, 'MASTER.txt'), 1700086400, 1700086400);
+      expect(await refreshRegistry(COPY_DIR)).toBe(2);
+    });
+  });
+
+  describe('getFlight', () => {
+    it('should join registration details on the Mode S address', async () => {
+      await importRegistry(FIXTURES);
+      upsertFlight({
+        id: 'A0B1C2', callsign: 'EXA12', latitude: 41.9, longitude: -87.9, altitude: 12000,
+        heading: 270, speed: 300, timestamp: Date.now(), source: 'test'
+      });
+
+      expect(getFlight('A0B1C2').registry).toEqual({
+        registration: 'N12345',
+        manufacturer: 'BOEING',
+        model: '737-8H4',
+        aircraftType: 'Fixed wing multi engine',
+        engineType: 'Turbo-fan',
+        registrant: 'EXAMPLE AIRLINES INC',
+        yearBuilt: 2014
+      });
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for the OurAirports Import
+ */
+
+import { existsSync, unlinkSync, mkdirSync, copyFileSync, utimesSync, writeFileSync, rmSync } from 'fs';
+import { dirname, join } from 'path';
+import {
+  parseCsvLine,
+  parseAirport,
+  importAirports,
+  refreshAirports,
+  getAirportsStatus
+} from '../../src/server/airports.js';
+import { initDatabase, closeDatabase, getAirport, getAirportsInBounds, getDatabase } from '../../src/server/database.js';
+
+const TEST_DB_PATH = './data/test-airports.db';
+const FIXTURES = './tests/fixtures/airports';
+const COPY_DIR = './data/test-airports';
+
+function removeDatabase() {
+  for (const file of [TEST_DB_PATH, `${TEST_DB_PATH}-wal`, `${TEST_DB_PATH}-shm`]) {
+    if (existsSync(file)) unlinkSync(file);
+  }
+}
+
+function copyFixtures() {
+  mkdirSync(COPY_DIR, { recursive: true });
+  for (const file of ['airports.csv', 'runways.csv']) {
+    copyFileSync(join(FIXTURES, file), join(COPY_DIR, file));
+  }
+}
+
+describe('Airports', () => {
+  beforeAll(() => {
+    const dir = dirname(TEST_DB_PATH);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  });
+
+  beforeEach(() => {
+    removeDatabase();
+    initDatabase(TEST_DB_PATH);
+  });
+
+  afterEach(() => {
+    closeDatabase();
+    removeDatabase();
+    rmSync(COPY_DIR, { recursive: true, force: true });
+  });
+
+  describe('parseCsvLine', () => {
+    it('should handle quoted fields with commas and doubled quotes', () => {
+      expect(parseCsvLine('1,"KSFO","QSF, ""Bay Area""",,37.6'))
+        .toEqual(['1', 'KSFO', 'QSF, "Bay Area"', '', '37.6']);
+    });
+  });
+
+  describe('parseAirport', () => {
+    it('should fall back to a four letter GPS code for the ICAO code', () => {
+      const row = { ident: 'KSQL', type: 'small_airport', latitude_deg: '37.5', longitude_deg: '-122.2', gps_code: 'KSQL' };
+
+      expect(parseAirport(row).icaoCode).toBe('KSQL');
+      expect(parseAirport({ ...row, gps_code: 'CA12' }).icaoCode).toBeNull();
+    });
+
+    it('should skip closed airports and ones without a position', () => {
+      expect(parseAirport({ ident: 'X', type: 'closed', latitude_deg: '1', longitude_deg: '1' })).toBeNull();
+      expect(parseAirport({ ident: 'X', type: 'small_airport', latitude_deg: '', longitude_deg: '1' })).toBeNull();
+    });
+  });
+
+  describe('importAirports', () => {
+    it('should import open airports and their runways', async () => {
+      expect(await importAirports(FIXTURES)).toBe(5);
+
+      expect(getAirport('KSFO')).toEqual({
+        ident: 'KSFO',
+        type: 'large_airport',
+        name: 'San Francisco International Airport',
+        latitude: 37.61899948120117,
+        longitude: -122.375,
+        elevation: 13,
+        country: 'US',
+        municipality: 'San Francisco',
+        icaoCode: 'KSFO',
+        iataCode: 'SFO'
+      });
+      expect(getAirport('XC01')).toBeNull();
+      // The closed runway is left out
+      expect(getDatabase().prepare("SELECT COUNT(*) as count FROM runways WHERE airport_ident = 'KSFO'").get().count).toBe(2);
+      expect(getAirportsStatus()).toMatchObject({ source: 'ourairports', recordCount: 5 });
+    });
+
+    it('should find airports, but not heliports, in a box with their runway headings', async () => {
+      await importAirports(FIXTURES);
+
+      const airports = getAirportsInBounds({ minLat: 37.5, maxLat: 37.7, minLon: -122.4, maxLon: -122.2 });
+
+      expect(airports.map(a => a.ident).sort()).toEqual(['KSFO', 'KSQL']);
+      expect(airports.find(a => a.ident === 'KSFO').runwayHeadings.sort()).toEqual([117.9, 207.9, 27.9, 297.9]);
+    });
+
+    it('should reject files that are not from OurAirports', async () => {
+      copyFixtures();
+      writeFileSync(join(COPY_DIR, 'airports.csv'), 'code,name\nKSFO,San Francisco\n');
+
+      await expect(importAirports(COPY_DIR)).rejects.toThrow("doesn't look like an OurAirports file (no ident, type");
+    });
+  });
+
+  describe('refreshAirports', () => {
+    it('should only import when airports.csv has changed', async () => {
+      copyFixtures();
+      utimesSync(join(COPY_DIR, 'airports.csv'), 1700000000, 1700000000);
+
+      expect(await refreshAirports(COPY_DIR)).toBe(5);
+      expect(await refreshAirports(COPY_DIR)).toBeNull();
+
+      utimesSync(join(COPY_DIR, 'airports.csv'), 1700086400, 1700086400);
+      expect(await refreshAirports(COPY_DIR)).toBe(5);
+    });
+  });
+});
@@ -11,13 +11,21 @@ import {
   upsertFlight,
   upsertFlights,
   getAllFlights,
+  getFlight,
   getFlightsSince,
+  getFlightsInBounds,
+  getSyncState,
+  getFlightChanges,
   getFlightTrail,
   getAllTrails,
+  storeBackfilledTrail,
   pruneOldData,
+  listSessions,
+  getSession,
   getStats,
   getDatabase
 } from '../../src/server/database.js';
+import { config } from '../../src/server/config.js';
 
 const TEST_DB_PATH = './data/test-flights.db';
 
@@ -123,6 +131,25 @@ describe('Database Module', () => {
       expect(flights[0].altitude).toBe(35000);
     });
 
+    it('should keep a filed flight plan through updates without one', () => {
+      upsertFlight(createTestFlight('TEST001', { departure: 'KSFO', arrival: 'KEWR', aircraftType: 'B38M', route: 'KSFO..KEWR' }));
+      upsertFlight(createTestFlight('TEST002'));
+      upsertFlight(createTestFlight('TEST001', { altitude: 36000 }));
+
+      const [plan, none] = getAllFlights().sort((a, b) => a.id.localeCompare(b.id)).map(f => f.flightPlan);
+      expect(plan).toEqual({ departure: 'KSFO', arrival: 'KEWR', aircraftType: 'B38M', route: 'KSFO..KEWR' });
+      expect(none).toBeNull();
+    });
+
+    it('should keep the address type through updates without one', () => {
+      upsertFlight(createTestFlight('nonicao-a1b2c3', { addressType: 'non-icao' }));
+      upsertFlight(createTestFlight('TEST001'));
+      upsertFlight(createTestFlight('nonicao-a1b2c3', { altitude: 36000 }));
+
+      expect(getFlight('nonicao-a1b2c3').addressType).toBe('non-icao');
+      expect(getFlight('TEST001').addressType).toBeNull();
+    });
+
     it('should create trail point on insert', () => {
       const flight = createTestFlight('TEST001');
       upsertFlight(flight);
@@ -190,6 +217,122 @@ describe('Database Module', () => {
     });
   });
 
+  describe('getFlightsInBounds', () => {
+    const BAY_AREA = { minLat: 37, maxLat: 38.5, minLon: -123, maxLon: -121.5 };
+
+    it('should return only flights inside the box', () => {
+      upsertFlights([
+        createTestFlight('TEST001', { latitude: 37.6, longitude: -122.4 }),
+        createTestFlight('TEST002', { latitude: 33.9, longitude: -118.4 })
+      ]);
+
+      expect(getFlightsInBounds(BAY_AREA).map(f => f.id)).toEqual(['TEST001']);
+    });
+
+    it('should follow flights as they move', () => {
+      upsertFlight(createTestFlight('TEST001', { latitude: 37.6, longitude: -122.4 }));
+      upsertFlight(createTestFlight('TEST001', { latitude: 39.5, longitude: -122.4 }));
+
+      expect(getFlightsInBounds(BAY_AREA)).toEqual([]);
+      expect(getFlightsInBounds({ ...BAY_AREA, maxLat: 40 }).map(f => f.id)).toEqual(['TEST001']);
+    });
+
+    it('should handle boxes across the antimeridian', () => {
+      upsertFlights([
+        createTestFlight('TEST001', { latitude: 52, longitude: 179.5 }),
+        createTestFlight('TEST002', { latitude: 52, longitude: -179.5 }),
+        createTestFlight('TEST003', { latitude: 52, longitude: 170 })
+      ]);
+
+      const flights = getFlightsInBounds({ minLat: 50, maxLat: 55, minLon: 178, maxLon: -178 });
+
+      expect(flights.map(f => f.id).sort()).toEqual(['TEST001', 'TEST002']);
+    });
+
+    it('should drop pruned flights from the index', () => {
+      upsertFlight(createTestFlight('TEST001', { latitude: 37.6, longitude: -122.4 }));
+
+      pruneOldData(-1);
+
+      expect(getDatabase().prepare('SELECT COUNT(*) as count FROM flight_positions').get().count).toBe(0);
+    });
+
+    it('should keep finding flights when their rowids are renumbered', () => {
+      upsertFlights([
+        createTestFlight('TEST001', { latitude: 33.9, longitude: -118.4 }),
+        createTestFlight('TEST002', { latitude: 37.6, longitude: -122.4 })
+      ]);
+      getDatabase().prepare("UPDATE flights SET updated_at = 0 WHERE id = 'TEST001'").run();
+      pruneOldData();
+
+      // As VACUUM may, and rebuilding the table does
+      const { sql } = getDatabase().prepare("SELECT sql FROM sqlite_master WHERE name = 'flights'").get();
+      getDatabase().exec(`
+        ${sql.replace('flights', 'flights_rebuilt')};
+        INSERT INTO flights_rebuilt SELECT * FROM flights WHERE 1;
+        DROP TABLE flights;
+        ALTER TABLE flights_rebuilt RENAME TO flights;
+      `);
+      expect(getDatabase().prepare("SELECT rowid FROM flights WHERE id = 'TEST002'").get().rowid).toBe(1);
+
+      upsertFlight(createTestFlight('TEST003', { latitude: 33.9, longitude: -118.4 }));
+
+      expect(getFlightsInBounds(BAY_AREA).map(f => f.id)).toEqual(['TEST002']);
+    });
+  });
+
+  describe('getFlightChanges', () => {
+    it('should give each batch of updates the next sequence number', () => {
+      const { sequence } = getSyncState();
+
+      upsertFlights([createTestFlight('TEST001'), createTestFlight('TEST002')]);
+      upsertFlights([]);
+
+      expect(getSyncState().sequence).toBe(sequence + 1);
+    });
+
+    it('should report flights added and updated since a sequence number', () => {
+      upsertFlight(createTestFlight('TEST001'));
+      const { sequence } = getSyncState();
+
+      upsertFlights([createTestFlight('TEST001', { altitude: 36000 }), createTestFlight('TEST002')]);
+
+      const changes = getFlightChanges(sequence);
+      expect(changes.added.map(f => f.id)).toEqual(['TEST002']);
+      expect(changes.updated).toMatchObject([{ id: 'TEST001', altitude: 36000 }]);
+      expect(changes.removed).toEqual([]);
+      expect(getFlightChanges(getSyncState().sequence)).toEqual({ added: [], updated: [], removed: [] });
+    });
+
+    it('should report pruned flights as removed until they are seen again', () => {
+      upsertFlight(createTestFlight('TEST001'));
+      const { sequence } = getSyncState();
+
+      pruneOldData(-1);
+      expect(getFlightChanges(sequence).removed).toEqual(['TEST001']);
+
+      upsertFlight(createTestFlight('TEST001'));
+      expect(getFlightChanges(sequence)).toMatchObject({ added: [{ id: 'TEST001' }], removed: [] });
+    });
+
+    it('should move the oldest usable sequence number on as removals are forgotten', () => {
+      const retention = config.sync.removalRetention;
+      upsertFlight(createTestFlight('TEST001'));
+      pruneOldData(-1);
+      const { sequence } = getSyncState();
+
+      try {
+        config.sync.removalRetention = -1;
+        pruneOldData();
+      } finally {
+        config.sync.removalRetention = retention;
+      }
+
+      expect(getSyncState().oldest).toBe(sequence);
+      expect(getDatabase().prepare('SELECT COUNT(*) as count FROM flight_removals').get().count).toBe(0);
+    });
+  });
+
   describe('getFlightTrail', () => {
     it('should return trail points in chronological order', async () => {
       const flight = createTestFlight('TEST001');
@@ -224,6 +367,99 @@ describe('Database Module', () => {
     });
   });
 
+  describe('storeBackfilledTrail', () => {
+    const point = (timestamp, latitude = 37) => ({ latitude, longitude: -122, altitude: 10000, timestamp });
+
+    it('should put backfilled history ahead of polled points', () => {
+      const now = Date.now();
+      upsertFlight(createTestFlight('TEST001', { timestamp: now }));
+
+      const stored = storeBackfilledTrail('TEST001', [point(now - 120000), point(now - 60000), point(now + 1000)]);
+      const trail = getFlightTrail('TEST001');
+
+      // History overlapping our own points is dropped
+      expect(stored).toBe(2);
+      expect(trail.map(p => p.timestamp)).toEqual([now - 120000, now - 60000, now]);
+      expect(trail.map(p => Boolean(p.backfilled))).toEqual([true, true, false]);
+    });
+
+    it('should replace earlier backfilled history', () => {
+      const now = Date.now();
+      upsertFlight(createTestFlight('TEST001', { timestamp: now }));
+      storeBackfilledTrail('TEST001', [point(now - 120000, 36)]);
+      storeBackfilledTrail('TEST001', [point(now - 90000, 35)]);
+
+      const history = getFlightTrail('TEST001').filter(p => p.backfilled);
+      expect(history).toEqual([{ ...point(now - 90000, 35), backfilled: true }]);
+    });
+
+    it('should not count history against the trail limit', () => {
+      const flight = createTestFlight('TEST001', { timestamp: Date.now() });
+      for (let i = 0; i < 10; i++) {
+        flight.timestamp += 1000;
+        upsertFlight(flight);
+      }
+      storeBackfilledTrail('TEST001', [point(1000), point(2000), point(3000)]);
+
+      expect(getFlightTrail('TEST001', 5)).toHaveLength(8);
+      expect(getAllTrails()['TEST001'].every(p => p.timestamp > 3000)).toBe(true);
+    });
+  });
+
+  describe('sources', () => {
+    it('should default sources to the single reporting source', () => {
+      upsertFlight(createTestFlight('TEST001'));
+
+      const [flight] = getAllFlights();
+      expect(flight.sources).toEqual(['test']);
+    });
+
+    it('should store the list of contributing sources', () => {
+      upsertFlight(createTestFlight('TEST001', { source: 'sbs', sources: ['sbs', 'opensky'] }));
+
+      const [flight] = getAllFlights();
+      expect(flight.source).toBe('sbs');
+      expect(flight.sources).toEqual(['sbs', 'opensky']);
+    });
+  });
+
+  describe('state vector fields', () => {
+    it('should store OpenSky state vector and position source metadata', () => {
+      upsertFlight(createTestFlight('TEST001', {
+        source: 'opensky',
+        originCountry: 'Canada',
+        timePosition: 1699999990000,
+        lastContact: 1699999999000,
+        baroAltitude: 32808,
+        geoAltitude: 32972,
+        sensors: [101, 202],
+        spi: true,
+        positionSource: 'MLAT'
+      }));
+
+      const [flight] = getAllFlights();
+      expect(flight).toMatchObject({
+        originCountry: 'Canada',
+        timePosition: 1699999990000,
+        lastContact: 1699999999000,
+        baroAltitude: 32808,
+        geoAltitude: 32972,
+        sensors: [101, 202],
+        spi: true,
+        positionSource: 'MLAT'
+      });
+    });
+
+    it('should leave them empty for sources without them', () => {
+      upsertFlight(createTestFlight('TEST001'));
+
+      const [flight] = getAllFlights();
+      expect(flight.positionSource).toBeNull();
+      expect(flight.sensors).toBeNull();
+      expect(flight.spi).toBe(false);
+    });
+  });
+
   describe('getAllTrails', () => {
     it('should return trails for all active flights', () => {
       const flight1 = createTestFlight('TEST001');
@@ -256,6 +492,140 @@ describe('Database Module', () => {
     });
   });
 
+  describe('flight sessions', () => {
+    const originalSessions = { ...config.sessions };
+    const originalMaxTrailPoints = config.maxTrailPoints;
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+    const T0 = Date.now() - HOUR;
+
+    beforeEach(() => {
+      config.sessions.trackTolerance = 0;
+    });
+
+    afterEach(() => {
+      Object.assign(config.sessions, originalSessions);
+      config.maxTrailPoints = originalMaxTrailPoints;
+    });
+
+    // Everything is stale once the cutoff is in the future
+    const pruneEverything = () => pruneOldData(-1000);
+
+    const fly = (id, points, overrides = {}) => {
+      for (let i = 0; i < points; i++) {
+        upsertFlight(createTestFlight(id, { timestamp: T0 + 1000 * i, altitude: 30000 + i * 100, ...overrides }));
+      }
+    };
+
+    it('should archive stale flights instead of just deleting them', () => {
+      fly('abc123', 3, { callsign: 'UAL1' });
+      upsertFlight(createTestFlight('abc123', { callsign: 'UAL1A', timestamp: T0 + 3000, altitude: 20000 }));
+
+      const result = pruneEverything();
+      expect(result).toEqual({ prunedFlights: 1, archivedSessions: 1 });
+      expect(getAllFlights(HOUR)).toHaveLength(0);
+
+      const [session] = listSessions();
+      expect(session).toMatchObject({
+        flightId: 'abc123',
+        callsigns: ['UAL1', 'UAL1A'],
+        firstSeen: T0,
+        lastSeen: T0 + 3000,
+        maxAltitude: 30200,
+        pointCount: 4
+      });
+      expect(session.track).toBeUndefined();
+      expect(getSession(session.id).track.map(p => p.timestamp - T0)).toEqual([0, 1000, 2000, 3000]);
+    });
+
+    it('should not count the ICAO address as a callsign', () => {
+      fly('abc123', 1, { callsign: 'abc123' });
+      pruneEverything();
+
+      expect(listSessions()[0].callsigns).toEqual([]);
+    });
+
+    it('should filter sessions by aircraft, callsign and date range', () => {
+      fly('abc123', 2, { callsign: 'UAL1', timestamp: T0 - 10 * HOUR });
+      upsertFlight(createTestFlight('def456', { callsign: 'DAL2', timestamp: T0 }));
+      pruneEverything();
+
+      expect(listSessions({ flightId: 'ABC123' }).map(s => s.flightId)).toEqual(['abc123']);
+      expect(listSessions({ callsign: 'dal2' }).map(s => s.flightId)).toEqual(['def456']);
+      expect(listSessions({ from: T0 - HOUR }).map(s => s.flightId)).toEqual(['def456']);
+      expect(listSessions({ to: T0 - HOUR }).map(s => s.flightId)).toEqual(['abc123']);
+      expect(listSessions({ limit: 1 })).toHaveLength(1);
+    });
+
+    it('should keep the full track of flights longer than the trail limit', () => {
+      config.maxTrailPoints = 4;
+      config.sessions.spillPoints = 2;
+      fly('abc123', 7);
+
+      pruneOldData(HOUR);
+      expect(getFlightTrail('abc123')).toHaveLength(4);
+      expect(listSessions()).toHaveLength(0);  // Still in progress
+
+      upsertFlight(createTestFlight('abc123', { timestamp: T0 + 7000 }));
+      pruneEverything();
+
+      const [session] = listSessions();
+      expect(session.pointCount).toBe(8);
+      expect(getSession(session.id).track.map(p => (p.timestamp - T0) / 1000)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('should store simplified tracks', () => {
+      config.sessions.trackTolerance = 15;
+      // Straight and level
+      for (let i = 0; i < 10; i++) {
+        upsertFlight(createTestFlight('abc123', { latitude: 40 + i * 0.01, longitude: -100, timestamp: T0 + i * 1000 }));
+      }
+      pruneEverything();
+
+      const [session] = listSessions();
+      expect(session.pointCount).toBe(2);
+      expect(getSession(session.id).track.map(p => p.latitude)).toEqual([40, 40.09]);
+    });
+
+    it('should simplify only the spilled points, keeping what is stored', () => {
+      config.sessions.trackTolerance = 15;
+      config.maxTrailPoints = 2;
+      config.sessions.spillPoints = 2;
+      const north = (from, to) => {
+        for (let i = from; i < to; i++) {
+          upsertFlight(createTestFlight('abc123', { latitude: 40 + i * 0.01, longitude: -100, timestamp: T0 + i * 1000 }));
+        }
+      };
+
+      north(0, 5);
+      pruneOldData(HOUR);
+      north(5, 8);
+      pruneOldData(HOUR);
+      pruneEverything();
+
+      const [session] = listSessions();
+      expect(getSession(session.id).track.map(p => p.latitude)).toEqual([40, 40.02, 40.05, 40.07]);
+      expect(session.pointCount).toBe(4);
+    });
+
+    it('should drop sessions older than the retention period', () => {
+      fly('abc123', 2, { timestamp: Date.now() - (config.sessions.retentionDays + 1) * DAY });
+      fly('def456', 2);
+      pruneEverything();
+
+      expect(listSessions().map(s => s.flightId)).toEqual(['def456']);
+      expect(getStats().sessionCount).toBe(1);
+    });
+
+    it('should only delete flights when the archive is disabled', () => {
+      config.sessions.retentionDays = 0;
+      fly('abc123', 2);
+
+      expect(pruneEverything()).toEqual({ prunedFlights: 1, archivedSessions: 0 });
+      expect(listSessions()).toHaveLength(0);
+    });
+  });
+
   describe('getStats', () => {
     it('should return correct statistics', () => {
       const flight = createTestFlight('TEST001');
@@ -3,10 +3,26 @@
  */
 
 import { jest } from '@jest/globals';
+import { readFileSync, mkdtempSync, copyFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import {
   normalizeFlightData,
+  fetchFromAircraftJson,
+  fetchFromFaa,
+  fetchFlights,
+  fetchFromOpenSky,
+  resetOpenSkyClient,
   createMockFetcher
 } from '../../src/server/faa-fetcher.js';
+import { mergeTileStates } from '../../src/server/sources/opensky.js';
+import { resolveRegions } from '../../src/server/regions.js';
+import { config } from '../../src/server/config.js';
+import { RateLimitError } from '../../src/server/rate-budget.js';
+
+const AIRCRAFT_JSON = JSON.parse(
+  readFileSync(new URL('../fixtures/aircraft.json', import.meta.url), 'utf8')
+);
 
 describe('FAA Fetcher', () => {
   describe('normalizeFlightData', () => {
@@ -47,6 +63,30 @@ describe('FAA Fetcher', () => {
         expect(result.source).toBe('opensky');
       });
 
+      it('should keep the rest of the state vector', () => {
+        const stateVector = [
+          'abc123', 'UAL123', 'United States', 1699999990, 1699999999,
+          -122.5, 37.5, 10000, false, 250, 45, 5,
+          [101, 202, 303],  // sensors
+          10050,            // geo_altitude
+          '7700', true,     // squawk, spi
+          2                 // position_source: MLAT
+        ];
+
+        const result = normalizeFlightData(stateVector, 'opensky');
+
+        expect(result).toMatchObject({
+          originCountry: 'United States',
+          timePosition: 1699999990000,
+          lastContact: 1699999999000,
+          baroAltitude: 32808,
+          geoAltitude: 32972,
+          sensors: [101, 202, 303],
+          spi: true,
+          positionSource: 'MLAT'
+        });
+      });
+
       it('should return null for state vector without position', () => {
         const stateVector = [
           'abc123',
@@ -115,6 +155,44 @@ describe('FAA Fetcher', () => {
       });
     });
 
+    describe('readsb source', () => {
+      it('should normalize an aircraft.json entry', () => {
+        const result = normalizeFlightData(AIRCRAFT_JSON.aircraft[0], 'readsb');
+
+        expect(result.id).toBe('a1b2c3');
+        expect(result.callsign).toBe('UAL123');
+        expect(result.latitude).toBe(37.619502);
+        expect(result.longitude).toBe(-122.3841);
+        expect(result.altitude).toBe(35000);
+        expect(result.heading).toBe(271.3);
+        expect(result.speed).toBe(452);
+        expect(result.verticalRate).toBe(-64);
+        expect(result.onGround).toBe(false);
+        expect(result.squawk).toBe('4521');
+        expect(result.source).toBe('readsb');
+      });
+
+      it('should keep non-ICAO addresses apart from ICAO ones', () => {
+        const result = normalizeFlightData({ ...AIRCRAFT_JSON.aircraft[0], hex: '~A1B2C3', type: 'tisb_trackfile', flight: undefined }, 'readsb');
+
+        expect(result.id).toBe('nonicao-a1b2c3');
+        expect(result.callsign).toBe('nonicao-a1b2c3');
+        expect(result.addressType).toBe('non-icao');
+        expect(normalizeFlightData(AIRCRAFT_JSON.aircraft[0], 'readsb').addressType).toBe('icao');
+      });
+
+      it('should treat alt_baro "ground" as on ground', () => {
+        const result = normalizeFlightData(AIRCRAFT_JSON.aircraft[1], 'readsb');
+        expect(result.onGround).toBe(true);
+        expect(result.altitude).toBe(0);
+      });
+
+      it('should return null for aircraft without position', () => {
+        const result = normalizeFlightData(AIRCRAFT_JSON.aircraft[3], 'readsb');
+        expect(result).toBeNull();
+      });
+    });
+
     it('should throw error for unknown source', () => {
       expect(() => {
         normalizeFlightData({}, 'unknown');
@@ -122,6 +200,283 @@ describe('FAA Fetcher', () => {
     });
   });
 
+  describe('fetchFromAircraftJson', () => {
+    let fetchSpy;
+
+    beforeEach(() => {
+      fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => AIRCRAFT_JSON
+      });
+    });
+
+    afterEach(() => {
+      fetchSpy.mockRestore();
+    });
+
+    it('should drop aircraft with stale or missing positions', async () => {
+      const flights = await fetchFromAircraftJson();
+
+      expect(flights.map(f => f.id)).toEqual(['a1b2c3', 'a4f1d2', 'ac82ec']);
+    });
+
+    it('should derive timestamps from now and seen_pos', async () => {
+      const flights = await fetchFromAircraftJson();
+      const ac82ec = flights.find(f => f.id === 'ac82ec');
+
+      expect(ac82ec.timestamp).toBe(Math.round((1710428530.4 - 5.0) * 1000));
+      expect(ac82ec.verticalRate).toBe(1920);  // geom_rate fallback
+      expect(ac82ec.callsign).toBe('ac82ec');
+    });
+
+    it('should throw on HTTP errors', async () => {
+      fetchSpy.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+
+      await expect(fetchFromAircraftJson()).rejects.toThrow('aircraft.json error: 404 Not Found');
+    });
+  });
+
+  describe('fetchFromOpenSky', () => {
+    const originalOpensky = { ...config.opensky };
+    const originalSource = config.dataSource;
+    let fetchSpy;
+
+    const openskyResponse = (status = 200, headers = {}) => ({
+      ok: status === 200,
+      status,
+      statusText: status === 200 ? 'OK' : 'Error',
+      headers: new Headers(headers),
+      json: async () => ({ time: 1710428530, states: [] })
+    });
+
+    beforeEach(() => {
+      resetOpenSkyClient();
+      fetchSpy = jest.spyOn(global, 'fetch');
+    });
+
+    afterEach(() => {
+      Object.assign(config.opensky, originalOpensky);
+      fetchSpy.mockRestore();
+      resetOpenSkyClient();
+    });
+
+    it('should authenticate with an OAuth2 bearer token', async () => {
+      config.opensky.clientId = 'my-client';
+      config.opensky.clientSecret = 's3cret';
+      fetchSpy
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ access_token: 'abc', expires_in: 1800 }) })
+        .mockResolvedValueOnce(openskyResponse());
+
+      await fetchFromOpenSky();
+
+      expect(fetchSpy.mock.calls[0][0]).toBe(config.opensky.tokenUrl);
+      expect(fetchSpy.mock.calls[1][1].headers['Authorization']).toBe('Bearer abc');
+    });
+
+    it('should throw a RateLimitError on 429 and wait for Retry-After', async () => {
+      fetchSpy.mockResolvedValue(openskyResponse(429, { 'X-Rate-Limit-Retry-After-Seconds': '600' }));
+
+      await expect(fetchFromOpenSky()).rejects.toThrow(RateLimitError);
+
+      // The next attempt is deferred without calling the API
+      await expect(fetchFromOpenSky()).rejects.toThrow('OpenSky rate budget');
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should defer requests until the budget allows another one', async () => {
+      fetchSpy.mockResolvedValue(openskyResponse(200, { 'X-Rate-Limit-Remaining': '3900' }));
+
+      await fetchFromOpenSky();
+      await expect(fetchFromOpenSky()).rejects.toThrow(RateLimitError);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    describe('regions', () => {
+      const originalRegions = config.regions;
+      const state = (icao24, latitude, longitude, lastContact = 1710428500) =>
+        [icao24, 'TST1 ', 'United States', lastContact, lastContact, longitude, latitude, 10000,
+          false, 200, 90, 0, null, 10100, '1200', false, 0];
+
+      afterEach(() => {
+        config.regions = originalRegions;
+        config.dataSource = originalSource;
+        delete config.opensky.regions;
+        jest.useRealTimers();
+      });
+
+      const requestedBoxes = () => fetchSpy.mock.calls.map(([url]) => {
+        const params = new URL(url).searchParams;
+        return [Number(params.get('lamin')), Number(params.get('lomin'))];
+      });
+
+      it('should fetch the tiles of every region in rotation', async () => {
+        jest.useFakeTimers({ now: Date.UTC(2024, 2, 14, 12), doNotFake: ['nextTick', 'setImmediate'] });
+        config.opensky.regions = ['hawaii', 'puerto-rico', 'alaska'];
+        config.opensky.creditsPerPoll = 2;
+        fetchSpy.mockImplementation(async () => openskyResponse());
+
+        await fetchFromOpenSky();  // hawaii + puerto-rico (1 credit each)
+        jest.advanceTimersByTime(60 * 60 * 1000);
+        await fetchFromOpenSky();  // alaska (4 credits) on its own
+        jest.advanceTimersByTime(60 * 60 * 1000);
+        await fetchFromOpenSky();  // back to the start
+
+        expect(requestedBoxes()).toEqual([
+          [18.7, -160.5], [17.6, -67.6],
+          [51, -180],
+          [18.7, -160.5], [17.6, -67.6]
+        ]);
+      });
+
+      it('should keep the tiles that answered and retry a failed one next', async () => {
+        jest.useFakeTimers({ now: Date.UTC(2024, 2, 14, 12), doNotFake: ['nextTick', 'setImmediate'] });
+        config.opensky.regions = ['hawaii', 'puerto-rico', 'alaska'];
+        config.opensky.creditsPerPoll = 2;
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        fetchSpy.mockImplementation(async url => (url.includes('lamin=17.6') && fetchSpy.mock.calls.length <= 2
+          ? openskyResponse(500)
+          : { ...openskyResponse(), json: async () => ({ time: 1710428530, states: [state('aaaaaa', 20, -157)] }) }));
+
+        const first = await fetchFromOpenSky();  // puerto-rico fails
+        jest.advanceTimersByTime(60 * 60 * 1000);
+        await fetchFromOpenSky();  // puerto-rico again
+
+        expect(first.map(flight => flight.id)).toEqual(['aaaaaa']);
+        expect(requestedBoxes()).toEqual([[18.7, -160.5], [17.6, -67.6], [17.6, -67.6]]);
+        errorSpy.mockRestore();
+      });
+
+      it('should merge overlapping tiles and drop aircraft outside the regions', () => {
+        const regions = resolveRegions(['alaska']);
+        const merged = mergeTileStates([
+          { time: 100, states: [state('aaaaaa', 61.17, -149.99, 90), state('bbbbbb', 60.71, -135.07)] },
+          { time: 110, states: [state('aaaaaa', 61.2, -149.9, 105)] },
+          { time: 105, states: null }
+        ], regions);
+
+        expect(merged.time).toBe(110);
+        expect(merged.states).toHaveLength(1);
+        expect(merged.states[0][4]).toBe(105);
+      });
+
+      it('should tag flights with their region', async () => {
+        config.dataSource = 'opensky';
+        config.regions = ['conus', 'alaska', 'hawaii'];
+        fetchSpy.mockResolvedValue({
+          ...openskyResponse(),
+          json: async () => ({ time: 1710428530, states: [state('a00001', 61.17, -149.99), state('a00002', 21.32, -157.92)] })
+        });
+
+        const flights = await fetchFlights();
+
+        expect(flights.map(f => [f.id, f.region])).toEqual([['a00001', 'alaska'], ['a00002', 'hawaii']]);
+      });
+    });
+  });
+
+  describe('fetchFromFaa', () => {
+    const originalFaa = { ...config.faa };
+    let dropDir;
+
+    beforeEach(() => {
+      dropDir = mkdtempSync(join(tmpdir(), 'swim-'));
+      for (const name of ['sfdps-flight.xml', 'smes-position.xml', 'tais-track.xml']) {
+        copyFileSync(new URL(`../fixtures/swim/${name}`, import.meta.url), join(dropDir, name));
+      }
+      config.faa.swimDir = dropDir;
+    });
+
+    afterEach(() => {
+      Object.assign(config.faa, originalFaa);
+      rmSync(dropDir, { recursive: true, force: true });
+    });
+
+    it('should read and consume messages from the drop directory', async () => {
+      const flights = await fetchFromFaa();
+
+      expect(flights.map(f => f.id).sort()).toEqual(['a1b2c3', 'a4f1d2', 'ac82ec']);
+      expect(readdirSync(dropDir)).toHaveLength(0);
+    });
+
+    it('should move processed messages when processedDir is set', async () => {
+      config.faa.processedDir = join(dropDir, 'done');
+
+      await fetchFromFaa();
+
+      expect(readdirSync(config.faa.processedDir).sort())
+        .toEqual(['sfdps-flight.xml', 'smes-position.xml', 'tais-track.xml']);
+    });
+
+    it('should leave out messages that fail to parse and set them aside', async () => {
+      writeFileSync(join(dropDir, 'truncated.xml'), '<MessageCollection><message><flight>');
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const flights = await fetchFromFaa();
+      errorSpy.mockRestore();
+
+      expect(flights).toHaveLength(3);
+      expect(readdirSync(dropDir)).toEqual(['failed']);
+      expect(readdirSync(join(dropDir, 'failed'))).toEqual(['truncated.xml']);
+    });
+
+    it('should throw when no SWIM source is configured', async () => {
+      config.faa.swimDir = null;
+      config.faa.endpoint = null;
+
+      await expect(fetchFromFaa()).rejects.toThrow('FAA SWIM source not configured');
+    });
+  });
+
+  describe('fetchFlights with several sources', () => {
+    const originalSource = config.dataSource;
+    const originalFaa = { ...config.faa };
+    const originalMaxAge = config.fusionMaxAge;
+    let dropDir;
+    let fetchSpy;
+
+    beforeEach(() => {
+      // Fixture timestamps are in the past
+      config.fusionMaxAge = Infinity;
+      dropDir = mkdtempSync(join(tmpdir(), 'swim-'));
+      copyFileSync(new URL('../fixtures/swim/sfdps-flight.xml', import.meta.url), join(dropDir, 'sfdps.xml'));
+      config.faa.swimDir = dropDir;
+      fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => AIRCRAFT_JSON
+      });
+    });
+
+    afterEach(() => {
+      config.dataSource = originalSource;
+      config.fusionMaxAge = originalMaxAge;
+      Object.assign(config.faa, originalFaa);
+      fetchSpy.mockRestore();
+      rmSync(dropDir, { recursive: true, force: true });
+    });
+
+    it('should fuse flights seen by more than one source', async () => {
+      config.dataSource = 'readsb,faa';
+
+      const flights = await fetchFlights();
+      const ual = flights.find(f => f.id === 'a1b2c3');
+
+      expect(flights.filter(f => f.id === 'a1b2c3')).toHaveLength(1);
+      expect(ual.sources).toEqual(['readsb', 'faa']);
+      expect(ual.arrival).toBe('KEWR');
+    });
+
+    it('should still return flights when one source fails', async () => {
+      config.dataSource = 'faa,readsb';
+      fetchSpy.mockRejectedValue(new Error('connection refused'));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const flights = await fetchFlights();
+      errorSpy.mockRestore();
+
+      expect(flights.map(f => f.id)).toEqual(['a1b2c3']);
+    });
+  });
+
   describe('createMockFetcher', () => {
     it('should create a fetcher that returns specified number of flights', async () => {
       const fetchMock = createMockFetcher(50);
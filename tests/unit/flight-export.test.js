@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Flight Exports
+ */
+
+import { toGeoJson, toKml, toCzml } from '../../src/server/flight-export.js';
+
+const T0 = 1700000000000;
+
+const flight = {
+  id: 'a1b2c3',
+  callsign: 'UAL123  ',
+  latitude: 37.62,
+  longitude: -122.38,
+  altitude: 10000,
+  heading: 90,
+  speed: 250,
+  verticalRate: 1500,
+  onGround: 0,
+  squawk: '1200',
+  timestamp: T0 + 20000,
+  source: 'opensky',
+  operator: { designator: 'UAL', name: 'United Airlines' }
+};
+
+const trails = {
+  a1b2c3: [
+    { latitude: 37.6, longitude: -122.4, altitude: 5000, timestamp: T0 },
+    { latitude: 37.61, longitude: -122.39, altitude: 7500, timestamp: T0 + 10000 },
+    { latitude: 37.62, longitude: -122.38, altitude: 10000, timestamp: T0 + 20000 }
+  ]
+};
+
+describe('Flight Exports', () => {
+  describe('toGeoJson', () => {
+    it('should give each flight a position and a trail, with altitudes in meters', () => {
+      const { type, features } = toGeoJson([flight], trails);
+
+      expect(type).toBe('FeatureCollection');
+      expect(features).toHaveLength(2);
+      expect(features[0]).toEqual({
+        type: 'Feature',
+        id: 'a1b2c3',
+        geometry: { type: 'Point', coordinates: [-122.38, 37.62, 3048] },
+        properties: {
+          kind: 'position',
+          id: 'a1b2c3',
+          callsign: 'UAL123',
+          squawk: '1200',
+          altitude: 10000,
+          speed: 250,
+          heading: 90,
+          verticalRate: 1500,
+          onGround: false,
+          operator: 'UAL',
+          source: 'opensky',
+          time: '2023-11-14T22:13:40.000Z'
+        }
+      });
+      expect(features[1].geometry.coordinates).toEqual([
+        [-122.4, 37.6, 1524],
+        [-122.39, 37.61, 2286],
+        [-122.38, 37.62, 3048]
+      ]);
+      expect(features[1].properties).toMatchObject({ kind: 'trail', id: 'a1b2c3', start: '2023-11-14T22:13:20.000Z' });
+    });
+
+    it('should leave out trails of fewer than two points', () => {
+      const { features } = toGeoJson([flight], { a1b2c3: trails.a1b2c3.slice(0, 1) });
+
+      expect(features.map(feature => feature.geometry.type)).toEqual(['Point']);
+    });
+  });
+
+  describe('toKml', () => {
+    it('should give each flight a placemark with its position, trail and properties', () => {
+      const kml = toKml([flight], trails);
+
+      expect(kml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<kml xmlns="http:\/\/www.opengis.net\/kml\/2.2">/);
+      expect(kml).toContain('<Placemark id="a1b2c3">');
+      expect(kml).toContain('<name>UAL123</name>');
+      expect(kml).toContain('<coordinates>-122.38,37.62,3048</coordinates></Point>');
+      expect(kml).toContain('<coordinates>-122.4,37.6,1524 -122.39,37.61,2286 -122.38,37.62,3048</coordinates></LineString>');
+      expect(kml).toContain('<Data name="squawk"><value>1200</value></Data>');
+    });
+
+    it('should escape text', () => {
+      const kml = toKml([{ ...flight, callsign: 'A&B<1>' }]);
+
+      expect(kml).toContain('<name>A&amp;B&lt;1&gt;</name>');
+      expect(kml).not.toContain('<LineString>');
+    });
+  });
+
+  describe('toCzml', () => {
+    it('should give each flight time-tagged positions and the document a clock', () => {
+      const [document, packet] = toCzml([flight], trails, T0 + 30000);
+
+      expect(document).toMatchObject({
+        id: 'document',
+        version: '1.0',
+        clock: {
+          interval: '2023-11-14T22:13:20.000Z/2023-11-14T22:13:50.000Z',
+          currentTime: '2023-11-14T22:13:50.000Z'
+        }
+      });
+      expect(packet).toMatchObject({
+        id: 'a1b2c3',
+        name: 'UAL123',
+        availability: '2023-11-14T22:13:20.000Z/2023-11-14T22:13:50.000Z',
+        properties: { callsign: 'UAL123', squawk: '1200', speed: 250 }
+      });
+      expect(packet.position).toEqual({
+        epoch: '2023-11-14T22:13:20.000Z',
+        forwardExtrapolationType: 'HOLD',
+        cartographicDegrees: [
+          0, -122.4, 37.6, 1524,
+          10, -122.39, 37.61, 2286,
+          20, -122.38, 37.62, 3048
+        ]
+      });
+    });
+
+    it('should place flights without a trail at their position', () => {
+      const [, packet] = toCzml([flight], {}, T0 + 30000);
+
+      expect(packet.position.cartographicDegrees).toEqual([0, -122.38, 37.62, 3048]);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for Multi-Source Fusion
+ */
+
+import { jest } from '@jest/globals';
+import { createFusion } from '../../src/server/fusion.js';
+
+describe('Fusion', () => {
+  const createReport = (source, overrides = {}) => ({
+    id: 'a1b2c3',
+    callsign: 'UAL123',
+    latitude: 37.5,
+    longitude: -122.5,
+    altitude: 35000,
+    heading: 90,
+    speed: 450,
+    verticalRate: 0,
+    onGround: false,
+    squawk: '1200',
+    timestamp: 1000,
+    source,
+    ...overrides
+  });
+
+  it('should merge reports of the same aircraft into one flight', () => {
+    const fusion = createFusion({ priority: ['faa', 'sbs', 'opensky'] });
+
+    fusion.ingest('opensky', [createReport('opensky')]);
+    fusion.ingest('sbs', [createReport('sbs')]);
+
+    const flights = fusion.fuse(1000);
+    expect(flights).toHaveLength(1);
+    expect(flights[0].sources).toEqual(['sbs', 'opensky']);
+  });
+
+  it('should take the position from the freshest report', () => {
+    const fusion = createFusion({ priority: ['opensky', 'sbs'] });
+
+    fusion.ingest('opensky', [createReport('opensky', { latitude: 37.5, timestamp: 1000 })]);
+    fusion.ingest('sbs', [createReport('sbs', { latitude: 37.6, altitude: 35100, timestamp: 1500 })]);
+
+    const [flight] = fusion.fuse(1500);
+    expect(flight.latitude).toBe(37.6);
+    expect(flight.altitude).toBe(35100);
+    expect(flight.timestamp).toBe(1500);
+    expect(flight.source).toBe('sbs');
+  });
+
+  it('should take identity fields from the highest-priority source', () => {
+    const fusion = createFusion({ priority: ['faa', 'sbs'] });
+
+    fusion.ingest('sbs', [createReport('sbs', { callsign: 'UAL123X', squawk: '7000', timestamp: 2000 })]);
+    fusion.ingest('faa', [createReport('faa', {
+      callsign: 'UAL123', squawk: '4521', departure: 'KSFO', arrival: 'KEWR', timestamp: 1000
+    })]);
+
+    const [flight] = fusion.fuse(2000);
+    expect(flight.callsign).toBe('UAL123');
+    expect(flight.squawk).toBe('4521');
+    expect(flight.departure).toBe('KSFO');
+    expect(flight.source).toBe('sbs');  // freshest position still wins
+  });
+
+  it('should fall back to a lower-priority source when a field is missing', () => {
+    const fusion = createFusion({ priority: ['sbs', 'opensky'] });
+
+    // SBS has no callsign yet, so the normalizer used the ICAO address
+    fusion.ingest('sbs', [createReport('sbs', { callsign: 'a1b2c3', squawk: null })]);
+    fusion.ingest('opensky', [createReport('opensky', { callsign: 'UAL123', squawk: '1200' })]);
+
+    const [flight] = fusion.fuse(1000);
+    expect(flight.callsign).toBe('UAL123');
+    expect(flight.squawk).toBe('1200');
+  });
+
+  it('should only return flights whose position changed', () => {
+    const fusion = createFusion({ priority: ['sbs'] });
+
+    fusion.ingest('sbs', [createReport('sbs', { timestamp: 1000 })]);
+    expect(fusion.fuse(1000)).toHaveLength(1);
+    expect(fusion.fuse(1100)).toHaveLength(0);
+
+    fusion.ingest('sbs', [createReport('sbs', { timestamp: 1200 })]);
+    expect(fusion.fuse(1200)).toHaveLength(1);
+  });
+
+  it('should drop reports older than maxAge', () => {
+    const fusion = createFusion({ priority: ['opensky', 'sbs'], maxAge: 1000 });
+
+    fusion.ingest('opensky', [createReport('opensky', { timestamp: 0 })]);
+    fusion.ingest('sbs', [createReport('sbs', { timestamp: 1500 })]);
+
+    const [flight] = fusion.fuse(1600);
+    expect(flight.sources).toEqual(['sbs']);
+
+    expect(fusion.fuse(5000)).toHaveLength(0);
+    expect(fusion.size).toBe(0);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Unit Tests for Schema Migrations
+ */
+
+import Database from 'better-sqlite3';
+import { deflateSync, inflateSync } from 'zlib';
+import { existsSync, unlinkSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { migrate, getMigrationStatus, getSchemaVersion } from '../../src/server/migrate.js';
+import { migrations } from '../../src/server/migrations/index.js';
+import { decodeTrail } from '../../src/server/trail-simplify.js';
+import { initDatabase, closeDatabase, getAllFlights } from '../../src/server/database.js';
+
+const TEST_DB_PATH = './data/test-migrate.db';
+
+function removeDatabase() {
+  for (const file of [TEST_DB_PATH, `${TEST_DB_PATH}-wal`, `${TEST_DB_PATH}-shm`]) {
+    if (existsSync(file)) unlinkSync(file);
+  }
+}
+
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+describe('Schema Migrations', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('migrate', () => {
+    it('should create a new database at the latest version', () => {
+      const result = migrate(db);
+
+      expect(result.from).toBe(0);
+      expect(result.to).toBe(migrations.length);
+      expect(result.migrations.map(m => m.name)).toEqual(migrations.map(m => m.name));
+      expect(getSchemaVersion(db)).toBe(migrations.length);
+      expect(columns(db, 'flights')).toEqual(expect.arrayContaining(['sources', 'region', 'position_source', 'callsigns']));
+      expect(columns(db, 'flight_trails')).toContain('backfilled');
+    });
+
+    it('should do nothing when up to date', () => {
+      migrate(db);
+
+      expect(migrate(db).migrations).toEqual([]);
+      expect(db.prepare('SELECT COUNT(*) as count FROM schema_version').get().count).toBe(migrations.length);
+    });
+
+    it('should adopt a database from before schema versioning', () => {
+      // The original schema, with one of the later columns already added
+      migrations[0].up(db);
+      db.exec("ALTER TABLE flights ADD COLUMN sources TEXT");
+      db.prepare(`
+        INSERT INTO flights (id, callsign, latitude, longitude, altitude, heading, speed, timestamp, source, sources, updated_at)
+        VALUES ('abc123', 'UAL1', 37.5, -122.5, 35000, 90, 450, 1, 'opensky', '["opensky"]', 1)
+      `).run();
+
+      const result = migrate(db);
+
+      expect(result.from).toBe(0);
+      expect(getSchemaVersion(db)).toBe(migrations.length);
+      expect(db.prepare('SELECT id, sources, spi FROM flights').get()).toEqual({ id: 'abc123', sources: '["opensky"]', spi: 0 });
+    });
+
+    it('should re-encode archived tracks stored as JSON rows', () => {
+      migrate(db, {}, migrations.slice(0, 6));
+      db.prepare(`
+        INSERT INTO flight_sessions (flight_id, callsigns, first_seen, last_seen, point_count, track, ended)
+        VALUES ('abc123', '[]', 1000, 2000, 2, ?, 1)
+      `).run(deflateSync(JSON.stringify([[1000, 37.5, -122.5, 30000], [2000, 37.6, -122.4, 31000]])));
+
+      migrate(db);
+
+      const { track } = db.prepare('SELECT track FROM flight_sessions').get();
+      expect(decodeTrail(JSON.parse(inflateSync(track).toString()))).toEqual([
+        { latitude: 37.5, longitude: -122.5, altitude: 30000, timestamp: 1000 },
+        { latitude: 37.6, longitude: -122.4, altitude: 31000, timestamp: 2000 }
+      ]);
+    });
+
+    it('should keep registry import records when generalizing the imports table', () => {
+      migrate(db, {}, migrations.slice(0, 8));
+      db.prepare("INSERT INTO registry_imports (source, file_modified, imported_at, aircraft_count) VALUES ('faa', 1, 2, 3)").run();
+
+      migrate(db);
+
+      expect(db.prepare('SELECT source, record_count FROM data_imports').all()).toEqual([{ source: 'faa', record_count: 3 }]);
+    });
+
+    it('should index the positions of existing flights', () => {
+      migrate(db, {}, migrations.slice(0, 9));
+      db.prepare(`
+        INSERT INTO flights (id, callsign, latitude, longitude, altitude, heading, speed, timestamp, source, updated_at)
+        VALUES ('abc123', 'UAL1', 37.5, -122.5, 35000, 90, 450, 1, 'opensky', 1)
+      `).run();
+
+      migrate(db);
+
+      expect(db.prepare('SELECT COUNT(*) as count FROM flight_positions WHERE min_lat < 37.6 AND max_lat > 37.4').get().count).toBe(1);
+    });
+
+    it('should key the position index on flight keys rather than rowids', () => {
+      migrate(db, {}, migrations.slice(0, 11));
+      db.prepare(`
+        INSERT INTO flights (id, callsign, latitude, longitude, altitude, heading, speed, timestamp, source, updated_at)
+        VALUES ('abc123', 'UAL1', 37.5, -122.5, 35000, 90, 450, 1, 'opensky', 1)
+      `).run();
+      db.prepare("UPDATE flight_positions SET id = 99").run();
+
+      migrate(db);
+
+      expect(db.prepare(`
+        SELECT k.flight_id FROM flight_positions p JOIN flight_keys k ON k.key = p.id
+        WHERE p.min_lat < 37.6 AND p.max_lat > 37.4
+      `).all()).toEqual([{ flight_id: 'abc123' }]);
+    });
+
+    it('should roll back every migration if one fails', () => {
+      const failing = [
+        ...migrations,
+        { version: migrations.length + 1, name: 'broken', up: d => d.exec('ALTER TABLE nowhere ADD COLUMN x TEXT') }
+      ];
+
+      expect(() => migrate(db, {}, failing)).toThrow('no such table: nowhere');
+      expect(getSchemaVersion(db)).toBe(0);
+      expect(db.prepare("SELECT name FROM sqlite_master WHERE name = 'flights'").get()).toBeUndefined();
+    });
+
+    it('should only report what would be applied in a dry run', () => {
+      migrations.slice(0, 2).forEach(m => m.up(db));
+      migrate(db, {}, migrations.slice(0, 2));
+
+      const result = migrate(db, { dryRun: true });
+
+      expect(result).toMatchObject({ from: 2, to: migrations.length });
+      expect(result.migrations[0]).toEqual({ version: 3, name: migrations[2].name });
+      expect(getSchemaVersion(db)).toBe(2);
+      expect(columns(db, 'flight_trails')).not.toContain('backfilled');
+    });
+
+    it('should refuse a database newer than the code', () => {
+      migrate(db);
+      db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)').run(99, 'future', 0);
+
+      expect(() => migrate(db)).toThrow(`Database schema version 99 is newer than this version of the app supports (${migrations.length})`);
+    });
+
+    it('should reject migrations out of order', () => {
+      expect(() => migrate(db, {}, [migrations[1]])).toThrow('Migration flight-sources has version 2, expected 1');
+    });
+  });
+
+  describe('getMigrationStatus', () => {
+    it('should list pending migrations', () => {
+      migrate(db, {}, migrations.slice(0, 4));
+
+      expect(getMigrationStatus(db)).toEqual({
+        current: 4,
+        latest: migrations.length,
+        pending: migrations.slice(4).map(({ version, name }) => ({ version, name }))
+      });
+    });
+  });
+
+  describe('initDatabase', () => {
+    beforeAll(() => {
+      const dir = dirname(TEST_DB_PATH);
+      if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+      }
+    });
+
+    beforeEach(removeDatabase);
+
+    afterAll(removeDatabase);
+
+    it('should upgrade the database when it starts', () => {
+      const file = new Database(TEST_DB_PATH);
+      migrate(file, {}, migrations.slice(0, 1));
+      file.close();
+
+      initDatabase(TEST_DB_PATH);
+      try {
+        expect(getAllFlights()).toEqual([]);
+      } finally {
+        closeDatabase();
+      }
+
+      const reopened = new Database(TEST_DB_PATH);
+      expect(getSchemaVersion(reopened)).toBe(migrations.length);
+      reopened.close();
+    });
+
+    it('should refuse to start on a database from a newer version', () => {
+      const file = new Database(TEST_DB_PATH);
+      migrate(file);
+      file.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)').run(99, 'future', 0);
+      file.close();
+
+      expect(() => initDatabase(TEST_DB_PATH)).toThrow('is newer than this version of the app supports');
+    });
+  });
+});
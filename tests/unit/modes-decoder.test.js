@@ -0,0 +1,242 @@
+/**
+ * Unit Tests for Mode S / ADS-B Decoder
+ *
+ * Reference frames and expected values are the worked examples from
+ * "The 1090 Megahertz Riddle" (Junzi Sun).
+ */
+
+import { jest } from '@jest/globals';
+import {
+  crc24,
+  parseAvrLine,
+  createBeastParser,
+  decodeFrame,
+  cprNL,
+  cprGlobalPosition,
+  cprLocalPosition,
+  createModeSDecoder
+} from '../../src/server/modes-decoder.js';
+import { normalizeFlightData } from '../../src/server/faa-fetcher.js';
+
+const IDENT_FRAME = '8D4840D6202CC371C32CE0576098';
+const EVEN_FRAME = '8D40621D58C382D690C8AC2863A7';
+const ODD_FRAME = '8D40621D58C386435CC412692AD6';
+const VELOCITY_GS_FRAME = '8D485020994409940838175B284F';
+const VELOCITY_AS_FRAME = '8DA05F219B06B6AF189400CBC33F';
+
+function hexToBytes(hex) {
+  return Uint8Array.from(hex.match(/../g).map(byte => parseInt(byte, 16)));
+}
+
+/**
+ * Wrap a frame in Beast framing, escaping any 0x1a bytes
+ */
+function toBeast(hex, timestamp = [0, 0x1a, 0, 0, 0, 1]) {
+  const body = [...timestamp, 0x80, ...hexToBytes(hex)];
+  const escaped = body.flatMap(byte => (byte === 0x1a ? [0x1a, 0x1a] : [byte]));
+  return Buffer.from([0x1a, 0x33, ...escaped]);
+}
+
+describe('Mode S Decoder', () => {
+  describe('crc24', () => {
+    it('should match the parity of a valid extended squitter', () => {
+      const bytes = hexToBytes(IDENT_FRAME);
+      expect(crc24(bytes)).toBe(0x576098);
+    });
+
+    it('should reject corrupted frames', () => {
+      const corrupted = IDENT_FRAME.replace('202C', '202D');
+      expect(decodeFrame(corrupted)).toBeNull();
+    });
+  });
+
+  describe('decodeFrame', () => {
+    it('should decode aircraft identification', () => {
+      const msg = decodeFrame(IDENT_FRAME);
+
+      expect(msg.df).toBe(17);
+      expect(msg.icao).toBe('4840d6');
+      expect(msg.tc).toBe(4);
+      expect(msg.callsign).toBe('KLM1023');
+    });
+
+    it('should decode airborne position altitude and CPR fields', () => {
+      const msg = decodeFrame(EVEN_FRAME);
+
+      expect(msg.icao).toBe('40621d');
+      expect(msg.altitude).toBe(38000);
+      expect(msg.cpr.odd).toBe(false);
+      expect(msg.cpr.lat).toBeCloseTo(93000 / 131072, 10);
+      expect(msg.cpr.lon).toBeCloseTo(51372 / 131072, 10);
+    });
+
+    it('should decode ground speed velocity', () => {
+      const msg = decodeFrame(VELOCITY_GS_FRAME);
+
+      expect(msg.groundSpeed).toBeCloseTo(159.2, 1);
+      expect(msg.track).toBeCloseTo(182.88, 2);
+      expect(msg.verticalRate).toBe(-832);
+    });
+
+    it('should decode airspeed velocity with heading', () => {
+      const msg = decodeFrame(VELOCITY_AS_FRAME);
+
+      expect(msg.airspeed).toBe(375);
+      expect(msg.airspeedType).toBe('TAS');
+      expect(msg.magneticHeading).toBeCloseTo(243.98, 2);
+      expect(msg.verticalRate).toBe(-2304);
+      // Neither is ground speed or track
+      expect(msg.groundSpeed).toBeUndefined();
+      expect(msg.track).toBeUndefined();
+    });
+
+    it('should ignore short frames and other downlink formats', () => {
+      expect(decodeFrame('5D4840D6D7E5C1')).toBeNull();
+      expect(decodeFrame('A8001EBCFFFB23286004A73F6A5B')).toBeNull();
+    });
+  });
+
+  describe('CPR position decoding', () => {
+    const even = { lat: 93000 / 131072, lon: 51372 / 131072 };
+    const odd = { lat: 74158 / 131072, lon: 50194 / 131072 };
+
+    it('should compute longitude zone numbers', () => {
+      expect(cprNL(0)).toBe(59);
+      expect(cprNL(52.2572)).toBe(36);
+      expect(cprNL(88)).toBe(1);
+    });
+
+    it('should resolve a global position from an even/odd pair', () => {
+      const position = cprGlobalPosition(even, odd, false);
+
+      expect(position.latitude).toBeCloseTo(52.2572, 4);
+      expect(position.longitude).toBeCloseTo(3.91937, 4);
+    });
+
+    it('should resolve a local position from a reference point', () => {
+      const position = cprLocalPosition({ ...even, odd: false }, 52.258, 3.918);
+
+      expect(position.latitude).toBeCloseTo(52.2572, 4);
+      expect(position.longitude).toBeCloseTo(3.91937, 4);
+    });
+  });
+
+  describe('parseAvrLine', () => {
+    it('should parse plain AVR lines', () => {
+      expect(parseAvrLine(`*${IDENT_FRAME};`)).toEqual(hexToBytes(IDENT_FRAME));
+    });
+
+    it('should strip MLAT timestamps', () => {
+      expect(parseAvrLine(`@00002A1B3C4D${IDENT_FRAME};`)).toEqual(hexToBytes(IDENT_FRAME));
+    });
+
+    it('should reject malformed lines', () => {
+      expect(parseAvrLine('8D4840D6202CC371C32CE0576098')).toBeNull();
+      expect(parseAvrLine('*8D48;')).toBeNull();
+    });
+  });
+
+  describe('createBeastParser', () => {
+    it('should extract frames and unescape 0x1a bytes', () => {
+      const frames = [];
+      const parser = createBeastParser(frame => frames.push(frame));
+
+      parser.push(Buffer.concat([toBeast(IDENT_FRAME), toBeast(EVEN_FRAME)]));
+
+      expect(frames).toHaveLength(2);
+      expect(frames[0]).toEqual(hexToBytes(IDENT_FRAME));
+      expect(frames[1]).toEqual(hexToBytes(EVEN_FRAME));
+    });
+
+    it('should reassemble frames split across chunks', () => {
+      const frames = [];
+      const parser = createBeastParser(frame => frames.push(frame));
+      const data = toBeast(IDENT_FRAME);
+
+      parser.push(data.subarray(0, 4));
+      expect(frames).toHaveLength(0);
+      parser.push(data.subarray(4));
+
+      expect(frames).toHaveLength(1);
+      expect(frames[0]).toEqual(hexToBytes(IDENT_FRAME));
+    });
+
+    it('should skip Mode A/C frames and junk between frames', () => {
+      const frames = [];
+      const parser = createBeastParser(frame => frames.push(frame));
+      const modeAC = Buffer.from([0x1a, 0x31, 0, 0, 0, 0, 0, 1, 0x50, 0x12, 0x34]);
+
+      parser.push(Buffer.concat([Buffer.from([0xff, 0x00]), modeAC, toBeast(ODD_FRAME)]));
+
+      expect(frames).toHaveLength(1);
+      expect(frames[0]).toEqual(hexToBytes(ODD_FRAME));
+    });
+  });
+
+  describe('createModeSDecoder', () => {
+    it('should track aircraft across identification, position and velocity', () => {
+      const decoder = createModeSDecoder();
+
+      decoder.ingest(`*${ODD_FRAME};`, 1000);
+      expect(decoder.getAircraft(1000)).toHaveLength(0);  // Need an even/odd pair
+
+      decoder.ingest(hexToBytes(EVEN_FRAME), 3000);
+      const [aircraft] = decoder.getAircraft(3000);
+
+      expect(aircraft.icao).toBe('40621d');
+      expect(aircraft.latitude).toBeCloseTo(52.2572, 4);
+      expect(aircraft.longitude).toBeCloseTo(3.91937, 4);
+      expect(aircraft.altitude).toBe(38000);
+      expect(aircraft).not.toHaveProperty('evenCpr');
+    });
+
+    it('should not pair CPR messages more than 10 seconds apart', () => {
+      const decoder = createModeSDecoder();
+
+      decoder.ingest(ODD_FRAME, 0);
+      decoder.ingest(EVEN_FRAME, 20000);
+
+      expect(decoder.getAircraft(20000)).toHaveLength(0);
+    });
+
+    it('should use the receiver location for a single message', () => {
+      const decoder = createModeSDecoder({ receiverLat: 52.3, receiverLon: 4.76 });
+
+      decoder.ingest(EVEN_FRAME, 0);
+      const [aircraft] = decoder.getAircraft(0);
+
+      expect(aircraft.latitude).toBeCloseTo(52.2572, 4);
+      expect(aircraft.longitude).toBeCloseTo(3.91937, 4);
+    });
+
+    it('should normalize to the common flight format', () => {
+      const decoder = createModeSDecoder();
+      decoder.ingest(ODD_FRAME, 1000);
+      decoder.ingest(EVEN_FRAME, 2000);
+
+      const flight = normalizeFlightData(decoder.getAircraft(2000)[0], 'modes');
+
+      expect(flight).toMatchObject({
+        id: '40621d',
+        callsign: '40621d',
+        altitude: 38000,
+        onGround: false,
+        timestamp: 2000,
+        source: 'modes'
+      });
+      expect(Object.keys(flight).sort()).toEqual([
+        'altitude', 'callsign', 'heading', 'id', 'latitude', 'longitude',
+        'onGround', 'source', 'speed', 'squawk', 'timestamp', 'verticalRate'
+      ]);
+    });
+
+    it('should drop aircraft not heard from within maxAge', () => {
+      const decoder = createModeSDecoder({ maxAge: 1000 });
+      decoder.ingest(IDENT_FRAME, 0);
+
+      expect(decoder.size).toBe(1);
+      decoder.prune(5000);
+      expect(decoder.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for OpenSky OAuth2 Client Credentials
+ */
+
+import { jest } from '@jest/globals';
+import { createTokenProvider } from '../../src/server/opensky-auth.js';
+
+describe('OpenSky Auth', () => {
+  let fetchSpy;
+  let tokenCount;
+
+  beforeEach(() => {
+    tokenCount = 0;
+    fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(async () => ({
+      ok: true,
+      json: async () => ({ access_token: `token-${++tokenCount}`, expires_in: 1800 })
+    }));
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+    jest.useRealTimers();
+  });
+
+  const createProvider = () => createTokenProvider({
+    tokenUrl: 'https://auth.example.test/token',
+    clientId: 'my-client',
+    clientSecret: 's3cret'
+  });
+
+  it('should request a token with the client_credentials grant', async () => {
+    const token = await createProvider().getToken();
+
+    expect(token).toBe('token-1');
+    const [url, options] = fetchSpy.mock.calls[0];
+    expect(url).toBe('https://auth.example.test/token');
+    expect(options.method).toBe('POST');
+    expect(Object.fromEntries(new URLSearchParams(options.body))).toEqual({
+      grant_type: 'client_credentials',
+      client_id: 'my-client',
+      client_secret: 's3cret'
+    });
+  });
+
+  it('should reuse the token until shortly before expiry', async () => {
+    jest.useFakeTimers({ now: 0, doNotFake: ['nextTick', 'setImmediate'] });
+    const provider = createProvider();
+
+    expect(await provider.getToken()).toBe('token-1');
+    jest.setSystemTime(25 * 60 * 1000);
+    expect(await provider.getToken()).toBe('token-1');
+    jest.setSystemTime(29 * 60 * 1000 + 45 * 1000);  // Within the refresh margin
+    expect(await provider.getToken()).toBe('token-2');
+  });
+
+  it('should share one request between concurrent callers', async () => {
+    const provider = createProvider();
+    const tokens = await Promise.all([provider.getToken(), provider.getToken()]);
+
+    expect(tokens).toEqual(['token-1', 'token-1']);
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should request a new token after invalidate', async () => {
+    const provider = createProvider();
+    await provider.getToken();
+    provider.invalidate();
+
+    expect(await provider.getToken()).toBe('token-2');
+  });
+
+  it('should throw on token endpoint errors', async () => {
+    fetchSpy.mockResolvedValue({ ok: false, status: 401, statusText: 'Unauthorized' });
+
+    await expect(createProvider().getToken()).rejects.toThrow('OpenSky token error: 401 Unauthorized');
+  });
+});
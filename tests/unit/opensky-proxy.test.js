@@ -0,0 +1,159 @@
+/**
+ * Unit Tests for the OpenSky-Compatible Proxy
+ */
+
+import { jest } from '@jest/globals';
+import { existsSync, unlinkSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import {
+  parseStatesQuery,
+  flightToState,
+  getStates,
+  resetOpenSkyProxy
+} from '../../src/server/opensky-proxy.js';
+import { normalizeOpenSkyFlight, resetOpenSkyClient } from '../../src/server/sources/opensky.js';
+import { fetchFromSource } from '../../src/server/faa-fetcher.js';
+import { RateLimitError } from '../../src/server/rate-budget.js';
+import { initDatabase, closeDatabase, upsertFlights } from '../../src/server/database.js';
+
+const TEST_DB_PATH = './data/test-opensky-proxy.db';
+
+function removeDatabase() {
+  for (const file of [TEST_DB_PATH, `${TEST_DB_PATH}-wal`, `${TEST_DB_PATH}-shm`]) {
+    if (existsSync(file)) unlinkSync(file);
+  }
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return {
+    ok: status === 200,
+    status,
+    statusText: status === 200 ? 'OK' : 'Too Many Requests',
+    headers: new Headers(headers),
+    json: async () => body
+  };
+}
+
+// Over Kansas, well inside the conus region
+const KANSAS = { lamin: '38', lomin: '-98', lamax: '39', lomax: '-97' };
+
+const createFlight = (id, overrides = {}) => ({
+  id,
+  callsign: 'UAL123',
+  latitude: 38.5,
+  longitude: -97.5,
+  altitude: 35000,
+  heading: 270,
+  speed: 450,
+  verticalRate: -1000,
+  onGround: false,
+  squawk: '1200',
+  timestamp: Date.now(),
+  source: 'opensky',
+  originCountry: 'United States',
+  timePosition: 1700000000000,
+  lastContact: 1700000001000,
+  baroAltitude: 35000,
+  geoAltitude: 35500,
+  spi: false,
+  positionSource: 'MLAT',
+  ...overrides
+});
+
+describe('OpenSky Proxy', () => {
+  let fetchSpy;
+
+  beforeAll(() => {
+    const dir = dirname(TEST_DB_PATH);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  });
+
+  beforeEach(() => {
+    removeDatabase();
+    initDatabase(TEST_DB_PATH);
+    fetchSpy = jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+    resetOpenSkyProxy();
+    resetOpenSkyClient();
+    closeDatabase();
+    removeDatabase();
+  });
+
+  describe('parseStatesQuery', () => {
+    it('should read the bounding box, aircraft and options', () => {
+      const request = parseStatesQuery({ ...KANSAS, icao24: ['A1B2C3', 'abc123'], extended: '1' });
+
+      expect(request.bounds).toEqual({ minLat: 38, maxLat: 39, minLon: -98, maxLon: -97 });
+      expect([...request.icao24]).toEqual(['a1b2c3', 'abc123']);
+      expect(request.extended).toBe(true);
+      expect(request.params.toString()).toBe('lamin=38&lomin=-98&lamax=39&lomax=-97&icao24=a1b2c3&icao24=abc123&extended=1');
+    });
+
+    it('should reject partial boxes and bad aircraft addresses', () => {
+      expect(parseStatesQuery({ lamin: '38', lamax: '39' }).error).toContain('must all be given');
+      expect(parseStatesQuery({ icao24: 'N123AB' }).error).toBe('icao24 must be 6 hex digits');
+    });
+  });
+
+  describe('flightToState', () => {
+    it('should give back the state vector a flight was normalized from', () => {
+      const state = flightToState(createFlight('a1b2c3'));
+
+      expect(state).toEqual([
+        'a1b2c3', 'UAL123  ', 'United States', 1700000000, 1700000001, -97.5, 38.5,
+        10668, false, 231.48, 270, -5.08, null, 10820.4, '1200', false, 2
+      ]);
+      expect(normalizeOpenSkyFlight(state)).toMatchObject({
+        id: 'a1b2c3', callsign: 'UAL123', altitude: 35000, speed: 450, verticalRate: -1000, positionSource: 'MLAT'
+      });
+    });
+
+    it('should leave out callsigns that are just the address and add a category when extended', () => {
+      const state = flightToState(createFlight('A1B2C3', { callsign: 'A1B2C3' }), true);
+
+      expect(state[0]).toBe('a1b2c3');
+      expect(state[1]).toBeNull();
+      expect(state).toHaveLength(18);
+    });
+  });
+
+  describe('getStates', () => {
+    it('should answer from stored flights while the fetcher is running', async () => {
+      fetchSpy.mockImplementation(() => { throw new Error('should not go upstream'); });
+      await fetchFromSource('mock');
+      upsertFlights([createFlight('a1b2c3'), createFlight('d4e5f6', { latitude: 45 })]);
+
+      const { body, source } = await getStates(parseStatesQuery(KANSAS));
+
+      expect(source).toBe('cache');
+      expect(body.states.map(state => state[0])).toEqual(['a1b2c3']);
+      expect((await getStates(parseStatesQuery({ ...KANSAS, icao24: 'ffffff' }))).body.states).toBeNull();
+    });
+
+    it('should share one upstream request between identical requests', async () => {
+      const upstream = { time: 1700000000, states: [flightToState(createFlight('a1b2c3'))] };
+      fetchSpy.mockResolvedValue(jsonResponse(200, upstream));
+
+      // Over the Atlantic, outside every region
+      const request = parseStatesQuery({ lamin: '30', lomin: '-50', lamax: '31', lomax: '-49' });
+      const answers = await Promise.all([getStates(request), getStates(request)]);
+      const later = await getStates(request);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      expect(fetchSpy.mock.calls[0][0]).toBe('https://opensky-network.org/api/states/all?lamin=30&lomin=-50&lamax=31&lomax=-49');
+      expect(answers.map(answer => answer.body)).toEqual([upstream, upstream]);
+      expect(later).toMatchObject({ source: 'upstream', cached: true, body: upstream });
+    });
+
+    it('should pass on rate limiting', async () => {
+      fetchSpy.mockResolvedValue(jsonResponse(429, null, { 'X-Rate-Limit-Retry-After-Seconds': '600' }));
+
+      await expect(getStates(parseStatesQuery({}))).rejects.toThrow(RateLimitError);
+    });
+  });
+});
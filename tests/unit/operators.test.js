@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for Operator Designators and Callsign Parsing
+ */
+
+import { writeFileSync, unlinkSync, mkdirSync } from 'fs';
+import {
+  parseOperators,
+  parseCallsign,
+  getOperator,
+  listOperators,
+  resetOperators
+} from '../../src/server/operators.js';
+import { config } from '../../src/server/config.js';
+
+const OVERRIDE_FILE = './data/test-operators.csv';
+
+describe('Operators', () => {
+  afterEach(() => {
+    config.operatorsFile = null;
+    resetOperators();
+  });
+
+  describe('parseCallsign', () => {
+    it('should split airline callsigns into operator and flight number', () => {
+      expect(parseCallsign('UAL123')).toEqual({
+        operator: { designator: 'UAL', name: 'United Airlines', country: 'United States', telephony: 'UNITED' },
+        flightNumber: '123'
+      });
+    });
+
+    it('should handle padding, case, leading zeros and letters in flight numbers', () => {
+      expect(parseCallsign(' baw012a ')).toMatchObject({ operator: { designator: 'BAW' }, flightNumber: '12A' });
+      expect(parseCallsign('DAL0').flightNumber).toBe('0');
+    });
+
+    it('should not treat registrations as operators', () => {
+      for (const callsign of ['N123AB', 'N1', 'CGABC', 'GBNLX', 'UALX12', 'UAL12345']) {
+        expect(parseCallsign(callsign)).toEqual({ operator: null, flightNumber: null });
+      }
+    });
+
+    it('should ignore a missing callsign or one that is just the aircraft address', () => {
+      expect(parseCallsign(null)).toEqual({ operator: null, flightNumber: null });
+      expect(parseCallsign('abc123', 'abc123')).toEqual({ operator: null, flightNumber: null });
+    });
+
+    it('should keep unknown designators so flights can be grouped by them', () => {
+      expect(parseCallsign('ZZZ42').operator).toEqual({ designator: 'ZZZ', name: null, country: null, telephony: null });
+    });
+  });
+
+  describe('operator table', () => {
+    it('should ship with the major US operators', () => {
+      const designators = listOperators().map(operator => operator.designator);
+
+      expect(designators).toEqual(expect.arrayContaining(['AAL', 'DAL', 'SWA', 'UAL', 'FDX', 'UPS']));
+      expect(new Set(designators).size).toBe(designators.length);
+    });
+
+    it('should add and override operators from OPERATORS_FILE', () => {
+      mkdirSync('./data', { recursive: true });
+      writeFileSync(OVERRIDE_FILE, 'designator,name,country,telephony\nZZZ,Test Air,Nowhere,TESTER\nUAL,United,United States,UNITED\n');
+      config.operatorsFile = OVERRIDE_FILE;
+
+      try {
+        expect(getOperator('zzz')).toEqual({ designator: 'ZZZ', name: 'Test Air', country: 'Nowhere', telephony: 'TESTER' });
+        expect(getOperator('UAL').name).toBe('United');
+      } finally {
+        unlinkSync(OVERRIDE_FILE);
+      }
+    });
+
+    it('should reject malformed files', () => {
+      expect(() => parseOperators('code,name\n')).toThrow('must start with the header');
+      expect(() => parseOperators('designator,name,country,telephony\nUA,United,,\n'))
+        .toThrow('Invalid operator designator on line 2: UA');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for API Credit Budgeting
+ */
+
+import { jest } from '@jest/globals';
+import { createRateBudget, creditCost } from '../../src/server/rate-budget.js';
+
+// 2024-03-14 12:00:00 UTC, twelve hours before the daily reset
+const NOON = Date.UTC(2024, 2, 14, 12, 0, 0);
+const HOUR = 60 * 60 * 1000;
+
+const headers = values => new Headers(values);
+
+describe('Rate Budget', () => {
+  describe('creditCost', () => {
+    it('should charge by bounding box area', () => {
+      expect(creditCost({ minLat: 0, maxLat: 5, minLon: 0, maxLon: 5 })).toBe(1);
+      expect(creditCost({ minLat: 0, maxLat: 10, minLon: 0, maxLon: 10 })).toBe(2);
+      expect(creditCost({ minLat: 0, maxLat: 20, minLon: 0, maxLon: 20 })).toBe(3);
+      expect(creditCost({ minLat: 24.4, maxLat: 49.4, minLon: -125, maxLon: -66.9 })).toBe(4);
+      expect(creditCost(null)).toBe(4);
+    });
+  });
+
+  describe('getInterval', () => {
+    it('should use the base interval while credits are plentiful', () => {
+      const budget = createRateBudget({ baseIntervalSeconds: 10, dailyCredits: 100000 });
+      expect(budget.getInterval(4, NOON)).toBe(10000);
+    });
+
+    it('should stretch the interval to last until the daily reset', () => {
+      const budget = createRateBudget({ baseIntervalSeconds: 10 });
+      budget.updateFromHeaders(headers({ 'X-Rate-Limit-Remaining': '480' }), NOON);
+
+      // 480 credits / 4 per request = 120 requests over 12 hours
+      expect(budget.getInterval(4, NOON)).toBe(6 * 60 * 1000);
+    });
+
+    it('should wait for the reset when credits are exhausted', () => {
+      const budget = createRateBudget({ baseIntervalSeconds: 10 });
+      budget.updateFromHeaders(headers({ 'X-Rate-Limit-Remaining': '2' }), NOON);
+
+      expect(budget.getInterval(4, NOON)).toBe(12 * HOUR);
+    });
+
+    it('should fall back to the base interval with no quota information', () => {
+      const budget = createRateBudget({ baseIntervalSeconds: 10 });
+      expect(budget.getInterval(4, NOON)).toBe(10000);
+    });
+  });
+
+  describe('canRequest', () => {
+    it('should allow the first request', () => {
+      const budget = createRateBudget({ baseIntervalSeconds: 10 });
+      expect(budget.canRequest(1, NOON)).toBe(true);
+    });
+
+    it('should space requests by the current interval', () => {
+      const budget = createRateBudget({ baseIntervalSeconds: 10 });
+      budget.recordRequest(NOON);
+
+      expect(budget.canRequest(1, NOON + 5000)).toBe(false);
+      expect(budget.canRequest(1, NOON + 9800)).toBe(true);  // Scheduler jitter
+    });
+
+    it('should honour X-Rate-Limit-Retry-After-Seconds', () => {
+      const budget = createRateBudget({ baseIntervalSeconds: 10, dailyCredits: 4000 });
+      budget.recordRequest(NOON);
+      budget.updateFromHeaders(headers({ 'X-Rate-Limit-Retry-After-Seconds': '3600' }), NOON);
+
+      expect(budget.canRequest(4, NOON + 30 * 60 * 1000)).toBe(false);
+      expect(budget.canRequest(4, NOON + HOUR)).toBe(true);
+      expect(budget.status(4, NOON).retryAfter).toBe(NOON + HOUR);
+    });
+  });
+
+  describe('canSpend', () => {
+    it('should keep a reserve of credits for polling', () => {
+      const budget = createRateBudget({ baseIntervalSeconds: 10, dailyCredits: 4000 });
+      budget.updateFromHeaders(headers({ 'X-Rate-Limit-Remaining': '110' }), NOON);
+
+      expect(budget.canSpend(4, 100, NOON)).toBe(true);
+      budget.spend(4);
+      budget.spend(4);
+      expect(budget.canSpend(4, 100, NOON)).toBe(false);
+      expect(budget.status(4, NOON).remainingCredits).toBe(102);
+    });
+
+    it('should refuse while the server asks to retry later', () => {
+      const budget = createRateBudget({ baseIntervalSeconds: 10, dailyCredits: 4000 });
+      budget.updateFromHeaders(headers({ 'X-Rate-Limit-Retry-After-Seconds': '60' }), NOON);
+
+      expect(budget.canSpend(1, 0, NOON)).toBe(false);
+      expect(budget.canSpend(1, 0, NOON + 60 * 1000)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for the raw payload recorder
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtempSync, readdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createRecorder, listRecordingFiles, readRecordingFile } from '../../src/server/recorder.js';
+import { fetchFlights } from '../../src/server/faa-fetcher.js';
+import { config } from '../../src/server/config.js';
+
+const AIRCRAFT_JSON = JSON.parse(
+  readFileSync(new URL('../fixtures/aircraft.json', import.meta.url), 'utf8')
+);
+
+describe('Recorder', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'recordings-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('createRecorder', () => {
+    it('should write one NDJSON line per payload', () => {
+      const recorder = createRecorder({ dir });
+
+      recorder.record('sbs', [
+        { data: 'MSG,8,1,1,A1B2C3', receivedAt: 1000 },
+        { data: 'MSG,3,1,1,A1B2C3', receivedAt: 1001 }
+      ], 1001);
+
+      const lines = readFileSync(recorder.currentFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([
+        { source: 'sbs', receivedAt: 1000, data: 'MSG,8,1,1,A1B2C3' },
+        { source: 'sbs', receivedAt: 1001, data: 'MSG,3,1,1,A1B2C3' }
+      ]);
+    });
+
+    it('should name files after the time they were started', () => {
+      const recorder = createRecorder({ dir });
+
+      recorder.record('opensky', [{ data: {}, receivedAt: 0 }], Date.UTC(2024, 2, 14, 15, 2, 10));
+
+      expect(readdirSync(dir)).toEqual(['recording-2024-03-14T15-02-10.000Z.ndjson']);
+    });
+
+    it('should rotate when a file reaches maxFileBytes', () => {
+      const recorder = createRecorder({ dir, maxFileBytes: 100 });
+
+      for (let i = 0; i < 3; i++) {
+        recorder.record('opensky', [{ data: { states: 'x'.repeat(80) }, receivedAt: i }], 1000 + i);
+      }
+
+      expect(readdirSync(dir)).toHaveLength(3);
+    });
+
+    it('should rotate after rotateInterval', () => {
+      const recorder = createRecorder({ dir, rotateInterval: 1000 });
+
+      recorder.record('opensky', [{ data: {}, receivedAt: 0 }], 0);
+      recorder.record('opensky', [{ data: {}, receivedAt: 500 }], 500);
+      recorder.record('opensky', [{ data: {}, receivedAt: 1000 }], 1000);
+
+      expect(readdirSync(dir)).toHaveLength(2);
+    });
+
+    it('should delete the oldest files beyond maxFiles', () => {
+      const recorder = createRecorder({ dir, rotateInterval: 1000, maxFiles: 2 });
+
+      for (let i = 0; i < 4; i++) {
+        recorder.record('opensky', [{ data: { i }, receivedAt: i * 1000 }], i * 1000);
+      }
+
+      expect(readdirSync(dir)).toEqual([
+        'recording-1970-01-01T00-00-02.000Z.ndjson',
+        'recording-1970-01-01T00-00-03.000Z.ndjson'
+      ]);
+    });
+  });
+
+  describe('reading recordings', () => {
+    it('should list recording files oldest first', async () => {
+      writeFileSync(join(dir, 'recording-2024-03-14T16-00-00.000Z.ndjson'), '');
+      writeFileSync(join(dir, 'recording-2024-03-14T15-00-00.000Z.ndjson'), '');
+      writeFileSync(join(dir, 'notes.txt'), '');
+
+      const files = await listRecordingFiles(dir);
+
+      expect(files.map(file => file.slice(dir.length + 1))).toEqual([
+        'recording-2024-03-14T15-00-00.000Z.ndjson',
+        'recording-2024-03-14T16-00-00.000Z.ndjson'
+      ]);
+      expect(await listRecordingFiles(files[0])).toEqual([files[0]]);
+    });
+
+    it('should skip malformed lines', async () => {
+      const file = join(dir, 'recording-test.ndjson');
+      writeFileSync(file, [
+        '{"source":"sbs","receivedAt":2,"data":"b"}',
+        '{"source":"sbs","receivedAt":1,"data":"a"}',
+        '{"source":"sbs","rece'
+      ].join('\n'));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const entries = await readRecordingFile(file);
+
+      expect(entries.map(entry => entry.data)).toEqual(['a', 'b']);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Skipped 1 malformed line'));
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('recording fetched payloads', () => {
+    const originalSource = config.dataSource;
+    const originalRecorder = { ...config.recorder };
+    let fetchSpy;
+
+    beforeEach(() => {
+      fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => AIRCRAFT_JSON
+      });
+    });
+
+    afterEach(() => {
+      config.dataSource = originalSource;
+      Object.assign(config.recorder, originalRecorder);
+      fetchSpy.mockRestore();
+    });
+
+    it('should record raw responses when RECORD_DIR is set', async () => {
+      config.dataSource = 'readsb';
+      config.recorder.dir = dir;
+
+      await fetchFlights();
+
+      const [file] = await listRecordingFiles(dir);
+      const [entry] = await readRecordingFile(file);
+      expect(entry.source).toBe('readsb');
+      expect(entry.data).toEqual(AIRCRAFT_JSON);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for Geographic Regions
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createRegion,
+  resolveRegions,
+  containsPoint,
+  findRegion,
+  planTiles
+} from '../../src/server/regions.js';
+
+const ANCHORAGE = [61.17, -149.99];
+const WHITEHORSE = [60.71, -135.07];  // Yukon, inside Alaska's bounding box
+const HONOLULU = [21.32, -157.92];
+
+describe('Regions', () => {
+  describe('createRegion', () => {
+    it('should derive the bounds of a polygon', () => {
+      const region = createRegion({ name: 'triangle', polygon: [[0, 0], [10, 5], [0, 10]] });
+
+      expect(region.bounds).toEqual({ minLat: 0, maxLat: 10, minLon: 0, maxLon: 10 });
+    });
+
+    it('should reject regions without a usable shape', () => {
+      expect(() => createRegion({ bounds: { minLat: 0, maxLat: 1, minLon: 0, maxLon: 1 } }))
+        .toThrow('Invalid region: name is required');
+      expect(() => createRegion({ name: 'flat', bounds: { minLat: 1, maxLat: 1, minLon: 0, maxLon: 1 } }))
+        .toThrow('Invalid region flat: needs bounds');
+      expect(() => createRegion({ name: 'line', polygon: [[0, 0], [1, 1]] }))
+        .toThrow('Invalid region line: polygon must be at least 3 [latitude, longitude] points');
+    });
+  });
+
+  describe('resolveRegions', () => {
+    it('should resolve built-in regions by name', () => {
+      const regions = resolveRegions(['conus', 'alaska', 'hawaii', 'puerto-rico']);
+
+      expect(regions.map(region => region.name)).toEqual(['conus', 'alaska', 'hawaii', 'puerto-rico']);
+      expect(regions[1].polygon).toBeDefined();
+    });
+
+    it('should load regions from a JSON file', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'regions-'));
+      const file = join(dir, 'regions.json');
+      writeFileSync(file, JSON.stringify([
+        { name: 'guam', bounds: { minLat: 13.2, maxLat: 13.7, minLon: 144.6, maxLon: 145.0 } }
+      ]));
+
+      try {
+        expect(resolveRegions(['hawaii', file]).map(region => region.name)).toEqual(['hawaii', 'guam']);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should reject unknown names', () => {
+      expect(() => resolveRegions(['atlantis'])).toThrow('Unknown region: atlantis (built in: conus, alaska');
+    });
+  });
+
+  describe('containsPoint', () => {
+    const [alaska] = resolveRegions(['alaska']);
+
+    it('should test positions against the polygon, not just its bounds', () => {
+      expect(containsPoint(alaska, ...ANCHORAGE)).toBe(true);
+      expect(containsPoint(alaska, ...WHITEHORSE)).toBe(false);
+    });
+
+    it('should not contain missing positions', () => {
+      expect(containsPoint(alaska, null, null)).toBe(false);
+    });
+  });
+
+  describe('findRegion', () => {
+    it('should name the first region containing a position', () => {
+      const regions = resolveRegions(['conus', 'alaska', 'hawaii']);
+
+      expect(findRegion(regions, ...HONOLULU)).toBe('hawaii');
+      expect(findRegion(regions, ...ANCHORAGE)).toBe('alaska');
+      expect(findRegion(regions, 51.47, -0.45)).toBeNull();
+    });
+  });
+
+  describe('planTiles', () => {
+    const area = ({ minLat, maxLat, minLon, maxLon }) => (maxLat - minLat) * (maxLon - minLon);
+
+    it('should fetch each region in one request at the top tier', () => {
+      const tiles = planTiles(resolveRegions(['conus', 'hawaii']), 4);
+
+      expect(tiles.map(tile => [tile.id, tile.cost])).toEqual([['conus', 4], ['hawaii', 1]]);
+    });
+
+    it('should split regions into tiles no larger than the credit tier', () => {
+      const [conus] = resolveRegions(['conus']);
+      const tiles = planTiles([conus], 1);
+
+      expect(tiles.length).toBeGreaterThan(1);
+      expect(tiles.every(tile => tile.cost === 1 && area(tile.bounds) <= 25 + 1e-9)).toBe(true);
+      expect(tiles.reduce((sum, tile) => sum + area(tile.bounds), 0)).toBeCloseTo(area(conus.bounds), 6);
+    });
+
+    it('should drop tiles outside a polygon', () => {
+      const [alaska] = resolveRegions(['alaska']);
+      const tiles = planTiles([alaska], 1);
+      const rows = Math.ceil((alaska.bounds.maxLat - alaska.bounds.minLat) / 5);
+      const cols = Math.ceil((alaska.bounds.maxLon - alaska.bounds.minLon) / 5);
+
+      expect(tiles.length).toBeLessThan(rows * cols);
+      expect(tiles.some(({ bounds }) =>
+        ANCHORAGE[0] >= bounds.minLat && ANCHORAGE[0] <= bounds.maxLat &&
+        ANCHORAGE[1] >= bounds.minLon && ANCHORAGE[1] <= bounds.maxLon)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the replay data source
+ * Plays back tests/fixtures/recordings: two readsb aircraft.json snapshots
+ * ten seconds apart, BaseStation lines in between and one OpenSky response.
+ */
+
+import { jest } from '@jest/globals';
+import { fileURLToPath } from 'url';
+import { fetchFlights } from '../../src/server/faa-fetcher.js';
+import { parseReplaySpeed, getReplayTimeScale, isReplayFinished, resetReplay } from '../../src/server/sources/replay.js';
+import { config } from '../../src/server/config.js';
+
+const RECORDINGS = fileURLToPath(new URL('../fixtures/recordings', import.meta.url));
+
+describe('Replay source', () => {
+  const originalSource = config.dataSource;
+  const originalReplay = { ...config.replay };
+  const originalInterval = config.fetchIntervalSeconds;
+  let now;
+  let nowSpy;
+
+  beforeEach(() => {
+    resetReplay();
+    config.dataSource = 'replay';
+    config.replay.path = RECORDINGS;
+    config.fetchIntervalSeconds = 10;
+    now = Date.UTC(2026, 0, 1);
+    nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    config.dataSource = originalSource;
+    config.fetchIntervalSeconds = originalInterval;
+    Object.assign(config.replay, originalReplay);
+    nowSpy.mockRestore();
+    resetReplay();
+  });
+
+  describe('parseReplaySpeed', () => {
+    it('should accept multipliers and max', () => {
+      expect(parseReplaySpeed('1')).toBe(1);
+      expect(parseReplaySpeed('10')).toBe(10);
+      expect(parseReplaySpeed('max')).toBe(Infinity);
+    });
+
+    it('should reject invalid speeds', () => {
+      expect(() => parseReplaySpeed('fast')).toThrow('Invalid replay speed: fast');
+      expect(() => parseReplaySpeed('0')).toThrow('Invalid replay speed');
+    });
+  });
+
+  describe('as fast as possible', () => {
+    beforeEach(() => {
+      config.replay.speed = 'max';
+    });
+
+    it('should play one fetch interval of traffic per fetch', async () => {
+      const first = await fetchFlights();
+      expect(first.map(f => f.id).sort()).toEqual(['a1b2c3', 'a4f1d2', 'ac82ec']);
+
+      now += 50;
+      const second = await fetchFlights();
+      const ual = second.find(f => f.id === 'a1b2c3');
+      expect(ual.source).toBe('opensky');
+      expect(ual.longitude).toBe(-122.43012);
+      expect(second.find(f => f.id === 'ac82ec').altitude).toBe(8575);
+
+      expect(isReplayFinished()).toBe(false);
+      now += 50;
+      expect(await fetchFlights()).toEqual([]);
+      expect(isReplayFinished()).toBe(true);
+    });
+
+    it('should report the pace kept as the time scale', async () => {
+      expect(getReplayTimeScale()).toBe(Infinity);
+
+      await fetchFlights();
+      now += 50;
+      await fetchFlights();
+
+      // At least a fetch interval of recorded time in 50 ms
+      expect(getReplayTimeScale()).toBeGreaterThanOrEqual(10000 / 50);
+      expect(getReplayTimeScale('10')).toBe(10);
+    });
+
+    it('should fuse the recorded sources', async () => {
+      const flights = await fetchFlights();
+      const ual = flights.find(f => f.id === 'a1b2c3');
+
+      expect(ual.sources).toEqual(['readsb', 'sbs']);
+      expect(ual.callsign).toBe('UAL123');
+    });
+
+    it('should move recorded timestamps to the present', async () => {
+      const flights = await fetchFlights();
+
+      for (const flight of flights) {
+        expect(flight.timestamp).toBeLessThanOrEqual(now);
+        expect(flight.timestamp).toBeGreaterThan(now - 60 * 1000);
+      }
+    });
+
+    it('should start over when looping', async () => {
+      config.replay.loop = true;
+
+      await fetchFlights();
+      now += 50;
+      await fetchFlights();
+      now += 50;
+      const restarted = await fetchFlights();
+
+      expect(restarted.map(f => f.id).sort()).toEqual(['a1b2c3', 'a4f1d2', 'ac82ec']);
+      expect(isReplayFinished()).toBe(false);
+    });
+  });
+
+  describe('against the clock', () => {
+    it('should play recorded traffic at the configured speed', async () => {
+      config.replay.speed = '10';
+
+      const first = await fetchFlights();
+      expect(first.map(f => f.id).sort()).toEqual(['a1b2c3', 'a4f1d2', 'ac82ec']);
+      expect(first.find(f => f.id === 'a1b2c3').sources).toEqual(['readsb']);
+
+      // 1 second of wall time is 10 seconds of recording
+      now += 1000;
+      const second = await fetchFlights();
+      expect(second.find(f => f.id === 'a1b2c3').longitude).toBe(-122.41357);
+
+      now += 500;
+      const third = await fetchFlights();
+      expect(third.find(f => f.id === 'a1b2c3').source).toBe('opensky');
+    });
+
+    it('should wait for recorded traffic to become due', async () => {
+      config.replay.speed = '1';
+
+      await fetchFlights();
+      now += 100;
+
+      expect(await fetchFlights()).toEqual([]);
+    });
+  });
+
+  it('should fail when the recording path has no recordings', async () => {
+    config.replay.path = fileURLToPath(new URL('../fixtures/swim', import.meta.url));
+
+    await expect(fetchFlights()).rejects.toThrow('No recordings found');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for Origin and Destination Inference
+ */
+
+import { existsSync, unlinkSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { findNearbyAirport, inferRoute, inferRoutes } from '../../src/server/route-inference.js';
+import { importAirports } from '../../src/server/airports.js';
+import {
+  initDatabase,
+  closeDatabase,
+  upsertFlights,
+  getFlight,
+  pruneOldData,
+  listSessions
+} from '../../src/server/database.js';
+
+const TEST_DB_PATH = './data/test-routes.db';
+const MINUTE = 60 * 1000;
+
+function removeDatabase() {
+  for (const file of [TEST_DB_PATH, `${TEST_DB_PATH}-wal`, `${TEST_DB_PATH}-shm`]) {
+    if (existsSync(file)) unlinkSync(file);
+  }
+}
+
+const createFlight = (overrides = {}) => ({
+  id: 'abc123',
+  callsign: 'UAL1',
+  latitude: 37.615,
+  longitude: -122.38,
+  altitude: 13,
+  heading: 280,
+  speed: 10,
+  verticalRate: 0,
+  onGround: true,
+  timestamp: Date.now(),
+  source: 'test',
+  ...overrides
+});
+
+describe('Route Inference', () => {
+  beforeAll(async () => {
+    const dir = dirname(TEST_DB_PATH);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  });
+
+  beforeEach(async () => {
+    removeDatabase();
+    initDatabase(TEST_DB_PATH);
+    await importAirports('./tests/fixtures/airports');
+  });
+
+  afterEach(() => {
+    closeDatabase();
+    removeDatabase();
+  });
+
+  describe('findNearbyAirport', () => {
+    it('should find the airport a flight is on the ground at', () => {
+      expect(findNearbyAirport(createFlight()).ident).toBe('KSFO');
+    });
+
+    it('should prefer an airport with a runway lined up with the track', () => {
+      // Between SFO and San Carlos, a little closer to San Carlos
+      const between = createFlight({ latitude: 37.56, longitude: -122.305, altitude: 1500, onGround: false });
+
+      expect(findNearbyAirport({ ...between, heading: 28 }).ident).toBe('KSFO');
+      expect(findNearbyAirport({ ...between, heading: 316 }).ident).toBe('KSQL');
+      expect(findNearbyAirport({ ...between, heading: 70 }).ident).toBe('KSQL');
+    });
+
+    it('should ignore flights too high above the airport or too far away', () => {
+      expect(findNearbyAirport(createFlight({ altitude: 5000, onGround: false }))).toBeNull();
+      expect(findNearbyAirport(createFlight({ latitude: 38.5 }))).toBeNull();
+    });
+  });
+
+  describe('inferRoute', () => {
+    it('should take the origin from where a session starts on the ground', () => {
+      expect(inferRoute(createFlight(), undefined)).toEqual({ origin: 'KSFO', destination: null });
+    });
+
+    it('should take the origin from an early climb-out', () => {
+      const flight = createFlight({ latitude: 37.64, longitude: -122.42, altitude: 2000, verticalRate: 2000, onGround: false });
+      const previous = { firstSeen: flight.timestamp - 2 * MINUTE, maxAltitude: 1500, origin: null };
+
+      expect(inferRoute(flight, previous).origin).toBe('KSFO');
+      expect(inferRoute(flight, { ...previous, firstSeen: flight.timestamp - 30 * MINUTE }).origin).toBeNull();
+    });
+
+    it('should take the destination from a descent after flying higher', () => {
+      const flight = createFlight({ latitude: 37.73, longitude: -122.24, altitude: 1200, heading: 117, verticalRate: -700, onGround: false });
+      const previous = { firstSeen: flight.timestamp - 90 * MINUTE, maxAltitude: 35000, origin: 'KLAX' };
+
+      expect(inferRoute(flight, previous)).toEqual({ origin: null, destination: 'KOAK' });
+      expect(inferRoute({ ...flight, verticalRate: 700 }, previous).destination).toBeNull();
+    });
+
+    it('should not look for airports at altitude', () => {
+      expect(inferRoute(createFlight({ altitude: 35000, onGround: false }), undefined)).toEqual({ origin: null, destination: null });
+    });
+  });
+
+  describe('inferRoutes', () => {
+    it('should keep the first origin and the latest destination, and archive them with the session', () => {
+      const now = Date.now();
+      upsertFlights(inferRoutes([createFlight({ timestamp: now - 60 * MINUTE })]));
+      upsertFlights(inferRoutes([createFlight({ latitude: 37.0, longitude: -122.0, altitude: 35000, onGround: false, timestamp: now - 30 * MINUTE })]));
+      upsertFlights(inferRoutes([createFlight({ latitude: 37.715, longitude: -122.215, altitude: 9, onGround: true, timestamp: now })]));
+
+      const flight = getFlight('abc123');
+      expect(flight.origin).toMatchObject({ ident: 'KSFO', iataCode: 'SFO', municipality: 'San Francisco' });
+      expect(flight.destination).toMatchObject({ ident: 'KOAK' });
+
+      pruneOldData(-1);
+      expect(listSessions()[0]).toMatchObject({ origin: 'KSFO', destination: 'KOAK' });
+    });
+  });
+});
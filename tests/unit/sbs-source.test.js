@@ -0,0 +1,218 @@
+/**
+ * Unit Tests for SBS-1 / BaseStation Source
+ */
+
+import { jest } from '@jest/globals';
+import net from 'net';
+import { readFileSync } from 'fs';
+import {
+  parseSbsLine,
+  createSbsAssembler,
+  createSbsClient,
+  normalizeSbsFlight
+} from '../../src/server/sbs-source.js';
+import { fetchFlights, closeSbsConnection, normalizeFlightData } from '../../src/server/faa-fetcher.js';
+import { config } from '../../src/server/config.js';
+
+const CAPTURE = readFileSync(new URL('../fixtures/sbs-capture.txt', import.meta.url), 'utf8');
+
+/**
+ * Start a local TCP server that plays back the capture file to each client
+ */
+function startPlaybackServer() {
+  return new Promise((resolve) => {
+    const server = net.createServer((socket) => {
+      socket.end(CAPTURE);
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function waitFor(predicate, timeout = 2000) {
+  const started = Date.now();
+  while (!(await predicate())) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('SBS Source', () => {
+  describe('parseSbsLine', () => {
+    it('should parse an airborne position message', () => {
+      const msg = parseSbsLine('MSG,3,1,1,A1B2C3,1,2024/03/14,15:02:11.004,2024/03/14,15:02:11.040,,35000,,,37.61902,-122.37491,,,0,0,0,0');
+
+      expect(msg.transmissionType).toBe(3);
+      expect(msg.hex).toBe('a1b2c3');
+      expect(msg.altitude).toBe(35000);
+      expect(msg.latitude).toBe(37.61902);
+      expect(msg.longitude).toBe(-122.37491);
+      expect(msg.onGround).toBe(false);
+      expect(msg).not.toHaveProperty('groundSpeed');
+    });
+
+    it('should trim callsign padding', () => {
+      const msg = parseSbsLine('MSG,1,1,1,A1B2C3,1,2024/03/14,15:02:10.512,2024/03/14,15:02:10.540,UAL123  ,,,,,,,,,,,0');
+      expect(msg.callsign).toBe('UAL123');
+    });
+
+    it('should treat -1 as true for flag fields', () => {
+      const msg = parseSbsLine('MSG,6,1,1,A8D0F1,1,2024/03/14,15:02:13.102,2024/03/14,15:02:13.130,,24000,,,,,,7700,-1,-1,0,0');
+      expect(msg.squawk).toBe('7700');
+      expect(msg.alert).toBe(true);
+      expect(msg.emergency).toBe(true);
+      expect(msg.spi).toBe(false);
+    });
+
+    it('should ignore non-MSG lines', () => {
+      expect(parseSbsLine('STA,,5,179,400AE7,10103,2024/03/14,15:02:13.200,2024/03/14,15:02:13.230,RM')).toBeNull();
+      expect(parseSbsLine('')).toBeNull();
+      expect(parseSbsLine('garbage')).toBeNull();
+    });
+  });
+
+  describe('createSbsAssembler', () => {
+    it('should merge partial messages into one record per aircraft', () => {
+      const assembler = createSbsAssembler();
+      for (const line of CAPTURE.split('\n')) {
+        assembler.ingest(line);
+      }
+
+      const aircraft = assembler.getAircraft();
+      const ual = aircraft.find(a => a.hex === 'a1b2c3');
+
+      expect(ual.callsign).toBe('UAL123');
+      expect(ual.altitude).toBe(35025);
+      expect(ual.groundSpeed).toBe(452);
+      expect(ual.track).toBe(271.3);
+      expect(ual.verticalRate).toBe(-64);
+      expect(ual.squawk).toBe('4521');
+      expect(ual.latitude).toBe(37.6195);
+    });
+
+    it('should only return aircraft with a position', () => {
+      const assembler = createSbsAssembler();
+      for (const line of CAPTURE.split('\n')) {
+        assembler.ingest(line);
+      }
+
+      // A8D0F1 only sent altitude and squawk
+      expect(assembler.size).toBe(4);
+      expect(assembler.getAircraft().map(a => a.hex).sort())
+        .toEqual(['a1b2c3', 'a4f1d2', 'ac82ec']);
+    });
+
+    it('should drop aircraft not heard from within maxAge', () => {
+      const assembler = createSbsAssembler({ maxAge: 1000 });
+      assembler.ingest('MSG,3,1,1,A1B2C3,1,,,,,,35000,,,37.6,-122.3,,,0,0,0,0', 0);
+
+      expect(assembler.getAircraft(500)).toHaveLength(1);
+      expect(assembler.getAircraft(2000)).toHaveLength(0);
+      expect(assembler.size).toBe(0);
+    });
+  });
+
+  describe('normalizeSbsFlight', () => {
+    it('should produce the common flight format', () => {
+      const flight = normalizeFlightData({
+        hex: 'a4f1d2',
+        callsign: 'DAL88',
+        latitude: 37.6131,
+        longitude: -122.39122,
+        groundSpeed: 12,
+        track: 45,
+        onGround: true,
+        lastPosition: 1700000000000
+      }, 'sbs');
+
+      expect(flight).toEqual({
+        id: 'a4f1d2',
+        callsign: 'DAL88',
+        latitude: 37.6131,
+        longitude: -122.39122,
+        altitude: 0,
+        heading: 45,
+        speed: 12,
+        verticalRate: 0,
+        onGround: true,
+        squawk: null,
+        timestamp: 1700000000000,
+        source: 'sbs'
+      });
+    });
+
+    it('should return null without a position', () => {
+      expect(normalizeSbsFlight({ hex: 'a8d0f1', altitude: 24000 })).toBeNull();
+    });
+  });
+
+  describe('TCP feed', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = await startPlaybackServer();
+    });
+
+    afterEach(async () => {
+      closeSbsConnection();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should read lines from a BaseStation server', async () => {
+      const lines = [];
+      const client = createSbsClient({
+        host: '127.0.0.1',
+        port: server.address().port,
+        onLine: line => lines.push(line)
+      });
+
+      await waitFor(() => lines.length === CAPTURE.trim().split('\n').length);
+      client.close();
+
+      expect(lines[0]).toMatch(/^MSG,8,/);
+    });
+
+    it('should report the connection dropping', async () => {
+      let connectedOnFirstLine;
+      const client = createSbsClient({
+        host: '127.0.0.1',
+        port: server.address().port,
+        onLine: () => { connectedOnFirstLine ??= client.connected; },
+        reconnectDelay: 60 * 1000
+      });
+
+      // The playback server hangs up once it has sent the capture
+      await waitFor(() => connectedOnFirstLine !== undefined && !client.connected);
+      client.close();
+
+      expect(connectedOnFirstLine).toBe(true);
+      expect(client.connected).toBe(false);
+    });
+
+    it('should return assembled flights through fetchFlights', async () => {
+      const originalSource = config.dataSource;
+      const originalSbs = { ...config.sbs };
+      config.dataSource = 'sbs';
+      config.sbs.host = '127.0.0.1';
+      config.sbs.port = server.address().port;
+
+      try {
+        // First call opens the connection, later calls return what has arrived
+        let flights = await fetchFlights();
+        await waitFor(async () => {
+          flights = await fetchFlights();
+          return flights.length === 3;
+        });
+
+        expect(flights).toHaveLength(3);
+        const ual = flights.find(f => f.id === 'a1b2c3');
+        expect(ual.callsign).toBe('UAL123');
+        expect(ual.source).toBe('sbs');
+      } finally {
+        config.dataSource = originalSource;
+        Object.assign(config.sbs, originalSbs);
+      }
+    });
+  });
+});
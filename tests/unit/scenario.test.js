@@ -0,0 +1,263 @@
+/**
+ * Unit tests for the scripted scenario engine
+ */
+
+import { jest } from '@jest/globals';
+import { fileURLToPath } from 'url';
+import {
+  createRng,
+  createScenario,
+  loadScenario,
+  validateScenario
+} from '../../src/server/scenario.js';
+import { fetchFlights } from '../../src/server/faa-fetcher.js';
+import { config } from '../../src/server/config.js';
+
+const CONVERGING = fileURLToPath(new URL('../fixtures/scenarios/converging.json', import.meta.url));
+
+// SFO runway 28L threshold
+const SFO_28L = { latitude: 37.6117, longitude: -122.3576, heading: 298 };
+
+function single(aircraft, extra = {}) {
+  return { aircraft: [{ id: 'a1b2c3', callsign: 'TST1', squawk: '1200', ...aircraft }], ...extra };
+}
+
+/**
+ * Run a scenario second by second, collecting the scripted aircraft's track
+ */
+function track(scenario, seconds, id = 'a1b2c3') {
+  const simulation = createScenario(scenario, { startTime: 0 });
+  const points = [];
+  for (let t = 0; t <= seconds; t++) {
+    const flight = simulation.advanceTo(t).find(f => f.id === id);
+    points.push({ t, flight });
+  }
+  return points;
+}
+
+function distanceNm(a, b) {
+  const dLat = (b.latitude - a.latitude) * 60;
+  const dLon = (b.longitude - a.longitude) * 60 * Math.cos(a.latitude * Math.PI / 180);
+  return Math.sqrt(dLat * dLat + dLon * dLon);
+}
+
+describe('Scenario Engine', () => {
+  describe('createRng', () => {
+    it('should repeat the same sequence for the same seed', () => {
+      const a = createRng(42);
+      const b = createRng(42);
+      const sequence = [a(), a(), a()];
+
+      expect([b(), b(), b()]).toEqual(sequence);
+      expect(sequence.every(value => value >= 0 && value < 1)).toBe(true);
+    });
+
+    it('should accept string seeds', () => {
+      expect(createRng('demo')()).toBe(createRng('demo')());
+      expect(createRng('demo')()).not.toBe(createRng('other')());
+    });
+  });
+
+  describe('validateScenario', () => {
+    it('should reject unknown maneuvers with their position', () => {
+      expect(() => validateScenario(single({
+        start: { latitude: 37, longitude: -122 },
+        script: [{ type: 'fly' }, { type: 'barrel-roll' }]
+      }))).toThrow('Invalid scenario: aircraft[0].script[1]: unknown maneuver "barrel-roll"');
+    });
+
+    it('should require positions and event times', () => {
+      expect(() => validateScenario(single({ start: { latitude: 37 } })))
+        .toThrow('aircraft[0].start: longitude must be a number');
+      expect(() => validateScenario(single({
+        start: { latitude: 37, longitude: -122 },
+        events: [{ squawk: '7700' }]
+      }))).toThrow('aircraft[0].events[0]: at must be a number');
+    });
+
+    it('should reject duplicate ids', () => {
+      const scenario = single({ start: { latitude: 37, longitude: -122 } });
+      scenario.aircraft.push({ ...scenario.aircraft[0] });
+
+      expect(() => validateScenario(scenario)).toThrow('duplicate id a1b2c3');
+    });
+  });
+
+  describe('loadScenario', () => {
+    it('should load a bundled YAML scenario by name', async () => {
+      const scenario = await loadScenario('bay-area');
+
+      expect(scenario.name).toBe('Bay Area demo');
+      expect(scenario.aircraft.length).toBeGreaterThan(0);
+    });
+
+    it('should load a JSON scenario file', async () => {
+      const scenario = await loadScenario(CONVERGING);
+
+      expect(scenario.aircraft.map(a => a.callsign)).toEqual(['N123AB', 'N456CD']);
+    });
+  });
+
+  describe('determinism', () => {
+    it('should produce identical flights for the same seed however often it is polled', async () => {
+      const scenario = await loadScenario('bay-area');
+      const coarse = createScenario(scenario, { startTime: 0 });
+      const fine = createScenario(scenario, { startTime: 0 });
+
+      for (let t = 0; t <= 600; t += 7) fine.advanceTo(t);
+
+      expect(fine.advanceTo(600)).toEqual(coarse.advanceTo(600));
+    });
+
+    it('should vary background traffic with the seed', async () => {
+      const scenario = await loadScenario('bay-area');
+      const traffic = seed => createScenario(scenario, { startTime: 0, seed })
+        .advanceTo(0)
+        .filter(f => f.id.startsWith('SIM'));
+
+      expect(traffic(1)).toHaveLength(12);
+      expect(traffic(1)).toEqual(traffic(1));
+      expect(traffic(1)).not.toEqual(traffic(2));
+    });
+
+    it('should stop reporting after the duration', () => {
+      const simulation = createScenario(single({ start: { latitude: 37, longitude: -122 } }, { duration: 60 }), { startTime: 0 });
+
+      expect(simulation.advanceTo(59)).toHaveLength(1);
+      expect(simulation.advanceTo(120)).toEqual([]);
+      expect(simulation.finished).toBe(true);
+    });
+  });
+
+  describe('maneuvers', () => {
+    it('should roll, rotate and climb on takeoff', () => {
+      const points = track(single({
+        start: { latitude: 37.6160, longitude: -122.3573, heading: 298 },
+        script: [{ type: 'takeoff', altitude: 5000 }]
+      }), 240);
+
+      expect(points[0].flight).toMatchObject({ onGround: true, altitude: 0, speed: 0 });
+      const liftoff = points.find(p => !p.flight.onGround);
+      expect(liftoff.flight.speed).toBeGreaterThanOrEqual(150);
+      expect(points[liftoff.t + 30].flight.verticalRate).toBe(2500);
+      expect(points[240].flight.altitude).toBe(5000);
+    });
+
+    it('should fly the glidepath, land and go quiet after stopping', () => {
+      const points = track(single({
+        start: { latitude: 37.45, longitude: -122.05, altitude: 5000, speed: 200, heading: 300 },
+        script: [{ type: 'approach', ...SFO_28L }]
+      }), 900);
+
+      const touchdown = points.find(p => p.flight && p.flight.onGround);
+      expect(touchdown).toBeDefined();
+      expect(distanceNm(touchdown.flight, SFO_28L)).toBeLessThan(0.2);
+
+      // Roughly 3 degrees: about 318 ft per nm from the threshold
+      const onFinal = points.find(p => p.flight && distanceNm(p.flight, SFO_28L) < 5);
+      expect(onFinal.flight.altitude).toBeGreaterThan(1300);
+      expect(onFinal.flight.altitude).toBeLessThan(1700);
+
+      expect(points[900].flight).toBeUndefined();
+    });
+
+    it('should go around at the decision height and climb back out', () => {
+      const points = track(single({
+        start: { latitude: 37.45, longitude: -122.05, altitude: 5000, speed: 200, heading: 300 },
+        script: [{ type: 'approach', ...SFO_28L, goAround: { height: 200, altitude: 3000 } }]
+      }), 900);
+
+      const lowest = Math.min(...points.filter(p => p.flight).map(p => p.flight.altitude));
+      expect(lowest).toBeGreaterThan(150);
+      expect(points.some(p => p.flight.onGround)).toBe(false);
+      expect(points[900].flight.altitude).toBe(3000);
+    });
+
+    it('should fly a racetrack holding pattern around the fix', () => {
+      const fix = { latitude: 37.85, longitude: -122.0 };
+      const points = track(single({
+        start: { latitude: 37.85, longitude: -121.9, altitude: 8000, speed: 210, heading: 270 },
+        script: [{ type: 'hold', ...fix, inboundCourse: 270, direction: 'right', legSeconds: 60, laps: 2 }]
+      }), 600);
+
+      const headings = points.map(p => Math.round(p.flight.heading));
+      expect(headings).toContain(90);  // outbound leg
+      expect(Math.max(...points.slice(30).map(p => distanceNm(p.flight, fix)))).toBeLessThan(7);
+    });
+  });
+
+  describe('events', () => {
+    const scenario = single({
+      start: { latitude: 37, longitude: -122, altitude: 30000, speed: 450, heading: 90 },
+      events: [
+        { at: 60, squawk: '7700' },
+        { at: 90, callsign: 'TST2' },
+        { at: 120, signalLoss: 45 }
+      ]
+    });
+
+    it('should change squawk and callsign at the scheduled time', () => {
+      const points = track(scenario, 100);
+
+      expect(points[59].flight.squawk).toBe('1200');
+      expect(points[60].flight.squawk).toBe('7700');
+      expect(points[89].flight.callsign).toBe('TST1');
+      expect(points[90].flight.callsign).toBe('TST2');
+    });
+
+    it('should drop the aircraft during a lost-signal gap', () => {
+      const points = track(scenario, 200);
+
+      expect(points[119].flight).toBeDefined();
+      expect(points[120].flight).toBeUndefined();
+      expect(points[164].flight).toBeUndefined();
+      expect(points[165].flight).toBeDefined();
+      // The aircraft kept flying while unseen
+      expect(points[165].flight.longitude - points[119].flight.longitude).toBeGreaterThan(0.1);
+    });
+  });
+
+  it('should bring converging traffic together', async () => {
+    const simulation = createScenario(await loadScenario(CONVERGING), { startTime: 0 });
+    let closest = Infinity;
+
+    for (let t = 0; t <= 600; t++) {
+      const [a, b] = simulation.advanceTo(t);
+      if (a && b) {
+        closest = Math.min(closest, distanceNm(a, b));
+        expect(a.altitude).toBe(b.altitude);
+      }
+    }
+
+    expect(closest).toBeLessThan(0.5);
+  });
+
+  describe('mock source', () => {
+    const originalSource = config.dataSource;
+    let nowSpy;
+
+    afterEach(() => {
+      config.dataSource = originalSource;
+      delete process.env.MOCK_SCENARIO;
+      delete process.env.MOCK_SCENARIO_SPEED;
+      nowSpy.mockRestore();
+    });
+
+    it('should play a scenario against the clock', async () => {
+      let now = 1_000_000;
+      nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+      config.dataSource = 'mock';
+      process.env.MOCK_SCENARIO = CONVERGING;
+      process.env.MOCK_SCENARIO_SPEED = '10';
+
+      const first = await fetchFlights();
+      now += 6000;
+      const later = await fetchFlights();
+
+      expect(first.map(f => f.callsign)).toEqual(['N123AB', 'N456CD']);
+      expect(later[0].timestamp).toBe(now);
+      expect(later[0].longitude).toBeGreaterThan(first[0].longitude);
+      expect(distanceNm(later[0], first[0])).toBeCloseTo(110 * 60 / 3600, 1);
+    });
+  });
+});
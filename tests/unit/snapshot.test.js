@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for Historical Snapshots
+ */
+
+import { existsSync, unlinkSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { positionAt, getSnapshot } from '../../src/server/snapshot.js';
+import { config } from '../../src/server/config.js';
+import { initDatabase, closeDatabase, upsertFlight, pruneOldData } from '../../src/server/database.js';
+
+const TEST_DB_PATH = './data/test-snapshot.db';
+const MINUTE = 60 * 1000;
+
+function removeDatabase() {
+  for (const file of [TEST_DB_PATH, `${TEST_DB_PATH}-wal`, `${TEST_DB_PATH}-shm`]) {
+    if (existsSync(file)) unlinkSync(file);
+  }
+}
+
+const T0 = 1700000000000;
+
+// Due north at 10,000 ft climbing 1,200 ft/min, 0.1 degrees (6 nm) a minute
+const track = [
+  { latitude: 40, longitude: -100, altitude: 10000, timestamp: T0 },
+  { latitude: 40.1, longitude: -100, altitude: 11200, timestamp: T0 + MINUTE },
+  { latitude: 40.2, longitude: -100, altitude: 12400, timestamp: T0 + 2 * MINUTE }
+];
+
+describe('Historical Snapshots', () => {
+  describe('positionAt', () => {
+    it('should interpolate between the points either side', () => {
+      const position = positionAt(track, T0 + 1.5 * MINUTE);
+
+      expect(position).toMatchObject({
+        longitude: -100,
+        altitude: 11800,
+        heading: 0,
+        speed: 360,
+        verticalRate: 1200,
+        timestamp: T0 + 1.5 * MINUTE,
+        lastSeen: T0 + MINUTE,
+        interpolated: true
+      });
+      expect(position.latitude).toBeCloseTo(40.15, 10);
+      expect(position.trail.map(point => point.timestamp - T0)).toEqual([0, MINUTE, 1.5 * MINUTE]);
+    });
+
+    it('should hold the last position until it goes stale', () => {
+      const held = positionAt(track, T0 + 3 * MINUTE);
+
+      expect(held).toMatchObject({ latitude: 40.2, altitude: 12400, heading: 0, interpolated: false });
+      expect(held.trail).toHaveLength(3);
+      expect(positionAt(track, T0 + 2 * MINUTE + config.maxFlightAge + 1)).toBeNull();
+      expect(positionAt(track, T0 - 1)).toBeNull();
+    });
+
+    it('should not interpolate across gaps in the track', () => {
+      const gap = [track[0], { ...track[1], timestamp: T0 + config.maxFlightAge + MINUTE }];
+
+      expect(positionAt(gap, T0 + MINUTE)).toMatchObject({ latitude: 40, interpolated: false });
+      expect(positionAt(gap, T0 + config.maxFlightAge + 1)).toBeNull();
+    });
+
+    it('should take the short way across the antimeridian', () => {
+      const crossing = [
+        { latitude: 0, longitude: 179.9, altitude: 35000, timestamp: T0 },
+        { latitude: 0, longitude: -179.9, altitude: 35000, timestamp: T0 + MINUTE }
+      ];
+
+      const position = positionAt(crossing, T0 + MINUTE * 0.75);
+      expect(position.longitude).toBeCloseTo(-179.95, 10);
+      expect(position.heading).toBe(90);
+    });
+  });
+
+  describe('getSnapshot', () => {
+    const originalSessions = { ...config.sessions };
+
+    const fly = (id, callsign, start, overrides = {}) => {
+      for (let i = 0; i < 3; i++) {
+        upsertFlight({
+          id,
+          callsign,
+          latitude: 37.5 + i * 0.1,
+          longitude: -122.5,
+          altitude: 30000,
+          heading: 0,
+          speed: 360,
+          verticalRate: 0,
+          onGround: false,
+          timestamp: start + i * MINUTE,
+          source: 'test',
+          ...overrides
+        });
+      }
+    };
+
+    beforeAll(() => {
+      const dir = dirname(TEST_DB_PATH);
+      if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+      }
+    });
+
+    beforeEach(() => {
+      removeDatabase();
+      initDatabase(TEST_DB_PATH);
+      config.sessions.trackTolerance = 0;
+    });
+
+    afterEach(() => {
+      Object.assign(config.sessions, originalSessions);
+      closeDatabase();
+      removeDatabase();
+    });
+
+    it('should find active and archived flights', () => {
+      const start = Date.now() - 10 * MINUTE;
+      fly('abc123', 'UAL1', start);
+      pruneOldData(-1000);  // Archive it
+      fly('def456', 'DAL2', start, { longitude: -122 });
+
+      const flights = getSnapshot(start + 1.5 * MINUTE);
+
+      expect(flights.map(({ id, callsign, interpolated }) => ({ id, callsign, interpolated }))).toEqual([
+        { id: 'abc123', callsign: 'UAL1', interpolated: true },
+        { id: 'def456', callsign: 'DAL2', interpolated: true }
+      ]);
+      expect(flights[0].sessionId).toEqual(expect.any(Number));
+      expect(flights[1].sessionId).toBeNull();
+      expect(flights[0].latitude).toBeCloseTo(37.65, 10);
+      expect(flights[1].trail).toHaveLength(3);
+    });
+
+    it('should leave out flights outside the area or not yet seen', () => {
+      const start = Date.now() - 10 * MINUTE;
+      fly('abc123', 'UAL1', start);
+      fly('def456', 'DAL2', start + 5 * MINUTE, { longitude: -122 });
+
+      const bounds = { minLat: 37, maxLat: 38, minLon: -123, maxLon: -122.25 };
+      expect(getSnapshot(start + MINUTE).map(flight => flight.id)).toEqual(['abc123']);
+      expect(getSnapshot(start + 6 * MINUTE, { area: { bounds } }).map(flight => flight.id)).toEqual(['abc123']);
+    });
+  });
+});
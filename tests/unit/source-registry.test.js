@@ -0,0 +1,269 @@
+/**
+ * Unit tests for the data source adapter registry
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  registerSource,
+  unregisterSource,
+  getSource,
+  listSources,
+  resolveSourceConfig,
+  loadPlugins,
+  createSourceRunner
+} from '../../src/server/source-registry.js';
+import { fetchFlights, normalizeFlightData } from '../../src/server/faa-fetcher.js';
+import { config } from '../../src/server/config.js';
+
+const testFlight = (id, overrides = {}) => ({
+  id,
+  callsign: id.toUpperCase(),
+  latitude: 40,
+  longitude: -100,
+  altitude: 10000,
+  heading: 90,
+  speed: 300,
+  verticalRate: 0,
+  onGround: false,
+  squawk: null,
+  timestamp: Date.now(),
+  source: 'test-feed',
+  ...overrides
+});
+
+const testAdapter = (overrides = {}) => ({
+  name: 'test-feed',
+  configSchema: {
+    url: { type: 'string', env: 'TEST_FEED_URL', required: true },
+    limit: { type: 'number', env: 'TEST_FEED_LIMIT', default: 10 }
+  },
+  async fetch() {
+    return [{ hex: 'abc123' }, { hex: 'def456' }, { hex: null }];
+  },
+  normalize: record => (record.hex ? testFlight(record.hex) : null),
+  ...overrides
+});
+
+describe('Source Registry', () => {
+  afterEach(() => {
+    unregisterSource('test-feed');
+    delete process.env.TEST_FEED_URL;
+    delete process.env.TEST_FEED_LIMIT;
+  });
+
+  describe('registerSource', () => {
+    it('should register built-in sources', () => {
+      expect(listSources()).toEqual(
+        expect.arrayContaining(['opensky', 'faa', 'sbs', 'modes', 'readsb', 'mock'])
+      );
+    });
+
+    it('should register and look up an adapter', () => {
+      const adapter = registerSource(testAdapter());
+      expect(getSource('test-feed')).toBe(adapter);
+    });
+
+    it('should reject duplicate names', () => {
+      registerSource(testAdapter());
+      expect(() => registerSource(testAdapter())).toThrow('Data source already registered: test-feed');
+    });
+
+    it('should require fetch or stream and normalize', () => {
+      expect(() => registerSource(testAdapter({ fetch: undefined })))
+        .toThrow('must implement fetch or stream');
+      expect(() => registerSource(testAdapter({ normalize: undefined })))
+        .toThrow('must implement normalize');
+    });
+
+    it('should reject unknown config types', () => {
+      expect(() => registerSource(testAdapter({ configSchema: { url: { type: 'url' } } })))
+        .toThrow('invalid type for config "url"');
+    });
+
+    it('should throw for unknown sources', () => {
+      expect(() => getSource('nope')).toThrow('Unknown data source: nope');
+    });
+  });
+
+  describe('resolveSourceConfig', () => {
+    it('should read environment variables and defaults', () => {
+      process.env.TEST_FEED_URL = 'http://feed.local/data';
+
+      const options = resolveSourceConfig(testAdapter());
+
+      expect(options).toEqual({ url: 'http://feed.local/data', limit: 10 });
+    });
+
+    it('should parse environment values by type', () => {
+      process.env.TEST_FEED_URL = 'http://feed.local/data';
+      process.env.TEST_FEED_LIMIT = '25';
+
+      expect(resolveSourceConfig(testAdapter()).limit).toBe(25);
+    });
+
+    it('should prefer the config section over the environment', () => {
+      const adapter = testAdapter({ name: 'test-feed', configSection: 'aircraftJson' });
+      process.env.TEST_FEED_URL = 'http://ignored';
+
+      expect(resolveSourceConfig(adapter).url).toBe(config.aircraftJson.url);
+    });
+
+    it('should reject missing required values', () => {
+      expect(() => resolveSourceConfig(testAdapter()))
+        .toThrow('Invalid configuration for source test-feed: url is required');
+    });
+
+    it('should reject values of the wrong type', () => {
+      process.env.TEST_FEED_URL = 'http://feed.local/data';
+      process.env.TEST_FEED_LIMIT = 'lots';
+
+      expect(() => resolveSourceConfig(testAdapter()))
+        .toThrow('Invalid configuration for source test-feed: limit must be a number');
+    });
+  });
+
+  describe('createSourceRunner', () => {
+    beforeEach(() => {
+      process.env.TEST_FEED_URL = 'http://feed.local/data';
+    });
+
+    it('should fetch and normalize records, skipping nulls', async () => {
+      const runner = createSourceRunner(testAdapter());
+
+      const flights = await runner.poll();
+
+      expect(flights.map(f => f.id)).toEqual(['abc123', 'def456']);
+      expect(runner.health()).toMatchObject({ name: 'test-feed', type: 'poll', lastCount: 2, lastError: null });
+    });
+
+    it('should pass raw payloads through decode', async () => {
+      const runner = createSourceRunner(testAdapter({
+        async fetch() {
+          return { items: [{ hex: 'aaa111' }] };
+        },
+        decode: payloads => payloads.flatMap(({ data }) => data.items)
+      }));
+
+      expect((await runner.poll()).map(f => f.id)).toEqual(['aaa111']);
+    });
+
+    it('should record errors in health', async () => {
+      const runner = createSourceRunner(testAdapter({
+        async fetch() {
+          throw new Error('feed offline');
+        },
+        health: () => ({ backlog: 3 })
+      }));
+
+      await expect(runner.poll()).rejects.toThrow('feed offline');
+      expect(runner.health()).toMatchObject({ lastError: 'feed offline', backlog: 3 });
+    });
+
+    it('should buffer messages from stream sources between polls', async () => {
+      let emit;
+      let closed = false;
+      const runner = createSourceRunner(testAdapter({
+        fetch: undefined,
+        stream(options, callback) {
+          emit = callback;
+          return { close: () => { closed = true; } };
+        }
+      }));
+
+      expect(await runner.poll()).toEqual([]);
+      emit({ hex: 'abc123' });
+      emit({ hex: 'def456' });
+
+      expect((await runner.poll()).map(f => f.id)).toEqual(['abc123', 'def456']);
+      expect(await runner.poll()).toEqual([]);
+      expect(runner.health().connected).toBe(true);
+
+      runner.close();
+      expect(closed).toBe(true);
+    });
+
+    it('should report stream sources whose feed is down as disconnected', async () => {
+      const handle = { connected: true, close: () => {} };
+      const runner = createSourceRunner(testAdapter({ fetch: undefined, stream: () => handle }));
+
+      await runner.poll();
+      expect(runner.health().connected).toBe(true);
+      handle.connected = false;
+      expect(runner.health().connected).toBe(false);
+    });
+
+    it('should report raw payloads to the onRaw hook', async () => {
+      const raw = [];
+      const runner = createSourceRunner(testAdapter(), {
+        onRaw: (name, payloads) => raw.push({ name, payloads })
+      });
+
+      await runner.poll();
+
+      expect(raw).toHaveLength(1);
+      expect(raw[0].name).toBe('test-feed');
+      expect(raw[0].payloads[0].data).toHaveLength(3);
+    });
+  });
+
+  describe('loadPlugins', () => {
+    let pluginDir;
+
+    beforeEach(() => {
+      pluginDir = mkdtempSync(join(tmpdir(), 'plugins-'));
+      writeFileSync(join(pluginDir, 'package.json'), '{ "type": "module" }');
+    });
+
+    afterEach(() => {
+      unregisterSource('plugin-a');
+      unregisterSource('plugin-b');
+      rmSync(pluginDir, { recursive: true, force: true });
+    });
+
+    it('should register adapters exported by plugin files', async () => {
+      writeFileSync(join(pluginDir, 'a.js'), `
+        export default {
+          name: 'plugin-a',
+          fetch: async () => [{ id: 'p1', latitude: 1, longitude: 2, timestamp: 0 }],
+          normalize: record => ({ ...record, callsign: record.id, source: 'plugin-a' })
+        };
+      `);
+      writeFileSync(join(pluginDir, 'b.mjs'), `
+        export default [{ name: 'plugin-b', fetch: async () => [], normalize: r => r }];
+      `);
+      writeFileSync(join(pluginDir, 'README.md'), 'not a plugin');
+
+      const loaded = await loadPlugins(pluginDir);
+
+      expect(loaded).toEqual(['plugin-a', 'plugin-b']);
+      expect(normalizeFlightData({ id: 'p1' }, 'plugin-a').source).toBe('plugin-a');
+    });
+
+    it('should fetch from a plugin source by name', async () => {
+      const originalSource = config.dataSource;
+      writeFileSync(join(pluginDir, 'a.js'), `
+        export default {
+          name: 'plugin-a',
+          fetch: async () => [{ id: 'p1' }],
+          normalize: record => ({ ...record, callsign: record.id, source: 'plugin-a' })
+        };
+      `);
+      await loadPlugins(pluginDir);
+
+      config.dataSource = 'plugin-a';
+      try {
+        expect((await fetchFlights()).map(f => f.id)).toEqual(['p1']);
+      } finally {
+        config.dataSource = originalSource;
+      }
+    });
+
+    it('should reject plugins without a default export', async () => {
+      writeFileSync(join(pluginDir, 'bad.js'), 'export const name = "x";');
+
+      await expect(loadPlugins(pluginDir)).rejects.toThrow('Source plugin bad.js has no default export');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for FAA SWIM Message Parser
+ */
+
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { parseSwimMessage } from '../../src/server/swim-parser.js';
+import { normalizeFlightData } from '../../src/server/faa-fetcher.js';
+
+const fixture = name => readFileSync(new URL(`../fixtures/swim/${name}`, import.meta.url), 'utf8');
+
+describe('SWIM Parser', () => {
+  describe('SFDPS FIXM messages', () => {
+    const records = parseSwimMessage(fixture('sfdps-flight.xml'));
+
+    it('should parse every flight in a message collection', () => {
+      expect(records).toHaveLength(2);
+      expect(records.every(r => r.type === 'sfdps')).toBe(true);
+    });
+
+    it('should extract the track position', () => {
+      const [ual] = records;
+
+      expect(ual.icao24).toBe('a1b2c3');
+      expect(ual.callsign).toBe('UAL123');
+      expect(ual.latitude).toBe(37.6195);
+      expect(ual.longitude).toBe(-122.3841);
+      expect(ual.altitude).toBe(35000);
+      expect(ual.groundSpeed).toBe(452);
+      expect(ual.heading).toBeCloseTo(271.27, 2);
+      expect(ual.squawk).toBe('4521');
+      expect(ual.timestamp).toBe(Date.parse('2024-03-14T15:02:10.000Z'));
+    });
+
+    it('should extract flight-plan fields', () => {
+      const [ual] = records;
+
+      expect(ual.departure).toBe('KSFO');
+      expect(ual.arrival).toBe('KEWR');
+      expect(ual.aircraftType).toBe('B38M');
+      expect(ual.route).toBe('KSFO./.SAC..FMG.J32.LLC..ODI..J34.BUF..KEWR');
+      expect(ual.gufi).toBe('KS70935100');
+      expect(ual.registration).toBe('N37502');
+    });
+
+    it('should leave position empty for flight-plan-only messages', () => {
+      const swa = records[1];
+
+      expect(swa.callsign).toBe('SWA2291');
+      expect(swa.departure).toBe('KLAX');
+      expect(swa.latitude).toBeUndefined();
+      expect(normalizeFlightData(swa, 'faa')).toBeNull();
+    });
+  });
+
+  describe('STDDS SMES messages', () => {
+    it('should parse surface position reports', () => {
+      const [dal] = parseSwimMessage(fixture('smes-position.xml'));
+
+      expect(dal.type).toBe('smes');
+      expect(dal.airport).toBe('KSFO');
+      expect(dal.icao24).toBe('a4f1d2');
+      expect(dal.callsign).toBe('DAL88');
+      expect(dal.latitude).toBe(37.6131);
+      expect(dal.groundSpeed).toBe(12);
+      expect(dal.heading).toBe(45);
+      expect(dal.squawk).toBe('0321');
+      expect(dal.aircraftType).toBe('A321');
+      expect(dal.arrival).toBe('KATL');
+    });
+  });
+
+  describe('STDDS TAIS messages', () => {
+    it('should parse terminal tracks with flight plans', () => {
+      const [swa] = parseSwimMessage(fixture('tais-track.xml'));
+
+      expect(swa.type).toBe('tais');
+      expect(swa.facility).toBe('NCT');
+      expect(swa.icao24).toBe('ac82ec');
+      expect(swa.callsign).toBe('SWA2291');
+      expect(swa.altitude).toBe(8200);
+      expect(swa.verticalRate).toBe(1856);
+      expect(swa.groundSpeed).toBeCloseTo(238, 0);
+      expect(swa.heading).toBeCloseTo(118.07, 2);
+      expect(swa.squawk).toBe('0144');
+      expect(swa.aircraftType).toBe('B737');
+    });
+
+    it('should not take the boundary fixes for airports', () => {
+      const [swa] = parseSwimMessage(fixture('tais-track.xml'));
+
+      expect(swa.departure).toBeUndefined();
+      expect(swa.arrival).toBeUndefined();
+    });
+  });
+
+  it('should return no records for unrecognised messages', () => {
+    expect(parseSwimMessage('<status><ok/></status>')).toEqual([]);
+  });
+
+  it('should throw for messages cut short', () => {
+    const xml = fixture('sfdps-flight.xml');
+
+    expect(() => parseSwimMessage(xml.slice(0, xml.length / 2))).toThrow('Invalid XML');
+  });
+
+  describe('normalizeFaaFlight', () => {
+    it('should produce the common flight format with flight-plan fields', () => {
+      const [record] = parseSwimMessage(fixture('sfdps-flight.xml'));
+      const flight = normalizeFlightData(record, 'faa');
+
+      expect(flight).toMatchObject({
+        id: 'a1b2c3',
+        callsign: 'UAL123',
+        altitude: 35000,
+        speed: 452,
+        onGround: false,
+        squawk: '4521',
+        source: 'faa',
+        departure: 'KSFO',
+        arrival: 'KEWR',
+        aircraftType: 'B38M'
+      });
+    });
+
+    it('should mark ASDE-X tracks as on ground', () => {
+      const [record] = parseSwimMessage(fixture('smes-position.xml'));
+      expect(normalizeFlightData(record, 'faa').onGround).toBe(true);
+    });
+  });
+});
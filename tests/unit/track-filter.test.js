@@ -0,0 +1,184 @@
+/**
+ * Unit Tests for the Track Quality Filter
+ */
+
+import { existsSync, unlinkSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import {
+  distanceNm,
+  checkPosition,
+  filterTracks,
+  getTrackFilterStats,
+  resetTrackFilter
+} from '../../src/server/track-filter.js';
+import { initDatabase, closeDatabase, upsertFlights, getFlightTrail } from '../../src/server/database.js';
+import { config } from '../../src/server/config.js';
+
+const TEST_DB_PATH = './data/test-track-filter.db';
+const T0 = 1700000000000;
+
+function removeDatabase() {
+  for (const file of [TEST_DB_PATH, `${TEST_DB_PATH}-wal`, `${TEST_DB_PATH}-shm`]) {
+    if (existsSync(file)) unlinkSync(file);
+  }
+}
+
+const position = (overrides = {}) => ({
+  latitude: 40.0,
+  longitude: -100.0,
+  altitude: 35000,
+  onGround: false,
+  timestamp: T0,
+  ...overrides
+});
+
+describe('Track Filter', () => {
+  describe('distanceNm', () => {
+    it('should measure a degree of latitude as 60 nm', () => {
+      expect(distanceNm(40, -100, 41, -100)).toBeCloseTo(60, 0);
+    });
+  });
+
+  describe('checkPosition', () => {
+    const previous = position();
+
+    it('should accept the first position of a flight', () => {
+      expect(checkPosition(position(), undefined)).toBeNull();
+    });
+
+    it('should accept plausible movement', () => {
+      // 450 kts for 10 seconds is 1.25 nm; climbing 300 ft
+      const next = position({ latitude: 40.0208, altitude: 35300, timestamp: T0 + 10000 });
+      expect(checkPosition(next, previous)).toBeNull();
+    });
+
+    it('should reject positions older than the last one', () => {
+      expect(checkPosition(position({ timestamp: T0 - 1000 }), previous)).toBe('stale');
+    });
+
+    it('should reject impossible ground speeds', () => {
+      // 20 nm in 10 seconds is 7200 kts
+      const next = position({ latitude: 40.333, timestamp: T0 + 10000 });
+      expect(checkPosition(next, previous)).toBe('speed');
+    });
+
+    it('should call jumps across the country teleports', () => {
+      const next = position({ latitude: 34.0, longitude: -118.0, timestamp: T0 + 10000 });
+      expect(checkPosition(next, previous)).toBe('teleport');
+    });
+
+    it('should reject altitude jumps of thousands of feet in one poll', () => {
+      const next = position({ altitude: 41000, timestamp: T0 + 10000 });
+      expect(checkPosition(next, previous)).toBe('altitude');
+    });
+
+    it('should not check altitude on the ground', () => {
+      const next = position({ altitude: 0, onGround: true, timestamp: T0 + 10000 });
+      expect(checkPosition(next, previous)).toBeNull();
+    });
+
+    it('should accept any position after a long gap', () => {
+      const next = position({ latitude: 34.0, longitude: -118.0, timestamp: T0 + config.trackFilter.maxGap + 1 });
+      expect(checkPosition(next, previous)).toBeNull();
+    });
+
+    it('should scale elapsed time for fast replays', () => {
+      // 12.5 nm in 10 wall clock seconds is 450 kts at 10x
+      const next = position({ latitude: 40.208, timestamp: T0 + 10000 });
+      expect(checkPosition(next, previous, config.trackFilter, 1)).toBe('speed');
+      expect(checkPosition(next, previous, config.trackFilter, 10)).toBeNull();
+      expect(checkPosition(next, previous, config.trackFilter, Infinity)).toBeNull();
+    });
+  });
+
+  describe('filterTracks', () => {
+    const originalEnabled = config.trackFilter.enabled;
+
+    const flight = (id, overrides = {}) => ({
+      id,
+      callsign: id,
+      heading: 0,
+      speed: 450,
+      source: 'test',
+      ...position(overrides)
+    });
+
+    beforeAll(() => {
+      const dir = dirname(TEST_DB_PATH);
+      if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+      }
+    });
+
+    beforeEach(() => {
+      removeDatabase();
+      initDatabase(TEST_DB_PATH);
+      resetTrackFilter();
+      config.trackFilter.enabled = true;
+    });
+
+    afterEach(() => {
+      closeDatabase();
+      config.trackFilter.enabled = originalEnabled;
+    });
+
+    afterAll(() => {
+      removeDatabase();
+    });
+
+    it('should drop implausible positions before they are stored', () => {
+      upsertFlights(filterTracks([flight('AAA001'), flight('BBB002')]));
+      upsertFlights(filterTracks([
+        flight('AAA001', { latitude: 40.0208, timestamp: T0 + 10000 }),
+        flight('BBB002', { latitude: 34.0, longitude: -118.0, timestamp: T0 + 10000 })
+      ]));
+
+      expect(getFlightTrail('AAA001')).toHaveLength(2);
+      expect(getFlightTrail('BBB002').map(point => point.latitude)).toEqual([40.0]);
+    });
+
+    it('should count rejected positions by reason', () => {
+      upsertFlights(filterTracks([flight('AAA001')]));
+      filterTracks([
+        flight('AAA001', { timestamp: T0 - 5000 }),
+        flight('BBB002')
+      ]);
+
+      expect(getTrackFilterStats()).toEqual({
+        checked: 3,
+        reanchored: 0,
+        rejected: { total: 1, stale: 1, speed: 0, teleport: 0, altitude: 0 }
+      });
+    });
+
+    it('should pick a flight up again after consistent rejected positions', () => {
+      // A bad first fix, then the aircraft's real positions
+      upsertFlights(filterTracks([flight('AAA001', { latitude: 34.0, longitude: -118.0 })]));
+      for (let i = 1; i <= 3; i++) {
+        upsertFlights(filterTracks([flight('AAA001', { latitude: 40.0 + i * 0.02, timestamp: T0 + i * 10000 })]));
+      }
+
+      expect(getFlightTrail('AAA001').map(point => point.latitude)).toEqual([34.0, 40.06]);
+      expect(getTrackFilterStats()).toMatchObject({ reanchored: 1, rejected: { total: 2, teleport: 2 } });
+    });
+
+    it('should not re-anchor on positions that disagree with each other', () => {
+      upsertFlights(filterTracks([flight('AAA001')]));
+      const jumps = [[34.0, -118.0], [45.0, -90.0], [34.0, -118.0], [45.0, -90.0]];
+      jumps.forEach(([latitude, longitude], i) => {
+        upsertFlights(filterTracks([flight('AAA001', { latitude, longitude, timestamp: T0 + (i + 1) * 10000 })]));
+      });
+
+      expect(getFlightTrail('AAA001')).toHaveLength(1);
+      expect(getTrackFilterStats().reanchored).toBe(0);
+    });
+
+    it('should pass everything through when disabled', () => {
+      config.trackFilter.enabled = false;
+      upsertFlights(filterTracks([flight('AAA001')]));
+
+      const flights = [flight('AAA001', { timestamp: T0 - 5000 })];
+      expect(filterTracks(flights)).toBe(flights);
+    });
+  });
+});
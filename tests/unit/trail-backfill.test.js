@@ -0,0 +1,232 @@
+/**
+ * Unit Tests for Trail Backfill
+ */
+
+import { jest } from '@jest/globals';
+import { existsSync, unlinkSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import {
+  parseOpenSkyTrack,
+  backfillFlight,
+  requestBackfill,
+  queueNewFlights,
+  runBackfillQueue,
+  getBackfillStatus,
+  resetBackfill
+} from '../../src/server/trail-backfill.js';
+import { initDatabase, closeDatabase, upsertFlight, getFlightTrail } from '../../src/server/database.js';
+import { resetOpenSkyClient } from '../../src/server/sources/opensky.js';
+import { config } from '../../src/server/config.js';
+
+const TEST_DB_PATH = './data/test-backfill.db';
+
+function removeDatabase() {
+  for (const file of [TEST_DB_PATH, `${TEST_DB_PATH}-wal`, `${TEST_DB_PATH}-shm`]) {
+    if (existsSync(file)) unlinkSync(file);
+  }
+}
+
+function jsonResponse(status, body) {
+  return {
+    ok: status === 200,
+    status,
+    statusText: status === 200 ? 'OK' : 'Not Found',
+    headers: new Headers(),
+    json: async () => body
+  };
+}
+
+describe('Trail Backfill', () => {
+  const originalBackfill = { ...config.backfill };
+  const now = Date.now();
+  const start = Math.floor(now / 1000) - 1800;
+  const track = {
+    icao24: 'a1b2c3',
+    startTime: start,
+    path: [
+      [start, 37.61, -122.38, 0, 280, true],
+      [start + 600, 37.9, -121.9, 6096, 45, false],
+      [start + 900, null, null, 7000, 45, false],
+      [start + 1200, 38.5, -121.2, 10668, 45, false]
+    ]
+  };
+  let fetchSpy;
+
+  const storeFlight = id => upsertFlight({ id, callsign: 'UAL1', latitude: 38.6, longitude: -121.1,
+    altitude: 36000, heading: 45, speed: 450, timestamp: now, source: 'opensky' });
+
+  beforeAll(() => {
+    const dir = dirname(TEST_DB_PATH);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  });
+
+  beforeEach(() => {
+    removeDatabase();
+    initDatabase(TEST_DB_PATH);
+    resetBackfill();
+    resetOpenSkyClient();
+    config.backfill.enabled = true;
+    fetchSpy = jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+    Object.assign(config.backfill, originalBackfill);
+    closeDatabase();
+  });
+
+  afterAll(() => {
+    removeDatabase();
+  });
+
+  describe('parseOpenSkyTrack', () => {
+    it('should convert waypoints to trail points and skip missing positions', () => {
+      const points = parseOpenSkyTrack(track);
+
+      expect(points).toHaveLength(3);
+      expect(points[1]).toEqual({ latitude: 37.9, longitude: -121.9, altitude: 20000, timestamp: (start + 600) * 1000 });
+    });
+
+    it('should return nothing without a path', () => {
+      expect(parseOpenSkyTrack(null)).toEqual([]);
+      expect(parseOpenSkyTrack({ icao24: 'a1b2c3' })).toEqual([]);
+    });
+  });
+
+  describe('backfillFlight', () => {
+    it('should store the live track ahead of polled points', async () => {
+      storeFlight('a1b2c3');
+      fetchSpy.mockResolvedValue(jsonResponse(200, track));
+
+      const result = await backfillFlight('a1b2c3', now);
+
+      expect(result).toMatchObject({ status: 'done', points: 3 });
+      const url = new URL(fetchSpy.mock.calls[0][0]);
+      expect(url.pathname).toBe('/api/tracks/all');
+      expect(url.searchParams.get('icao24')).toBe('a1b2c3');
+      expect(url.searchParams.get('time')).toBe('0');
+
+      const trail = getFlightTrail('a1b2c3');
+      expect(trail).toHaveLength(4);
+      expect(trail.slice(0, 3).every(point => point.backfilled)).toBe(true);
+    });
+
+    it('should find the current flight in the aircraft history when there is no live track', async () => {
+      fetchSpy.mockImplementation(async url => {
+        const { pathname, searchParams } = new URL(url);
+        if (pathname.endsWith('/flights/aircraft')) {
+          return jsonResponse(200, [
+            { icao24: 'a1b2c3', firstSeen: start - 20000, lastSeen: start - 10000 },
+            { icao24: 'a1b2c3', firstSeen: start, lastSeen: Math.floor(now / 1000) - 60 }
+          ]);
+        }
+        return searchParams.get('time') === String(start) ? jsonResponse(200, track) : jsonResponse(404);
+      });
+      storeFlight('A1B2C3');
+
+      const result = await backfillFlight('A1B2C3', now);
+
+      expect(result.status).toBe('done');
+      expect(fetchSpy).toHaveBeenCalledTimes(3);
+      expect(new URL(fetchSpy.mock.calls[0][0]).searchParams.get('icao24')).toBe('a1b2c3');
+    });
+
+    it('should remember aircraft without a track', async () => {
+      fetchSpy.mockResolvedValue(jsonResponse(404));
+
+      expect((await backfillFlight('a1b2c3', now)).status).toBe('unavailable');
+      expect((await backfillFlight('a1b2c3', now + 1000)).status).toBe('unavailable');
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip ids that are not ICAO addresses without asking OpenSky', async () => {
+      const result = await backfillFlight('MOCK0001', now);
+
+      expect(result.status).toBe('unavailable');
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('should defer while the credits are needed for polling', async () => {
+      config.backfill.reserveCredits = 399;
+
+      const result = await backfillFlight('a1b2c3', now);
+
+      expect(result.status).toBe('deferred');
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('should record failures', async () => {
+      fetchSpy.mockResolvedValue({ ...jsonResponse(500), statusText: 'Server Error' });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await backfillFlight('a1b2c3', now);
+      errorSpy.mockRestore();
+
+      expect(result).toMatchObject({ status: 'failed', reason: 'OpenSky API error: 500 Server Error' });
+    });
+  });
+
+  describe('requestBackfill', () => {
+    it('should do nothing while backfill is disabled', async () => {
+      config.backfill.enabled = false;
+
+      expect(await requestBackfill('a1b2c3')).toEqual({ status: 'disabled', points: 0 });
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('should share one backfill between concurrent requests', async () => {
+      fetchSpy.mockResolvedValue(jsonResponse(200, track));
+
+      const [a, b] = await Promise.all([requestBackfill('a1b2c3'), requestBackfill('a1b2c3')]);
+
+      expect(a).toEqual(b);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('queue', () => {
+    const flight = id => ({ id });
+
+    it('should work off a few newly seen aircraft per cycle', async () => {
+      config.backfill.perCycle = 2;
+      fetchSpy.mockResolvedValue(jsonResponse(200, track));
+      ['a00001', 'a00002', 'a00003'].forEach(storeFlight);
+
+      queueNewFlights([flight('a00001'), flight('a00002'), flight('a00003'), flight('MOCK0001')], now);
+      expect(getBackfillStatus().queued).toBe(3);
+
+      expect(await runBackfillQueue(now)).toBe(2);
+      expect(getBackfillStatus()).toEqual({ queued: 1, done: 2, unavailable: 0, failed: 0 });
+
+      // Already backfilled aircraft aren't queued again, even once results would be retried
+      queueNewFlights([flight('a00001'), flight('a00002')], now + config.backfill.retryInterval);
+      expect(getBackfillStatus().queued).toBe(1);
+    });
+
+    it('should queue failed aircraft again after the retry interval', async () => {
+      fetchSpy.mockResolvedValue({ ...jsonResponse(500), statusText: 'Server Error' });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      queueNewFlights([flight('a00001')], now);
+      await runBackfillQueue(now);
+      errorSpy.mockRestore();
+      expect(getBackfillStatus()).toMatchObject({ queued: 0, failed: 1 });
+
+      queueNewFlights([flight('a00001')], now + 1000);
+      expect(getBackfillStatus().queued).toBe(0);
+      queueNewFlights([flight('a00001')], now + config.backfill.retryInterval);
+      expect(getBackfillStatus().queued).toBe(1);
+    });
+
+    it('should keep deferred aircraft at the front of the queue', async () => {
+      config.backfill.reserveCredits = 399;
+
+      queueNewFlights([flight('a00001'), flight('a00002')], now);
+
+      expect(await runBackfillQueue(now)).toBe(0);
+      expect(getBackfillStatus().queued).toBe(2);
+    });
+  });
+});
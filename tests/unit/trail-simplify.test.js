@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for Trail Simplification and Encoding
+ */
+
+import {
+  simplifyTrail,
+  encodePolyline,
+  decodePolyline,
+  encodeTrail,
+  decodeTrail
+} from '../../src/server/trail-simplify.js';
+
+const T0 = 1700000000000;
+
+// Due north along a meridian, 0.01 degrees (1.1 km) per point
+const straight = (count, altitude = () => 35000) => Array.from({ length: count }, (_, i) => ({
+  latitude: 40 + i * 0.01,
+  longitude: -100,
+  altitude: altitude(i),
+  timestamp: T0 + i * 10000
+}));
+
+describe('Trail Simplification', () => {
+  describe('simplifyTrail', () => {
+    it('should reduce a straight, level trail to its endpoints', () => {
+      const trail = straight(20);
+
+      expect(simplifyTrail(trail, { tolerance: 50 })).toEqual([trail[0], trail[19]]);
+    });
+
+    it('should keep turns', () => {
+      // North, then east
+      const trail = [
+        ...straight(10),
+        ...Array.from({ length: 10 }, (_, i) => ({
+          latitude: 40.09, longitude: -100 + (i + 1) * 0.01, altitude: 35000, timestamp: T0 + (10 + i) * 10000
+        }))
+      ];
+
+      expect(simplifyTrail(trail, { tolerance: 50 })).toEqual([trail[0], trail[9], trail[19]]);
+    });
+
+    it('should keep level-offs on a straight course', () => {
+      // Climb to 10000 ft, then level
+      const trail = straight(20, i => Math.min(i, 10) * 1000);
+
+      expect(simplifyTrail(trail, { tolerance: 50, altitudeTolerance: 100 }).map(p => p.altitude))
+        .toEqual([0, 10000, 10000]);
+    });
+
+    it('should keep the most significant points within maxPoints', () => {
+      const trail = straight(50, i => 30000 + (i % 10) * 100);
+      const simplified = simplifyTrail(trail, { maxPoints: 8 });
+
+      expect(simplified).toHaveLength(8);
+      expect(simplified[0]).toBe(trail[0]);
+      expect(simplified[7]).toBe(trail[49]);
+      expect(simplified.map(p => p.timestamp)).toEqual(simplified.map(p => p.timestamp).sort((a, b) => a - b));
+    });
+
+    it('should leave short trails alone', () => {
+      const trail = straight(2);
+
+      expect(simplifyTrail(trail, { tolerance: 1000, maxPoints: 1 })).toBe(trail);
+    });
+
+    it('should keep marks on the points it returns', () => {
+      const trail = straight(5).map((p, i) => (i < 2 ? { ...p, backfilled: true } : p));
+
+      expect(simplifyTrail(trail, { tolerance: 50 })[0].backfilled).toBe(true);
+    });
+  });
+
+  describe('polyline encoding', () => {
+    it('should match the reference polyline algorithm', () => {
+      const points = [
+        { latitude: 38.5, longitude: -120.2 },
+        { latitude: 40.7, longitude: -120.95 },
+        { latitude: 43.252, longitude: -126.453 }
+      ];
+
+      expect(encodePolyline(points)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+      expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual(points);
+    });
+
+    it('should round trip trails with altitudes and ms timestamps', () => {
+      const trail = straight(5, i => 35000 - i * 250).map((p, i) => ({ ...p, timestamp: p.timestamp + i * 7 }));
+
+      const decoded = decodeTrail(encodeTrail(trail));
+
+      expect(decoded.map(p => [p.altitude, p.timestamp])).toEqual(trail.map(p => [p.altitude, p.timestamp]));
+      decoded.forEach((p, i) => {
+        expect(p.latitude).toBeCloseTo(trail[i].latitude, 5);
+        expect(p.longitude).toBeCloseTo(trail[i].longitude, 5);
+      });
+    });
+
+    it('should continue an encoding from its last point', () => {
+      const trail = straight(6, i => 35000 - i * 250);
+      const start = encodeTrail(trail.slice(0, 3));
+      const rest = encodeTrail(trail.slice(3), trail[2]);
+
+      const joined = decodeTrail({
+        polyline: start.polyline + rest.polyline,
+        altitudes: start.altitudes + rest.altitudes,
+        timestamps: start.timestamps + rest.timestamps
+      });
+
+      expect(joined).toEqual(decodeTrail(encodeTrail(trail)));
+    });
+
+    it('should be much smaller than JSON', () => {
+      const trail = straight(256);
+
+      expect(JSON.stringify(encodeTrail(trail)).length).toBeLessThan(JSON.stringify(trail).length / 5);
+    });
+  });
+});